@@ -1,36 +1,81 @@
 const { contract, retryContractCall } = require('../contract');
+const { readElection, pickWinner } = require('../indexer/reader');
+const { sealedResults } = require('../commitReveal/sealedResults');
 
-// Generate comprehensive analytics data
-const generateAnalytics = async () => {
+// Load vote data for the legacy single-election contract
+const loadLegacyElectionData = async () => {
+  const [candidates, totalVotes, isActive, winner] = await Promise.all([
+    retryContractCall(() => contract.getCandidates()),
+    retryContractCall(() => contract.totalVotes()),
+    retryContractCall(() => contract.isElectionActive()),
+    fetchWinner()
+  ]);
+
+  // Get detailed vote data for each candidate
+  const votes = [];
+  for (let i = 0; i < candidates.length; i++) {
+    const [candidateVotes, percentage] = await Promise.all([
+      retryContractCall(() => contract.getVotesFor(i)),
+      retryContractCall(() => contract.getVotePercentage(i))
+    ]);
+
+    votes.push({
+      candidate: candidates[i],
+      votes: Number(candidateVotes),
+      percentage: Number(percentage),
+      index: i
+    });
+  }
+
+  return { votes, totalVotes: Number(totalVotes), isActive, winner };
+};
+
+// Load vote data for a factory election (served from the index when available)
+const loadFactoryElectionData = async (electionId) => {
+  const election = await readElection(electionId);
+  if (!election) {
+    return null;
+  }
+  if (election.sealed) {
+    return { sealed: sealedResults(election) };
+  }
+
+  const totalVotes = election.totalVotes;
+  const votes = election.candidates.map(candidate => ({
+    candidate: candidate.name,
+    votes: candidate.votes,
+    percentage: totalVotes > 0 ? Math.round((candidate.votes / totalVotes) * 100) : 0,
+    index: candidate.id
+  }));
+
+  return {
+    votes,
+    totalVotes,
+    isActive: election.status === 'active',
+    winner: pickWinner(election.candidates, totalVotes)
+  };
+};
+
+// Generate comprehensive analytics data. Without an election ID the legacy
+// single-election contract is used; otherwise the given factory election
+// (resolves to null if that election does not exist).
+const generateAnalytics = async (electionId) => {
   try {
     console.log('Generating comprehensive analytics...');
     
-    // Fetch basic election data
-    const [candidates, totalVotes, isActive, winner] = await Promise.all([
-      retryContractCall(() => contract.getCandidates()),
-      retryContractCall(() => contract.totalVotes()),
-      retryContractCall(() => contract.isElectionActive()),
-      fetchWinner()
-    ]);
-    
-    const totalVotesNumber = Number(totalVotes);
-    
-    // Get detailed vote data for each candidate
-    const votes = [];
-    for (let i = 0; i < candidates.length; i++) {
-      const [candidateVotes, percentage] = await Promise.all([
-        retryContractCall(() => contract.getVotesFor(i)),
-        retryContractCall(() => contract.getVotePercentage(i))
-      ]);
-      
-      votes.push({
-        candidate: candidates[i],
-        votes: Number(candidateVotes),
-        percentage: Number(percentage),
-        index: i
-      });
+    const electionData = electionId === undefined
+      ? await loadLegacyElectionData()
+      : await loadFactoryElectionData(electionId);
+    if (!electionData) {
+      return null;
+    }
+    // No analytics of a commit-reveal election before its reveal phase ends
+    if (electionData.sealed) {
+      return { ...electionData.sealed, timestamp: new Date().toISOString() };
     }
     
+    const { votes, totalVotes: totalVotesNumber, isActive, winner } = electionData;
+    
     // Sort by votes (descending)
     votes.sort((a, b) => b.votes - a.votes);
     
@@ -41,6 +86,7 @@ const generateAnalytics = async () => {
     const insights = generateInsights(votes, totalVotesNumber, winner);
     
     return {
+      electionId: electionId !== undefined ? electionId : null,
       totalVotes: totalVotesNumber,
       votes: votes,
       winner: winner,
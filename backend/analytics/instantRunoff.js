@@ -0,0 +1,155 @@
+/*
+ * Instant-runoff (ranked-choice) tallying.
+ *
+ * A ballot is an array of candidate IDs in order of preference. Unknown IDs
+ * and repeated rankings of the same candidate are ignored. A ballot counts for
+ * its highest-ranked candidate still in the race; once all of its ranked
+ * candidates are eliminated it is "exhausted" and no longer counts.
+ *
+ * Each round:
+ *   1. Count continuing ballots for every remaining candidate.
+ *   2. A candidate with more than half of the continuing ballots wins. If only
+ *      one candidate remains, they win.
+ *   3. Otherwise the candidate with the fewest votes is eliminated and their
+ *      ballots transfer to the next remaining preference.
+ *
+ * Tie-break rules for elimination, applied in order:
+ *   1. Previous rounds: among the tied candidates, eliminate the one with the
+ *      fewest votes in the most recent earlier round in which they differed.
+ *   2. Candidate ID: if still tied, eliminate the candidate with the highest
+ *      ID (the one listed last when the election was created).
+ */
+
+// Normalize raw ballots into arrays of known, unique candidate IDs
+const normalizeBallots = (ballots, candidateIds) => {
+  const known = new Set(candidateIds);
+
+  return ballots.map(ballot => {
+    const seen = new Set();
+    return (Array.isArray(ballot) ? ballot : [])
+      .map(Number)
+      .filter(id => {
+        if (!known.has(id) || seen.has(id)) return false;
+        seen.add(id);
+        return true;
+      });
+  });
+};
+
+// Count each ballot for its highest-ranked remaining candidate
+const countRound = (ballots, remaining) => {
+  const counts = new Map([...remaining].map(id => [id, 0]));
+  const assignments = [];
+  let exhausted = 0;
+
+  ballots.forEach(ballot => {
+    const choice = ballot.find(id => remaining.has(id));
+    if (choice === undefined) {
+      exhausted++;
+      assignments.push(null);
+    } else {
+      counts.set(choice, counts.get(choice) + 1);
+      assignments.push(choice);
+    }
+  });
+
+  return { counts, assignments, exhausted };
+};
+
+// Choose the candidate to eliminate using the documented tie-break rules
+const chooseElimination = (counts, history) => {
+  const fewest = Math.min(...counts.values());
+  let tied = [...counts.keys()].filter(id => counts.get(id) === fewest);
+
+  if (tied.length === 1) {
+    return { candidateId: tied[0], tieBreak: null };
+  }
+
+  for (let i = history.length - 1; i >= 0; i--) {
+    const previous = history[i];
+    const previousFewest = Math.min(...tied.map(id => previous.get(id)));
+    const stillTied = tied.filter(id => previous.get(id) === previousFewest);
+
+    if (stillTied.length < tied.length) {
+      tied = stillTied;
+      if (tied.length === 1) {
+        return { candidateId: tied[0], tieBreak: 'previous-round' };
+      }
+    }
+  }
+
+  return { candidateId: Math.max(...tied), tieBreak: 'candidate-id' };
+};
+
+// Run an instant-runoff tally.
+// candidates: [{ id, name }], ballots: [[candidateId, ...], ...]
+const runInstantRunoff = (candidates, ballots) => {
+  const names = new Map(candidates.map(candidate => [Number(candidate.id), candidate.name]));
+  const normalized = normalizeBallots(ballots, [...names.keys()]);
+  const remaining = new Set(names.keys());
+  const history = [];
+  const rounds = [];
+  let winner = null;
+
+  while (remaining.size > 0) {
+    const { counts, assignments, exhausted } = countRound(normalized, remaining);
+    const continuing = normalized.length - exhausted;
+    const threshold = Math.floor(continuing / 2) + 1;
+
+    const round = {
+      round: rounds.length + 1,
+      tallies: [...counts.entries()]
+        .map(([candidateId, votes]) => ({ candidateId, name: names.get(candidateId), votes }))
+        .sort((a, b) => b.votes - a.votes || a.candidateId - b.candidateId),
+      continuingBallots: continuing,
+      exhaustedBallots: exhausted,
+      threshold,
+      eliminated: null,
+      tieBreak: null,
+      transfers: []
+    };
+    rounds.push(round);
+
+    const leader = round.tallies[0];
+    if (continuing === 0) {
+      break;
+    }
+    if (leader.votes >= threshold || remaining.size === 1) {
+      winner = { candidateId: leader.candidateId, name: leader.name, votes: leader.votes };
+      break;
+    }
+
+    const { candidateId, tieBreak } = chooseElimination(counts, history);
+    round.eliminated = { candidateId, name: names.get(candidateId), votes: counts.get(candidateId) };
+    round.tieBreak = tieBreak;
+
+    history.push(counts);
+    remaining.delete(candidateId);
+
+    // Record where the eliminated candidate's ballots go next
+    const transfers = new Map();
+    normalized.forEach((ballot, index) => {
+      if (assignments[index] !== candidateId) return;
+      const next = ballot.find(id => remaining.has(id));
+      const key = next === undefined ? 'exhausted' : next;
+      transfers.set(key, (transfers.get(key) || 0) + 1);
+    });
+    round.transfers = [...transfers.entries()].map(([to, votes]) => ({
+      to: to === 'exhausted' ? null : to,
+      name: to === 'exhausted' ? null : names.get(to),
+      votes
+    }));
+  }
+
+  return {
+    method: 'instant-runoff',
+    totalBallots: normalized.length,
+    winner,
+    rounds
+  };
+};
+
+module.exports = {
+  runInstantRunoff,
+  normalizeBallots
+};
@@ -0,0 +1,32 @@
+const { candidateListError } = require('./ballotChecks');
+
+// Approval: each ballot lists every candidate the voter approves of.
+// The candidate approved by the most voters wins.
+const approval = {
+  label: 'Approval',
+  unit: 'approvals',
+  ballotFormat: 'candidateId[]',
+
+  validateBallot: (candidateIds, ballot) => candidateListError(candidateIds, ballot),
+
+  // An on-chain vote for any approved candidate matches the ballot
+  firstChoices: (ballot) => ballot.map(Number),
+
+  tally: (candidateIds, ballots) => {
+    const scores = new Map(candidateIds.map(id => [id, 0]));
+    let validBallots = 0;
+
+    ballots.forEach(ballot => {
+      if (!Array.isArray(ballot)) return;
+
+      const approved = new Set(ballot.map(Number).filter(id => scores.has(id)));
+      approved.forEach(id => scores.set(id, scores.get(id) + 1));
+      validBallots++;
+    });
+
+    // Margins are expressed as a share of voters
+    return { scores, validBallots, marginBase: validBallots };
+  }
+};
+
+module.exports = approval;
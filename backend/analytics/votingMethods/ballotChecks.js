@@ -0,0 +1,20 @@
+// Shared checks for ballots that list candidate IDs (approval, Borda,
+// instant-runoff). Returns an error message or null.
+const candidateListError = (candidateIds, ballot) => {
+  if (!Array.isArray(ballot) || ballot.length === 0) {
+    return 'Ballot must be a non-empty array of candidate IDs';
+  }
+
+  const known = new Set(candidateIds);
+  const ids = ballot.map(Number);
+  const unknown = ids.find(id => !Number.isInteger(id) || !known.has(id));
+  if (unknown !== undefined) {
+    return `Unknown candidate ID: ${ballot[ids.indexOf(unknown)]}`;
+  }
+  if (new Set(ids).size !== ids.length) {
+    return 'Ballot lists a candidate more than once';
+  }
+  return null;
+};
+
+module.exports = { candidateListError };
@@ -0,0 +1,34 @@
+const { candidateListError } = require('./ballotChecks');
+
+// Borda count: each ballot ranks candidates from most to least preferred.
+// With n candidates, a ballot gives n-1 points to its first choice, n-2 to
+// its second and so on; unranked candidates get 0 points.
+// The candidate with the most points wins.
+const borda = {
+  label: 'Borda Count',
+  unit: 'points',
+  ballotFormat: 'candidateId[] (ranked)',
+
+  validateBallot: (candidateIds, ballot) => candidateListError(candidateIds, ballot),
+
+  firstChoices: (ballot) => [Number(ballot[0])],
+
+  tally: (candidateIds, ballots) => {
+    const scores = new Map(candidateIds.map(id => [id, 0]));
+    const topPoints = candidateIds.length - 1;
+    let validBallots = 0;
+
+    ballots.forEach(ballot => {
+      if (!Array.isArray(ballot)) return;
+
+      const ranked = [...new Set(ballot.map(Number))].filter(id => scores.has(id));
+      ranked.forEach((id, rank) => scores.set(id, scores.get(id) + topPoints - rank));
+      validBallots++;
+    });
+
+    // Margins are expressed as a share of the maximum possible points
+    return { scores, validBallots, marginBase: validBallots * topPoints };
+  }
+};
+
+module.exports = borda;
@@ -0,0 +1,126 @@
+const plurality = require('./plurality');
+const approval = require('./approval');
+const score = require('./score');
+const borda = require('./borda');
+const instantRunoff = require('./instantRunoff');
+
+// Registry of tally strategies keyed by voting method name. A strategy has a
+// `label`, the `unit` its scores are counted in, a `ballotFormat` description
+// and a `tally(candidateIds, ballots, options, candidates)` function returning
+// `{ scores: Map<candidateId, number>, validBallots, marginBase, details? }`.
+// Optionally `validateBallot(candidateIds, ballot, options)` returns an error
+// message for a malformed ballot, and `firstChoices(ballot)` the candidate IDs
+// a voter's on-chain vote may name alongside a valid ballot.
+const votingMethods = new Map([
+  ['plurality', plurality],
+  ['approval', approval],
+  ['score', score],
+  ['borda', borda],
+  ['instant-runoff', instantRunoff]
+]);
+
+const DEFAULT_VOTING_METHOD = 'plurality';
+
+// Register an additional tally strategy
+const registerVotingMethod = (name, strategy) => {
+  if (typeof strategy.tally !== 'function') {
+    throw new Error(`Voting method "${name}" must provide a tally function`);
+  }
+  votingMethods.set(name, strategy);
+};
+
+const getVotingMethod = (name) => votingMethods.get(name) || null;
+
+// List registered methods for clients building election forms
+const listVotingMethods = () => [...votingMethods.entries()].map(([name, strategy]) => ({
+  name,
+  label: strategy.label,
+  unit: strategy.unit,
+  ballotFormat: strategy.ballotFormat
+}));
+
+// Check a ballot against a method's format and the election's candidates.
+// Returns an error message or null.
+const validateBallot = (methodName, candidates, ballot, options = {}) => {
+  const strategy = getVotingMethod(methodName);
+  if (!strategy) {
+    return `Unknown voting method: ${methodName}`;
+  }
+  if (!strategy.validateBallot) {
+    return null;
+  }
+  return strategy.validateBallot(candidates.map(candidate => Number(candidate.id)), ballot, options);
+};
+
+// Whether a voter's on-chain vote for `candidateId` agrees with their valid
+// ballot (methods without `firstChoices` accept any candidate)
+const ballotMatchesVote = (methodName, ballot, candidateId) => {
+  const strategy = getVotingMethod(methodName);
+  return !strategy.firstChoices || strategy.firstChoices(ballot).includes(Number(candidateId));
+};
+
+// Rank candidates from a strategy's tally output and derive winner and margin.
+// Ties for a position are ordered by the lowest candidate ID, as on-chain.
+const rankResults = (methodName, candidates, tally, totalBallots) => {
+  const strategy = getVotingMethod(methodName);
+  const { scores, validBallots, marginBase, details } = tally;
+
+  const results = candidates
+    .map(candidate => ({
+      candidateId: Number(candidate.id),
+      name: candidate.name,
+      score: scores.get(Number(candidate.id)) || 0
+    }))
+    .sort((a, b) => b.score - a.score || a.candidateId - b.candidateId);
+
+  const [first, second] = results;
+  const hasWinner = first !== undefined && first.score > 0;
+  const marginValue = hasWinner ? first.score - (second ? second.score : 0) : 0;
+
+  return {
+    method: methodName,
+    label: strategy.label,
+    unit: strategy.unit,
+    totalBallots,
+    validBallots,
+    results,
+    winner: hasWinner ? { ...first, tied: second !== undefined && second.score === first.score } : null,
+    margin: {
+      value: marginValue,
+      percentage: marginBase > 0 ? Math.round((marginValue / marginBase) * 1000) / 10 : 0
+    },
+    details: details || null
+  };
+};
+
+// Tally ballots with the given method and rank candidates
+const tallyBallots = (methodName, candidates, ballots, options = {}) => {
+  const strategy = getVotingMethod(methodName);
+  if (!strategy) {
+    throw new Error(`Unknown voting method: ${methodName}`);
+  }
+
+  const candidateIds = candidates.map(candidate => Number(candidate.id));
+  const tally = strategy.tally(candidateIds, ballots, options, candidates);
+
+  return rankResults(methodName, candidates, tally, ballots.length);
+};
+
+// Rank on-chain plurality vote counts (candidates carry a `votes` field)
+const tallyOnChainVotes = (candidates) => {
+  const totalVotes = candidates.reduce((sum, candidate) => sum + candidate.votes, 0);
+  const scores = new Map(candidates.map(candidate => [Number(candidate.id), candidate.votes]));
+
+  return rankResults('plurality', candidates, { scores, validBallots: totalVotes, marginBase: totalVotes }, totalVotes);
+};
+
+module.exports = {
+  DEFAULT_VOTING_METHOD,
+  registerVotingMethod,
+  getVotingMethod,
+  listVotingMethods,
+  validateBallot,
+  ballotMatchesVote,
+  tallyBallots,
+  tallyOnChainVotes
+};
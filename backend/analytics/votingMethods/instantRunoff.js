@@ -0,0 +1,34 @@
+const { runInstantRunoff } = require('../instantRunoff');
+const { candidateListError } = require('./ballotChecks');
+
+// Instant-runoff: each ballot ranks candidates; see ../instantRunoff.js for
+// the round-by-round rules. Scores are the final-round vote counts.
+const instantRunoff = {
+  label: 'Instant-Runoff (Ranked Choice)',
+  unit: 'votes',
+  ballotFormat: 'candidateId[] (ranked)',
+
+  validateBallot: (candidateIds, ballot) => candidateListError(candidateIds, ballot),
+
+  firstChoices: (ballot) => [Number(ballot[0])],
+
+  tally: (candidateIds, ballots, options, candidates) => {
+    const result = runInstantRunoff(candidates, ballots);
+    const finalRound = result.rounds[result.rounds.length - 1];
+
+    // Eliminated candidates score 0 in the final round
+    const scores = new Map(candidateIds.map(id => [id, 0]));
+    if (finalRound) {
+      finalRound.tallies.forEach(({ candidateId, votes }) => scores.set(candidateId, votes));
+    }
+
+    return {
+      scores,
+      validBallots: result.totalBallots,
+      marginBase: finalRound ? finalRound.continuingBallots : 0,
+      details: { rounds: result.rounds }
+    };
+  }
+};
+
+module.exports = instantRunoff;
@@ -0,0 +1,31 @@
+// Plurality: each ballot names one candidate (an ID, or a one-element array).
+// The candidate with the most votes wins.
+const plurality = {
+  label: 'Plurality',
+  unit: 'votes',
+  ballotFormat: 'candidateId',
+
+  validateBallot: (candidateIds, ballot) => {
+    const choice = Number(Array.isArray(ballot) && ballot.length === 1 ? ballot[0] : ballot);
+    return candidateIds.includes(choice) ? null : 'Ballot must name one candidate ID';
+  },
+
+  firstChoices: (ballot) => [Number(Array.isArray(ballot) ? ballot[0] : ballot)],
+
+  tally: (candidateIds, ballots) => {
+    const scores = new Map(candidateIds.map(id => [id, 0]));
+    let validBallots = 0;
+
+    ballots.forEach(ballot => {
+      const choice = Number(Array.isArray(ballot) ? ballot[0] : ballot);
+      if (!scores.has(choice)) return;
+
+      scores.set(choice, scores.get(choice) + 1);
+      validBallots++;
+    });
+
+    return { scores, validBallots, marginBase: validBallots };
+  }
+};
+
+module.exports = plurality;
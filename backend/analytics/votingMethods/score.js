@@ -0,0 +1,57 @@
+const DEFAULT_MAX_SCORE = 5;
+
+// Score (range): each ballot maps candidate IDs to a score from 0 to
+// `maxScore`. Unscored candidates get 0 and out-of-range scores are ignored.
+// The candidate with the highest total score wins.
+const score = {
+  label: 'Score (Range)',
+  unit: 'points',
+  ballotFormat: '{ candidateId: score }',
+
+  validateBallot: (candidateIds, ballot, options = {}) => {
+    const maxScore = Number(options.maxScore) || DEFAULT_MAX_SCORE;
+    if (!ballot || typeof ballot !== 'object' || Array.isArray(ballot) || Object.keys(ballot).length === 0) {
+      return 'Ballot must map candidate IDs to scores';
+    }
+
+    for (const [candidateId, value] of Object.entries(ballot)) {
+      if (!candidateIds.includes(Number(candidateId))) {
+        return `Unknown candidate ID: ${candidateId}`;
+      }
+      if (!Number.isInteger(value) || value < 0 || value > maxScore) {
+        return `Scores must be whole numbers from 0 to ${maxScore}`;
+      }
+    }
+    return null;
+  },
+
+  // An on-chain vote for any of the top-scored candidates matches the ballot
+  firstChoices: (ballot) => {
+    const top = Math.max(...Object.values(ballot));
+    return Object.keys(ballot).filter(id => ballot[id] === top).map(Number);
+  },
+
+  tally: (candidateIds, ballots, options = {}) => {
+    const maxScore = Number(options.maxScore) || DEFAULT_MAX_SCORE;
+    const scores = new Map(candidateIds.map(id => [id, 0]));
+    let validBallots = 0;
+
+    ballots.forEach(ballot => {
+      if (!ballot || typeof ballot !== 'object' || Array.isArray(ballot)) return;
+
+      Object.entries(ballot).forEach(([candidateId, value]) => {
+        const id = Number(candidateId);
+        const points = Number(value);
+        if (!scores.has(id) || !Number.isInteger(points) || points < 0 || points > maxScore) return;
+
+        scores.set(id, scores.get(id) + points);
+      });
+      validBallots++;
+    });
+
+    // Margins are expressed as a share of the maximum possible score
+    return { scores, validBallots, marginBase: validBallots * maxScore };
+  }
+};
+
+module.exports = score;
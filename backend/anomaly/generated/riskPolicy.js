@@ -0,0 +1,213 @@
+"use strict";
+/*
+ * Risk-scoring policy for webcam anomaly detection, shared by the frontend
+ * (useAnomalyDetection, the on-device detector), the backend (policy editing,
+ * flagging stored vote metadata, replay tests) and, through the backend API,
+ * the `anomaly-detection` Supabase function.
+ *
+ * A policy sets, per election:
+ * - `weights`: risk points a condition adds to a frame's score
+ * - `consecutiveFrames`: how many frames in a row a condition must be seen
+ *   before it counts, so a single bad frame is not an anomaly
+ * - `thresholds`: scores above `warning` / `flagged` set the status
+ * - `decayHalfLifeSeconds`: how fast the session's peak risk fades; 0 keeps
+ *   the peak for the whole session
+ *
+ * The backend loads a CommonJS build of this file from
+ * backend/anomaly/generated/riskPolicy.js; regenerate it with
+ * `npm run build:risk-policy` after editing.
+ */
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.DEFAULT_RISK_POLICY = exports.RISK_CONDITIONS = void 0;
+exports.normalizeRiskPolicy = normalizeRiskPolicy;
+exports.riskStatus = riskStatus;
+exports.isFlaggedRisk = isFlaggedRisk;
+exports.scoreFrame = scoreFrame;
+exports.createRiskScorer = createRiskScorer;
+exports.RISK_CONDITIONS = [
+    'multipleFaces',
+    'noFace',
+    'faceLost',
+    'cameraBlocked',
+    'highMotion',
+    'environmentUnstable',
+];
+// The weights and thresholds the anomaly-detection function started with
+exports.DEFAULT_RISK_POLICY = {
+    weights: {
+        multipleFaces: 40,
+        noFace: 20,
+        faceLost: 30,
+        cameraBlocked: 30,
+        highMotion: 20,
+        environmentUnstable: 10,
+    },
+    consecutiveFrames: {
+        multipleFaces: 1,
+        noFace: 1,
+        faceLost: 1,
+        cameraBlocked: 1,
+        highMotion: 1,
+        environmentUnstable: 1,
+    },
+    thresholds: { warning: 25, flagged: 50 },
+    decayHalfLifeSeconds: 0,
+};
+const MAX_CONSECUTIVE_FRAMES = 100;
+const MAX_HALF_LIFE_SECONDS = 24 * 60 * 60;
+const isScore = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0 && value <= 100;
+const isPlainObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+// Validate a policy document from an admin, filling omitted fields from the
+// default policy. Returns { policy } or { error }.
+function normalizeRiskPolicy(input) {
+    if (!isPlainObject(input)) {
+        return { error: 'Risk policy must be an object' };
+    }
+    const { weights = {}, consecutiveFrames = {}, thresholds = {}, decayHalfLifeSeconds = 0 } = input;
+    if (!isPlainObject(weights) || !isPlainObject(consecutiveFrames) || !isPlainObject(thresholds)) {
+        return { error: 'weights, consecutiveFrames and thresholds must be objects' };
+    }
+    const unknownCondition = [...Object.keys(weights), ...Object.keys(consecutiveFrames)]
+        .find(condition => !exports.RISK_CONDITIONS.includes(condition));
+    if (unknownCondition) {
+        return { error: `Unknown risk condition: ${unknownCondition}` };
+    }
+    const policy = {
+        weights: { ...exports.DEFAULT_RISK_POLICY.weights },
+        consecutiveFrames: { ...exports.DEFAULT_RISK_POLICY.consecutiveFrames },
+        thresholds: { ...exports.DEFAULT_RISK_POLICY.thresholds },
+        decayHalfLifeSeconds: 0,
+    };
+    for (const condition of exports.RISK_CONDITIONS) {
+        const weight = weights[condition] ?? policy.weights[condition];
+        if (!isScore(weight)) {
+            return { error: `weights.${condition} must be a number between 0 and 100` };
+        }
+        policy.weights[condition] = weight;
+        const frames = consecutiveFrames[condition] ?? policy.consecutiveFrames[condition];
+        if (!Number.isInteger(frames) || frames < 1 || frames > MAX_CONSECUTIVE_FRAMES) {
+            return { error: `consecutiveFrames.${condition} must be an integer between 1 and ${MAX_CONSECUTIVE_FRAMES}` };
+        }
+        policy.consecutiveFrames[condition] = frames;
+    }
+    const warning = thresholds.warning ?? policy.thresholds.warning;
+    const flagged = thresholds.flagged ?? policy.thresholds.flagged;
+    if (!isScore(warning) || !isScore(flagged)) {
+        return { error: 'thresholds.warning and thresholds.flagged must be numbers between 0 and 100' };
+    }
+    if (warning >= flagged) {
+        return { error: 'thresholds.warning must be below thresholds.flagged' };
+    }
+    policy.thresholds = { warning, flagged };
+    if (typeof decayHalfLifeSeconds !== 'number' || !Number.isFinite(decayHalfLifeSeconds) ||
+        decayHalfLifeSeconds < 0 || decayHalfLifeSeconds > MAX_HALF_LIFE_SECONDS) {
+        return { error: `decayHalfLifeSeconds must be a number of seconds between 0 and ${MAX_HALF_LIFE_SECONDS}` };
+    }
+    policy.decayHalfLifeSeconds = decayHalfLifeSeconds;
+    return { policy };
+}
+function riskStatus(policy, riskScore) {
+    if (riskScore > policy.thresholds.flagged)
+        return 'flagged';
+    if (riskScore > policy.thresholds.warning)
+        return 'warning';
+    return 'normal';
+}
+function isFlaggedRisk(policy, riskScore) {
+    return riskStatus(policy, riskScore) === 'flagged';
+}
+const flagLabel = (condition, observation) => {
+    switch (condition) {
+        case 'multipleFaces': return `Multiple faces detected: ${observation.faceCount}`;
+        case 'noFace': return 'No face detected';
+        case 'faceLost': return 'Face suddenly disappeared';
+        case 'cameraBlocked': return 'Camera appears blocked';
+        case 'highMotion': return 'Unusual motion detected';
+        case 'environmentUnstable': return 'Environment instability detected';
+    }
+};
+// Conditions seen in a single frame
+const frameConditions = (observation, previousState) => ({
+    multipleFaces: observation.faceCount > 1,
+    noFace: observation.faceCount === 0,
+    faceLost: Boolean(previousState?.faceDetected) && observation.faceCount === 0,
+    cameraBlocked: observation.cameraBlocked,
+    highMotion: observation.highMotion,
+    environmentUnstable: !observation.environmentStable,
+});
+// Score a frame from the conditions that count
+const buildResult = (policy, observation, counted) => {
+    const active = exports.RISK_CONDITIONS.filter(condition => counted[condition]);
+    const riskScore = Math.min(active.reduce((sum, condition) => sum + policy.weights[condition], 0), 100);
+    return {
+        faceCount: observation.faceCount,
+        faceDetected: observation.faceCount >= 1,
+        faceLost: counted.faceLost,
+        cameraBlocked: observation.cameraBlocked,
+        highMotion: observation.highMotion,
+        environmentStable: observation.environmentStable,
+        anomalyFlags: active.map(condition => flagLabel(condition, observation)),
+        riskScore,
+        status: riskStatus(policy, riskScore),
+    };
+};
+// Score a single frame on its own, as the anomaly-detection function does.
+// Every condition counts at once; consecutive frames and decay need a
+// session (createRiskScorer).
+function scoreFrame(policy, observation, previousState) {
+    return buildResult(policy, observation, frameConditions(observation, previousState));
+}
+// Score a session frame by frame. A condition counts from the frame where it
+// has been seen `consecutiveFrames` times in a row; a lost face counts once,
+// when the face has been missing for that many frames after being seen.
+function createRiskScorer(policy) {
+    let streaks = {};
+    let faceSeenBeforeAbsence = false;
+    let lastFaceDetected = false;
+    let peak = 0;
+    let peakAt = null;
+    const decayed = (at) => {
+        if (peakAt === null)
+            return 0;
+        if (policy.decayHalfLifeSeconds === 0)
+            return peak;
+        const elapsedSeconds = Math.max(0, at - peakAt) / 1000;
+        return peak * Math.pow(0.5, elapsedSeconds / policy.decayHalfLifeSeconds);
+    };
+    const reset = () => {
+        streaks = Object.fromEntries(exports.RISK_CONDITIONS.map(condition => [condition, 0]));
+        faceSeenBeforeAbsence = false;
+        lastFaceDetected = false;
+        peak = 0;
+        peakAt = null;
+    };
+    reset();
+    const score = (observation, at) => {
+        const seen = frameConditions(observation, null);
+        // A face that was present when the absence began is lost, not missing
+        if (seen.noFace && streaks.noFace === 0) {
+            faceSeenBeforeAbsence = lastFaceDetected;
+        }
+        lastFaceDetected = observation.faceCount >= 1;
+        for (const condition of exports.RISK_CONDITIONS) {
+            if (condition === 'faceLost')
+                continue;
+            streaks[condition] = seen[condition] ? streaks[condition] + 1 : 0;
+        }
+        streaks.faceLost = seen.noFace && faceSeenBeforeAbsence ? streaks.noFace : 0;
+        const counted = Object.fromEntries(exports.RISK_CONDITIONS.map(condition => [
+            condition,
+            condition === 'faceLost'
+                ? streaks.faceLost === policy.consecutiveFrames.faceLost
+                : streaks[condition] >= policy.consecutiveFrames[condition],
+        ]));
+        const result = buildResult(policy, observation, counted);
+        const current = decayed(at);
+        if (result.riskScore >= current) {
+            peak = result.riskScore;
+            peakAt = at;
+        }
+        return result;
+    };
+    return { score, sessionRisk: decayed, reset };
+}
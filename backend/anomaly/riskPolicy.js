@@ -0,0 +1,34 @@
+const ElectionSettings = require('../models/ElectionSettings');
+const { DEFAULT_RISK_POLICY, normalizeRiskPolicy } = require('./generated/riskPolicy');
+
+// Risk policy of an election, or the default policy if admins have not set one
+const loadRiskPolicy = async (electionId) => {
+  const settings = await ElectionSettings.findOne({ electionId }).lean();
+  if (!settings || !settings.riskPolicy) {
+    return { policy: DEFAULT_RISK_POLICY, isDefault: true, updatedAt: null };
+  }
+
+  // Stored policies were validated when saved; this fills in fields added since
+  const { policy } = normalizeRiskPolicy(settings.riskPolicy);
+  return { policy: policy || DEFAULT_RISK_POLICY, isDefault: !policy, updatedAt: settings.updatedAt || null };
+};
+
+// Validate and store an election's policy. Returns { policy } or { error }.
+const saveRiskPolicy = async (electionId, input, updatedBy) => {
+  const { policy, error } = normalizeRiskPolicy(input);
+  if (error) {
+    return { error };
+  }
+
+  await ElectionSettings.findOneAndUpdate(
+    { electionId },
+    { $set: { electionId, riskPolicy: policy, updatedBy } },
+    { upsert: true, new: true, runValidators: true }
+  );
+  return { policy };
+};
+
+module.exports = {
+  loadRiskPolicy,
+  saveRiskPolicy
+};
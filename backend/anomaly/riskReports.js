@@ -0,0 +1,177 @@
+const { verifyVoteReceipt } = require('../receipts/voteReceipt');
+const VoteRiskReport = require('../models/VoteRiskReport');
+const { DEFAULT_RISK_POLICY, isFlaggedRisk } = require('./generated/riskPolicy');
+
+const MAX_FLAGS = 50;
+const MAX_FLAG_HISTORY = 500;
+const MAX_FLAG_LENGTH = 100;
+
+const DISPOSITIONS = ['cleared', 'escalated'];
+
+const isFlagList = (value, maxLength) => Array.isArray(value) && value.length <= maxLength &&
+  value.every(flag => typeof flag === 'string' && flag.length > 0 && flag.length <= MAX_FLAG_LENGTH);
+
+// Validate the anomaly metadata a browser sends with a vote. Whether it is
+// flagged follows the election's risk policy, decided here so a client cannot
+// unflag itself. Returns { report } or { error }.
+const normalizeRiskReport = (input, policy = DEFAULT_RISK_POLICY) => {
+  if (typeof input !== 'object' || input === null) {
+    return { error: 'Risk metadata must be an object' };
+  }
+
+  const { riskScore, flagDetails = [], flagHistory = [], analysisCount = 0, timestamp } = input;
+
+  if (typeof riskScore !== 'number' || !Number.isFinite(riskScore) || riskScore < 0 || riskScore > 100) {
+    return { error: 'riskScore must be a number between 0 and 100' };
+  }
+  if (!isFlagList(flagDetails, MAX_FLAGS)) {
+    return { error: `flagDetails must be a list of at most ${MAX_FLAGS} flags` };
+  }
+  if (!isFlagList(flagHistory, MAX_FLAG_HISTORY)) {
+    return { error: `flagHistory must be a list of at most ${MAX_FLAG_HISTORY} flags` };
+  }
+  if (!Number.isInteger(analysisCount) || analysisCount < 0) {
+    return { error: 'analysisCount must be a non-negative integer' };
+  }
+  if (timestamp !== undefined && (!Number.isFinite(timestamp) || isNaN(new Date(timestamp).getTime()))) {
+    return { error: 'timestamp must be a time in milliseconds' };
+  }
+
+  return {
+    report: {
+      riskScore,
+      isFlagged: isFlaggedRisk(policy, riskScore),
+      flagThreshold: policy.thresholds.flagged,
+      flagDetails: [...new Set([...flagDetails, ...flagHistory])],
+      flagHistory,
+      analysisCount,
+      reportedAt: timestamp !== undefined ? new Date(timestamp) : null
+    }
+  };
+};
+
+// Store a voting session's risk metadata against its vote transaction. The
+// transaction must be a vote in the election that is already in a block, and
+// `voter` its sender, who signed the report (verifyVoteSender in
+// receipts/voteReceipt.js). Only the first report of a transaction is kept.
+// Returns { report } or { error, status }.
+const recordRiskReport = async ({ electionId, transactionHash, voter, report }) => {
+  const txHash = transactionHash.toLowerCase();
+
+  if (await VoteRiskReport.exists({ txHash })) {
+    return { error: 'Risk metadata is already recorded for this vote', status: 409 };
+  }
+
+  const verification = await verifyVoteReceipt({ electionId, transactionHash: txHash });
+  if (verification.status === 'pending') {
+    return { error: verification.message, status: 409 };
+  }
+  if (!verification.verified) {
+    return { error: verification.message, status: 400 };
+  }
+
+  const saved = await VoteRiskReport.create({
+    electionId,
+    txHash,
+    voter,
+    contract: verification.contract,
+    ...report
+  });
+  return { report: saved };
+};
+
+// Change the disposition of a flagged report, keeping every earlier decision.
+// Returns { report } or { error, status }.
+const reviewRiskReport = async ({ transactionHash, disposition, note, reviewedBy }) => {
+  if (!DISPOSITIONS.includes(disposition)) {
+    return { error: `disposition must be one of: ${DISPOSITIONS.join(', ')}`, status: 400 };
+  }
+  if (note !== undefined && (typeof note !== 'string' || note.length > 1000)) {
+    return { error: 'note must be a string of at most 1000 characters', status: 400 };
+  }
+
+  const existing = await VoteRiskReport.findOne({ txHash: transactionHash.toLowerCase() }).lean();
+  if (!existing) {
+    return { error: 'Risk report not found', status: 404 };
+  }
+  if (!existing.isFlagged) {
+    return { error: 'Only flagged votes are reviewed', status: 400 };
+  }
+  if (existing.disposition === disposition) {
+    return { error: `Vote is already ${disposition}`, status: 409 };
+  }
+
+  const report = await VoteRiskReport.findOneAndUpdate(
+    { txHash: existing.txHash, disposition: existing.disposition },
+    {
+      $set: { disposition },
+      $push: { dispositionHistory: { disposition, note: note ? note.trim() : '', reviewedBy, reviewedAt: new Date() } }
+    },
+    { new: true }
+  ).lean();
+  if (!report) {
+    return { error: 'The report was reviewed by someone else, reload the queue', status: 409 };
+  }
+  return { report };
+};
+
+// Flagged reports for the review queue, oldest first within a disposition
+// ('all' for every flagged report)
+const listFlaggedReports = async ({ electionId, disposition = 'pending', limit = 50 }) => {
+  const filter = { isFlagged: true };
+  if (electionId !== undefined) filter.electionId = electionId;
+  if (disposition !== 'all') filter.disposition = disposition;
+
+  return VoteRiskReport.find(filter).sort({ createdAt: 1 }).limit(limit).lean();
+};
+
+const countWhen = condition => ({ $sum: { $cond: [condition, 1, 0] } });
+const flaggedAs = disposition => ({ $and: ['$isFlagged', { $eq: ['$disposition', disposition] }] });
+
+// Reported and flagged votes per election, by disposition
+const countRiskReports = async () => {
+  const counts = await VoteRiskReport.aggregate([
+    {
+      $group: {
+        _id: '$electionId',
+        reported: { $sum: 1 },
+        flagged: countWhen('$isFlagged'),
+        pending: countWhen(flaggedAs('pending')),
+        cleared: countWhen(flaggedAs('cleared')),
+        escalated: countWhen(flaggedAs('escalated'))
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+
+  return counts.map(({ _id, ...count }) => ({ electionId: _id, ...count }));
+};
+
+const formatRiskReport = (report) => ({
+  electionId: report.electionId,
+  transactionHash: report.txHash,
+  voter: report.voter,
+  contract: report.contract,
+  riskScore: report.riskScore,
+  flagThreshold: report.flagThreshold,
+  isFlagged: report.isFlagged,
+  flagDetails: report.flagDetails,
+  flagHistory: report.flagHistory,
+  analysisCount: report.analysisCount,
+  reportedAt: report.reportedAt,
+  recordedAt: report.createdAt,
+  disposition: report.disposition,
+  dispositionHistory: (report.dispositionHistory || []).map(({ disposition, note, reviewedBy, reviewedAt }) => ({
+    disposition, note, reviewedBy, reviewedAt
+  }))
+});
+
+module.exports = {
+  DISPOSITIONS,
+  normalizeRiskReport,
+  recordRiskReport,
+  reviewRiskReport,
+  listFlaggedReports,
+  countRiskReports,
+  formatRiskReport
+};
@@ -0,0 +1,160 @@
+const fs = require('fs');
+const path = require('path');
+const AuditLogEntry = require('../models/AuditLogEntry');
+const AuditAnchor = require('../models/AuditAnchor');
+const { provider, getSigner } = require('../contract');
+
+// Copy the audit log's head hash somewhere an attacker with database access
+// cannot rewrite: `chain` sends it (and its seq) as calldata of a zero-value
+// transaction from the server's signer to itself, `file` appends it to
+// AUDIT_ANCHOR_FILE (ship that file to separate storage), `off` disables it.
+const config = {
+  mode: process.env.AUDIT_ANCHOR_MODE || 'file',
+  intervalMs: parseInt(process.env.AUDIT_ANCHOR_INTERVAL_MS || String(60 * 60 * 1000)),
+  file: process.env.AUDIT_ANCHOR_FILE || path.join(__dirname, '..', 'audit-anchors.jsonl')
+};
+
+let anchorTimer = null;
+
+// Calldata of an anchor transaction: the 32-byte hash, then the seq as a
+// 32-byte integer
+const encodeAnchorData = ({ seq, hash }) => `0x${hash}${seq.toString(16).padStart(64, '0')}`;
+
+const decodeAnchorData = (data) => {
+  if (!/^0x[0-9a-f]{128}$/i.test(data)) return null;
+  return { seq: Number(BigInt(`0x${data.slice(66)}`)), hash: data.slice(2, 66).toLowerCase() };
+};
+
+// Anchor the newest entry unless it already is. Returns the anchor, or null
+// when there is nothing new.
+const anchorAuditHead = async ({ mode = config.mode, file = config.file } = {}) => {
+  const head = await AuditLogEntry.findOne({}).sort({ seq: -1 }).select('seq hash timestamp').lean();
+  if (!head) return null;
+
+  const lastAnchor = await AuditAnchor.findOne({}).sort({ seq: -1 }).lean();
+  if (lastAnchor && lastAnchor.seq >= head.seq) return null;
+
+  const anchor = { seq: head.seq, hash: head.hash, method: mode };
+
+  if (mode === 'chain') {
+    const signer = getSigner();
+    if (!signer) {
+      throw new Error('AUDIT_ANCHOR_MODE=chain needs ADMIN_PRIVATE_KEY or the local chain');
+    }
+    const tx = await signer.sendTransaction({
+      to: await signer.getAddress(),
+      value: 0,
+      data: encodeAnchorData(head)
+    });
+    await tx.wait();
+    anchor.txHash = tx.hash;
+  } else if (mode === 'file') {
+    const line = JSON.stringify({ seq: head.seq, hash: head.hash, entryTime: head.timestamp, anchoredAt: new Date() });
+    await fs.promises.appendFile(file, `${line}\n`);
+    anchor.file = file;
+  } else {
+    throw new Error(`Unknown audit anchor mode: ${mode}`);
+  }
+
+  return AuditAnchor.create(anchor);
+};
+
+// Anchors read back from the export file, as [{ seq, hash }]. No file means
+// nothing has been anchored yet.
+const readFileAnchors = async (file = config.file) => {
+  let text;
+  try {
+    text = await fs.promises.readFile(file, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  return text.split('\n').filter(line => line.trim()).map((line) => {
+    const { seq, hash } = JSON.parse(line);
+    return { seq, hash };
+  });
+};
+
+// Anchors read back from their transactions, as [{ seq, hash }]. Only
+// transactions the signer sent to itself count, so a rewritten txHash cannot
+// point at calldata someone else chose.
+const readChainAnchors = async (txHashes) => {
+  const signer = getSigner();
+  if (!signer) {
+    throw new Error('Reading chain anchors needs ADMIN_PRIVATE_KEY or the local chain');
+  }
+  const address = (await signer.getAddress()).toLowerCase();
+
+  return Promise.all(txHashes.map(async (txHash) => {
+    const tx = await provider.getTransaction(txHash);
+    const anchor = tx && tx.from.toLowerCase() === address && tx.to && tx.to.toLowerCase() === address
+      ? decodeAnchorData(tx.data)
+      : null;
+    if (!anchor) {
+      throw new Error(`${txHash} is not an audit anchor transaction`);
+    }
+    return anchor;
+  }));
+};
+
+// Anchors to verify the log against, from a source the database cannot
+// rewrite: the export file or the anchor transactions. Chain anchors are
+// looked up by `txHashes`, or by the hashes recorded in AuditAnchor (a
+// removed row loses that anchor, an edited one fails the lookup). `db`
+// (the default with anchoring off) returns null: trust the AuditAnchor rows.
+const loadTrustedAnchors = async ({
+  source = config.mode === 'off' ? 'db' : config.mode,
+  file = config.file,
+  txHashes
+} = {}) => {
+  if (source === 'db') return { source, anchors: null };
+  if (source === 'file') return { source, anchors: await readFileAnchors(file) };
+  if (source === 'chain') {
+    const hashes = txHashes || (await AuditAnchor.find({ method: 'chain' }).select('txHash').lean())
+      .map(anchor => anchor.txHash)
+      .filter(Boolean);
+    return { source, anchors: await readChainAnchors(hashes) };
+  }
+  throw new Error(`Unknown audit anchor source: ${source}`);
+};
+
+const tick = async () => {
+  try {
+    const anchor = await anchorAuditHead();
+    if (anchor) {
+      console.log(`⚓ Audit log anchored at entry ${anchor.seq} via ${anchor.method}${anchor.txHash ? ` (${anchor.txHash})` : ''}`);
+    }
+  } catch (error) {
+    console.error('❌ Audit log anchoring failed:', error.message);
+  }
+
+  if (anchorTimer) {
+    anchorTimer = setTimeout(tick, config.intervalMs);
+  }
+};
+
+// Start periodic anchoring
+const startAuditAnchoring = () => {
+  if (anchorTimer || config.mode === 'off') return;
+
+  console.log(`⚓ Anchoring the audit log every ${Math.round(config.intervalMs / 60000)} min via ${config.mode}`);
+  anchorTimer = setTimeout(tick, config.intervalMs);
+};
+
+// Stop periodic anchoring
+const stopAuditAnchoring = () => {
+  if (anchorTimer) {
+    clearTimeout(anchorTimer);
+    anchorTimer = null;
+  }
+};
+
+module.exports = {
+  anchorAuditHead,
+  readFileAnchors,
+  readChainAnchors,
+  loadTrustedAnchors,
+  startAuditAnchoring,
+  stopAuditAnchoring
+};
@@ -0,0 +1,268 @@
+const crypto = require('crypto');
+const AuditLogEntry = require('../models/AuditLogEntry');
+const AuditAnchor = require('../models/AuditAnchor');
+const { maskGovtId } = require('../identity/govtIdVault');
+
+// prevHash of the first entry
+const GENESIS_HASH = '0'.repeat(64);
+const VERIFY_BATCH_SIZE = 1000;
+// Refused requests of signed-out clients are summarised per client and action
+const DENIED_WINDOW_MS = 60 * 1000;
+const MAX_DENIED_WINDOWS = 10000;
+
+// JSON with object keys sorted at every level, so an entry hashes the same
+// after a MongoDB round trip. Dates become ISO strings; undefined is dropped.
+const canonicalJson = (value) => {
+  if (value === null || value === undefined) return 'null';
+  if (value instanceof Date) return JSON.stringify(value.toISOString());
+  if (typeof value.toHexString === 'function') return JSON.stringify(value.toHexString());
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (typeof value === 'object') {
+    const fields = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${fields.join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+// Hash of everything in an entry except the hash itself
+const computeEntryHash = (entry) => crypto.createHash('sha256').update(canonicalJson({
+  seq: entry.seq,
+  timestamp: entry.timestamp,
+  actor: entry.actor,
+  authType: entry.authType,
+  action: entry.action,
+  target: entry.target,
+  request: entry.request,
+  result: entry.result,
+  details: entry.details,
+  prevHash: entry.prevHash
+})).digest('hex');
+
+const writeEntry = async (fields, attempt = 0) => {
+  const last = await AuditLogEntry.findOne({}).sort({ seq: -1 }).select('seq hash').lean();
+  const entry = {
+    seq: last ? last.seq + 1 : 1,
+    timestamp: new Date(),
+    actor: fields.actor || { type: 'anonymous', id: null, name: null, role: null },
+    authType: fields.authType || 'none',
+    action: fields.action,
+    target: fields.target || { type: null, id: null },
+    request: fields.request || { method: null, path: null, ip: null, userAgent: null },
+    result: fields.result || { status: null, outcome: 'success' },
+    // Stored as plain JSON so it reads back exactly as hashed
+    details: fields.details ? JSON.parse(JSON.stringify(fields.details)) : {},
+    prevHash: last ? last.hash : GENESIS_HASH
+  };
+  entry.hash = computeEntryHash(entry);
+
+  try {
+    await AuditLogEntry.create(entry);
+  } catch (error) {
+    // Another server process took this sequence number: chain onto its entry
+    if (error.code === 11000 && attempt < 3) {
+      return writeEntry(fields, attempt + 1);
+    }
+    throw error;
+  }
+  return entry;
+};
+
+// Appends run one at a time so each entry chains onto the one before it
+let appendQueue = Promise.resolve();
+
+// Append an entry: { actor, authType, action, target, request, result, details }.
+// Resolves with the stored entry.
+const appendAuditEntry = (fields) => {
+  const appended = appendQueue.then(() => writeEntry(fields));
+  appendQueue = appended.catch(() => {});
+  return appended;
+};
+
+// Resolves once every append started so far has finished
+const flushAuditLog = () => appendQueue;
+
+// Who made a request, from whichever admin middleware ran
+const auditActor = (req) => {
+  if (req.admin) {
+    return {
+      authType: 'wallet',
+      actor: { type: 'wallet', id: req.admin.address, name: null, role: req.admin.role }
+    };
+  }
+  if (req.user) {
+    return {
+      authType: 'govtID',
+      actor: {
+        type: 'govtID',
+        id: String(req.user._id),
+        name: `${req.user.name} (${maskGovtId(req.user.govtIDLast4)})`,
+        role: req.user.role
+      }
+    };
+  }
+  return { authType: 'none', actor: { type: 'anonymous', id: null, name: null, role: null } };
+};
+
+const outcomeFor = (status) => {
+  if (status < 400) return 'success';
+  if (status === 401 || status === 403) return 'denied';
+  return 'failure';
+};
+
+const appendLogged = (fields) => appendAuditEntry(fields).catch(error => {
+  console.error(`❌ Audit log write failed for ${fields.action}:`, error.message);
+});
+
+// Open windows of refused signed-out requests, by client and action:
+// { fields, repeats, status, timer }
+const deniedWindows = new Map();
+
+// Close a window, writing one entry that counts the requests refused after
+// the first
+const closeDeniedWindow = (key) => {
+  const denied = deniedWindows.get(key);
+  deniedWindows.delete(key);
+  clearTimeout(denied.timer);
+  if (denied.repeats > 0) {
+    appendLogged({
+      ...denied.fields,
+      result: { status: denied.status, outcome: 'denied' },
+      details: { repeatedDenials: denied.repeats, windowSeconds: DENIED_WINDOW_MS / 1000 }
+    });
+  }
+};
+
+// Anyone can send refused requests without signing in, so only the first of
+// a client's refusals for an action in each window gets its own entry. Past
+// MAX_DENIED_WINDOWS clients, refusals are summarised per action alone.
+const recordDenied = (fields) => {
+  const clientKey = `${fields.action} ${fields.request.ip}`;
+  const key = deniedWindows.has(clientKey) || deniedWindows.size < MAX_DENIED_WINDOWS ? clientKey : fields.action;
+  const denied = deniedWindows.get(key);
+  if (denied) {
+    denied.repeats += 1;
+    denied.status = fields.result.status;
+    return;
+  }
+
+  const timer = setTimeout(() => closeDeniedWindow(key), DENIED_WINDOW_MS);
+  timer.unref();
+  deniedWindows.set(key, { fields, repeats: 0, status: fields.result.status, timer });
+  appendLogged(fields);
+};
+
+// Write the summaries of every open window now
+const flushDeniedAttempts = () => {
+  [...deniedWindows.keys()].forEach(closeDeniedWindow);
+  return flushAuditLog();
+};
+
+// Middleware recording a route's action once the response is sent, whether
+// it succeeded, was refused or failed. Place it before the auth middleware so
+// refused attempts are recorded too; repeated refusals of signed-out clients
+// are summarised (recordDenied). `targetFrom(req)` returns { type, id };
+// routes add details through res.locals.audit.
+const auditAction = (action, targetFrom) => (req, res, next) => {
+  res.on('finish', () => {
+    let target = null;
+    try {
+      target = targetFrom ? targetFrom(req) : null;
+    } catch (error) {
+      target = null;
+    }
+
+    const { actor, authType } = auditActor(req);
+    const outcome = outcomeFor(res.statusCode);
+    const fields = {
+      actor,
+      authType,
+      action,
+      target: target && { type: target.type, id: target.id === undefined || target.id === null ? null : String(target.id) },
+      request: {
+        method: req.method,
+        path: req.originalUrl.split('?')[0],
+        ip: req.ip || null,
+        userAgent: req.get('user-agent') || null
+      },
+      result: { status: res.statusCode, outcome },
+      details: res.locals.audit
+    };
+
+    if (outcome === 'denied' && authType === 'none') {
+      recordDenied(fields);
+    } else {
+      appendLogged(fields);
+    }
+  });
+  next();
+};
+
+// Recompute the chain from `fromSeq` to `toSeq` (default: the whole log)
+// and compare anchored hashes. Pass `anchors` ([{ seq, hash }] from the
+// export file or chain) to trust those instead of the AuditAnchor rows,
+// which whoever rewrites the log can rewrite too. Returns { valid, checked,
+// lastSeq, lastHash, anchorsChecked } plus { brokenAt, reason } when an
+// entry does not check out.
+const verifyAuditChain = async ({ fromSeq = 1, toSeq, anchors } = {}) => {
+  let prevHash = GENESIS_HASH;
+  if (fromSeq > 1) {
+    const before = await AuditLogEntry.findOne({ seq: fromSeq - 1 }).select('hash').lean();
+    if (!before) {
+      return { valid: false, checked: 0, brokenAt: fromSeq - 1, reason: 'missing entry' };
+    }
+    prevHash = before.hash;
+  }
+
+  const seqRange = toSeq ? { $gte: fromSeq, $lte: toSeq } : { $gte: fromSeq };
+  const inRange = anchors
+    ? anchors.filter(anchor => anchor.seq >= fromSeq && (!toSeq || anchor.seq <= toSeq))
+    : await AuditAnchor.find({ seq: seqRange }).select('seq hash').lean();
+  const anchoredHashes = new Map(inRange.map(anchor => [anchor.seq, anchor.hash]));
+
+  let expectedSeq = fromSeq;
+  let checked = 0;
+  const broken = (seq, reason) => ({ valid: false, checked, lastSeq: expectedSeq - 1, lastHash: prevHash, brokenAt: seq, reason });
+
+  for (;;) {
+    const batch = await AuditLogEntry.find({ seq: { ...seqRange, $gte: expectedSeq } })
+      .sort({ seq: 1 })
+      .limit(VERIFY_BATCH_SIZE)
+      .lean();
+
+    for (const entry of batch) {
+      if (entry.seq !== expectedSeq) return broken(expectedSeq, 'missing entry');
+      if (entry.prevHash !== prevHash) return broken(entry.seq, 'previous hash mismatch');
+      if (computeEntryHash(entry) !== entry.hash) return broken(entry.seq, 'entry hash mismatch');
+      if (anchoredHashes.has(entry.seq) && anchoredHashes.get(entry.seq) !== entry.hash) {
+        return broken(entry.seq, 'anchor mismatch');
+      }
+      prevHash = entry.hash;
+      expectedSeq++;
+      checked++;
+    }
+
+    if (batch.length < VERIFY_BATCH_SIZE) break;
+  }
+
+  // An anchor past the end means anchored entries were removed
+  const lastAnchoredSeq = Math.max(0, ...anchoredHashes.keys());
+  if (lastAnchoredSeq >= expectedSeq) {
+    return broken(expectedSeq, 'missing entry');
+  }
+
+  return { valid: true, checked, lastSeq: expectedSeq - 1, lastHash: prevHash, anchorsChecked: inRange.length };
+};
+
+module.exports = {
+  GENESIS_HASH,
+  canonicalJson,
+  computeEntryHash,
+  appendAuditEntry,
+  flushAuditLog,
+  flushDeniedAttempts,
+  auditAction,
+  verifyAuditChain
+};
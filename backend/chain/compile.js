@@ -0,0 +1,54 @@
+const fs = require('fs');
+const path = require('path');
+const solc = require('solc');
+
+const CONTRACTS_DIR = path.join(__dirname, 'contracts');
+
+// Compiled artifacts are cached per process; compiling takes a few seconds
+let artifacts = null;
+
+// Compile every .sol file in chain/contracts with the bundled solc-js.
+// Returns { ContractName: { abi, bytecode } }.
+const compileContracts = () => {
+  if (artifacts) return artifacts;
+
+  const sources = {};
+  fs.readdirSync(CONTRACTS_DIR)
+    .filter(file => file.endsWith('.sol'))
+    .forEach(file => {
+      sources[file] = { content: fs.readFileSync(path.join(CONTRACTS_DIR, file), 'utf8') };
+    });
+
+  const input = {
+    language: 'Solidity',
+    sources,
+    settings: {
+      optimizer: { enabled: true, runs: 200 },
+      // No PUSH0/MCOPY: the in-process EVM and the C-Chain predate them
+      evmVersion: 'paris',
+      outputSelection: { '*': { '*': ['abi', 'evm.bytecode.object'] } }
+    }
+  };
+
+  const output = JSON.parse(solc.compile(JSON.stringify(input)));
+  const errors = (output.errors || []).filter(error => error.severity === 'error');
+  if (errors.length > 0) {
+    throw new Error(`Solidity compilation failed:\n${errors.map(error => error.formattedMessage).join('\n')}`);
+  }
+
+  artifacts = {};
+  Object.values(output.contracts).forEach(contracts => {
+    Object.entries(contracts).forEach(([name, contract]) => {
+      artifacts[name] = {
+        abi: contract.abi,
+        bytecode: `0x${contract.evm.bytecode.object}`
+      };
+    });
+  });
+
+  return artifacts;
+};
+
+module.exports = {
+  compileContracts
+};
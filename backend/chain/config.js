@@ -0,0 +1,35 @@
+const fs = require('fs');
+const path = require('path');
+
+// Generated addresses and ABIs shared by the backend (contract.js) and the
+// frontend (src/lib/contract.js). Written by scripts/deployContracts.js.
+const CONFIG_PATH = path.join(__dirname, 'generated', 'contracts.json');
+
+const readContractConfig = () => JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
+
+// Merge contract entries ({ key: { name, address, abi, deployBlock } }) into
+// the config. The deploy block is where the indexer starts scanning.
+const writeContractConfig = (network, contracts) => {
+  const current = fs.existsSync(CONFIG_PATH) ? readContractConfig() : { contracts: {} };
+
+  const merged = { ...current.contracts };
+  Object.entries(contracts).forEach(([key, { name, address, abi, deployBlock }]) => {
+    merged[key] = { name, address, abi, ...(Number.isInteger(deployBlock) ? { deployBlock } : {}) };
+  });
+
+  const config = {
+    generatedBy: 'backend/scripts/deployContracts.js - do not edit by hand',
+    network,
+    contracts: merged
+  };
+
+  fs.mkdirSync(path.dirname(CONFIG_PATH), { recursive: true });
+  fs.writeFileSync(CONFIG_PATH, `${JSON.stringify(config, null, 2)}\n`);
+  return config;
+};
+
+module.exports = {
+  CONFIG_PATH,
+  readContractConfig,
+  writeContractConfig
+};
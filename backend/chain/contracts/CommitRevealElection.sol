@@ -0,0 +1,131 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+interface IElectionFactory {
+    function electionCount() external view returns (uint256);
+
+    function getElection(uint256 _electionId)
+        external
+        view
+        returns (string memory, string memory, uint256, uint256, bool, uint256, uint256);
+}
+
+/// @title Commit-reveal companion to the election factory
+/// @notice While voting is open voters only submit a hash of their choice, so
+/// there is no running tally to read. They reveal the choice in a reveal window
+/// after voting closes; results can be read once that window has ended.
+/// @dev commitment = keccak256(abi.encode(electionId, voter, candidateId, salt))
+contract CommitRevealElection {
+    struct Election {
+        uint256 candidatesCount;
+        uint256 startTime;
+        uint256 commitEndTime;
+        uint256 revealEndTime;
+        uint256 commitCount;
+        uint256 revealCount;
+    }
+
+    address public admin;
+    IElectionFactory public factory;
+
+    mapping(uint256 => Election) public elections;
+    mapping(uint256 => mapping(address => bytes32)) public commitments;
+    mapping(uint256 => mapping(address => bool)) public revealed;
+    mapping(uint256 => mapping(uint256 => uint256)) private votes;
+
+    event CommitRevealOpened(uint256 electionId, uint256 commitEndTime, uint256 revealEndTime);
+    event VoteCommitted(uint256 electionId, address voter);
+    event VoteRevealed(uint256 electionId, address voter);
+
+    modifier onlyAdmin() {
+        require(msg.sender == admin, "Only admin");
+        _;
+    }
+
+    modifier electionOpened(uint256 _electionId) {
+        require(elections[_electionId].revealEndTime != 0, "Election is not commit-reveal");
+        _;
+    }
+
+    constructor(address _factory) {
+        admin = msg.sender;
+        factory = IElectionFactory(_factory);
+    }
+
+    /// @notice Run a factory election in commit-reveal mode. Voting runs from
+    /// `_startTime` to `_commitEndTime`, revealing until `_revealEndTime`.
+    /// @dev The factory election must still be open, have no plain votes yet
+    /// and the same candidates, so both contracts describe one election.
+    function openElection(
+        uint256 _electionId,
+        uint256 _candidatesCount,
+        uint256 _startTime,
+        uint256 _commitEndTime,
+        uint256 _revealEndTime
+    ) external onlyAdmin {
+        require(elections[_electionId].revealEndTime == 0, "Election already opened");
+        require(_candidatesCount >= 2, "At least two candidates required");
+        require(_commitEndTime > _startTime, "Commit end must be after start time");
+        require(_revealEndTime > _commitEndTime, "Reveal end must be after commit end");
+
+        require(_electionId < factory.electionCount(), "Factory election does not exist");
+        (, , , uint256 endTime, bool active, uint256 candidatesCount, uint256 totalVotes) = factory.getElection(_electionId);
+        require(active && block.timestamp < endTime, "Factory election has ended");
+        require(totalVotes == 0, "Factory election already has votes");
+        require(candidatesCount == _candidatesCount, "Candidate count does not match the factory election");
+
+        Election storage election = elections[_electionId];
+        election.candidatesCount = _candidatesCount;
+        election.startTime = _startTime;
+        election.commitEndTime = _commitEndTime;
+        election.revealEndTime = _revealEndTime;
+
+        emit CommitRevealOpened(_electionId, _commitEndTime, _revealEndTime);
+    }
+
+    /// @notice A new commitment replaces the voter's earlier one
+    function commitVote(uint256 _electionId, bytes32 _commitment) external electionOpened(_electionId) {
+        Election storage election = elections[_electionId];
+        require(block.timestamp >= election.startTime, "Election has not started");
+        require(block.timestamp < election.commitEndTime, "Voting has ended");
+        require(_commitment != bytes32(0), "Empty commitment");
+
+        if (commitments[_electionId][msg.sender] == bytes32(0)) {
+            election.commitCount++;
+        }
+        commitments[_electionId][msg.sender] = _commitment;
+
+        emit VoteCommitted(_electionId, msg.sender);
+    }
+
+    function revealVote(uint256 _electionId, uint256 _candidateId, bytes32 _salt) external electionOpened(_electionId) {
+        Election storage election = elections[_electionId];
+        require(block.timestamp >= election.commitEndTime, "Reveal phase has not started");
+        require(block.timestamp < election.revealEndTime, "Reveal phase has ended");
+        require(commitments[_electionId][msg.sender] != bytes32(0), "No vote committed");
+        require(!revealed[_electionId][msg.sender], "Already revealed");
+        require(_candidateId < election.candidatesCount, "Invalid candidate");
+        require(
+            keccak256(abi.encode(_electionId, msg.sender, _candidateId, _salt)) == commitments[_electionId][msg.sender],
+            "Reveal does not match commitment"
+        );
+
+        revealed[_electionId][msg.sender] = true;
+        votes[_electionId][_candidateId]++;
+        election.revealCount++;
+
+        emit VoteRevealed(_electionId, msg.sender);
+    }
+
+    /// @notice Revealed votes per candidate, readable once the reveal phase has ended
+    function getResults(uint256 _electionId) external view electionOpened(_electionId) returns (uint256[] memory) {
+        Election storage election = elections[_electionId];
+        require(block.timestamp >= election.revealEndTime, "Results are sealed until the reveal phase ends");
+
+        uint256[] memory results = new uint256[](election.candidatesCount);
+        for (uint256 i = 0; i < election.candidatesCount; i++) {
+            results[i] = votes[_electionId][i];
+        }
+        return results;
+    }
+}
@@ -0,0 +1,139 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/// @title Multi-election factory
+/// @notice Hosts any number of timed elections with one vote per address each.
+contract ElectionFactory {
+    struct Candidate {
+        uint256 id;
+        string name;
+        uint256 votes;
+    }
+
+    struct Election {
+        uint256 id;
+        string title;
+        string description;
+        uint256 startTime;
+        uint256 endTime;
+        bool active;
+        uint256 candidatesCount;
+        uint256 totalVotes;
+    }
+
+    address public admin;
+    uint256 public electionCount;
+
+    mapping(uint256 => Election) public elections;
+    mapping(uint256 => mapping(uint256 => Candidate)) private candidates;
+    mapping(uint256 => mapping(address => bool)) private voted;
+
+    event ElectionCreated(uint256 electionId, string title);
+    event VoteCast(uint256 electionId, uint256 candidateId);
+
+    modifier onlyAdmin() {
+        require(msg.sender == admin, "Only admin");
+        _;
+    }
+
+    modifier electionExists(uint256 _electionId) {
+        require(_electionId < electionCount, "Election does not exist");
+        _;
+    }
+
+    constructor() {
+        admin = msg.sender;
+    }
+
+    function createElection(
+        string memory _title,
+        string memory _description,
+        string[] memory _candidates,
+        uint256 _startTime,
+        uint256 _endTime
+    ) external {
+        require(_candidates.length >= 2, "At least two candidates required");
+        require(_endTime > _startTime, "End time must be after start time");
+
+        uint256 electionId = electionCount++;
+        Election storage election = elections[electionId];
+        election.id = electionId;
+        election.title = _title;
+        election.description = _description;
+        election.startTime = _startTime;
+        election.endTime = _endTime;
+        election.active = true;
+        election.candidatesCount = _candidates.length;
+
+        for (uint256 i = 0; i < _candidates.length; i++) {
+            candidates[electionId][i] = Candidate(i, _candidates[i], 0);
+        }
+
+        emit ElectionCreated(electionId, _title);
+    }
+
+    function vote(uint256 _electionId, uint256 _candidateId) external electionExists(_electionId) {
+        Election storage election = elections[_electionId];
+        require(election.active, "Election has ended");
+        require(block.timestamp >= election.startTime, "Election has not started");
+        require(block.timestamp < election.endTime, "Election has ended");
+        require(_candidateId < election.candidatesCount, "Invalid candidate");
+        require(!voted[_electionId][msg.sender], "Already voted");
+
+        voted[_electionId][msg.sender] = true;
+        candidates[_electionId][_candidateId].votes++;
+        election.totalVotes++;
+
+        emit VoteCast(_electionId, _candidateId);
+    }
+
+    function endElection(uint256 _electionId) external onlyAdmin electionExists(_electionId) {
+        elections[_electionId].active = false;
+    }
+
+    function getElection(uint256 _electionId)
+        external
+        view
+        electionExists(_electionId)
+        returns (string memory, string memory, uint256, uint256, bool, uint256, uint256)
+    {
+        Election storage election = elections[_electionId];
+        return (
+            election.title,
+            election.description,
+            election.startTime,
+            election.endTime,
+            election.active,
+            election.candidatesCount,
+            election.totalVotes
+        );
+    }
+
+    function getCandidate(uint256 _electionId, uint256 _candidateId)
+        external
+        view
+        electionExists(_electionId)
+        returns (uint256, string memory, uint256)
+    {
+        require(_candidateId < elections[_electionId].candidatesCount, "Invalid candidate");
+        Candidate storage candidate = candidates[_electionId][_candidateId];
+        return (candidate.id, candidate.name, candidate.votes);
+    }
+
+    /// @notice Ties go to the lowest candidate ID
+    function getWinner(uint256 _electionId)
+        external
+        view
+        electionExists(_electionId)
+        returns (string memory winnerName, uint256 winnerVotes)
+    {
+        uint256 winningId = 0;
+        for (uint256 i = 1; i < elections[_electionId].candidatesCount; i++) {
+            if (candidates[_electionId][i].votes > candidates[_electionId][winningId].votes) {
+                winningId = i;
+            }
+        }
+        Candidate storage winner = candidates[_electionId][winningId];
+        return (winner.name, winner.votes);
+    }
+}
@@ -0,0 +1,41 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/// @title Re-voting companion to the election factory
+/// @notice Voters may change their choice while an election is active; only
+/// the latest choice per address is counted.
+contract RevotingElection {
+    struct Candidate {
+        string name;
+        uint256 votes;
+    }
+
+    struct Election {
+        bool active;
+    }
+
+    mapping(uint256 => mapping(uint256 => Candidate)) public candidates;
+    mapping(uint256 => Election) public elections;
+    mapping(uint256 => mapping(address => bool)) public hasVoted;
+    mapping(uint256 => mapping(address => uint256)) public voterChoice;
+
+    function addCandidate(uint256 _electionId, uint256 _candidateId, string memory _name) external {
+        candidates[_electionId][_candidateId].name = _name;
+    }
+
+    function startElection(uint256 _electionId) external {
+        elections[_electionId].active = true;
+    }
+
+    function vote(uint256 _electionId, uint256 _candidateId) external {
+        require(elections[_electionId].active, "Election is not active");
+
+        if (hasVoted[_electionId][msg.sender]) {
+            candidates[_electionId][voterChoice[_electionId][msg.sender]].votes--;
+        }
+
+        hasVoted[_electionId][msg.sender] = true;
+        voterChoice[_electionId][msg.sender] = _candidateId;
+        candidates[_electionId][_candidateId].votes++;
+    }
+}
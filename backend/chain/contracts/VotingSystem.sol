@@ -0,0 +1,119 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/// @title Legacy single-election voting contract
+/// @notice One fixed candidate list, one vote per address, closes after a set duration.
+contract VotingSystem {
+    address public admin;
+    string[] public candidateList;
+    uint256 public electionEndTime;
+    bool public electionEnded;
+    uint256 public totalVotes;
+
+    mapping(uint256 => uint256) public votesCount;
+    mapping(address => bool) public hasVoted;
+    mapping(address => string) public voterNames;
+
+    modifier onlyAdmin() {
+        require(msg.sender == admin, "Only admin");
+        _;
+    }
+
+    modifier validCandidate(uint256 _candidateIndex) {
+        require(_candidateIndex < candidateList.length, "Invalid candidate");
+        _;
+    }
+
+    constructor(uint256 _durationMinutes) {
+        admin = msg.sender;
+        electionEndTime = block.timestamp + _durationMinutes * 1 minutes;
+
+        candidateList.push("Modi");
+        candidateList.push("Gandhi");
+        candidateList.push("Kejriwal");
+    }
+
+    function vote(uint256 _candidateIndex, string memory _voterName) external validCandidate(_candidateIndex) {
+        require(isElectionActive(), "Election is not active");
+        require(!hasVoted[msg.sender], "Already voted");
+
+        hasVoted[msg.sender] = true;
+        voterNames[msg.sender] = _voterName;
+        votesCount[_candidateIndex]++;
+        totalVotes++;
+    }
+
+    function endElection() external onlyAdmin {
+        electionEnded = true;
+    }
+
+    function getCandidates() external view returns (string[] memory) {
+        return candidateList;
+    }
+
+    function getVotesFor(uint256 _candidateIndex) external view validCandidate(_candidateIndex) returns (uint256) {
+        return votesCount[_candidateIndex];
+    }
+
+    /// @notice Whole-number share of all votes, 0 when nobody has voted
+    function getVotePercentage(uint256 _candidateIndex) external view validCandidate(_candidateIndex) returns (uint256) {
+        if (totalVotes == 0) {
+            return 0;
+        }
+        return (votesCount[_candidateIndex] * 100) / totalVotes;
+    }
+
+    function getVoterName(address _voterAddress) external view returns (string memory) {
+        return voterNames[_voterAddress];
+    }
+
+    function isElectionActive() public view returns (bool) {
+        return !electionEnded && block.timestamp < electionEndTime;
+    }
+
+    function timeLeft() external view returns (uint256) {
+        if (!isElectionActive()) {
+            return 0;
+        }
+        return electionEndTime - block.timestamp;
+    }
+
+    /// @notice Ties go to the candidate listed first
+    function getWinner() external view returns (string memory winnerName, uint256 winnerVotes) {
+        uint256 winningIndex = 0;
+        for (uint256 i = 1; i < candidateList.length; i++) {
+            if (votesCount[i] > votesCount[winningIndex]) {
+                winningIndex = i;
+            }
+        }
+        return (candidateList[winningIndex], votesCount[winningIndex]);
+    }
+
+    function getCandidateAnalytics(uint256 _candidateIndex) external view validCandidate(_candidateIndex) returns (string memory) {
+        return string(abi.encodePacked(
+            candidateList[_candidateIndex],
+            " has ",
+            _toString(votesCount[_candidateIndex]),
+            " of ",
+            _toString(totalVotes),
+            " votes"
+        ));
+    }
+
+    function _toString(uint256 value) private pure returns (string memory) {
+        if (value == 0) {
+            return "0";
+        }
+        uint256 digits;
+        for (uint256 temp = value; temp != 0; temp /= 10) {
+            digits++;
+        }
+        bytes memory buffer = new bytes(digits);
+        while (value != 0) {
+            digits--;
+            buffer[digits] = bytes1(uint8(48 + (value % 10)));
+            value /= 10;
+        }
+        return string(buffer);
+    }
+}
@@ -0,0 +1,57 @@
+const { ethers } = require('ethers');
+const { compileContracts } = require('./compile');
+
+// Contracts in deployment order, keyed as in the generated config
+const CONTRACTS = [
+  { key: 'contract', name: 'VotingSystem' },
+  { key: 'factory', name: 'ElectionFactory' },
+  { key: 'revoting', name: 'RevotingElection' },
+  { key: 'commitReveal', name: 'CommitRevealElection' }
+];
+
+// Constructor arguments per contract. CommitRevealElection checks elections
+// against the factory deployed alongside it, or `options.factoryAddress`.
+const constructorArgs = (key, options, deployed) => {
+  if (key === 'contract') {
+    return [options.durationMinutes || 60];
+  }
+  if (key === 'commitReveal') {
+    const factoryAddress = deployed.factory ? deployed.factory.address : options.factoryAddress;
+    if (!factoryAddress) {
+      throw new Error('CommitRevealElection needs the ElectionFactory address');
+    }
+    return [factoryAddress];
+  }
+  return [];
+};
+
+// Compile and deploy the selected contracts with `signer`, in order.
+// Returns { key: { name, address, abi, txHash, deployBlock } }.
+const deployContracts = async (signer, options = {}) => {
+  const artifacts = compileContracts();
+  const only = options.only || CONTRACTS.map(({ key }) => key);
+  const deployed = {};
+
+  for (const { key, name } of CONTRACTS.filter(({ key }) => only.includes(key))) {
+    const { abi, bytecode } = artifacts[name];
+    const factory = new ethers.ContractFactory(abi, bytecode, signer);
+    const contract = await factory.deploy(...constructorArgs(key, options, deployed));
+    await contract.waitForDeployment();
+    const receipt = await contract.deploymentTransaction().wait();
+
+    deployed[key] = {
+      name,
+      address: await contract.getAddress(),
+      abi,
+      txHash: receipt.hash,
+      deployBlock: receipt.blockNumber
+    };
+  }
+
+  return deployed;
+};
+
+module.exports = {
+  CONTRACTS,
+  deployContracts
+};
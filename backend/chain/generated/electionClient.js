@@ -0,0 +1,249 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.createElectionClient = exports.getCommitRevealPhase = exports.hashVoteCommitment = exports.decodeError = exports.toNumber = exports.ElectionClientError = void 0;
+/*
+ * Election client shared by the frontend, the backend and the voice assistant.
+ *
+ * Wraps the factory, re-voting and commit-reveal contracts (ethers v6
+ * Contract instances, connected to a provider for reads or a signer for
+ * writes) with typed methods. On-chain BigInt values are converted to numbers
+ * and wallet/RPC failures are rethrown as ElectionClientError with a stable
+ * `code`.
+ *
+ * The backend loads a CommonJS build of this file from
+ * backend/chain/generated/electionClient.js; regenerate it with
+ * `npm run build:election-client` after editing.
+ */
+const ethers_1 = require("ethers");
+class ElectionClientError extends Error {
+    constructor(code, message, reason = null, cause = null) {
+        super(message);
+        this.name = 'ElectionClientError';
+        this.code = code;
+        this.reason = reason;
+        this.cause = cause;
+    }
+}
+exports.ElectionClientError = ElectionClientError;
+const toNumber = (value) => Number(value);
+exports.toNumber = toNumber;
+// Map ethers v6 / EIP-1193 errors to an ElectionClientError
+const decodeError = (error) => {
+    if (error instanceof ElectionClientError)
+        return error;
+    const err = typeof error === 'object' && error !== null ? error : {};
+    const code = err.code;
+    if (code === 'ACTION_REJECTED' || code === 4001 || err.info?.error?.code === 4001) {
+        return new ElectionClientError('REJECTED', 'Transaction was rejected in the wallet', null, error);
+    }
+    if (code === 'INSUFFICIENT_FUNDS') {
+        return new ElectionClientError('INSUFFICIENT_FUNDS', 'Insufficient funds to pay for gas', null, error);
+    }
+    if (code === 'CALL_EXCEPTION') {
+        const reason = err.reason || err.revert?.args?.[0] || null;
+        return new ElectionClientError('REVERTED', reason || 'Transaction was reverted by the contract', reason, error);
+    }
+    if (code === 'NETWORK_ERROR' || code === 'SERVER_ERROR' || code === 'TIMEOUT') {
+        return new ElectionClientError('NETWORK', 'Could not reach the blockchain network', null, error);
+    }
+    return new ElectionClientError('UNKNOWN', err.shortMessage || err.message || 'Unknown contract error', null, error);
+};
+exports.decodeError = decodeError;
+// Commitment a voter submits while voting is open; the contract checks the
+// reveal against keccak256(abi.encode(electionId, voter, candidateId, salt))
+const hashVoteCommitment = (electionId, voter, candidateId, salt) => (0, ethers_1.keccak256)(ethers_1.AbiCoder.defaultAbiCoder().encode(['uint256', 'address', 'uint256', 'bytes32'], [electionId, voter, candidateId, salt]));
+exports.hashVoteCommitment = hashVoteCommitment;
+// Phase of a commit-reveal election at `now` (unix seconds)
+const getCommitRevealPhase = (schedule, now = Math.floor(Date.now() / 1000)) => {
+    if (now < schedule.startTime)
+        return 'upcoming';
+    if (now < schedule.commitEndTime)
+        return 'commit';
+    if (now < schedule.revealEndTime)
+        return 'reveal';
+    return 'closed';
+};
+exports.getCommitRevealPhase = getCommitRevealPhase;
+const toTransactionResult = (receipt, hash) => ({
+    hash,
+    blockNumber: receipt ? receipt.blockNumber : null
+});
+const createElectionClient = ({ factory, revoting = null, commitReveal = null, call = (fn) => fn() }) => {
+    const read = async (fn) => {
+        try {
+            return await call(fn);
+        }
+        catch (error) {
+            throw (0, exports.decodeError)(error);
+        }
+    };
+    // Send a transaction and wait for it to be mined
+    const send = async (contract, method, args) => {
+        try {
+            const tx = await contract[method](...args);
+            const receipt = await tx.wait();
+            return { receipt, hash: tx.hash };
+        }
+        catch (error) {
+            throw (0, exports.decodeError)(error);
+        }
+    };
+    const requireRevoting = () => {
+        if (!revoting) {
+            throw new ElectionClientError('NOT_CONFIGURED', 'Re-voting contract is not configured');
+        }
+        return revoting;
+    };
+    const requireCommitReveal = () => {
+        if (!commitReveal) {
+            throw new ElectionClientError('NOT_CONFIGURED', 'Commit-reveal contract is not configured');
+        }
+        return commitReveal;
+    };
+    const getElectionCount = async () => (0, exports.toNumber)(await read(() => factory.electionCount()));
+    const readElection = async (electionId) => {
+        const [title, description, startTime, endTime, active, candidatesCount, totalVotes] = await read(() => factory.getElection(electionId));
+        return {
+            id: electionId,
+            title,
+            description,
+            startTime: (0, exports.toNumber)(startTime),
+            endTime: (0, exports.toNumber)(endTime),
+            active,
+            candidatesCount: (0, exports.toNumber)(candidatesCount),
+            totalVotes: (0, exports.toNumber)(totalVotes)
+        };
+    };
+    // One election, or null if the ID is past the last election
+    const getElection = async (electionId) => {
+        if (electionId < 0 || electionId >= await getElectionCount()) {
+            return null;
+        }
+        return readElection(electionId);
+    };
+    const listElections = async () => {
+        const count = await getElectionCount();
+        return Promise.all(Array.from({ length: count }, (_, index) => readElection(index)));
+    };
+    // Candidates of an election; pass candidatesCount when already known to skip a lookup
+    const getCandidates = async (electionId, candidatesCount) => {
+        const count = candidatesCount ?? (await readElection(electionId)).candidatesCount;
+        const candidates = await Promise.all(Array.from({ length: count }, (_, index) => read(() => factory.getCandidate(electionId, index))));
+        return candidates.map(([id, name, votes]) => ({
+            id: (0, exports.toNumber)(id),
+            name: String(name).trim(),
+            votes: (0, exports.toNumber)(votes)
+        }));
+    };
+    const getWinner = async (electionId) => {
+        const [name, votes] = await read(() => factory.getWinner(electionId));
+        return { name, votes: (0, exports.toNumber)(votes) };
+    };
+    // Whether an address has voted on the re-voting contract (the factory does
+    // not expose its voter list; use the indexed VoteCast events for that)
+    const hasVoted = async (electionId, address) => {
+        const contract = requireRevoting();
+        return Boolean(await read(() => contract.hasVoted(electionId, address)));
+    };
+    // Cast a vote; with `revote` the re-voting contract records it so the voter
+    // can change their choice later
+    const castVote = async (electionId, candidateId, { revote = false } = {}) => {
+        const contract = revote ? requireRevoting() : factory;
+        const { receipt, hash } = await send(contract, 'vote', [electionId, candidateId]);
+        return toTransactionResult(receipt, hash);
+    };
+    const createElection = async ({ title, description, candidates, startTime, endTime }) => {
+        const { receipt, hash } = await send(factory, 'createElection', [title, description, candidates, startTime, endTime]);
+        // Take the new ID from the ElectionCreated event, falling back to the count
+        const created = (receipt ? receipt.logs : [])
+            .map(log => {
+            try {
+                return factory.interface.parseLog(log);
+            }
+            catch {
+                return null;
+            }
+        })
+            .find(event => event && event.name === 'ElectionCreated');
+        const electionId = created ? (0, exports.toNumber)(created.args[0]) : (await getElectionCount()) - 1;
+        return { ...toTransactionResult(receipt, hash), electionId };
+    };
+    const endElection = async (electionId) => {
+        const { receipt, hash } = await send(factory, 'endElection', [electionId]);
+        return toTransactionResult(receipt, hash);
+    };
+    // Open an election on the re-voting contract
+    const enableRevoting = async (electionId) => {
+        const { receipt, hash } = await send(requireRevoting(), 'startElection', [electionId]);
+        return toTransactionResult(receipt, hash);
+    };
+    // Commit-reveal schedule of an election, or null if it runs in the open
+    // (also when no commit-reveal contract is configured)
+    const getCommitReveal = async (electionId) => {
+        if (!commitReveal)
+            return null;
+        const [candidatesCount, startTime, commitEndTime, revealEndTime, commitCount, revealCount] = await read(() => commitReveal.elections(electionId));
+        if ((0, exports.toNumber)(revealEndTime) === 0)
+            return null;
+        return {
+            electionId,
+            candidatesCount: (0, exports.toNumber)(candidatesCount),
+            startTime: (0, exports.toNumber)(startTime),
+            commitEndTime: (0, exports.toNumber)(commitEndTime),
+            revealEndTime: (0, exports.toNumber)(revealEndTime),
+            commitCount: (0, exports.toNumber)(commitCount),
+            revealCount: (0, exports.toNumber)(revealCount)
+        };
+    };
+    // A voter's current commitment and whether it has been revealed
+    const getVoteCommitment = async (electionId, voter) => {
+        const contract = requireCommitReveal();
+        const [commitment, revealed] = await Promise.all([
+            read(() => contract.commitments(electionId, voter)),
+            read(() => contract.revealed(electionId, voter))
+        ]);
+        return {
+            commitment: /^0x0+$/.test(commitment) ? null : commitment,
+            revealed: Boolean(revealed)
+        };
+    };
+    // Revealed votes per candidate ID; the contract reverts until the reveal phase ends
+    const getRevealedResults = async (electionId) => {
+        const contract = requireCommitReveal();
+        const results = await read(() => contract.getResults(electionId));
+        return results.map(exports.toNumber);
+    };
+    // Submit a commitment from hashVoteCommitment; a later commit replaces it
+    const commitVote = async (electionId, commitment) => {
+        const { receipt, hash } = await send(requireCommitReveal(), 'commitVote', [electionId, commitment]);
+        return toTransactionResult(receipt, hash);
+    };
+    const revealVote = async (electionId, candidateId, salt) => {
+        const { receipt, hash } = await send(requireCommitReveal(), 'revealVote', [electionId, candidateId, salt]);
+        return toTransactionResult(receipt, hash);
+    };
+    // Run a factory election in commit-reveal mode (contract admin only)
+    const openCommitReveal = async (electionId, { candidatesCount, startTime, commitEndTime, revealEndTime }) => {
+        const { receipt, hash } = await send(requireCommitReveal(), 'openElection', [electionId, candidatesCount, startTime, commitEndTime, revealEndTime]);
+        return toTransactionResult(receipt, hash);
+    };
+    return {
+        getElectionCount,
+        listElections,
+        getElection,
+        getCandidates,
+        getWinner,
+        hasVoted,
+        castVote,
+        createElection,
+        endElection,
+        enableRevoting,
+        getCommitReveal,
+        getVoteCommitment,
+        getRevealedResults,
+        commitVote,
+        revealVote,
+        openCommitReveal
+    };
+};
+exports.createElectionClient = createElectionClient;
@@ -0,0 +1,92 @@
+const ganache = require('ganache');
+const { ethers } = require('ethers');
+const { CONTRACTS, deployContracts } = require('./deploy');
+
+// Fixed mnemonic so accounts, and therefore contract addresses, are the same on every run
+const MNEMONIC = 'test test test test test test test test test test test junk';
+const ACCOUNT_COUNT = 20;
+const LEGACY_DURATION_MINUTES = parseInt(process.env.LOCAL_CHAIN_DURATION_MINUTES || '60');
+
+const ganacheProvider = ganache.provider({
+  wallet: { mnemonic: MNEMONIC, totalAccounts: ACCOUNT_COUNT },
+  chain: { chainId: 1337, vmErrorsOnRPCResponse: true },
+  logging: { quiet: true }
+});
+
+// ganache reports revert data as { result, reason }; ethers expects the raw
+// hex string, which it decodes into the revert reason
+const eip1193Provider = {
+  request: async (args) => {
+    try {
+      return await ganacheProvider.request(args);
+    } catch (error) {
+      if (error.data && typeof error.data.result === 'string') {
+        error.data = error.data.result;
+      }
+      throw error;
+    }
+  }
+};
+
+// Request caching is off: back-to-back transactions would otherwise reuse a nonce
+const provider = new ethers.BrowserProvider(eip1193Provider, { chainId: 1337, name: 'local' }, { cacheTimeout: -1 });
+
+// Funded accounts, derived the same way ganache does. They sign locally
+// because the in-process EVM has no personal_sign.
+const wallets = Array.from({ length: ACCOUNT_COUNT }, (_, index) =>
+  ethers.HDNodeWallet.fromPhrase(MNEMONIC, undefined, `m/44'/60'/0'/0/${index}`).connect(provider)
+);
+const accounts = wallets.map(wallet => wallet.address);
+const adminAddress = accounts[0];
+
+// Contracts are deployed by account 0 (the admin) in a fixed order, so their
+// addresses follow from the deployer's nonce before deployment finishes
+const addresses = Object.fromEntries(CONTRACTS.map(({ key }, nonce) => [
+  key,
+  ethers.getCreateAddress({ from: adminAddress, nonce })
+]));
+
+// Signer for one of the funded local accounts (0 is the admin)
+const getAccount = (index = 0) => wallets[index];
+
+// Compile and deploy all contracts from the admin account
+const deploy = async () => {
+  const deployed = await deployContracts(getAccount(0), { durationMinutes: LEGACY_DURATION_MINUTES });
+
+  Object.entries(deployed).forEach(([key, { name, address }]) => {
+    if (address !== addresses[key]) {
+      throw new Error(`${name} deployed at ${address}, expected ${addresses[key]}`);
+    }
+  });
+
+  console.log(`⛓️  Local chain ready - legacy: ${addresses.contract}, factory: ${addresses.factory}, revoting: ${addresses.revoting}, commit-reveal: ${addresses.commitReveal}`);
+  return deployed;
+};
+
+// Resolves once every contract is deployed; await it before the first call
+const ready = deploy();
+ready.catch(error => console.error('❌ Local chain deployment failed:', error.message));
+
+// Move the chain clock forward, e.g. to start or close an election
+const increaseTime = async (seconds) => {
+  await provider.send('evm_increaseTime', [seconds]);
+  await provider.send('evm_mine', []);
+};
+
+// Release the in-process chain so test runners can exit
+const stop = async () => {
+  await ready.catch(() => {});
+  provider.destroy();
+  await ganacheProvider.disconnect();
+};
+
+module.exports = {
+  provider,
+  addresses,
+  accounts,
+  adminAddress,
+  ready,
+  getAccount,
+  increaseTime,
+  stop
+};
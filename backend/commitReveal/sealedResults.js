@@ -0,0 +1,101 @@
+const { provider, electionClient, retryContractCall } = require('../contract');
+const { getCommitRevealPhase } = require('../chain/generated/electionClient');
+
+// How long a commit-reveal schedule (or its absence) is trusted before the
+// contract is read again. Admins open commit-reveal right after creating the
+// election, and the commit/reveal counts keep changing until it closes.
+const SCHEDULE_CACHE_MS = parseInt(process.env.COMMIT_REVEAL_CACHE_MS || '15000');
+
+// electionId -> { schedule, checkedAt, final }
+const schedules = new Map();
+// electionId -> revealed votes per candidate ID, once the reveal phase is over
+const revealedResults = new Map();
+
+// Phases follow the chain's clock, which is what the contract enforces
+const chainTime = async () => (await retryContractCall(() => provider.getBlock('latest'))).timestamp;
+
+// Commit-reveal schedule of an election, or null if it runs in the open
+const loadCommitReveal = async (electionId) => {
+  const cached = schedules.get(electionId);
+  if (cached && (cached.final || Date.now() - cached.checkedAt < SCHEDULE_CACHE_MS)) {
+    return cached.schedule;
+  }
+
+  const schedule = await electionClient.getCommitReveal(electionId);
+  schedules.set(electionId, {
+    schedule,
+    checkedAt: Date.now(),
+    final: schedule !== null && getCommitRevealPhase(schedule, await chainTime()) === 'closed'
+  });
+  return schedule;
+};
+
+// Final results, or null while the contract still seals them
+const loadRevealedResults = async (electionId) => {
+  if (!revealedResults.has(electionId)) {
+    try {
+      revealedResults.set(electionId, await electionClient.getRevealedResults(electionId));
+    } catch (error) {
+      if (error.code === 'REVERTED') return null;
+      throw error;
+    }
+  }
+  return revealedResults.get(electionId);
+};
+
+// Apply an election's ballot mode to a formatted election (indexer/reader.js).
+// Commit-reveal elections report no votes at all until the reveal phase has
+// ended, then the revealed votes instead of the factory's (unused) counts.
+const applyBallotMode = async (election) => {
+  const schedule = await loadCommitReveal(election.id);
+  if (!schedule) {
+    return { ...election, ballotMode: 'open', sealed: false };
+  }
+
+  const phase = getCommitRevealPhase(schedule, await chainTime());
+  const commitReveal = {
+    phase,
+    startTime: schedule.startTime,
+    commitEndTime: schedule.commitEndTime,
+    revealEndTime: schedule.revealEndTime,
+    commitCount: schedule.commitCount,
+    revealCount: schedule.revealCount
+  };
+
+  const results = phase === 'closed' ? await loadRevealedResults(election.id) : null;
+  if (!results) {
+    return {
+      ...election,
+      ballotMode: 'commit-reveal',
+      commitReveal,
+      sealed: true,
+      totalVotes: null,
+      candidates: election.candidates.map(candidate => ({ ...candidate, votes: null }))
+    };
+  }
+
+  const candidates = election.candidates.map(candidate => ({ ...candidate, votes: results[candidate.id] || 0 }));
+  return {
+    ...election,
+    ballotMode: 'commit-reveal',
+    commitReveal,
+    sealed: false,
+    totalVotes: candidates.reduce((sum, candidate) => sum + candidate.votes, 0),
+    candidates
+  };
+};
+
+// What results endpoints report instead of a tally while it is sealed
+const sealedResults = (election) => ({
+  electionId: election.id,
+  ballotMode: election.ballotMode,
+  sealed: true,
+  commitReveal: election.commitReveal,
+  message: `Results are sealed until the reveal phase ends at ${new Date(election.commitReveal.revealEndTime * 1000).toISOString()}`
+});
+
+module.exports = {
+  loadCommitReveal,
+  applyBallotMode,
+  sealedResults
+};
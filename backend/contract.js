@@ -1,614 +1,45 @@
 const { ethers } = require('ethers');
+const { createElectionClient } = require('./chain/generated/electionClient');
 
-const FACTORY_CONTRACT_ADDRESS = process.env.FACTORY_CONTRACT_ADDRESS || "0x5638def6c0255Ef32f4bAE9E1b5C5B96c0fac81a";
-const CONTRACT_ADDRESS = process.env.CONTRACT_ADDRESS || "0x1549f7Ddd4fCE6109F448A1C6dFDF0694d3a5fbd";
-const FUJI_RPC_URL = process.env.FUJI_RPC_URL || "https://api.avax-test.network/ext/bc/C/rpc";
+// CHAIN_MODE=local runs against an in-process EVM with freshly deployed
+// contracts instead of Avalanche Fuji (used by the test suite)
+const localChain = process.env.CHAIN_MODE === 'local' ? require('./chain/localChain') : null;
 
-const FACTORY_CONTRACT_ABI = [
-  {
-    "inputs": [
-      {
-        "internalType": "string",
-        "name": "_title",
-        "type": "string"
-      },
-      {
-        "internalType": "string",
-        "name": "_description",
-        "type": "string"
-      },
-      {
-        "internalType": "string[]",
-        "name": "_candidates",
-        "type": "string[]"
-      },
-      {
-        "internalType": "uint256",
-        "name": "_startTime",
-        "type": "uint256"
-      },
-      {
-        "internalType": "uint256",
-        "name": "_endTime",
-        "type": "uint256"
-      }
-    ],
-    "name": "createElection",
-    "outputs": [],
-    "stateMutability": "nonpayable",
-    "type": "function"
-  },
-  {
-    "inputs": [
-      {
-        "internalType": "uint256",
-        "name": "_electionId",
-        "type": "uint256"
-      }
-    ],
-    "name": "endElection",
-    "outputs": [],
-    "stateMutability": "nonpayable",
-    "type": "function"
-  },
-  {
-    "inputs": [],
-    "stateMutability": "nonpayable",
-    "type": "constructor"
-  },
-  {
-    "anonymous": false,
-    "inputs": [
-      {
-        "indexed": false,
-        "internalType": "uint256",
-        "name": "electionId",
-        "type": "uint256"
-      },
-      {
-        "indexed": false,
-        "internalType": "string",
-        "name": "title",
-        "type": "string"
-      }
-    ],
-    "name": "ElectionCreated",
-    "type": "event"
-  },
-  {
-    "inputs": [
-      {
-        "internalType": "uint256",
-        "name": "_electionId",
-        "type": "uint256"
-      },
-      {
-        "internalType": "uint256",
-        "name": "_candidateId",
-        "type": "uint256"
-      }
-    ],
-    "name": "vote",
-    "outputs": [],
-    "stateMutability": "nonpayable",
-    "type": "function"
-  },
-  {
-    "anonymous": false,
-    "inputs": [
-      {
-        "indexed": false,
-        "internalType": "uint256",
-        "name": "electionId",
-        "type": "uint256"
-      },
-      {
-        "indexed": false,
-        "internalType": "uint256",
-        "name": "candidateId",
-        "type": "uint256"
-      }
-    ],
-    "name": "VoteCast",
-    "type": "event"
-  },
-  {
-    "inputs": [],
-    "name": "admin",
-    "outputs": [
-      {
-        "internalType": "address",
-        "name": "",
-        "type": "address"
-      }
-    ],
-    "stateMutability": "view",
-    "type": "function"
-  },
-  {
-    "inputs": [],
-    "name": "electionCount",
-    "outputs": [
-      {
-        "internalType": "uint256",
-        "name": "",
-        "type": "uint256"
-      }
-    ],
-    "stateMutability": "view",
-    "type": "function"
-  },
-  {
-    "inputs": [
-      {
-        "internalType": "uint256",
-        "name": "",
-        "type": "uint256"
-      }
-    ],
-    "name": "elections",
-    "outputs": [
-      {
-        "internalType": "uint256",
-        "name": "id",
-        "type": "uint256"
-      },
-      {
-        "internalType": "string",
-        "name": "title",
-        "type": "string"
-      },
-      {
-        "internalType": "string",
-        "name": "description",
-        "type": "string"
-      },
-      {
-        "internalType": "uint256",
-        "name": "startTime",
-        "type": "uint256"
-      },
-      {
-        "internalType": "uint256",
-        "name": "endTime",
-        "type": "uint256"
-      },
-      {
-        "internalType": "bool",
-        "name": "active",
-        "type": "bool"
-      },
-      {
-        "internalType": "uint256",
-        "name": "candidatesCount",
-        "type": "uint256"
-      },
-      {
-        "internalType": "uint256",
-        "name": "totalVotes",
-        "type": "uint256"
-      }
-    ],
-    "stateMutability": "view",
-    "type": "function"
-  },
-  {
-    "inputs": [
-      {
-        "internalType": "uint256",
-        "name": "_electionId",
-        "type": "uint256"
-      },
-      {
-        "internalType": "uint256",
-        "name": "_candidateId",
-        "type": "uint256"
-      }
-    ],
-    "name": "getCandidate",
-    "outputs": [
-      {
-        "internalType": "uint256",
-        "name": "",
-        "type": "uint256"
-      },
-      {
-        "internalType": "string",
-        "name": "",
-        "type": "string"
-      },
-      {
-        "internalType": "uint256",
-        "name": "",
-        "type": "uint256"
-      }
-    ],
-    "stateMutability": "view",
-    "type": "function"
-  },
-  {
-    "inputs": [
-      {
-        "internalType": "uint256",
-        "name": "_electionId",
-        "type": "uint256"
-      }
-    ],
-    "name": "getElection",
-    "outputs": [
-      {
-        "internalType": "string",
-        "name": "",
-        "type": "string"
-      },
-      {
-        "internalType": "string",
-        "name": "",
-        "type": "string"
-      },
-      {
-        "internalType": "uint256",
-        "name": "",
-        "type": "uint256"
-      },
-      {
-        "internalType": "uint256",
-        "name": "",
-        "type": "uint256"
-      },
-      {
-        "internalType": "bool",
-        "name": "",
-        "type": "bool"
-      },
-      {
-        "internalType": "uint256",
-        "name": "",
-        "type": "uint256"
-      },
-      {
-        "internalType": "uint256",
-        "name": "",
-        "type": "uint256"
-      }
-    ],
-    "stateMutability": "view",
-    "type": "function"
-  },
-  {
-    "inputs": [
-      {
-        "internalType": "uint256",
-        "name": "_electionId",
-        "type": "uint256"
-      }
-    ],
-    "name": "getWinner",
-    "outputs": [
-      {
-        "internalType": "string",
-        "name": "winnerName",
-        "type": "string"
-      },
-      {
-        "internalType": "uint256",
-        "name": "winnerVotes",
-        "type": "uint256"
-      }
-    ],
-    "stateMutability": "view",
-    "type": "function"
-  }
-];
+// Addresses and ABIs of the deployed contracts, generated from chain/contracts
+// by scripts/deployContracts.js and shared with the frontend
+const { contracts: deployedContracts } = require('./chain/generated/contracts.json');
 
-const CONTRACT_ABI = [
-  {
-    "inputs": [],
-    "name": "endElection",
-    "outputs": [],
-    "stateMutability": "nonpayable",
-    "type": "function"
-  },
-  {
-    "inputs": [
-      {
-        "internalType": "uint256",
-        "name": "_durationMinutes",
-        "type": "uint256"
-      }
-    ],
-    "stateMutability": "nonpayable",
-    "type": "constructor"
-  },
-  {
-    "inputs": [
-      {
-        "internalType": "uint256",
-        "name": "_candidateIndex",
-        "type": "uint256"
-      },
-      {
-        "internalType": "string",
-        "name": "_voterName",
-        "type": "string"
-      }
-    ],
-    "name": "vote",
-    "outputs": [],
-    "stateMutability": "nonpayable",
-    "type": "function"
-  },
-  {
-    "inputs": [],
-    "name": "admin",
-    "outputs": [
-      {
-        "internalType": "address",
-        "name": "",
-        "type": "address"
-      }
-    ],
-    "stateMutability": "view",
-    "type": "function"
-  },
-  {
-    "inputs": [
-      {
-        "internalType": "uint256",
-        "name": "",
-        "type": "uint256"
-      }
-    ],
-    "name": "candidateList",
-    "outputs": [
-      {
-        "internalType": "string",
-        "name": "",
-        "type": "string"
-      }
-    ],
-    "stateMutability": "view",
-    "type": "function"
-  },
-  {
-    "inputs": [],
-    "name": "electionEnded",
-    "outputs": [
-      {
-        "internalType": "bool",
-        "name": "",
-        "type": "bool"
-      }
-    ],
-    "stateMutability": "view",
-    "type": "function"
-  },
-  {
-    "inputs": [],
-    "name": "electionEndTime",
-    "outputs": [
-      {
-        "internalType": "uint256",
-        "name": "",
-        "type": "uint256"
-      }
-    ],
-    "stateMutability": "view",
-    "type": "function"
-  },
-  {
-    "inputs": [
-      {
-        "internalType": "uint256",
-        "name": "_candidateIndex",
-        "type": "uint256"
-      }
-    ],
-    "name": "getCandidateAnalytics",
-    "outputs": [
-      {
-        "internalType": "string",
-        "name": "",
-        "type": "string"
-      }
-    ],
-    "stateMutability": "view",
-    "type": "function"
-  },
-  {
-    "inputs": [],
-    "name": "getCandidates",
-    "outputs": [
-      {
-        "internalType": "string[]",
-        "name": "",
-        "type": "string[]"
-      }
-    ],
-    "stateMutability": "view",
-    "type": "function"
-  },
-  {
-    "inputs": [
-      {
-        "internalType": "uint256",
-        "name": "_candidateIndex",
-        "type": "uint256"
-      }
-    ],
-    "name": "getVotePercentage",
-    "outputs": [
-      {
-        "internalType": "uint256",
-        "name": "",
-        "type": "uint256"
-      }
-    ],
-    "stateMutability": "view",
-    "type": "function"
-  },
-  {
-    "inputs": [
-      {
-        "internalType": "address",
-        "name": "_voterAddress",
-        "type": "address"
-      }
-    ],
-    "name": "getVoterName",
-    "outputs": [
-      {
-        "internalType": "string",
-        "name": "",
-        "type": "string"
-      }
-    ],
-    "stateMutability": "view",
-    "type": "function"
-  },
-  {
-    "inputs": [
-      {
-        "internalType": "uint256",
-        "name": "_candidateIndex",
-        "type": "uint256"
-      }
-    ],
-    "name": "getVotesFor",
-    "outputs": [
-      {
-        "internalType": "uint256",
-        "name": "",
-        "type": "uint256"
-      }
-    ],
-    "stateMutability": "view",
-    "type": "function"
-  },
-  {
-    "inputs": [],
-    "name": "getWinner",
-    "outputs": [
-      {
-        "internalType": "string",
-        "name": "winnerName",
-        "type": "string"
-      },
-      {
-        "internalType": "uint256",
-        "name": "winnerVotes",
-        "type": "uint256"
-      }
-    ],
-    "stateMutability": "view",
-    "type": "function"
-  },
-  {
-    "inputs": [
-      {
-        "internalType": "address",
-        "name": "",
-        "type": "address"
-      }
-    ],
-    "name": "hasVoted",
-    "outputs": [
-      {
-        "internalType": "bool",
-        "name": "",
-        "type": "bool"
-      }
-    ],
-    "stateMutability": "view",
-    "type": "function"
-  },
-  {
-    "inputs": [],
-    "name": "isElectionActive",
-    "outputs": [
-      {
-        "internalType": "bool",
-        "name": "",
-        "type": "bool"
-      }
-    ],
-    "stateMutability": "view",
-    "type": "function"
-  },
-  {
-    "inputs": [],
-    "name": "timeLeft",
-    "outputs": [
-      {
-        "internalType": "uint256",
-        "name": "",
-        "type": "uint256"
-      }
-    ],
-    "stateMutability": "view",
-    "type": "function"
-  },
-  {
-    "inputs": [],
-    "name": "totalVotes",
-    "outputs": [
-      {
-        "internalType": "uint256",
-        "name": "",
-        "type": "uint256"
-      }
-    ],
-    "stateMutability": "view",
-    "type": "function"
-  },
-  {
-    "inputs": [
-      {
-        "internalType": "address",
-        "name": "",
-        "type": "address"
-      }
-    ],
-    "name": "voterNames",
-    "outputs": [
-      {
-        "internalType": "string",
-        "name": "",
-        "type": "string"
-      }
-    ],
-    "stateMutability": "view",
-    "type": "function"
-  },
-  {
-    "inputs": [
-      {
-        "internalType": "uint256",
-        "name": "",
-        "type": "uint256"
-      }
-    ],
-    "name": "votesCount",
-    "outputs": [
-      {
-        "internalType": "uint256",
-        "name": "",
-        "type": "uint256"
-      }
-    ],
-    "stateMutability": "view",
-    "type": "function"
-  }
-];
+const FACTORY_CONTRACT_ADDRESS = localChain ? localChain.addresses.factory : (process.env.FACTORY_CONTRACT_ADDRESS || deployedContracts.factory.address);
+const CONTRACT_ADDRESS = localChain ? localChain.addresses.contract : (process.env.CONTRACT_ADDRESS || deployedContracts.contract.address);
+const REVOTING_CONTRACT_ADDRESS = localChain ? localChain.addresses.revoting : (process.env.REVOTING_CONTRACT_ADDRESS || deployedContracts.revoting.address);
+// Null until the commit-reveal contract is deployed to the network
+const COMMIT_REVEAL_CONTRACT_ADDRESS = localChain ? localChain.addresses.commitReveal : (process.env.COMMIT_REVEAL_CONTRACT_ADDRESS || deployedContracts.commitReveal.address);
+const FUJI_RPC_URL = process.env.FUJI_RPC_URL || "https://api.avax-test.network/ext/bc/C/rpc";
+
+const FACTORY_CONTRACT_ABI = deployedContracts.factory.abi;
+const CONTRACT_ABI = deployedContracts.contract.abi;
+const REVOTING_CONTRACT_ABI = deployedContracts.revoting.abi;
+const COMMIT_REVEAL_CONTRACT_ABI = deployedContracts.commitReveal.abi;
 
 // Create provider
-const provider = new ethers.JsonRpcProvider(FUJI_RPC_URL);
+const provider = localChain ? localChain.provider : new ethers.JsonRpcProvider(FUJI_RPC_URL);
 
-// Create contract instance
+// Create contract instances
 const contract = new ethers.Contract(CONTRACT_ADDRESS, CONTRACT_ABI, provider);
+const factoryContract = new ethers.Contract(FACTORY_CONTRACT_ADDRESS, FACTORY_CONTRACT_ABI, provider);
+const revotingContract = new ethers.Contract(REVOTING_CONTRACT_ADDRESS, REVOTING_CONTRACT_ABI, provider);
+const commitRevealContract = COMMIT_REVEAL_CONTRACT_ADDRESS
+  ? new ethers.Contract(COMMIT_REVEAL_CONTRACT_ADDRESS, COMMIT_REVEAL_CONTRACT_ABI, provider)
+  : null;
+
+// Resolves once the contracts can be called (deployment on the local chain)
+const chainReady = localChain ? localChain.ready : Promise.resolve();
 
 // Helper function to create a signer (if private key is provided)
 const getSigner = () => {
+  if (localChain) {
+    return localChain.getAccount(0);
+  }
   if (process.env.ADMIN_PRIVATE_KEY) {
     return new ethers.Wallet(process.env.ADMIN_PRIVATE_KEY, provider);
   }
@@ -630,11 +61,20 @@ const retryContractCall = async (contractMethod, maxRetries = 3) => {
   }
 };
 
+// Typed election client shared with the frontend (src/lib/electionClient.ts);
+// reads go through retryContractCall
+const electionClient = createElectionClient({
+  factory: factoryContract,
+  revoting: revotingContract,
+  commitReveal: commitRevealContract,
+  call: (fn) => retryContractCall(fn)
+});
+
 // Test connection on startup
 const testConnection = async () => {
   try {
     const blockNumber = await provider.getBlockNumber();
-    console.log(`✅ Connected to Avalanche Fuji - Block: ${blockNumber}`);
+    console.log(`✅ Connected to ${localChain ? 'local chain' : 'Avalanche Fuji'} - Block: ${blockNumber}`);
     
     // Test contract connection
     const candidates = await retryContractCall(() => contract.getCandidates());
@@ -647,15 +87,28 @@ const testConnection = async () => {
   }
 };
 
-// Initialize connection test
-testConnection();
+// Initialize connection test (the local chain reports its own deployment)
+if (!localChain) {
+  testConnection();
+}
 
 module.exports = {
   provider,
   contract,
+  factoryContract,
+  revotingContract,
+  commitRevealContract,
+  electionClient,
+  chainReady,
   getSigner,
   retryContractCall,
   CONTRACT_ADDRESS,
   CONTRACT_ABI,
+  FACTORY_CONTRACT_ADDRESS,
+  FACTORY_CONTRACT_ABI,
+  REVOTING_CONTRACT_ADDRESS,
+  REVOTING_CONTRACT_ABI,
+  COMMIT_REVEAL_CONTRACT_ADDRESS,
+  COMMIT_REVEAL_CONTRACT_ABI,
   FUJI_RPC_URL
 };
\ No newline at end of file
@@ -0,0 +1,166 @@
+const crypto = require('crypto');
+
+// Government IDs are never stored in plaintext. Each user keeps:
+// - govtIDHash: HMAC-SHA256 of the canonical ID under GOVT_ID_HMAC_KEY, used
+//   for lookups and the uniqueness index
+// - govtIDEncrypted: an envelope. The ID is encrypted with a fresh data key
+//   (AES-256-GCM) and the data key is wrapped with the master key
+//   GOVT_ID_MASTER_KEY, so rotating the master key only rewraps data keys
+// - govtIDLast4: the last four characters, enough for masked display
+
+const DEFAULT_HMAC_KEY = 'avalanche-voting-govt-id-hmac-key-change-in-production';
+const DEFAULT_MASTER_KEY = 'avalanche-voting-govt-id-master-key-change-in-production';
+const CIPHER = 'aes-256-gcm';
+
+// GOVT_ID_MASTER_KEY is 32 bytes as 64 hex characters; other values (like the
+// development default) are stretched with SHA-256
+const toKey = (value) => (
+  /^[0-9a-f]{64}$/i.test(value)
+    ? Buffer.from(value, 'hex')
+    : crypto.createHash('sha256').update(value).digest()
+);
+
+const getHmacKey = () => process.env.GOVT_ID_HMAC_KEY || DEFAULT_HMAC_KEY;
+
+// The default keys are public, so IDs protected with them can be reversed by
+// anyone with the database. Production refuses to start without real keys;
+// development warns. Call once at startup.
+const checkGovtIdKeys = () => {
+  const missing = ['GOVT_ID_HMAC_KEY', 'GOVT_ID_MASTER_KEY'].filter(name => !process.env[name]);
+  if (missing.length === 0 || process.env.NODE_ENV === 'test') return;
+
+  const problem = `${missing.join(' and ')} ${missing.length > 1 ? 'are' : 'is'} not set`;
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error(`${problem}: refusing to protect government IDs with the built-in development keys`);
+  }
+  console.warn(`⚠️  ${problem}. Government IDs are protected with the built-in development keys, which anyone can read in the source. Never use this database in production.`);
+};
+
+// Master keys by id. GOVT_ID_PREVIOUS_MASTER_KEYS ("id:key,id:key") keeps
+// retired keys readable until `npm run migrate:govt-ids` rewraps them.
+const getMasterKeys = () => {
+  const currentId = process.env.GOVT_ID_MASTER_KEY_ID || 'v1';
+  const keys = new Map([[currentId, toKey(process.env.GOVT_ID_MASTER_KEY || DEFAULT_MASTER_KEY)]]);
+
+  (process.env.GOVT_ID_PREVIOUS_MASTER_KEYS || '').split(',').filter(Boolean).forEach(pair => {
+    const [id, key] = pair.split(':');
+    if (id && key && !keys.has(id)) keys.set(id, toKey(key));
+  });
+
+  return { currentId, keys };
+};
+
+const seal = (key, plaintext, aad) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(CIPHER, key, iv);
+  if (aad) cipher.setAAD(Buffer.from(aad));
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return { iv, tag: cipher.getAuthTag(), ciphertext };
+};
+
+const open = (key, { iv, tag, ciphertext }, aad) => {
+  const decipher = crypto.createDecipheriv(CIPHER, key, iv);
+  if (aad) decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+};
+
+// Keyed hash of a canonical government ID (see validateGovtId)
+const hashGovtId = (govtID) => (
+  crypto.createHmac('sha256', getHmacKey()).update(String(govtID)).digest('hex')
+);
+
+// Envelope-encrypt a government ID. The ciphertext is bound to its hash so an
+// envelope copied onto another user fails to decrypt.
+const encryptGovtId = (govtID, govtIDHash = hashGovtId(govtID)) => {
+  const { currentId, keys } = getMasterKeys();
+  const dataKey = crypto.randomBytes(32);
+  const wrapped = seal(keys.get(currentId), dataKey, currentId);
+  const sealed = seal(dataKey, Buffer.from(String(govtID), 'utf8'), govtIDHash);
+
+  return {
+    keyId: currentId,
+    wrappedKey: Buffer.concat([wrapped.iv, wrapped.tag, wrapped.ciphertext]).toString('base64'),
+    iv: sealed.iv.toString('base64'),
+    tag: sealed.tag.toString('base64'),
+    ciphertext: sealed.ciphertext.toString('base64')
+  };
+};
+
+const unwrapDataKey = (envelope) => {
+  const { keys } = getMasterKeys();
+  const masterKey = keys.get(envelope.keyId);
+  if (!masterKey) {
+    throw new Error(`Unknown government ID master key: ${envelope.keyId}`);
+  }
+
+  const wrapped = Buffer.from(envelope.wrappedKey, 'base64');
+  return open(masterKey, {
+    iv: wrapped.subarray(0, 12),
+    tag: wrapped.subarray(12, 28),
+    ciphertext: wrapped.subarray(28)
+  }, envelope.keyId);
+};
+
+// Decrypt an envelope produced by encryptGovtId
+const decryptGovtId = (envelope, govtIDHash) => {
+  if (!envelope || !envelope.ciphertext) {
+    throw new Error('No encrypted government ID stored');
+  }
+
+  const plaintext = open(unwrapDataKey(envelope), {
+    iv: Buffer.from(envelope.iv, 'base64'),
+    tag: Buffer.from(envelope.tag, 'base64'),
+    ciphertext: Buffer.from(envelope.ciphertext, 'base64')
+  }, govtIDHash);
+
+  return plaintext.toString('utf8');
+};
+
+// Re-encrypt an envelope's data key under the current master key
+const rewrapGovtIdEnvelope = (envelope) => {
+  const { currentId, keys } = getMasterKeys();
+  if (envelope.keyId === currentId) return envelope;
+
+  const wrapped = seal(keys.get(currentId), unwrapDataKey(envelope), currentId);
+  return {
+    ...envelope,
+    keyId: currentId,
+    wrappedKey: Buffer.concat([wrapped.iv, wrapped.tag, wrapped.ciphertext]).toString('base64')
+  };
+};
+
+// Display form that keeps only the last four characters, e.g. XXXX-XXXX-1234.
+// Accepts a full ID or the stored govtIDLast4.
+const maskGovtId = (value) => {
+  if (!value) return null;
+  return `XXXX-XXXX-${String(value).slice(-4)}`;
+};
+
+// User fields for a canonical government ID
+const protectGovtId = (govtID) => {
+  const govtIDHash = hashGovtId(govtID);
+  return {
+    govtIDHash,
+    govtIDEncrypted: encryptGovtId(govtID, govtIDHash),
+    govtIDLast4: String(govtID).slice(-4)
+  };
+};
+
+// Query filter matching the user with this canonical government ID
+const govtIdFilter = (govtID) => ({ govtIDHash: hashGovtId(govtID) });
+
+// Plaintext government ID of a user document, for authorised reveal only
+const revealGovtId = (user) => decryptGovtId(user.govtIDEncrypted, user.govtIDHash);
+
+module.exports = {
+  checkGovtIdKeys,
+  hashGovtId,
+  encryptGovtId,
+  decryptGovtId,
+  rewrapGovtIdEnvelope,
+  maskGovtId,
+  protectGovtId,
+  govtIdFilter,
+  revealGovtId
+};
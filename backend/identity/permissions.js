@@ -0,0 +1,82 @@
+const RoleAssignment = require('../models/RoleAssignment');
+
+// Everything except granting roles and decrypting Government IDs, which are
+// reserved for super admins
+const ADMIN_PERMISSIONS = [
+  'results:view',
+  'roll:view',
+  'roll:manage',
+  'election:manage',
+  'users:view',
+  'users:delete',
+  'identity:lookup',
+  'audit:view'
+];
+
+// What each role may do. Account roles (User.role) apply everywhere;
+// election roles come from RoleAssignment documents and apply to one
+// election, or to every election when assigned without one.
+const ROLE_PERMISSIONS = {
+  // Account roles
+  voter: [],
+  admin: ADMIN_PERMISSIONS,
+  super_admin: [...ADMIN_PERMISSIONS, 'govtId:reveal', 'roles:manage'],
+  // Election roles
+  election_officer: ['results:view', 'roll:view', 'roll:manage', 'election:manage'],
+  // Observers audit: the audit log is account-wide, so only an observer
+  // granted for every election can read it
+  observer: ['results:view', 'roll:view', 'audit:view'],
+  candidate: ['results:view']
+};
+
+const ACCOUNT_ROLES = ['voter', 'admin', 'super_admin'];
+const ELECTION_ROLES = ['election_officer', 'observer', 'candidate'];
+
+const roleAllows = (role, permission) => (ROLE_PERMISSIONS[role] || []).includes(permission);
+
+// Election id from a route parameter or query string, or null when absent
+// or malformed (only roles held for every election then count)
+const parseElectionId = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const electionId = Number(value);
+  return Number.isInteger(electionId) && electionId >= 0 ? electionId : null;
+};
+
+// Election roles a user holds that apply to an election (or, without one,
+// that apply everywhere)
+const findApplicableAssignments = (userId, electionId = null) => RoleAssignment.find({
+  userId,
+  electionId: electionId === null ? null : { $in: [null, electionId] }
+}).lean();
+
+// Whether a user may perform an action, optionally within one election
+const hasPermission = async (user, permission, electionId = null) => {
+  if (roleAllows(user.role, permission)) return true;
+
+  const assignments = await findApplicableAssignments(user._id, electionId);
+  return assignments.some(assignment => roleAllows(assignment.role, permission));
+};
+
+// Everything a user may do, globally and per election, for profile responses
+const describePermissions = async (user) => {
+  const assignments = await RoleAssignment.find({ userId: user._id }).lean();
+  return {
+    global: [...new Set([
+      ...(ROLE_PERMISSIONS[user.role] || []),
+      ...assignments.filter(a => a.electionId === null).flatMap(a => ROLE_PERMISSIONS[a.role])
+    ])],
+    elections: assignments
+      .filter(a => a.electionId !== null)
+      .map(a => ({ electionId: a.electionId, role: a.role, permissions: ROLE_PERMISSIONS[a.role] }))
+  };
+};
+
+module.exports = {
+  ROLE_PERMISSIONS,
+  ACCOUNT_ROLES,
+  ELECTION_ROLES,
+  roleAllows,
+  parseElectionId,
+  hasPermission,
+  describePermissions
+};
@@ -0,0 +1,150 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const AuthSession = require('../models/AuthSession');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'avalanche-voting-secret-key-change-in-production';
+const ACCESS_TOKEN_TTL_SECONDS = parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS || '900');
+const REFRESH_TOKEN_TTL_SECONDS = parseInt(process.env.REFRESH_TOKEN_TTL_SECONDS || String(7 * 24 * 60 * 60));
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+// Refresh tokens are "<sessionId>.<secret>"; only the secret's hash is stored
+const newRefreshToken = (sessionId) => {
+  const secret = crypto.randomBytes(32).toString('base64url');
+  return { token: `${sessionId}.${secret}`, hash: hashSecret(secret) };
+};
+
+const parseRefreshToken = (refreshToken) => {
+  if (typeof refreshToken !== 'string') return null;
+  const separator = refreshToken.lastIndexOf('.');
+  if (separator <= 0) return null;
+  return {
+    sessionId: refreshToken.slice(0, separator),
+    secret: refreshToken.slice(separator + 1)
+  };
+};
+
+const secondsUntil = (date) => Math.max(Math.floor((date.getTime() - Date.now()) / 1000), 0);
+
+// Start a session for a wallet admin (subject = address) or government ID
+// user (subject = User id). Returns { sessionId, refreshToken, refreshExpiresIn }.
+const createSession = async ({ subjectType, subject, role, req }) => {
+  const sessionId = crypto.randomUUID();
+  const refresh = newRefreshToken(sessionId);
+
+  await AuthSession.create({
+    sessionId,
+    subjectType,
+    subject: String(subject),
+    role,
+    refreshTokenHash: refresh.hash,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_SECONDS * 1000),
+    lastUsedAt: new Date(),
+    userAgent: req?.get?.('user-agent'),
+    ip: req?.ip
+  });
+
+  return { sessionId, refreshToken: refresh.token, refreshExpiresIn: REFRESH_TOKEN_TTL_SECONDS };
+};
+
+// Short-lived access token bound to a session
+const signAccessToken = (claims, sessionId) => jwt.sign(
+  { ...claims, sid: sessionId },
+  JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_TTL_SECONDS, jwtid: crypto.randomUUID() }
+);
+
+// Login and refresh response fields; `token` is the access token
+const tokenResponse = (accessToken, { refreshToken, refreshExpiresIn }) => ({
+  token: accessToken,
+  refreshToken,
+  expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+  refreshExpiresIn
+});
+
+// True while the session exists, has not expired and was not revoked
+const isSessionActive = async (sessionId) => {
+  if (!sessionId) return false;
+  const session = await AuthSession.findOne({ sessionId }).select('revokedAt expiresAt').lean();
+  return Boolean(session && !session.revokedAt && session.expiresAt > new Date());
+};
+
+// Verify an access token's signature and expiry, then check its session
+// against the revocation list. Throws with a client-safe message.
+const verifyAccessToken = async (token) => {
+  const decoded = jwt.verify(token, JWT_SECRET);
+  if (!(await isSessionActive(decoded.sid))) {
+    throw new Error('Session has been revoked or has expired');
+  }
+  return decoded;
+};
+
+// Exchange a refresh token for a new one. The old token stops working; if it
+// is presented again the session is revoked, since only a copy could do that.
+// Returns { session, refreshToken, refreshExpiresIn } or { error, status }.
+const rotateRefreshToken = async (refreshToken, subjectType) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) {
+    return { error: 'Refresh token is required', status: 400 };
+  }
+
+  const now = new Date();
+  const presentedHash = hashSecret(parsed.secret);
+  const next = newRefreshToken(parsed.sessionId);
+
+  const session = await AuthSession.findOneAndUpdate(
+    {
+      sessionId: parsed.sessionId,
+      subjectType,
+      refreshTokenHash: presentedHash,
+      revokedAt: null,
+      expiresAt: { $gt: now }
+    },
+    { $set: { refreshTokenHash: next.hash, previousRefreshTokenHash: presentedHash, lastUsedAt: now } },
+    { new: true }
+  );
+
+  if (!session) {
+    const reused = await AuthSession.findOneAndUpdate(
+      { sessionId: parsed.sessionId, subjectType, previousRefreshTokenHash: presentedHash, revokedAt: null },
+      { $set: { revokedAt: now, revokedReason: 'refresh token reuse' } }
+    );
+    if (reused) {
+      console.warn(`⚠️  Refresh token reuse detected, session ${parsed.sessionId.substring(0, 8)}... revoked`);
+    }
+    return { error: 'Invalid or expired refresh token', status: 401 };
+  }
+
+  return { session, refreshToken: next.token, refreshExpiresIn: secondsUntil(session.expiresAt) };
+};
+
+// Revoke one session; returns true if it was active
+const revokeSession = async (sessionId, reason) => {
+  const result = await AuthSession.updateOne(
+    { sessionId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount > 0;
+};
+
+// Revoke every session of a wallet or user; returns how many were active
+const revokeSubjectSessions = async (subjectType, subject, reason) => {
+  const result = await AuthSession.updateMany(
+    { subjectType, subject: String(subject), revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount;
+};
+
+module.exports = {
+  ACCESS_TOKEN_TTL_SECONDS,
+  REFRESH_TOKEN_TTL_SECONDS,
+  createSession,
+  signAccessToken,
+  tokenResponse,
+  isSessionActive,
+  verifyAccessToken,
+  rotateRefreshToken,
+  revokeSession,
+  revokeSubjectSessions
+};
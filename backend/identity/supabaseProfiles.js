@@ -0,0 +1,76 @@
+const jwt = require('jsonwebtoken');
+
+// Server-side access to the Supabase `profiles` table used by the frontend's
+// sign-up (src/pages/Auth.jsx). Requests go to PostgREST with the service
+// role key, which bypasses row level security; session tokens are checked
+// with the project's JWT secret. Without SUPABASE_URL and
+// SUPABASE_SERVICE_ROLE_KEY the backend only knows Mongo users.
+
+const getConfig = () => ({
+  url: (process.env.SUPABASE_URL || '').replace(/\/$/, ''),
+  serviceRoleKey: process.env.SUPABASE_SERVICE_ROLE_KEY,
+  jwtSecret: process.env.SUPABASE_JWT_SECRET
+});
+
+const isSupabaseConfigured = () => {
+  const { url, serviceRoleKey } = getConfig();
+  return Boolean(url && serviceRoleKey);
+};
+
+const profilesRequest = async (query, { method = 'GET', body } = {}) => {
+  const { url, serviceRoleKey } = getConfig();
+  const response = await fetch(`${url}/rest/v1/profiles?${query}`, {
+    method,
+    headers: {
+      apikey: serviceRoleKey,
+      Authorization: `Bearer ${serviceRoleKey}`,
+      'Content-Type': 'application/json',
+      Prefer: 'return=representation'
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+
+  if (!response.ok) {
+    throw new Error(`Supabase profiles request failed (${response.status}): ${await response.text()}`);
+  }
+  return response.json();
+};
+
+// Supabase access tokens are issued for the "authenticated" audience; the
+// backend's own tokens have no audience
+const isSupabaseToken = (token) => jwt.decode(token)?.aud === 'authenticated';
+
+// Verify a Supabase session token and return its auth user id (profiles.id)
+const verifySupabaseToken = (token) => {
+  const { jwtSecret } = getConfig();
+  if (!jwtSecret || !isSupabaseConfigured()) {
+    throw new Error('Supabase sign-in is not configured on this server');
+  }
+  return jwt.verify(token, jwtSecret, { audience: 'authenticated' }).sub;
+};
+
+const getProfile = async (id) => {
+  const rows = await profilesRequest(`id=eq.${encodeURIComponent(id)}&select=*`);
+  return rows[0] || null;
+};
+
+// Profiles showing a wallet address, optionally only the given one
+const findProfilesWithWallet = (address) => profilesRequest(
+  address
+    ? `wallet_address=eq.${encodeURIComponent(address)}&select=id,wallet_address`
+    : 'wallet_address=not.is.null&select=id,wallet_address'
+);
+
+const setProfileWallet = (id, address) => profilesRequest(`id=eq.${encodeURIComponent(id)}`, {
+  method: 'PATCH',
+  body: { wallet_address: address, updated_at: new Date().toISOString() }
+});
+
+module.exports = {
+  isSupabaseConfigured,
+  isSupabaseToken,
+  verifySupabaseToken,
+  getProfile,
+  findProfilesWithWallet,
+  setProfileWallet
+};
@@ -0,0 +1,163 @@
+const { ethers } = require('ethers');
+const User = require('../models/User');
+const { maskGovtId } = require('./govtIdVault');
+const supabaseProfiles = require('./supabaseProfiles');
+
+// Mongo users are the identity of record: each can carry the Supabase auth
+// user of the same person and one wallet address proven by a signed nonce.
+// A Supabase account is linked only after its holder proves the Government
+// ID with a login code; the ID typed into a profile is never trusted. The
+// address is mirrored to profiles.wallet_address, which clients can no
+// longer write themselves.
+
+// Message the wallet signs. Naming the user keeps a signature collected for
+// one identity from being redeemed by another.
+const walletLinkMessage = (userId, nonce) => `Link this wallet to verified voter ${userId}\nNonce: ${nonce}`;
+
+// Lowercased address, or null when it is not a valid address
+const normalizeAddress = (address) => (
+  typeof address === 'string' && ethers.isAddress(address) ? address.toLowerCase() : null
+);
+
+// Find the Mongo user linked to a Supabase sign-in. Returns { user } or
+// { error, status, code }; GOVT_ID_UNVERIFIED means the account has to prove
+// a Government ID first (/api/identity/govt-id/code).
+const resolveSupabaseUser = async (supabaseUserId) => {
+  const linked = await User.findOne({ supabaseUserId });
+  if (linked) return { user: linked };
+
+  return {
+    error: 'Verify your Government ID with a login code before linking a wallet',
+    status: 403,
+    code: 'GOVT_ID_UNVERIFIED'
+  };
+};
+
+// Link a Supabase account to the user whose Government ID its holder just
+// proved (otp/otpService.js verifyOtp). Returns { user } or { error, status }.
+const linkSupabaseUser = async (user, supabaseUserId) => {
+  if (user.supabaseUserId && user.supabaseUserId !== supabaseUserId) {
+    return { error: 'This Government ID is linked to another account', status: 409 };
+  }
+
+  const other = await User.findOne({ supabaseUserId });
+  if (other && String(other._id) !== String(user._id)) {
+    return { error: 'This account is already linked to another Government ID', status: 409 };
+  }
+
+  user.supabaseUserId = supabaseUserId;
+  try {
+    await user.save();
+  } catch (error) {
+    if (error.code === 11000) {
+      return { error: 'This account is already linked to another Government ID', status: 409 };
+    }
+    throw error;
+  }
+
+  console.log(`🪪 Linked Supabase user ${supabaseUserId.substring(0, 8)}... to ${user.name} (${maskGovtId(user.govtIDLast4)})`);
+  return { user };
+};
+
+// The Supabase profile of a Mongo user, through a proven link only
+const findProfileForUser = async (user) => (
+  user.supabaseUserId ? supabaseProfiles.getProfile(user.supabaseUserId) : null
+);
+
+// Make profiles.wallet_address agree with the user's link: set it on their
+// profile and clear the address from any other. Supabase being unavailable
+// does not fail the link; `npm run reconcile:identities` catches up later.
+// Returns { profileId, changed } or null when there is nothing to sync.
+const syncProfileWallet = async (user, { dryRun = false, previousAddress } = {}) => {
+  if (!supabaseProfiles.isSupabaseConfigured()) return null;
+
+  try {
+    const profile = await findProfileForUser(user);
+    const address = user.walletAddress || null;
+    let changed = false;
+
+    for (const held of [address, previousAddress]) {
+      if (!held) continue;
+      for (const other of await supabaseProfiles.findProfilesWithWallet(held)) {
+        if (other.id === profile?.id) continue;
+        if (!dryRun) await supabaseProfiles.setProfileWallet(other.id, null);
+        changed = true;
+      }
+    }
+
+    if (profile && (profile.wallet_address || null) !== address) {
+      if (!dryRun) await supabaseProfiles.setProfileWallet(profile.id, address);
+      changed = true;
+    }
+
+    return { profileId: profile?.id || null, changed };
+  } catch (error) {
+    console.error('Supabase profile sync failed:', error.message);
+    return null;
+  }
+};
+
+// Bind a verified wallet address to a user, replacing any earlier one.
+// Returns { user, profileSynced } or { error, status }.
+const linkWallet = async (user, address) => {
+  const owner = await User.findOne({ walletAddress: address });
+  if (owner && String(owner._id) !== String(user._id)) {
+    return { error: 'This wallet is already linked to another verified identity', status: 409 };
+  }
+
+  const previousAddress = user.walletAddress;
+  user.walletAddress = address;
+  user.walletLinkedAt = new Date();
+  try {
+    await user.save();
+  } catch (error) {
+    if (error.code === 11000) {
+      return { error: 'This wallet is already linked to another verified identity', status: 409 };
+    }
+    throw error;
+  }
+
+  const sync = await syncProfileWallet(user, { previousAddress });
+  return { user, profileSynced: Boolean(sync?.profileId) };
+};
+
+// Remove a user's wallet link from both stores. Returns the old address.
+const unlinkWallet = async (user) => {
+  const previousAddress = user.walletAddress;
+  if (!previousAddress) return null;
+
+  user.walletAddress = undefined;
+  user.walletLinkedAt = undefined;
+  await user.save();
+  await syncProfileWallet(user, { previousAddress });
+  return previousAddress;
+};
+
+// Who controls an address, as far as the backend can vouch: the user who
+// signed for it. Returns the user or null.
+const findIdentityByAddress = (address) => User.findOne({ walletAddress: address });
+
+// Masked view of a linked identity for API responses
+const identitySummary = (user) => ({
+  userId: user._id,
+  name: user.name,
+  govtID: maskGovtId(user.govtIDLast4),
+  idType: user.idType,
+  role: user.role,
+  walletAddress: user.walletAddress || null,
+  walletLinkedAt: user.walletLinkedAt || null,
+  supabaseUserId: user.supabaseUserId || null
+});
+
+module.exports = {
+  walletLinkMessage,
+  normalizeAddress,
+  resolveSupabaseUser,
+  linkSupabaseUser,
+  findProfileForUser,
+  syncProfileWallet,
+  linkWallet,
+  unlinkWallet,
+  findIdentityByAddress,
+  identitySummary
+};
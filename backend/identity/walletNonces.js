@@ -0,0 +1,75 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+
+// One-time nonces for wallet signatures: admin sign-in (/api/admin/nonce)
+// and wallet linking (/api/identity/wallet/nonce). A nonce is issued for a
+// purpose and, optionally, a subject, and only redeems for that pair.
+const NONCE_TTL_SECONDS = 300;
+
+// In-memory storage for nonces (in production, use Redis)
+const nonces = new Map();
+
+const issueNonce = (purpose, subject = null) => {
+  const nonce = crypto.randomBytes(32).toString('hex');
+  const expiry = Date.now() + NONCE_TTL_SECONDS * 1000;
+
+  nonces.set(nonce, { purpose, subject, expiry, used: false });
+
+  // Clean up expired nonces
+  for (const [key, value] of nonces.entries()) {
+    if (Date.now() > value.expiry) {
+      nonces.delete(key);
+    }
+  }
+
+  return { nonce, expiresIn: NONCE_TTL_SECONDS };
+};
+
+// Mark a nonce as used. Returns { error } when it is unknown, issued for
+// another purpose or subject, expired or already used.
+const consumeNonce = (nonce, purpose, subject = null) => {
+  const nonceData = nonces.get(nonce);
+  if (!nonceData || nonceData.purpose !== purpose || nonceData.subject !== subject) {
+    return { error: 'Invalid nonce' };
+  }
+
+  if (Date.now() > nonceData.expiry) {
+    nonces.delete(nonce);
+    return { error: 'Nonce expired' };
+  }
+
+  if (nonceData.used) {
+    return { error: 'Nonce already used' };
+  }
+
+  nonceData.used = true;
+  return {};
+};
+
+// Redeem a nonce and check that `address` signed `message(nonce)` with it.
+// Returns { address } (lowercase) or { error, status }.
+const verifyNonceSignature = ({ address, nonce, signature }, purpose, subject, message) => {
+  const nonceCheck = consumeNonce(nonce, purpose, subject);
+  if (nonceCheck.error) {
+    return { error: nonceCheck.error, status: 400 };
+  }
+
+  let recovered;
+  try {
+    recovered = ethers.verifyMessage(message(nonce), signature);
+  } catch (error) {
+    return { error: 'Invalid signature', status: 401 };
+  }
+  if (recovered.toLowerCase() !== address.toLowerCase()) {
+    return { error: 'Invalid signature', status: 401 };
+  }
+
+  return { address: address.toLowerCase() };
+};
+
+module.exports = {
+  NONCE_TTL_SECONDS,
+  issueNonce,
+  consumeNonce,
+  verifyNonceSignature
+};
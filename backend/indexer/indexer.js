@@ -0,0 +1,415 @@
+const EventEmitter = require('events');
+const { provider, factoryContract, electionClient, retryContractCall, FACTORY_CONTRACT_ADDRESS } = require('../contract');
+const Election = require('../models/Election');
+const VoteEvent = require('../models/VoteEvent');
+const IndexerState = require('../models/IndexerState');
+const AuditLogEntry = require('../models/AuditLogEntry');
+const { appendAuditEntry } = require('../audit/auditLog');
+const { publishClosedTallies } = require('../tally/tallyCommitments');
+const { contracts: deployedContracts } = require('../chain/generated/contracts.json');
+
+const INDEXER_KEY = 'factory';
+
+// Indexer configuration
+const config = {
+  // First block to scan on a fresh database (defaults to the factory's deploy block)
+  startBlock: process.env.INDEXER_START_BLOCK ? parseInt(process.env.INDEXER_START_BLOCK) : null,
+  // Number of recent blocks re-scanned when a reorg is detected
+  reorgDepth: parseInt(process.env.INDEXER_REORG_DEPTH || '12'),
+  // Maximum block range per eth_getLogs request (Fuji public RPC caps this at 2048)
+  batchSize: parseInt(process.env.INDEXER_BATCH_SIZE || '2000'),
+  pollIntervalMs: parseInt(process.env.INDEXER_POLL_INTERVAL_MS || '5000')
+};
+
+// Emits 'electionsUpdated' with the IDs of elections whose data changed
+const indexerEvents = new EventEmitter();
+
+let pollTimer = null;
+let syncing = false;
+let caughtUp = false;
+// Whether the index holds every election the factory has created
+let complete = false;
+let warnedIncomplete = false;
+
+// Compute the next block range to scan. After a reorg the last `reorgDepth`
+// blocks are scanned again so that replaced logs are picked up.
+const computeSyncRange = (lastProcessedBlock, latestBlock, reorgDetected, { reorgDepth, batchSize }) => {
+  const fromBlock = reorgDetected
+    ? Math.max(0, lastProcessedBlock - reorgDepth + 1)
+    : lastProcessedBlock + 1;
+
+  if (fromBlock > latestBlock) {
+    return null;
+  }
+
+  return {
+    fromBlock,
+    toBlock: Math.min(latestBlock, fromBlock + batchSize - 1)
+  };
+};
+
+// Check whether the last processed block is still part of the canonical chain
+const detectReorg = async (state) => {
+  if (!state.lastProcessedHash) return false;
+
+  const block = await retryContractCall(() => provider.getBlock(state.lastProcessedBlock));
+  if (block && block.hash === state.lastProcessedHash) return false;
+
+  console.warn(`⚠️  Reorg detected at block ${state.lastProcessedBlock}, re-scanning last ${config.reorgDepth} blocks`);
+  return true;
+};
+
+// Apply aggregated vote counts to an election's candidate list
+const applyTally = (candidates, counts) => {
+  const votesByCandidate = new Map(counts.map(({ _id, count }) => [_id, count]));
+
+  const tallied = candidates.map(candidate => ({
+    candidateId: candidate.candidateId,
+    name: candidate.name,
+    votes: votesByCandidate.get(candidate.candidateId) || 0
+  }));
+
+  return {
+    candidates: tallied,
+    totalVotes: tallied.reduce((sum, candidate) => sum + candidate.votes, 0)
+  };
+};
+
+// Lowest block at or below `latestBlock` where `hasCode(block)` is true, i.e.
+// the block a contract was deployed in (binary search over its history)
+const findDeployBlock = async (hasCode, latestBlock) => {
+  let low = 0;
+  let high = latestBlock;
+  while (low < high) {
+    const middle = Math.floor((low + high) / 2);
+    if (await hasCode(middle)) {
+      high = middle;
+    } else {
+      low = middle + 1;
+    }
+  }
+  return low;
+};
+
+// Block a fresh index starts from: INDEXER_START_BLOCK, else the factory's
+// deploy block, recorded by scripts/deployContracts.js or found on chain.
+// Starting later would leave out every election created before it.
+const resolveStartBlock = async (latestBlock) => {
+  if (config.startBlock !== null) return config.startBlock;
+
+  const recorded = deployedContracts.factory;
+  if (recorded && Number.isInteger(recorded.deployBlock)
+    && recorded.address && recorded.address.toLowerCase() === FACTORY_CONTRACT_ADDRESS.toLowerCase()) {
+    return recorded.deployBlock;
+  }
+
+  try {
+    const hasCode = async (blockTag) => (await retryContractCall(() => provider.getCode(FACTORY_CONTRACT_ADDRESS, blockTag))) !== '0x';
+    return await findDeployBlock(hasCode, latestBlock);
+  } catch (error) {
+    // Pruned nodes cannot answer for old blocks; reads stay on the chain
+    // until the index holds every election (see checkComplete)
+    console.warn(`⚠️  Could not find the factory deploy block (${error.message}); set INDEXER_START_BLOCK`);
+    return latestBlock;
+  }
+};
+
+// Load the persisted indexer position, creating it on first run
+const loadState = async (latestBlock) => {
+  const contractAddress = FACTORY_CONTRACT_ADDRESS.toLowerCase();
+  let state = await IndexerState.findOne({ key: INDEXER_KEY });
+
+  // A different factory address means a redeploy: start over
+  if (state && state.contractAddress !== contractAddress) {
+    console.warn(`⚠️  Factory address changed (${state.contractAddress} -> ${contractAddress}), resetting index`);
+    await Promise.all([Election.deleteMany({}), VoteEvent.deleteMany({})]);
+    await IndexerState.deleteOne({ key: INDEXER_KEY });
+    state = null;
+  }
+
+  if (!state) {
+    const startBlock = await resolveStartBlock(latestBlock);
+    state = await IndexerState.create({
+      key: INDEXER_KEY,
+      contractAddress,
+      lastProcessedBlock: startBlock - 1
+    });
+    console.log(`📇 Indexer starting from block ${startBlock}`);
+  }
+
+  return state;
+};
+
+// Read an election's details from the factory contract and upsert it
+const indexElection = async (electionId, log) => {
+  const election = await electionClient.getElection(electionId);
+  const candidates = await electionClient.getCandidates(electionId, election.candidatesCount);
+
+  await Election.findOneAndUpdate(
+    { electionId },
+    {
+      electionId,
+      title: election.title,
+      description: election.description,
+      startTime: election.startTime,
+      endTime: election.endTime,
+      active: election.active,
+      candidates: candidates.map(candidate => ({
+        candidateId: candidate.id,
+        name: candidate.name,
+        votes: 0
+      })),
+      createdBlock: log.blockNumber,
+      createdTxHash: log.transactionHash
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+// Elections are created on chain from the admin's wallet, so the audit log
+// entry is written here. Keyed by transaction so reorg re-scans skip it.
+const recordElectionCreated = async (electionId, log) => {
+  try {
+    const recorded = await AuditLogEntry.exists({ action: 'election.create', 'details.transactionHash': log.transactionHash });
+    if (recorded) return;
+
+    const tx = await retryContractCall(() => provider.getTransaction(log.transactionHash));
+    await appendAuditEntry({
+      actor: { type: 'wallet', id: tx ? tx.from.toLowerCase() : null, name: null, role: null },
+      authType: 'wallet',
+      action: 'election.create',
+      target: { type: 'election', id: String(electionId) },
+      result: { status: null, outcome: 'success' },
+      details: { title: log.args.title, transactionHash: log.transactionHash, blockNumber: log.blockNumber }
+    });
+  } catch (error) {
+    console.error(`❌ Audit log write failed for election ${electionId}:`, error.message);
+  }
+};
+
+// Recompute an election's tally from its stored vote events
+const recomputeTally = async (electionId) => {
+  const election = await Election.findOne({ electionId });
+  if (!election) return;
+
+  const counts = await VoteEvent.aggregate([
+    { $match: { electionId } },
+    { $group: { _id: '$candidateId', count: { $sum: 1 } } }
+  ]);
+
+  const { candidates, totalVotes } = applyTally(election.candidates, counts);
+  election.candidates = candidates;
+  election.totalVotes = totalVotes;
+  await election.save();
+};
+
+// Refresh the `active` flag of open elections (endElection emits no event).
+// Returns the IDs of elections that were ended since the last pass.
+const refreshActiveElections = async () => {
+  const activeElections = await Election.find({ active: true }).select('electionId');
+  const endedElections = [];
+
+  for (const { electionId } of activeElections) {
+    const { endTime, active } = await electionClient.getElection(electionId);
+    if (!active) {
+      await Election.updateOne({ electionId }, { active, endTime });
+      endedElections.push(electionId);
+    }
+  }
+
+  return endedElections;
+};
+
+// Build vote event documents, resolving voter addresses and block timestamps
+const buildVoteEvents = async (voteLogs) => {
+  const blockTimestamps = new Map();
+
+  const getBlockTimestamp = async (blockNumber) => {
+    if (!blockTimestamps.has(blockNumber)) {
+      const block = await retryContractCall(() => provider.getBlock(blockNumber));
+      blockTimestamps.set(blockNumber, block ? block.timestamp : null);
+    }
+    return blockTimestamps.get(blockNumber);
+  };
+
+  const events = [];
+  for (const log of voteLogs) {
+    const tx = await retryContractCall(() => log.getTransaction());
+    events.push({
+      electionId: Number(log.args.electionId),
+      candidateId: Number(log.args.candidateId),
+      voter: tx ? tx.from : undefined,
+      txHash: log.transactionHash,
+      logIndex: log.index,
+      blockNumber: log.blockNumber,
+      blockHash: log.blockHash,
+      blockTimestamp: await getBlockTimestamp(log.blockNumber)
+    });
+  }
+
+  return events;
+};
+
+// Publish the tally roots of elections that closed before the reorg window
+const publishFinalizedTallies = async (toBlock) => {
+  try {
+    const finalizedBlock = await retryContractCall(() => provider.getBlock(Math.max(0, toBlock - config.reorgDepth)));
+    if (finalizedBlock) {
+      await publishClosedTallies(finalizedBlock.timestamp, toBlock);
+    }
+  } catch (error) {
+    console.error('❌ Tally publication failed:', error.message);
+  }
+};
+
+// Compare the index with the factory's election count. An index started
+// after some elections were created never serves reads, since those
+// elections would be missing from it.
+const checkComplete = async () => {
+  const [indexed, created] = await Promise.all([
+    Election.countDocuments({}),
+    electionClient.getElectionCount()
+  ]);
+  complete = indexed >= created;
+  if (!complete && !warnedIncomplete) {
+    console.warn(`⚠️  Index holds ${indexed} of ${created} elections; reading from the chain. Re-index from the factory deploy block (INDEXER_START_BLOCK) to fix this`);
+    warnedIncomplete = true;
+  }
+};
+
+// Run a single indexing pass
+const runSync = async () => {
+  const latestBlock = await retryContractCall(() => provider.getBlockNumber());
+  const state = await loadState(latestBlock);
+
+  const reorgDetected = await detectReorg(state);
+  const range = computeSyncRange(state.lastProcessedBlock, latestBlock, reorgDetected, config);
+  if (!range) {
+    caughtUp = true;
+    if (!complete) await checkComplete();
+    return { fromBlock: null, toBlock: state.lastProcessedBlock, votes: 0, elections: 0 };
+  }
+
+  const { fromBlock, toBlock } = range;
+
+  const [createdLogs, voteLogs] = await Promise.all([
+    retryContractCall(() => factoryContract.queryFilter('ElectionCreated', fromBlock, toBlock)),
+    retryContractCall(() => factoryContract.queryFilter('VoteCast', fromBlock, toBlock))
+  ]);
+
+  // Drop anything previously indexed in the scanned window so that logs
+  // removed by a reorg disappear and surviving logs are re-inserted
+  const touchedElections = new Set(
+    await VoteEvent.find({ blockNumber: { $gte: fromBlock } }).distinct('electionId')
+  );
+  await VoteEvent.deleteMany({ blockNumber: { $gte: fromBlock } });
+  await Election.deleteMany({ createdBlock: { $gte: fromBlock } });
+
+  for (const log of createdLogs) {
+    const electionId = Number(log.args.electionId);
+    await indexElection(electionId, log);
+    await recordElectionCreated(electionId, log);
+    touchedElections.add(electionId);
+  }
+
+  const voteEvents = await buildVoteEvents(voteLogs);
+  if (voteEvents.length > 0) {
+    await VoteEvent.insertMany(voteEvents, { ordered: false });
+  }
+  voteEvents.forEach(event => touchedElections.add(event.electionId));
+
+  for (const electionId of touchedElections) {
+    await recomputeTally(electionId);
+  }
+  const endedElections = await refreshActiveElections();
+  endedElections.forEach(electionId => touchedElections.add(electionId));
+
+  const lastBlock = await retryContractCall(() => provider.getBlock(toBlock));
+  state.lastProcessedBlock = toBlock;
+  state.lastProcessedHash = lastBlock ? lastBlock.hash : null;
+  await state.save();
+
+  caughtUp = toBlock >= latestBlock;
+  if (caughtUp) {
+    await checkComplete();
+    await publishFinalizedTallies(toBlock);
+  }
+
+  if (touchedElections.size > 0) {
+    indexerEvents.emit('electionsUpdated', [...touchedElections]);
+  }
+
+  return {
+    fromBlock,
+    toBlock,
+    votes: voteEvents.length,
+    elections: createdLogs.length
+  };
+};
+
+// Run a single indexing pass. A failed pass means the index may be falling
+// behind the chain, so reads go back to the chain until a pass catches up.
+const syncOnce = async () => {
+  try {
+    return await runSync();
+  } catch (error) {
+    caughtUp = false;
+    throw error;
+  }
+};
+
+// Poll loop: keep syncing until caught up, then wait for new blocks. After a
+// failure, wait before retrying.
+const poll = async () => {
+  if (syncing) return;
+  syncing = true;
+  let failed = false;
+
+  try {
+    const result = await syncOnce();
+    if (result.fromBlock !== null && (result.votes > 0 || result.elections > 0)) {
+      console.log(`📇 Indexed blocks ${result.fromBlock}-${result.toBlock}: ${result.elections} elections, ${result.votes} votes`);
+    }
+  } catch (error) {
+    failed = true;
+    console.error('❌ Indexer sync failed:', error.message);
+  } finally {
+    syncing = false;
+  }
+
+  if (pollTimer) {
+    pollTimer = setTimeout(poll, caughtUp || failed ? config.pollIntervalMs : 0);
+  }
+};
+
+// Start the background indexer
+const startIndexer = () => {
+  if (pollTimer) return;
+
+  console.log(`📇 Starting blockchain indexer for factory ${FACTORY_CONTRACT_ADDRESS}`);
+  pollTimer = setTimeout(poll, 0);
+};
+
+// Stop the background indexer
+const stopIndexer = () => {
+  if (pollTimer) {
+    clearTimeout(pollTimer);
+    pollTimer = null;
+  }
+};
+
+// Whether the index has caught up with the chain head, holds every
+// election and can serve reads. False from a failed sync until the next
+// one catches up.
+const isIndexerReady = () => caughtUp && complete;
+
+module.exports = {
+  startIndexer,
+  stopIndexer,
+  syncOnce,
+  isIndexerReady,
+  indexerEvents,
+  computeSyncRange,
+  applyTally,
+  findDeployBlock
+};
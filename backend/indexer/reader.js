@@ -0,0 +1,92 @@
+const { electionClient } = require('../contract');
+const Election = require('../models/Election');
+const { isIndexerReady } = require('./indexer');
+const { applyBallotMode } = require('../commitReveal/sealedResults');
+
+// Derive a human-readable status from the on-chain flags and timing
+const getElectionStatus = (active, startTime, endTime) => {
+  const now = Math.floor(Date.now() / 1000);
+  if (!active || now > endTime) return 'ended';
+  if (now < startTime) return 'upcoming';
+  return 'active';
+};
+
+// Shape an election (from the index or the chain) for API consumers
+const formatElection = (electionId, fields, candidates, source) => ({
+  id: electionId,
+  title: fields.title,
+  description: fields.description,
+  startTime: fields.startTime,
+  endTime: fields.endTime,
+  active: fields.active,
+  status: getElectionStatus(fields.active, fields.startTime, fields.endTime),
+  candidatesCount: candidates.length,
+  totalVotes: fields.totalVotes,
+  candidates,
+  source
+});
+
+// Convert an indexed Election document
+const fromIndexedElection = (doc) => formatElection(
+  doc.electionId,
+  doc,
+  doc.candidates.map(candidate => ({
+    id: candidate.candidateId,
+    name: candidate.name,
+    votes: candidate.votes
+  })),
+  'index'
+);
+
+// Read a single election's candidates from the factory contract
+const withCandidatesFromChain = async (election) => {
+  const candidates = await electionClient.getCandidates(election.id, election.candidatesCount);
+  return formatElection(election.id, election, candidates, 'chain');
+};
+
+// Read all elections, preferring the index once it has caught up. Tallies of
+// commit-reveal elections are sealed until their reveal phase ends.
+const readElections = async () => {
+  if (isIndexerReady()) {
+    const docs = await Election.find({}).sort({ electionId: 1 }).lean();
+    return Promise.all(docs.map(doc => applyBallotMode(fromIndexedElection(doc))));
+  }
+
+  const elections = await electionClient.listElections();
+  return Promise.all(elections.map(async election => applyBallotMode(await withCandidatesFromChain(election))));
+};
+
+// Read one election, preferring the index; returns null if it does not exist
+const readElection = async (electionId) => {
+  if (isIndexerReady()) {
+    const doc = await Election.findOne({ electionId }).lean();
+    return doc ? applyBallotMode(fromIndexedElection(doc)) : null;
+  }
+
+  const election = await electionClient.getElection(electionId);
+  return election ? applyBallotMode(await withCandidatesFromChain(election)) : null;
+};
+
+// Pick the plurality winner (ties go to the lowest candidate ID, as on-chain)
+const pickWinner = (candidates, totalVotes) => {
+  if (totalVotes === 0 || candidates.length === 0) {
+    return null;
+  }
+
+  const leader = candidates.reduce((best, candidate) =>
+    candidate.votes > best.votes ? candidate : best
+  );
+
+  return {
+    name: leader.name,
+    votes: leader.votes,
+    percentage: Math.round((leader.votes / totalVotes) * 100)
+  };
+};
+
+module.exports = {
+  readElections,
+  readElection,
+  pickWinner,
+  getElectionStatus
+};
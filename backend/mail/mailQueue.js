@@ -0,0 +1,173 @@
+const MailJob = require('../models/MailJob');
+const { renderMail, resolveLocale } = require('./templates');
+const { getMailTransport } = require('./transports');
+
+// Emails are queued in MongoDB and sent by a background worker, so a slow or
+// unreachable mail server never holds up a request and a restart loses
+// nothing. A failed send is retried after retryBaseMs, doubling each time.
+const config = {
+  from: process.env.MAIL_FROM || 'Avalanche Voting <no-reply@localhost>',
+  maxAttempts: parseInt(process.env.MAIL_MAX_ATTEMPTS || '5'),
+  retryBaseMs: parseInt(process.env.MAIL_RETRY_BASE_MS || '30000'),
+  maxRetryDelayMs: 60 * 60 * 1000,
+  pollIntervalMs: parseInt(process.env.MAIL_POLL_INTERVAL_MS || '5000'),
+  batchSize: 20
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+let queueTimer = null;
+let processing = false;
+
+const isEmail = (value) => typeof value === 'string' && value.length <= 254 && EMAIL_PATTERN.test(value);
+
+// Delay before the next attempt after `attempts` failed ones
+const retryDelay = (attempts, { retryBaseMs, maxRetryDelayMs } = config) =>
+  Math.min(retryBaseMs * Math.pow(2, attempts - 1), maxRetryDelayMs);
+
+// Queue an email. With a dedupeKey an email is queued at most once; asking
+// again returns the existing job with `duplicate: true`.
+// Returns { job, duplicate } or { error, status }.
+const enqueueMail = async ({ template, to, locale, data = {}, dedupeKey }) => {
+  if (!isEmail(to)) {
+    return { error: 'A valid email address is required', status: 400 };
+  }
+
+  // Render once now so bad data is rejected here rather than by the worker
+  const { error } = renderMail(template, locale, data);
+  if (error) {
+    return { error, status: 400 };
+  }
+
+  if (dedupeKey) {
+    const existing = await MailJob.findOne({ dedupeKey }).lean();
+    if (existing) return { job: existing, duplicate: true };
+  }
+
+  try {
+    const job = await MailJob.create({
+      template,
+      locale: resolveLocale(locale),
+      to,
+      data,
+      dedupeKey,
+      maxAttempts: config.maxAttempts
+    });
+    wakeMailQueue();
+    return { job, duplicate: false };
+  } catch (createError) {
+    // Another request queued the same key first
+    if (createError.code === 11000 && dedupeKey) {
+      return { job: await MailJob.findOne({ dedupeKey }).lean(), duplicate: true };
+    }
+    throw createError;
+  }
+};
+
+// Claim the next due job; a claimed job is `sending` and has used an attempt
+const claimNextJob = (now) => MailJob.findOneAndUpdate(
+  { status: 'queued', nextAttemptAt: { $lte: now } },
+  { $set: { status: 'sending' }, $inc: { attempts: 1 } },
+  { sort: { nextAttemptAt: 1 }, new: true }
+).lean();
+
+// Send one claimed job and record the outcome: 'sent', 'retried' or 'failed'
+const deliverJob = async (job, now) => {
+  try {
+    const { mail, error } = renderMail(job.template, job.locale, job.data);
+    if (error) {
+      // Retrying cannot fix a template the data no longer matches
+      await MailJob.updateOne({ _id: job._id }, { $set: { status: 'failed', lastError: error } });
+      return 'failed';
+    }
+
+    const { name, transport } = getMailTransport();
+    const result = await transport.send({ from: config.from, to: job.to, subject: mail.subject, text: mail.text, html: mail.html });
+
+    await MailJob.updateOne({ _id: job._id }, {
+      $set: { status: 'sent', sentAt: new Date(), transport: name, messageId: (result && result.messageId) || undefined, lastError: null }
+    });
+    return 'sent';
+  } catch (error) {
+    const exhausted = job.attempts >= job.maxAttempts;
+    await MailJob.updateOne({ _id: job._id }, {
+      $set: exhausted
+        ? { status: 'failed', lastError: error.message }
+        : { status: 'queued', lastError: error.message, nextAttemptAt: new Date(now.getTime() + retryDelay(job.attempts)) }
+    });
+    console.error(`❌ Email ${job._id} (${job.template}) attempt ${job.attempts}/${job.maxAttempts} failed: ${error.message}`);
+    return exhausted ? 'failed' : 'retried';
+  }
+};
+
+// Send up to `limit` due emails, one at a time.
+// Returns the number of emails { sent, retried, failed }.
+const processMailQueue = async ({ limit = config.batchSize, now = new Date() } = {}) => {
+  const counts = { sent: 0, retried: 0, failed: 0 };
+
+  for (let i = 0; i < limit; i++) {
+    const job = await claimNextJob(now);
+    if (!job) break;
+    counts[await deliverJob(job, now)] += 1;
+  }
+
+  return counts;
+};
+
+const tick = async () => {
+  if (processing) return;
+  processing = true;
+
+  try {
+    const { sent, failed } = await processMailQueue();
+    if (sent > 0 || failed > 0) {
+      console.log(`📧 Mail queue: ${sent} sent, ${failed} failed`);
+    }
+  } catch (error) {
+    console.error('❌ Mail queue run failed:', error.message);
+  } finally {
+    processing = false;
+  }
+
+  if (queueTimer) {
+    queueTimer = setTimeout(tick, config.pollIntervalMs);
+  }
+};
+
+// Run the worker now instead of at the next poll
+const wakeMailQueue = () => {
+  if (!queueTimer || processing) return;
+  clearTimeout(queueTimer);
+  queueTimer = setTimeout(tick, 0);
+};
+
+// Start the background sender. Jobs left `sending` by a stopped server are
+// queued again; the transport may or may not have accepted them.
+const startMailQueue = async () => {
+  if (queueTimer) return;
+
+  const { modifiedCount } = await MailJob.updateMany({ status: 'sending' }, { $set: { status: 'queued' } });
+  if (modifiedCount > 0) {
+    console.warn(`⚠️  Requeued ${modifiedCount} emails interrupted by a restart`);
+  }
+
+  console.log(`📧 Starting mail queue via ${process.env.MAIL_TRANSPORT || 'console'}`);
+  queueTimer = setTimeout(tick, 0);
+};
+
+// Stop the background sender
+const stopMailQueue = () => {
+  if (queueTimer) {
+    clearTimeout(queueTimer);
+    queueTimer = null;
+  }
+};
+
+module.exports = {
+  isEmail,
+  enqueueMail,
+  processMailQueue,
+  retryDelay,
+  startMailQueue,
+  stopMailQueue
+};
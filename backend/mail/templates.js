@@ -0,0 +1,229 @@
+const fs = require('fs');
+const path = require('path');
+
+// Localized email templates. Strings live in mail/locales/<language>.json,
+// one file per language the frontend offers; missing languages and keys fall
+// back to English.
+const DEFAULT_LOCALE = 'en';
+const LOCALES_DIR = path.join(__dirname, 'locales');
+
+const strings = Object.fromEntries(
+  fs.readdirSync(LOCALES_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => [path.basename(file, '.json'), JSON.parse(fs.readFileSync(path.join(LOCALES_DIR, file), 'utf8'))])
+);
+
+const SUPPORTED_LOCALES = Object.keys(strings);
+
+const config = {
+  appUrl: (process.env.APP_URL || 'http://localhost:8080').replace(/\/$/, ''),
+  timeZone: process.env.MAIL_TIME_ZONE || 'UTC'
+};
+
+// 'hi-IN' and 'hi' both pick Hindi
+const resolveLocale = (locale) => {
+  const language = typeof locale === 'string' ? locale.toLowerCase().split('-')[0] : '';
+  return strings[language] ? language : DEFAULT_LOCALE;
+};
+
+const lookup = (locale, key) => key.split('.').reduce((node, part) => (node ? node[part] : undefined), strings[locale]);
+
+// Translate a key and fill {{placeholders}}
+const translate = (locale, key, values = {}) => {
+  const template = lookup(locale, key) ?? lookup(DEFAULT_LOCALE, key) ?? key;
+  return template.replace(/\{\{(\w+)\}\}/g, (match, name) => (values[name] !== undefined ? String(values[name]) : match));
+};
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const formatDate = (locale, value) => new Intl.DateTimeFormat(`${locale}-IN`, {
+  year: 'numeric',
+  month: 'long',
+  day: 'numeric',
+  hour: 'numeric',
+  minute: '2-digit',
+  timeZone: config.timeZone,
+  timeZoneName: 'short'
+}).format(new Date(value));
+
+// Absolute link to a frontend page
+const appLink = (pagePath) => `${config.appUrl}${pagePath}`;
+
+const isDate = (value) => value !== undefined && value !== null && !isNaN(new Date(value).getTime());
+
+// Shared layout. `blocks` are paragraphs of plain text, or { table } /
+// { link } entries, rendered both as HTML and as the text alternative.
+// Notification emails carry a `manageUrl` for opting out; a template may
+// replace the default `footer`.
+const layout = (locale, { name, blocks, manageUrl, footer = translate(locale, 'footer') }) => {
+  const greeting = translate(locale, 'greeting', { name });
+  const manage = manageUrl ? translate(locale, 'manage') : null;
+
+  const textBlocks = blocks.map(block => {
+    if (typeof block === 'string') {
+      return block;
+    }
+    if (block.table) {
+      return block.table.rows.map(row => row.join(' - ')).join('\n');
+    }
+    return `${block.link.label}: ${block.link.url}`;
+  });
+
+  const htmlBlocks = blocks.map(block => {
+    if (typeof block === 'string') {
+      return `<p>${escapeHtml(block)}</p>`;
+    }
+    if (block.table) {
+      const header = block.table.header.map(cell => `<th align="left" style="padding:4px 12px 4px 0">${escapeHtml(cell)}</th>`).join('');
+      const rows = block.table.rows
+        .map(row => `<tr>${row.map(cell => `<td style="padding:4px 12px 4px 0">${escapeHtml(cell)}</td>`).join('')}</tr>`)
+        .join('');
+      return `<table cellspacing="0" cellpadding="0"><thead><tr>${header}</tr></thead><tbody>${rows}</tbody></table>`;
+    }
+    return `<p><a href="${escapeHtml(block.link.url)}" style="display:inline-block;padding:10px 16px;background:#e84142;color:#ffffff;border-radius:6px;text-decoration:none">${escapeHtml(block.link.label)}</a></p>`;
+  });
+
+  return {
+    text: [greeting, ...textBlocks, '--', footer, ...(manage ? [`${manage}: ${manageUrl}`] : [])].join('\n\n'),
+    html: [
+      `<!DOCTYPE html><html lang="${locale}"><body style="font-family:Arial,sans-serif;color:#1a1a1a;line-height:1.5">`,
+      `<p>${escapeHtml(greeting)}</p>`,
+      ...htmlBlocks,
+      `<hr style="border:none;border-top:1px solid #dddddd"><p style="font-size:12px;color:#666666">${escapeHtml(footer)}</p>`,
+      ...(manage ? [`<p style="font-size:12px"><a href="${escapeHtml(manageUrl)}" style="color:#666666">${escapeHtml(manage)}</a></p>`] : []),
+      '</body></html>'
+    ].join('\n')
+  };
+};
+
+// Each template lists its required data fields and builds { subject, name, blocks }
+const templates = {
+  // Never includes the candidate, so the email cannot prove how someone voted
+  voteConfirmation: {
+    required: ['name', 'electionTitle', 'transactionHash', 'votedAt'],
+    build: (locale, data) => ({
+      subject: translate(locale, 'voteConfirmation.subject', { election: data.electionTitle }),
+      blocks: [
+        translate(locale, 'voteConfirmation.intro', { election: data.electionTitle, votedAt: formatDate(locale, data.votedAt) }),
+        translate(locale, 'voteConfirmation.secrecy'),
+        `${translate(locale, 'voteConfirmation.transaction')}: ${data.transactionHash}`,
+        { link: { label: translate(locale, 'voteConfirmation.action'), url: appLink('/verify') } }
+      ]
+    })
+  },
+  electionOpened: {
+    required: ['name', 'electionTitle', 'endTime'],
+    build: (locale, data) => ({
+      subject: translate(locale, 'electionOpened.subject', { election: data.electionTitle }),
+      blocks: [
+        translate(locale, 'electionOpened.intro', { election: data.electionTitle, endTime: formatDate(locale, data.endTime) }),
+        { link: { label: translate(locale, 'electionOpened.action'), url: appLink('/vote') } }
+      ]
+    })
+  },
+  electionReminder: {
+    required: ['name', 'electionTitle', 'endTime'],
+    build: (locale, data) => ({
+      subject: translate(locale, 'electionReminder.subject', { election: data.electionTitle }),
+      blocks: [
+        translate(locale, 'electionReminder.intro', { election: data.electionTitle, endTime: formatDate(locale, data.endTime) }),
+        translate(locale, 'electionReminder.body'),
+        { link: { label: translate(locale, 'electionReminder.action'), url: appLink('/vote') } }
+      ]
+    })
+  },
+  // Sent by the 'email' OTP adapter (otp/delivery.js)
+  loginCode: {
+    required: ['name', 'code', 'expiresAt'],
+    build: (locale, data) => ({
+      subject: translate(locale, 'loginCode.subject'),
+      blocks: [
+        translate(locale, 'loginCode.intro', { code: data.code }),
+        translate(locale, 'loginCode.expiry', { expiresAt: formatDate(locale, data.expiresAt) }),
+        translate(locale, 'loginCode.ignore')
+      ],
+      footer: translate(locale, 'loginCode.footer')
+    })
+  },
+  // Double opt-in for notification subscriptions (notifications/subscriptions.js)
+  subscriptionConfirm: {
+    required: ['name', 'electionTitle', 'confirmUrl'],
+    build: (locale, data) => ({
+      subject: translate(locale, 'subscriptionConfirm.subject', { election: data.electionTitle }),
+      blocks: [
+        translate(locale, 'subscriptionConfirm.intro', { election: data.electionTitle }),
+        { link: { label: translate(locale, 'subscriptionConfirm.action'), url: data.confirmUrl } },
+        translate(locale, 'subscriptionConfirm.ignore')
+      ],
+      footer: translate(locale, 'subscriptionConfirm.footer')
+    })
+  },
+  resultsPublished: {
+    required: ['name', 'electionTitle', 'totalVotes', 'votes'],
+    build: (locale, data) => ({
+      subject: translate(locale, 'resultsPublished.subject', { election: data.electionTitle }),
+      blocks: [
+        translate(locale, 'resultsPublished.intro', { election: data.electionTitle }),
+        data.winner
+          ? translate(locale, 'resultsPublished.winner', { winner: data.winner })
+          : translate(locale, 'resultsPublished.noWinner'),
+        translate(locale, 'resultsPublished.totalVotes', { totalVotes: data.totalVotes }),
+        {
+          table: {
+            header: [translate(locale, 'resultsPublished.candidate'), translate(locale, 'resultsPublished.votes')],
+            rows: data.votes.map(({ candidate, votes, percentage }) => [candidate, `${votes} (${percentage}%)`])
+          }
+        },
+        { link: { label: translate(locale, 'resultsPublished.action'), url: appLink('/vote') } }
+      ]
+    })
+  }
+};
+
+const MAIL_TEMPLATES = Object.keys(templates);
+
+// Render a template for a locale. Returns { mail: { subject, text, html, locale } }
+// or { error } when the template is unknown or data is missing.
+const renderMail = (template, locale, data = {}) => {
+  const definition = templates[template];
+  if (!definition) {
+    return { error: `Unknown mail template: ${template}` };
+  }
+
+  const missing = definition.required.find(field => data[field] === undefined || data[field] === null || data[field] === '');
+  if (missing) {
+    return { error: `${template} email needs ${missing}` };
+  }
+  if (['votedAt', 'endTime', 'expiresAt'].some(field => definition.required.includes(field) && !isDate(data[field]))) {
+    return { error: `${template} email has an invalid date` };
+  }
+  if (template === 'resultsPublished' && !Array.isArray(data.votes)) {
+    return { error: 'resultsPublished email needs votes as a list' };
+  }
+
+  const resolved = resolveLocale(locale);
+  const { subject, blocks, footer } = definition.build(resolved, data);
+  return { mail: { subject, ...layout(resolved, { name: data.name, blocks, manageUrl: data.manageUrl, footer }), locale: resolved } };
+};
+
+// resultsPublished data from tally/electionResults.js results
+const resultsMailData = (results) => ({
+  electionTitle: results.title,
+  winner: results.winner ? results.winner.name : null,
+  totalVotes: results.totalVotes,
+  votes: results.votes.map(({ candidate, votes, percentage }) => ({ candidate, votes, percentage }))
+});
+
+module.exports = {
+  MAIL_TEMPLATES,
+  SUPPORTED_LOCALES,
+  resolveLocale,
+  appLink,
+  renderMail,
+  resultsMailData
+};
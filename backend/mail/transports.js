@@ -0,0 +1,71 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// Emails leave through a transport chosen by MAIL_TRANSPORT. A transport is
+// `{ send({ from, to, subject, text, html }) }` and may return a `messageId`.
+// `smtp` delivers for real; `console` and `file` keep everything on this
+// machine for development and tests.
+const transports = new Map();
+
+const registerMailTransport = (name, transport) => {
+  if (!transport || typeof transport.send !== 'function') {
+    throw new Error(`Mail transport "${name}" must implement send()`);
+  }
+  transports.set(name, transport);
+};
+
+const getMailTransport = () => {
+  const name = process.env.MAIL_TRANSPORT || 'console';
+  const transport = transports.get(name);
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+  return { name, transport };
+};
+
+// Prints the text part to the server log
+registerMailTransport('console', {
+  send: async ({ to, subject, text }) => {
+    console.log(`📧 Email to ${to}: ${subject}\n${text}`);
+    return { messageId: null };
+  }
+});
+
+// Appends one JSON line per email, HTML included, to MAIL_FILE_PATH
+registerMailTransport('file', {
+  send: async (message) => {
+    const filePath = process.env.MAIL_FILE_PATH || path.join(os.tmpdir(), 'avalanche-voting-mail.log');
+    await fs.promises.appendFile(filePath, `${JSON.stringify({ ...message, sentAt: new Date().toISOString() })}\n`);
+    return { messageId: null };
+  }
+});
+
+// SMTP_HOST, SMTP_PORT (587), SMTP_SECURE=true for implicit TLS (port 465),
+// SMTP_USER / SMTP_PASS when the server needs a login
+let smtpTransport = null;
+
+registerMailTransport('smtp', {
+  send: async (message) => {
+    if (!smtpTransport) {
+      if (!process.env.SMTP_HOST) {
+        throw new Error('MAIL_TRANSPORT=smtp needs SMTP_HOST');
+      }
+      smtpTransport = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT || '587'),
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+      });
+    }
+
+    const info = await smtpTransport.sendMail(message);
+    return { messageId: info.messageId };
+  }
+});
+
+module.exports = {
+  registerMailTransport,
+  getMailTransport
+};
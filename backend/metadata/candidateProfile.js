@@ -0,0 +1,129 @@
+const crypto = require('crypto');
+
+// Locales of the frontend (src/i18n/locales)
+const SUPPORTED_LOCALES = ['en', 'hi', 'te', 'ta', 'kn', 'mr', 'bn'];
+
+const MAX_NAME_LENGTH = 200;
+const MAX_PARTY_LENGTH = 200;
+const MAX_MANIFESTO_LENGTH = 20000;
+const MAX_IMAGE_URL_LENGTH = 2 * 1024 * 1024; // data: URLs included
+
+// Images are linked over http(s) or embedded as base64 data URLs
+const IMAGE_URL_PATTERN = /^(https?:\/\/\S+|data:image\/(png|jpe?g|gif|webp|svg\+xml);base64,[A-Za-z0-9+/=]+)$/;
+
+// Validate a { locale: text } map; returns an error message or null
+const validateLocalizedText = (field, value, maxLength) => {
+  if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+    return `${field} must be an object keyed by locale`;
+  }
+  for (const [locale, text] of Object.entries(value)) {
+    if (!SUPPORTED_LOCALES.includes(locale)) {
+      return `Unsupported locale in ${field}: ${locale}`;
+    }
+    if (typeof text !== 'string' || text.length > maxLength) {
+      return `${field}.${locale} must be a string of at most ${maxLength} characters`;
+    }
+  }
+  return null;
+};
+
+const validateImageUrl = (field, value) => {
+  if (typeof value !== 'string' || value.length > MAX_IMAGE_URL_LENGTH || !IMAGE_URL_PATTERN.test(value)) {
+    return `${field} must be an http(s) URL or a base64 image data URL`;
+  }
+  return null;
+};
+
+// Drop empty entries from a localized text map and trim the rest
+const cleanLocalizedText = (value = {}) => Object.fromEntries(
+  Object.entries(value)
+    .map(([locale, text]) => [locale, text.trim()])
+    .filter(([, text]) => text)
+);
+
+// Validate a profile from an admin request and return its stored content.
+// Returns { profile } or { error }.
+const normalizeProfile = (input) => {
+  if (typeof input !== 'object' || input === null) {
+    return { error: 'Profile must be an object' };
+  }
+
+  const { names = {}, party, partySymbolUrl, photoUrl, manifesto = {} } = input;
+
+  const error =
+    validateLocalizedText('names', names, MAX_NAME_LENGTH) ||
+    validateLocalizedText('manifesto', manifesto, MAX_MANIFESTO_LENGTH) ||
+    (party !== undefined && (typeof party !== 'string' || party.length > MAX_PARTY_LENGTH)
+      ? `party must be a string of at most ${MAX_PARTY_LENGTH} characters`
+      : null) ||
+    (partySymbolUrl !== undefined ? validateImageUrl('partySymbolUrl', partySymbolUrl) : null) ||
+    (photoUrl !== undefined ? validateImageUrl('photoUrl', photoUrl) : null);
+
+  if (error) {
+    return { error };
+  }
+
+  return {
+    profile: {
+      names: cleanLocalizedText(names),
+      party: party ? party.trim() : null,
+      partySymbolUrl: partySymbolUrl || null,
+      photoUrl: photoUrl || null,
+      manifesto: cleanLocalizedText(manifesto)
+    }
+  };
+};
+
+// JSON with object keys sorted, so equal content always hashes the same
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value instanceof Map) {
+    return canonicalJson(Object.fromEntries(value));
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+// SHA-256 over the content of a profile bound to its election and candidate
+const hashProfile = (electionId, candidateId, profile) => crypto
+  .createHash('sha256')
+  .update(canonicalJson({
+    electionId,
+    candidateId,
+    names: profile.names || {},
+    party: profile.party || null,
+    partySymbolUrl: profile.partySymbolUrl || null,
+    photoUrl: profile.photoUrl || null,
+    manifesto: profile.manifesto || {}
+  }))
+  .digest('hex');
+
+// Shape a stored profile for API consumers, re-checking its content hash
+const formatProfile = (doc) => {
+  const profile = {
+    names: doc.names instanceof Map ? Object.fromEntries(doc.names) : (doc.names || {}),
+    party: doc.party || null,
+    partySymbolUrl: doc.partySymbolUrl || null,
+    photoUrl: doc.photoUrl || null,
+    manifesto: doc.manifesto instanceof Map ? Object.fromEntries(doc.manifesto) : (doc.manifesto || {})
+  };
+
+  return {
+    candidateId: doc.candidateId,
+    ...profile,
+    contentHash: doc.contentHash,
+    verified: hashProfile(doc.electionId, doc.candidateId, profile) === doc.contentHash,
+    updatedAt: doc.updatedAt
+  };
+};
+
+module.exports = {
+  SUPPORTED_LOCALES,
+  normalizeProfile,
+  hashProfile,
+  formatProfile
+};
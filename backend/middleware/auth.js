@@ -1,7 +1,6 @@
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
-
-const JWT_SECRET = process.env.JWT_SECRET || 'avalanche-voting-secret-key-change-in-production';
+const { verifyAccessToken } = require('../identity/sessions');
+const { hasPermission, parseElectionId } = require('../identity/permissions');
 
 // Middleware to verify Govt ID authentication
 const verifyGovtIDAuth = async (req, res, next) => {
@@ -13,7 +12,11 @@ const verifyGovtIDAuth = async (req, res, next) => {
     }
     
     const token = authHeader.substring(7);
-    const decoded = jwt.verify(token, JWT_SECRET);
+    // Checks signature, expiry and the session revocation list
+    const decoded = await verifyAccessToken(token);
+    if (decoded.authType !== 'govtID') {
+      return res.status(401).json({ error: 'Invalid or expired token' });
+    }
     
     // Find user in database
     const user = await User.findById(decoded.userId);
@@ -22,6 +25,7 @@ const verifyGovtIDAuth = async (req, res, next) => {
     }
     
     req.user = user;
+    req.sessionId = decoded.sid;
     next();
   } catch (error) {
     console.error('Govt ID Auth verification failed:', error.message);
@@ -29,11 +33,12 @@ const verifyGovtIDAuth = async (req, res, next) => {
   }
 };
 
-// Middleware to verify admin role (for Govt ID users)
+// Middleware to verify admin role (for Govt ID users). Routes should prefer
+// requirePermission, which also honours per-election roles.
 const verifyGovtIDAdmin = async (req, res, next) => {
   try {
     await verifyGovtIDAuth(req, res, () => {
-      if (req.user.role !== 'admin') {
+      if (req.user.role !== 'admin' && req.user.role !== 'super_admin') {
         return res.status(403).json({ error: 'Access denied: Admin role required' });
       }
       next();
@@ -57,8 +62,27 @@ const verifyGovtIDVoter = async (req, res, next) => {
   }
 };
 
+// Middleware factory checking a permission (identity/permissions.js) for a
+// Govt ID user. `electionFrom` picks the election the request is about, so
+// roles held for that election count as well as account-wide ones.
+const requirePermission = (permission, electionFrom) => (req, res, next) => (
+  verifyGovtIDAuth(req, res, async () => {
+    try {
+      const electionId = electionFrom ? parseElectionId(electionFrom(req)) : null;
+      if (!(await hasPermission(req.user, permission, electionId))) {
+        return res.status(403).json({ error: `Access denied: ${permission} permission required` });
+      }
+      next();
+    } catch (error) {
+      console.error('Permission check failed:', error.message);
+      return res.status(500).json({ error: 'Permission check failed' });
+    }
+  })
+);
+
 module.exports = {
   verifyGovtIDAuth,
   verifyGovtIDAdmin,
-  verifyGovtIDVoter
+  verifyGovtIDVoter,
+  requirePermission
 };
\ No newline at end of file
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// A copy of the audit log's head hash kept outside MongoDB: in a transaction
+// on chain or an export file. Rewriting the whole chain changes hashes that
+// were already anchored, which verification then reports.
+const auditAnchorSchema = new mongoose.Schema({
+  seq: {
+    type: Number,
+    required: true
+  },
+  hash: {
+    type: String,
+    required: true
+  },
+  method: {
+    type: String,
+    required: true,
+    enum: ['chain', 'file']
+  },
+  // Transaction carrying the hash, for the chain method
+  txHash: {
+    type: String
+  },
+  // Export file it was appended to, for the file method
+  file: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+auditAnchorSchema.index({ seq: -1 });
+
+const AuditAnchor = mongoose.model('AuditAnchor', auditAnchorSchema);
+
+module.exports = AuditAnchor;
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+// One administrative action. Entries are append-only and hash-chained: each
+// stores the hash of the one before it, and its own hash covers every field
+// (audit/auditLog.js), so editing or removing an entry breaks the chain.
+const auditLogEntrySchema = new mongoose.Schema({
+  seq: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  timestamp: {
+    type: Date,
+    required: true
+  },
+  // Who acted: a wallet admin, a Government ID user or nobody signed in
+  actor: {
+    type: { type: String, enum: ['wallet', 'govtID', 'anonymous'] },
+    id: String,
+    name: String,
+    role: String
+  },
+  authType: {
+    type: String,
+    required: true,
+    enum: ['wallet', 'govtID', 'none']
+  },
+  action: {
+    type: String,
+    required: true
+  },
+  target: {
+    type: { type: String },
+    id: String
+  },
+  request: {
+    method: String,
+    path: String,
+    ip: String,
+    userAgent: String
+  },
+  result: {
+    status: Number,
+    outcome: { type: String, enum: ['success', 'denied', 'failure'] }
+  },
+  // Action-specific fields set by the route (never raw request bodies)
+  details: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  prevHash: {
+    type: String,
+    required: true
+  },
+  hash: {
+    type: String,
+    required: true
+  }
+}, {
+  // Empty objects are hashed as written, so they must be stored as written
+  minimize: false
+});
+
+auditLogEntrySchema.index({ action: 1, seq: -1 });
+auditLogEntrySchema.index({ 'actor.id': 1, seq: -1 });
+
+// Append-only: refuse updates and deletes through the model
+const refuseChange = function () {
+  throw new Error('Audit log entries cannot be modified or deleted');
+};
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'].forEach(operation => {
+  auditLogEntrySchema.pre(operation, refuseChange);
+});
+
+const AuditLogEntry = mongoose.model('AuditLogEntry', auditLogEntrySchema);
+
+module.exports = AuditLogEntry;
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// A login session for a wallet admin or a government ID user. Access tokens
+// carry the session id (`sid`) and are only accepted while the session is not
+// revoked; the refresh token rotates on every use and only its hash is kept.
+const authSessionSchema = new mongoose.Schema({
+  sessionId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  subjectType: {
+    type: String,
+    required: true,
+    enum: ['wallet', 'govtID']
+  },
+  // Lowercased wallet address or User id
+  subject: {
+    type: String,
+    required: true
+  },
+  role: {
+    type: String,
+    required: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  // The refresh token replaced by the last rotation; presenting it again
+  // means it was copied, so the session is revoked
+  previousRefreshTokenHash: {
+    type: String
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  lastUsedAt: {
+    type: Date
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedReason: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  },
+  ip: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+authSessionSchema.index({ subjectType: 1, subject: 1 });
+authSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const AuthSession = mongoose.model('AuthSession', authSessionSchema);
+
+module.exports = AuthSession;
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// Off-chain ballot for voting methods the factory contract cannot record
+// (approval, score, Borda, instant-runoff). The shape of `choices` depends
+// on the election's voting method. Every ballot is cast and signed by a voter
+// alongside their on-chain vote (`voter`, `txHash`); a voter's later vote
+// replaces their ballot.
+const ballotSchema = new mongoose.Schema({
+  electionId: {
+    type: Number,
+    required: true
+  },
+  choices: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  voter: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  txHash: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  // Block of the vote transaction, so an older vote cannot replace the
+  // ballot of a newer one
+  blockNumber: {
+    type: Number,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for faster queries
+ballotSchema.index({ electionId: 1 });
+// One ballot per voter and election
+ballotSchema.index({ electionId: 1, voter: 1 }, { unique: true });
+
+const Ballot = mongoose.model('Ballot', ballotSchema);
+
+module.exports = Ballot;
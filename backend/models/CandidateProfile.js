@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// Off-chain profile of a factory election candidate. On-chain a candidate is
+// only a name; the profile adds localized names, party, images and manifesto.
+// `contentHash` is the SHA-256 of the canonical profile content, so edits made
+// outside the admin API can be detected.
+const candidateProfileSchema = new mongoose.Schema({
+  electionId: {
+    type: Number,
+    required: true
+  },
+  candidateId: {
+    type: Number,
+    required: true
+  },
+  names: {
+    type: Map,
+    of: String,
+    default: {}
+  },
+  party: {
+    type: String,
+    trim: true
+  },
+  partySymbolUrl: {
+    type: String
+  },
+  photoUrl: {
+    type: String
+  },
+  manifesto: {
+    type: Map,
+    of: String,
+    default: {}
+  },
+  contentHash: {
+    type: String,
+    required: true
+  },
+  updatedBy: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+candidateProfileSchema.index({ electionId: 1, candidateId: 1 }, { unique: true });
+
+const CandidateProfile = mongoose.model('CandidateProfile', candidateProfileSchema);
+
+module.exports = CandidateProfile;
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+const candidateSchema = new mongoose.Schema({
+  candidateId: {
+    type: Number,
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  votes: {
+    type: Number,
+    default: 0
+  }
+}, {
+  _id: false
+});
+
+const electionSchema = new mongoose.Schema({
+  electionId: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  startTime: {
+    type: Number,
+    required: true
+  },
+  endTime: {
+    type: Number,
+    required: true
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  candidates: [candidateSchema],
+  totalVotes: {
+    type: Number,
+    default: 0
+  },
+  createdBlock: {
+    type: Number,
+    required: true
+  },
+  createdTxHash: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for faster queries
+electionSchema.index({ createdBlock: 1 });
+electionSchema.index({ active: 1 });
+
+const Election = mongoose.model('Election', electionSchema);
+
+module.exports = Election;
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// Off-chain settings for a factory election (the contract has no such fields)
+const electionSettingsSchema = new mongoose.Schema({
+  electionId: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  votingMethod: {
+    type: String,
+    required: true,
+    default: 'plurality'
+  },
+  methodOptions: {
+    maxScore: {
+      type: Number,
+      min: 1,
+      max: 100
+    }
+  },
+  // Anomaly risk-scoring policy (anomaly/generated/riskPolicy.js); the
+  // default policy when unset
+  riskPolicy: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  updatedBy: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+const ElectionSettings = mongoose.model('ElectionSettings', electionSettingsSchema);
+
+module.exports = ElectionSettings;
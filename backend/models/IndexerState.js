@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+const indexerStateSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  contractAddress: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  lastProcessedBlock: {
+    type: Number,
+    required: true
+  },
+  lastProcessedHash: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+const IndexerState = mongoose.model('IndexerState', indexerStateSchema);
+
+module.exports = IndexerState;
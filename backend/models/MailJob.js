@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// One queued email. The template and its data are stored rather than the
+// rendered message, so it is rendered when it is sent. Failed sends are
+// retried with a growing delay until maxAttempts; sent jobs are removed after
+// 30 days.
+const mailJobSchema = new mongoose.Schema({
+  template: {
+    type: String,
+    required: true
+  },
+  locale: {
+    type: String,
+    default: 'en'
+  },
+  to: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // At most one job per key, e.g. one confirmation per vote transaction
+  dedupeKey: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'sending', 'sent', 'failed'],
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastError: {
+    type: String
+  },
+  transport: {
+    type: String
+  },
+  messageId: {
+    type: String
+  },
+  sentAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+mailJobSchema.index({ status: 1, nextAttemptAt: 1 });
+mailJobSchema.index({ sentAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+const MailJob = mongoose.model('MailJob', mailJobSchema);
+
+module.exports = MailJob;
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// An in-app notification, shown to the voter on the voting page and on the
+// notifications page of their subscription
+const notificationSchema = new mongoose.Schema({
+  subscriptionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'NotificationSubscription',
+    required: true
+  },
+  electionId: {
+    type: Number,
+    required: true
+  },
+  event: {
+    type: String,
+    required: true,
+    enum: ['opened', 'closingSoon', 'resultsFinal']
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  readAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ subscriptionId: 1, createdAt: -1 });
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+module.exports = Notification;
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// One lifecycle notification through one channel, keyed by election, event,
+// channel and subscription. The record is written before anything is sent,
+// so a restarted scheduler skips it instead of sending twice; only failed
+// deliveries are tried again.
+const notificationDeliverySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  electionId: {
+    type: Number,
+    required: true
+  },
+  event: {
+    type: String,
+    required: true,
+    enum: ['opened', 'closingSoon', 'resultsFinal']
+  },
+  channel: {
+    type: String,
+    required: true
+  },
+  subscriptionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'NotificationSubscription'
+  },
+  status: {
+    type: String,
+    enum: ['sending', 'sent', 'failed'],
+    default: 'sending'
+  },
+  attempts: {
+    type: Number,
+    default: 1
+  },
+  lastError: {
+    type: String
+  },
+  deliveredAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+notificationDeliverySchema.index({ electionId: 1, event: 1 });
+
+const NotificationDelivery = mongoose.model('NotificationDelivery', notificationDeliverySchema);
+
+module.exports = NotificationDelivery;
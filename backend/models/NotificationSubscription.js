@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+// A voter's request to hear about an election's lifecycle: voting opens,
+// voting closes soon, results are final. The token is the voter's handle for
+// changing preferences or opting out, so it is never listed anywhere.
+// Nothing is delivered until the subscription is confirmed, by the wallet
+// signing its request or by following the link mailed to the address.
+const notificationSubscriptionSchema = new mongoose.Schema({
+  electionId: {
+    type: Number,
+    required: true
+  },
+  token: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  email: {
+    type: String,
+    lowercase: true
+  },
+  // Wallet the voter connected, for in-app notifications
+  address: {
+    type: String,
+    lowercase: true
+  },
+  name: {
+    type: String,
+    default: ''
+  },
+  locale: {
+    type: String,
+    default: 'en'
+  },
+  channels: {
+    type: [String],
+    enum: ['email', 'inApp'],
+    default: []
+  },
+  // Lifecycle events the voter does not want
+  optOut: {
+    type: [String],
+    enum: ['opened', 'closingSoon', 'resultsFinal'],
+    default: []
+  },
+  // Set once the wallet signed the request or the email link was followed
+  confirmedAt: {
+    type: Date
+  },
+  // Email notifications go out only after the address confirmed them
+  emailConfirmedAt: {
+    type: Date
+  },
+  // Hash of the code in the latest confirmation email
+  confirmCodeHash: {
+    type: String
+  },
+  confirmSentAt: {
+    type: Date
+  },
+  unsubscribedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+notificationSubscriptionSchema.index({ electionId: 1, email: 1 }, { unique: true, partialFilterExpression: { email: { $type: 'string' } } });
+notificationSubscriptionSchema.index({ electionId: 1, address: 1 }, { unique: true, partialFilterExpression: { address: { $type: 'string' } } });
+
+const NotificationSubscription = mongoose.model('NotificationSubscription', notificationSubscriptionSchema);
+
+module.exports = NotificationSubscription;
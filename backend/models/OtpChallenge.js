@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// One login verification code sent to a government ID user. Only a hash of
+// the code is kept. Challenges are removed an hour after creation, which
+// also bounds the window used for the per-ID send limit.
+const otpChallengeSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  govtIDHash: {
+    type: String,
+    required: true
+  },
+  codeHash: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  consumedAt: {
+    type: Date
+  },
+  deliveredVia: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+otpChallengeSchema.index({ govtIDHash: 1, createdAt: -1 });
+otpChallengeSchema.index({ createdAt: 1 }, { expireAfterSeconds: 3600 });
+
+const OtpChallenge = mongoose.model('OtpChallenge', otpChallengeSchema);
+
+module.exports = OtpChallenge;
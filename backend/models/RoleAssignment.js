@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// An election role granted to a Government ID user; permissions per role
+// live in identity/permissions.js. Without an electionId the role applies
+// to every election.
+const roleAssignmentSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    required: true,
+    enum: ['election_officer', 'observer', 'candidate']
+  },
+  electionId: {
+    type: Number,
+    default: null
+  },
+  // User id of the super admin who granted it
+  grantedBy: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+roleAssignmentSchema.index({ userId: 1, role: 1, electionId: 1 }, { unique: true });
+roleAssignmentSchema.index({ electionId: 1 });
+
+const RoleAssignment = mongoose.model('RoleAssignment', roleAssignmentSchema);
+
+module.exports = RoleAssignment;
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+const candidateTotalSchema = new mongoose.Schema({
+  candidateId: {
+    type: Number,
+    required: true
+  },
+  votes: {
+    type: Number,
+    required: true
+  }
+}, {
+  _id: false
+});
+
+// Merkle root over a closed factory election's VoteCast events, published
+// once so voters can check their vote is in the tally (tally/ballotMerkle.js)
+const tallyCommitmentSchema = new mongoose.Schema({
+  electionId: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  root: {
+    type: String,
+    required: true
+  },
+  leafCount: {
+    type: Number,
+    required: true
+  },
+  leafEncoding: {
+    type: String,
+    required: true
+  },
+  // Tally of the committed events, and the contract's totals at publication
+  totals: [candidateTotalSchema],
+  onChainTotals: [candidateTotalSchema],
+  matchesChain: {
+    type: Boolean,
+    required: true
+  },
+  // Block range holding the election's events
+  fromBlock: {
+    type: Number,
+    required: true
+  },
+  toBlock: {
+    type: Number,
+    required: true
+  },
+  publishedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+const TallyCommitment = mongoose.model('TallyCommitment', tallyCommitmentSchema);
+
+module.exports = TallyCommitment;
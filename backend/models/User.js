@@ -7,25 +7,71 @@ const userSchema = new mongoose.Schema({
     trim: true,
     maxlength: 100
   },
-  govtID: {
+  // Government IDs are kept as a keyed hash for lookups plus an encrypted
+  // copy for authorised reveal (identity/govtIdVault.js), never in plaintext
+  govtIDHash: {
     type: String,
     required: true,
-    unique: true,
+    unique: true
+  },
+  govtIDEncrypted: {
+    keyId: String,
+    wrappedKey: String,
+    iv: String,
+    tag: String,
+    ciphertext: String
+  },
+  govtIDLast4: {
+    type: String,
+    maxlength: 4
+  },
+  // Contact address for login codes (OTP_DELIVERY=email). Verified once a
+  // code sent to it has been used to log in.
+  email: {
+    type: String,
+    lowercase: true,
     trim: true,
-    maxlength: 50
+    maxlength: 254
+  },
+  emailVerifiedAt: {
+    type: Date
+  },
+  // Government ID type (src/lib/govtIdValidator.ts); unset for accounts
+  // registered before IDs were validated per type
+  idType: {
+    type: String,
+    enum: ['voter', 'pan', 'aadhaar']
   },
+  // Account-wide role; election roles are RoleAssignment documents and
+  // permissions per role are in identity/permissions.js
   role: {
     type: String,
     required: true,
-    enum: ['voter', 'admin'],
+    enum: ['voter', 'admin', 'super_admin'],
     default: 'voter'
+  },
+  // Supabase auth user (profiles.id) of the same person, matched by
+  // Government ID (identity/walletLinks.js)
+  supabaseUserId: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  // Wallet proven by a signed nonce; mirrored to profiles.wallet_address
+  walletAddress: {
+    type: String,
+    lowercase: true,
+    unique: true,
+    sparse: true
+  },
+  walletLinkedAt: {
+    type: Date
   }
 }, {
   timestamps: true
 });
 
 // Index for faster queries
-userSchema.index({ govtID: 1 });
 userSchema.index({ role: 1 });
 
 const User = mongoose.model('User', userSchema);
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+const voteEventSchema = new mongoose.Schema({
+  electionId: {
+    type: Number,
+    required: true
+  },
+  candidateId: {
+    type: Number,
+    required: true
+  },
+  voter: {
+    type: String,
+    lowercase: true
+  },
+  txHash: {
+    type: String,
+    required: true
+  },
+  logIndex: {
+    type: Number,
+    required: true
+  },
+  blockNumber: {
+    type: Number,
+    required: true
+  },
+  blockHash: {
+    type: String,
+    required: true
+  },
+  blockTimestamp: {
+    type: Number
+  }
+}, {
+  timestamps: true
+});
+
+// A log is uniquely identified by its transaction and position
+voteEventSchema.index({ txHash: 1, logIndex: 1 }, { unique: true });
+voteEventSchema.index({ electionId: 1, candidateId: 1 });
+voteEventSchema.index({ blockNumber: 1 });
+
+const VoteEvent = mongoose.model('VoteEvent', voteEventSchema);
+
+module.exports = VoteEvent;
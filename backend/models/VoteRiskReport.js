@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+// Webcam anomaly metadata of one voting session, stored against the vote
+// transaction it ended with. Flagged reports wait in the admin review queue
+// until they are cleared or escalated; a flag never changes the vote itself.
+const voteRiskReportSchema = new mongoose.Schema({
+  electionId: {
+    type: Number,
+    required: true
+  },
+  txHash: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true
+  },
+  // Sender of the vote transaction, read from the chain
+  voter: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  contract: {
+    type: String,
+    enum: ['factory', 'revoting', 'commitReveal']
+  },
+  riskScore: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 100
+  },
+  isFlagged: {
+    type: Boolean,
+    required: true
+  },
+  // Flagged threshold of the election's risk policy when the report arrived
+  flagThreshold: {
+    type: Number
+  },
+  // Distinct anomaly flags raised during the session
+  flagDetails: {
+    type: [String],
+    default: []
+  },
+  // Every flag in the order it was raised, one entry per flagged frame
+  flagHistory: {
+    type: [String],
+    default: []
+  },
+  analysisCount: {
+    type: Number,
+    default: 0
+  },
+  // When the browser recorded the vote
+  reportedAt: {
+    type: Date
+  },
+  disposition: {
+    type: String,
+    enum: ['pending', 'cleared', 'escalated'],
+    default: 'pending'
+  },
+  dispositionHistory: [{
+    disposition: { type: String, enum: ['cleared', 'escalated'] },
+    note: String,
+    reviewedBy: String,
+    reviewedAt: Date
+  }]
+}, {
+  timestamps: true
+});
+
+voteRiskReportSchema.index({ electionId: 1, isFlagged: 1, disposition: 1 });
+voteRiskReportSchema.index({ electionId: 1, voter: 1 });
+
+const VoteRiskReport = mongoose.model('VoteRiskReport', voteRiskReportSchema);
+
+module.exports = VoteRiskReport;
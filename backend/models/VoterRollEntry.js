@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// One eligible voter on an election's roll, identified by a government ID or
+// a wallet address. A government ID entry is bound to the wallet that first
+// verifies with it, so the voter's on-chain vote can be matched to the roll.
+// Government IDs are kept only as the keyed hash of identity/govtIdVault.js
+// plus the last four characters.
+const voterRollEntrySchema = new mongoose.Schema({
+  electionId: {
+    type: Number,
+    required: true
+  },
+  kind: {
+    type: String,
+    required: true,
+    enum: ['govtID', 'address']
+  },
+  // Wallet address of an 'address' entry
+  value: {
+    type: String,
+    required: function() { return this.kind === 'address'; }
+  },
+  govtIDHash: {
+    type: String,
+    required: function() { return this.kind === 'govtID'; }
+  },
+  govtIDLast4: {
+    type: String
+  },
+  boundAddress: {
+    type: String,
+    lowercase: true
+  },
+  importedBy: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+voterRollEntrySchema.index(
+  { electionId: 1, kind: 1, value: 1 },
+  { unique: true, partialFilterExpression: { kind: 'address' } }
+);
+voterRollEntrySchema.index(
+  { electionId: 1, govtIDHash: 1 },
+  { unique: true, partialFilterExpression: { kind: 'govtID' } }
+);
+voterRollEntrySchema.index({ electionId: 1, boundAddress: 1 });
+
+const VoterRollEntry = mongoose.model('VoterRollEntry', voterRollEntrySchema);
+
+module.exports = VoterRollEntry;
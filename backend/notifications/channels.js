@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+const Notification = require('../models/Notification');
+const { enqueueMail } = require('../mail/mailQueue');
+const { renderMail, resultsMailData, appLink } = require('../mail/templates');
+
+// Lifecycle notifications leave through channels. A channel is
+// `{ scope, deliver(context), enabled? }`:
+// - scope 'subscriber' is delivered to every subscription that lists the
+//   channel and has not opted out of the event; the context holds
+//   { key, event, election, results, subscription }
+// - scope 'election' is delivered once per election event, e.g. to an
+//   operator's webhook; the context holds { key, event, election, results }
+// `results` is set for 'resultsFinal' only. `enabled()` lets a channel that
+// needs configuration stay out of the fan-out, and a subscriber channel's
+// `accepts(subscription)` skips subscriptions it cannot deliver to yet.
+const channels = new Map();
+
+const SCOPES = ['subscriber', 'election'];
+
+const registerNotificationChannel = (name, channel) => {
+  if (!channel || typeof channel.deliver !== 'function' || !SCOPES.includes(channel.scope)) {
+    throw new Error(`Notification channel "${name}" must implement deliver() and have a scope of ${SCOPES.join(' or ')}`);
+  }
+  channels.set(name, channel);
+};
+
+// Enabled channels of a scope, as [name, channel] pairs
+const listNotificationChannels = (scope) => [...channels.entries()]
+  .filter(([, channel]) => channel.scope === scope && (!channel.enabled || channel.enabled()));
+
+// Mail template of each lifecycle event
+const EVENT_TEMPLATES = {
+  opened: 'electionOpened',
+  closingSoon: 'electionReminder',
+  resultsFinal: 'resultsPublished'
+};
+
+// Voters who gave no name are greeted by their email or shortened wallet
+const greetingName = ({ name, email, address }) => name
+  || (email ? email.split('@')[0] : `${address.slice(0, 6)}…${address.slice(-4)}`);
+
+const templateData = ({ event, election, results, subscription }) => ({
+  name: greetingName(subscription),
+  electionTitle: election.title,
+  endTime: new Date(election.endTime * 1000).toISOString(),
+  ...(event === 'resultsFinal' ? resultsMailData(results) : {}),
+  manageUrl: appLink(`/notifications?token=${subscription.token}`)
+});
+
+// Queued with the delivery key, so the mail queue also sends it only once.
+// Addresses that have not followed their confirmation link get nothing.
+registerNotificationChannel('email', {
+  scope: 'subscriber',
+  accepts: (subscription) => Boolean(subscription.email && subscription.emailConfirmedAt),
+  deliver: async (context) => {
+    const { subscription, event, key } = context;
+    if (!subscription.email) {
+      throw new Error('Subscription has no email address');
+    }
+
+    const { error } = await enqueueMail({
+      template: EVENT_TEMPLATES[event],
+      to: subscription.email,
+      locale: subscription.locale,
+      data: templateData(context),
+      dedupeKey: key
+    });
+    if (error) {
+      throw new Error(error);
+    }
+  }
+});
+
+// Stored for the voting page and the subscription's notifications page,
+// titled like the email in the voter's language
+registerNotificationChannel('inApp', {
+  scope: 'subscriber',
+  deliver: async (context) => {
+    const { subscription, event, election } = context;
+    const { mail, error } = renderMail(EVENT_TEMPLATES[event], subscription.locale, templateData(context));
+    if (error) {
+      throw new Error(error);
+    }
+
+    await Notification.create({
+      subscriptionId: subscription._id,
+      electionId: election.id,
+      event,
+      title: mail.subject
+    });
+  }
+});
+
+// POSTs each election event as JSON to NOTIFICATION_WEBHOOK_URL, e.g. an SMS
+// gateway or a chat integration. With NOTIFICATION_WEBHOOK_SECRET set, the
+// X-Notification-Signature header is `sha256=` and the HMAC of the body.
+registerNotificationChannel('webhook', {
+  scope: 'election',
+  enabled: () => Boolean(process.env.NOTIFICATION_WEBHOOK_URL),
+  deliver: async ({ key, event, election, results }) => {
+    const body = JSON.stringify({
+      id: key,
+      event,
+      electionId: election.id,
+      title: election.title,
+      startTime: election.startTime,
+      endTime: election.endTime,
+      results: results ? { totalVotes: results.totalVotes, winner: results.winner, votes: results.votes } : undefined,
+      timestamp: new Date().toISOString()
+    });
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (process.env.NOTIFICATION_WEBHOOK_SECRET) {
+      const signature = crypto.createHmac('sha256', process.env.NOTIFICATION_WEBHOOK_SECRET).update(body).digest('hex');
+      headers['X-Notification-Signature'] = `sha256=${signature}`;
+    }
+
+    const response = await fetch(process.env.NOTIFICATION_WEBHOOK_URL, {
+      method: 'POST',
+      headers,
+      body,
+      signal: AbortSignal.timeout(10000)
+    });
+    if (!response.ok) {
+      throw new Error(`Webhook responded with ${response.status}`);
+    }
+  }
+});
+
+module.exports = {
+  registerNotificationChannel,
+  listNotificationChannels
+};
@@ -0,0 +1,197 @@
+const NotificationSubscription = require('../models/NotificationSubscription');
+const NotificationDelivery = require('../models/NotificationDelivery');
+const { readElections } = require('../indexer/reader');
+const { buildResults } = require('../tally/electionResults');
+const { listNotificationChannels } = require('./channels');
+
+// Watches election start and end times and fans lifecycle events out through
+// the notification channels (notifications/channels.js). Every delivery is
+// recorded under a key before it is attempted, so repeated runs and restarts
+// never send the same notification twice.
+const config = {
+  pollIntervalMs: parseInt(process.env.NOTIFICATION_POLL_INTERVAL_MS || '60000'),
+  closingLeadSeconds: parseInt(process.env.NOTIFICATION_CLOSING_LEAD_MINUTES || '60') * 60,
+  maxAttempts: parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS || '5')
+};
+
+const LIFECYCLE_EVENTS = ['opened', 'closingSoon', 'resultsFinal'];
+
+let schedulerTimer = null;
+let running = false;
+
+// Lifecycle events an election has reached at `now` (milliseconds). An open
+// election is either 'opened' or, within closingLeadSeconds of its end,
+// 'closingSoon'; results are final once it has ended and is not sealed.
+const dueEvents = (election, now = Date.now(), { closingLeadSeconds } = config) => {
+  if (election.status === 'active') {
+    const remaining = election.endTime - Math.floor(now / 1000);
+    return remaining <= closingLeadSeconds ? ['closingSoon'] : ['opened'];
+  }
+  if (election.status === 'ended' && !election.sealed) {
+    return ['resultsFinal'];
+  }
+  return [];
+};
+
+const deliveryKey = (event, electionId, channel, subscriptionId) =>
+  [event, electionId, channel, subscriptionId].filter(part => part !== undefined).join(':');
+
+// Claim a delivery before attempting it. New keys are created as 'sending';
+// failed ones are claimed again until maxAttempts. Returns false when the
+// notification was already sent, is in flight or has used its attempts.
+const claimDelivery = async (existing, fields) => {
+  if (existing) {
+    if (existing.status !== 'failed' || existing.attempts >= config.maxAttempts) {
+      return false;
+    }
+    const claimed = await NotificationDelivery.findOneAndUpdate(
+      { key: fields.key, status: 'failed' },
+      { $set: { status: 'sending' }, $inc: { attempts: 1 } },
+      { new: true }
+    ).lean();
+    return Boolean(claimed);
+  }
+
+  try {
+    await NotificationDelivery.create({ ...fields, status: 'sending', attempts: 1 });
+    return true;
+  } catch (error) {
+    // Another scheduler claimed the key first
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+// Deliver through one channel and record the outcome: 'sent', 'failed' or 'skipped'
+const attemptDelivery = async (existing, fields, channel, context) => {
+  if (!(await claimDelivery(existing, fields))) {
+    return 'skipped';
+  }
+
+  try {
+    await channel.deliver(context);
+    await NotificationDelivery.updateOne({ key: fields.key }, { $set: { status: 'sent', deliveredAt: new Date(), lastError: null } });
+    return 'sent';
+  } catch (error) {
+    await NotificationDelivery.updateOne({ key: fields.key }, { $set: { status: 'failed', lastError: error.message } });
+    console.error(`❌ Notification ${fields.key} failed: ${error.message}`);
+    return 'failed';
+  }
+};
+
+// Send one lifecycle event of an election through every enabled channel.
+// Returns the number of deliveries { sent, failed, skipped }.
+const fanOut = async (election, event) => {
+  const counts = { sent: 0, failed: 0, skipped: 0 };
+
+  const electionChannels = listNotificationChannels('election');
+  const subscriberChannels = new Map(listNotificationChannels('subscriber'));
+  const subscriptions = subscriberChannels.size > 0
+    ? await NotificationSubscription.find({
+      electionId: election.id,
+      confirmedAt: { $ne: null },
+      unsubscribedAt: null,
+      optOut: { $ne: event }
+    }).lean()
+    : [];
+
+  if (electionChannels.length === 0 && subscriptions.length === 0) {
+    return counts;
+  }
+
+  const deliveries = await NotificationDelivery.find({ electionId: election.id, event }).select('key status attempts').lean();
+  const existing = new Map(deliveries.map(delivery => [delivery.key, delivery]));
+  const results = event === 'resultsFinal' ? await buildResults(election) : null;
+
+  const record = async (fields, channel, context) => {
+    const outcome = await attemptDelivery(existing.get(fields.key), fields, channel, { key: fields.key, ...context });
+    counts[outcome] += 1;
+  };
+
+  for (const [name, channel] of electionChannels) {
+    const key = deliveryKey(event, election.id, name);
+    await record({ key, electionId: election.id, event, channel: name }, channel, { event, election, results });
+  }
+
+  for (const subscription of subscriptions) {
+    const accepted = subscription.channels.filter((channelName) => {
+      const channel = subscriberChannels.get(channelName);
+      return channel && (!channel.accepts || channel.accepts(subscription));
+    });
+    for (const name of accepted) {
+      const key = deliveryKey(event, election.id, name, String(subscription._id));
+      await record(
+        { key, electionId: election.id, event, channel: name, subscriptionId: subscription._id },
+        subscriberChannels.get(name),
+        { event, election, results, subscription }
+      );
+    }
+  }
+
+  return counts;
+};
+
+// Check every election once and send whatever is due.
+// Returns the number of deliveries { sent, failed, skipped }.
+const runNotificationCycle = async ({ now = Date.now() } = {}) => {
+  const totals = { sent: 0, failed: 0, skipped: 0 };
+  const elections = await readElections();
+
+  for (const election of elections) {
+    for (const event of dueEvents(election, now)) {
+      try {
+        const counts = await fanOut(election, event);
+        Object.keys(totals).forEach(outcome => { totals[outcome] += counts[outcome]; });
+      } catch (error) {
+        console.error(`❌ Notifying election ${election.id} (${event}) failed:`, error.message);
+      }
+    }
+  }
+
+  return totals;
+};
+
+const tick = async () => {
+  if (running) return;
+  running = true;
+
+  try {
+    const { sent, failed } = await runNotificationCycle();
+    if (sent > 0 || failed > 0) {
+      console.log(`🔔 Notifications: ${sent} sent, ${failed} failed`);
+    }
+  } catch (error) {
+    console.error('❌ Notification run failed:', error.message);
+  } finally {
+    running = false;
+  }
+
+  if (schedulerTimer) {
+    schedulerTimer = setTimeout(tick, config.pollIntervalMs);
+  }
+};
+
+// Start checking elections for due notifications
+const startNotificationScheduler = () => {
+  if (schedulerTimer) return;
+
+  console.log(`🔔 Checking elections for notifications every ${Math.round(config.pollIntervalMs / 1000)}s`);
+  schedulerTimer = setTimeout(tick, 0);
+};
+
+// Stop checking elections
+const stopNotificationScheduler = () => {
+  if (schedulerTimer) {
+    clearTimeout(schedulerTimer);
+    schedulerTimer = null;
+  }
+};
+
+module.exports = {
+  LIFECYCLE_EVENTS,
+  dueEvents,
+  fanOut,
+  runNotificationCycle,
+  startNotificationScheduler,
+  stopNotificationScheduler
+};
@@ -0,0 +1,226 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const NotificationSubscription = require('../models/NotificationSubscription');
+const { enqueueMail, isEmail } = require('../mail/mailQueue');
+const { resolveLocale, appLink } = require('../mail/templates');
+const { LIFECYCLE_EVENTS } = require('./scheduler');
+
+// Channels a voter can pick; webhooks are configured per deployment instead
+const SUBSCRIBER_CHANNELS = ['email', 'inApp'];
+
+const TOKEN_PATTERN = /^[a-f0-9]{48}$/;
+
+const isToken = (value) => typeof value === 'string' && TOKEN_PATTERN.test(value);
+
+const normalizeAddress = (address) => (
+  typeof address === 'string' && ethers.isAddress(address) ? address.toLowerCase() : null
+);
+
+// Validate a channel list against the subscription's contact details
+const validateChannels = (channels, email) => {
+  if (!Array.isArray(channels) || channels.some(channel => !SUBSCRIBER_CHANNELS.includes(channel))) {
+    return `channels must be a list of ${SUBSCRIBER_CHANNELS.join(', ')}`;
+  }
+  if (channels.includes('email') && !email) {
+    return 'Email notifications need an email address';
+  }
+  return null;
+};
+
+// Message a wallet signs to subscribe, so nobody can subscribe a wallet (and
+// read its in-app notifications) without controlling it. The nonce comes from
+// walletNonces.js, issued for 'notification-subscription' and
+// `${electionId}:${address}`.
+const subscriptionMessage = (electionId, address, nonce) =>
+  `Send this wallet notifications about election ${electionId}\nWallet: ${address}\nNonce: ${nonce}`;
+
+// Confirmation emails to one subscription are sent at most this often
+const CONFIRM_RESEND_SECONDS = 600;
+
+const hashCode = (code) => crypto.createHash('sha256').update(code).digest('hex');
+
+// Mail the subscription's address a link that confirms it and opens its
+// preferences. Skipped while an earlier link is recent, so the subscribe
+// route cannot be used to flood an inbox.
+const sendConfirmation = async (subscription, election) => {
+  const lastSent = subscription.confirmSentAt ? new Date(subscription.confirmSentAt).getTime() : 0;
+  if (Date.now() - lastSent < CONFIRM_RESEND_SECONDS * 1000) {
+    return;
+  }
+
+  const code = crypto.randomBytes(16).toString('hex');
+  const { error } = await enqueueMail({
+    template: 'subscriptionConfirm',
+    to: subscription.email,
+    locale: subscription.locale,
+    data: {
+      name: subscription.name || subscription.email.split('@')[0],
+      electionTitle: election.title,
+      confirmUrl: appLink(`/notifications?token=${subscription.token}&confirm=${code}`)
+    }
+  });
+  if (error) {
+    throw new Error(error);
+  }
+
+  await NotificationSubscription.updateOne(
+    { _id: subscription._id },
+    { $set: { confirmCodeHash: hashCode(code), confirmSentAt: new Date() } }
+  );
+};
+
+// Subscribe to an election's lifecycle notifications. `address` must already
+// be proven by a wallet signature of subscriptionMessage: its subscription is
+// created or updated (and resubscribed), confirmed and returned with its token.
+// An email address alone proves nothing, so it only creates a pending
+// subscription and never changes or reveals an existing one. A new email
+// address is mailed a confirmation link, and email notifications wait until
+// it is followed.
+// Returns { subscription, created, pending } or { error, status }.
+const subscribe = async (election, { email, address, name, locale, channels }) => {
+  if (email !== undefined && email !== '' && !isEmail(email)) {
+    return { error: 'Invalid email address', status: 400 };
+  }
+  if (address !== undefined && address !== '' && !normalizeAddress(address)) {
+    return { error: 'Invalid wallet address', status: 400 };
+  }
+
+  const electionId = election.id;
+  const fields = {
+    email: email ? email.toLowerCase() : undefined,
+    address: address ? normalizeAddress(address) : undefined,
+    // Left out when not given, so resubscribing keeps the earlier values
+    name: typeof name === 'string' ? name.trim().slice(0, 100) : undefined,
+    locale: locale !== undefined ? resolveLocale(locale) : undefined
+  };
+  if (!fields.email && !fields.address) {
+    return { error: 'An email address or wallet address is required', status: 400 };
+  }
+
+  const emailSubscription = fields.email && await NotificationSubscription.findOne({ electionId, email: fields.email }).lean();
+  if (!fields.address && emailSubscription) {
+    await sendConfirmation(emailSubscription, election);
+    return { subscription: emailSubscription, created: false, pending: true };
+  }
+
+  const existing = fields.address && await NotificationSubscription.findOne({ electionId, address: fields.address }).lean();
+  if (emailSubscription && (!existing || String(emailSubscription._id) !== String(existing._id))) {
+    return { error: 'This email address is already subscribed', status: 409 };
+  }
+
+  const contactEmail = fields.email || (existing && existing.email);
+  if (channels !== undefined) {
+    fields.channels = Array.isArray(channels) ? [...new Set(channels)] : channels;
+  } else if (!existing) {
+    fields.channels = contactEmail ? ['email', 'inApp'] : ['inApp'];
+  }
+  const channelError = validateChannels(fields.channels || existing.channels, contactEmail);
+  if (channelError) {
+    return { error: channelError, status: 400 };
+  }
+
+  const emailChanged = Boolean(fields.email) && (!existing || existing.email !== fields.email);
+  const updates = Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined));
+  if (fields.address && !(existing && existing.confirmedAt)) {
+    updates.confirmedAt = new Date();
+  }
+  if (emailChanged && existing) {
+    Object.assign(updates, { emailConfirmedAt: null, confirmCodeHash: null, confirmSentAt: null });
+  }
+
+  let subscription;
+  try {
+    subscription = existing
+      ? await NotificationSubscription.findOneAndUpdate(
+        { _id: existing._id },
+        { $set: { ...updates, unsubscribedAt: null } },
+        { new: true }
+      ).lean()
+      : await NotificationSubscription.create({
+        electionId,
+        token: crypto.randomBytes(24).toString('hex'),
+        ...updates
+      });
+  } catch (error) {
+    // A concurrent request subscribed the same email or address first
+    if (error.code === 11000) {
+      return { error: 'This email or wallet address is already subscribed', status: 409 };
+    }
+    throw error;
+  }
+
+  if (emailChanged) {
+    await sendConfirmation(subscription, election);
+  }
+  return { subscription, created: !existing, pending: !fields.address };
+};
+
+// Confirm a subscription and its email address with the code from the
+// confirmation email. Returns { subscription } or { error, status }.
+const confirmSubscription = async (subscription, code) => {
+  const invalid = { error: 'This confirmation link is invalid or was already used', status: 400 };
+  if (!subscription.confirmCodeHash || typeof code !== 'string'
+    || !crypto.timingSafeEqual(Buffer.from(hashCode(code)), Buffer.from(subscription.confirmCodeHash))) {
+    return invalid;
+  }
+
+  const now = new Date();
+  const updated = await NotificationSubscription.findOneAndUpdate(
+    { _id: subscription._id, confirmCodeHash: subscription.confirmCodeHash },
+    { $set: { confirmedAt: subscription.confirmedAt || now, emailConfirmedAt: now, confirmCodeHash: null } },
+    { new: true }
+  ).lean();
+  return updated ? { subscription: updated } : invalid;
+};
+
+// Validate a preferences update: { optOut, channels }.
+// Returns { updates } or { error }.
+const normalizePreferences = (subscription, { optOut, channels }) => {
+  const updates = {};
+
+  if (optOut !== undefined) {
+    if (!Array.isArray(optOut) || optOut.some(event => !LIFECYCLE_EVENTS.includes(event))) {
+      return { error: `optOut must be a list of ${LIFECYCLE_EVENTS.join(', ')}` };
+    }
+    updates.optOut = [...new Set(optOut)];
+  }
+
+  if (channels !== undefined) {
+    const channelError = validateChannels(channels, subscription.email);
+    if (channelError) {
+      return { error: channelError };
+    }
+    updates.channels = [...new Set(channels)];
+  }
+
+  if (Object.keys(updates).length === 0) {
+    return { error: 'Nothing to update: send optOut and/or channels' };
+  }
+  return { updates };
+};
+
+// Shape a subscription for its owner; the token is never echoed back
+const formatSubscription = (subscription) => ({
+  electionId: subscription.electionId,
+  email: subscription.email || null,
+  address: subscription.address || null,
+  name: subscription.name,
+  locale: subscription.locale,
+  channels: subscription.channels,
+  optOut: subscription.optOut,
+  confirmed: Boolean(subscription.confirmedAt),
+  emailConfirmed: Boolean(subscription.emailConfirmedAt),
+  subscribed: !subscription.unsubscribedAt,
+  createdAt: subscription.createdAt
+});
+
+module.exports = {
+  SUBSCRIBER_CHANNELS,
+  isToken,
+  normalizeAddress,
+  subscriptionMessage,
+  subscribe,
+  confirmSubscription,
+  normalizePreferences,
+  formatSubscription
+};
@@ -0,0 +1,82 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { maskGovtId } = require('../identity/govtIdVault');
+const { enqueueMail } = require('../mail/mailQueue');
+
+// Login codes are sent through a delivery adapter chosen by OTP_DELIVERY.
+// An adapter is `{ send({ user, code, expiresAt }) }` and may return a
+// `destination` description for the response. `email` reaches the user's
+// own contact address; `console` and `file` are development stand-ins. SMS
+// adapters register themselves with registerOtpAdapter.
+const adapters = new Map();
+
+const registerOtpAdapter = (name, adapter) => {
+  if (!adapter || typeof adapter.send !== 'function') {
+    throw new Error(`OTP adapter "${name}" must implement send()`);
+  }
+  adapters.set(name, adapter);
+};
+
+const getOtpAdapter = () => {
+  const name = process.env.OTP_DELIVERY || 'console';
+  const adapter = adapters.get(name);
+  if (!adapter) {
+    throw new Error(`Unknown OTP delivery adapter: ${name}`);
+  }
+  return { name, adapter };
+};
+
+// Prints the code to the server log
+registerOtpAdapter('console', {
+  send: async ({ user, code, expiresAt }) => {
+    console.log(`📨 Login code for ${user.name} (${maskGovtId(user.govtIDLast4)}): ${code} (expires ${expiresAt.toISOString()})`);
+    return { destination: 'server console' };
+  }
+});
+
+// Appends one JSON line per code to OTP_FILE_PATH, for scripts and e2e runs
+registerOtpAdapter('file', {
+  send: async ({ user, code, expiresAt }) => {
+    const filePath = process.env.OTP_FILE_PATH || path.join(os.tmpdir(), 'avalanche-voting-otp.log');
+    const line = JSON.stringify({
+      userId: String(user._id),
+      govtID: maskGovtId(user.govtIDLast4),
+      code,
+      expiresAt: expiresAt.toISOString()
+    });
+    await fs.promises.appendFile(filePath, `${line}\n`);
+    return { destination: 'file' };
+  }
+});
+
+// a***@example.com
+const maskEmail = (email) => {
+  const [local, domain] = email.split('@');
+  return `${local[0]}***@${domain}`;
+};
+
+// Queues the code to the user's email address (mail/mailQueue.js). The
+// address becomes verified when a code sent to it is used (/login/verify).
+registerOtpAdapter('email', {
+  send: async ({ user, code, expiresAt }) => {
+    if (!user.email) {
+      throw new Error(`${user.name} (${maskGovtId(user.govtIDLast4)}) has no email address`);
+    }
+
+    const { error } = await enqueueMail({
+      template: 'loginCode',
+      to: user.email,
+      data: { name: user.name, code, expiresAt: expiresAt.toISOString() }
+    });
+    if (error) {
+      throw new Error(error);
+    }
+    return { destination: maskEmail(user.email) };
+  }
+});
+
+module.exports = {
+  registerOtpAdapter,
+  getOtpAdapter
+};
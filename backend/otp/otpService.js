@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const OtpChallenge = require('../models/OtpChallenge');
+const { getOtpAdapter } = require('./delivery');
+
+const OTP_TTL_SECONDS = parseInt(process.env.OTP_TTL_SECONDS || '300');
+const OTP_MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS || '5');
+const OTP_MAX_SENDS = parseInt(process.env.OTP_MAX_SENDS || '5');
+// Must stay below the one hour OtpChallenge retention
+const OTP_SEND_WINDOW_MS = 15 * 60 * 1000;
+
+const EXPIRED_ERROR = 'Verification code expired or already used. Please log in again.';
+
+const hashCode = (challengeId, code) => (
+  crypto.createHash('sha256').update(`${challengeId}:${code}`).digest()
+);
+
+// Six random digits, zero-padded
+const generateCode = () => String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+
+// Create a challenge for a user and send its code. A government ID can
+// request OTP_MAX_SENDS codes per window and each code allows
+// OTP_MAX_ATTEMPTS guesses, so guesses per ID are bounded by both.
+// Returns { challengeId, expiresAt, deliveredVia, destination } or { error, status }.
+const issueOtp = async (user) => {
+  const now = Date.now();
+  const recentSends = await OtpChallenge.countDocuments({
+    govtIDHash: user.govtIDHash,
+    createdAt: { $gte: new Date(now - OTP_SEND_WINDOW_MS) }
+  });
+  if (recentSends >= OTP_MAX_SENDS) {
+    return { error: 'Too many verification codes requested for this Government ID. Please try again later.', status: 429 };
+  }
+
+  const { name, adapter } = getOtpAdapter();
+
+  // A new code replaces any the user has not used yet
+  await OtpChallenge.updateMany(
+    { govtIDHash: user.govtIDHash, consumedAt: null, expiresAt: { $gt: new Date(now) } },
+    { $set: { expiresAt: new Date(now) } }
+  );
+
+  const code = generateCode();
+  const challenge = new OtpChallenge({
+    userId: user._id,
+    govtIDHash: user.govtIDHash,
+    expiresAt: new Date(now + OTP_TTL_SECONDS * 1000),
+    deliveredVia: name
+  });
+  challenge.codeHash = hashCode(challenge._id, code).toString('hex');
+  await challenge.save();
+
+  let delivery;
+  try {
+    delivery = await adapter.send({ user, code, expiresAt: challenge.expiresAt });
+  } catch (error) {
+    console.error(`OTP delivery via ${name} failed:`, error.message);
+    await OtpChallenge.deleteOne({ _id: challenge._id });
+    return { error: 'Could not send verification code. Please try again.', status: 502 };
+  }
+
+  return {
+    challengeId: String(challenge._id),
+    expiresAt: challenge.expiresAt,
+    deliveredVia: name,
+    destination: delivery?.destination
+  };
+};
+
+// Check a code against its challenge. Each call uses up one attempt; a
+// correct code consumes the challenge so it cannot be replayed.
+// Returns { userId, deliveredVia } or { error, status, attemptsRemaining? }.
+const verifyOtp = async (challengeId, code) => {
+  if (!mongoose.isValidObjectId(challengeId) || typeof code !== 'string' || !/^\d{6}$/.test(code.trim())) {
+    return { error: 'A challenge ID and 6-digit verification code are required', status: 400 };
+  }
+
+  const now = new Date();
+  const challenge = await OtpChallenge.findOneAndUpdate(
+    { _id: challengeId, consumedAt: null, expiresAt: { $gt: now }, attempts: { $lt: OTP_MAX_ATTEMPTS } },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  );
+
+  if (!challenge) {
+    const existing = await OtpChallenge.findById(challengeId);
+    if (existing && !existing.consumedAt && existing.attempts >= OTP_MAX_ATTEMPTS) {
+      return { error: 'Too many incorrect codes. Please log in again to get a new code.', status: 429 };
+    }
+    return { error: EXPIRED_ERROR, status: 401 };
+  }
+
+  const matches = crypto.timingSafeEqual(
+    hashCode(challenge._id, code.trim()),
+    Buffer.from(challenge.codeHash, 'hex')
+  );
+  if (!matches) {
+    return {
+      error: 'Incorrect verification code',
+      status: 401,
+      attemptsRemaining: Math.max(OTP_MAX_ATTEMPTS - challenge.attempts, 0)
+    };
+  }
+
+  const consumed = await OtpChallenge.findOneAndUpdate(
+    { _id: challenge._id, consumedAt: null },
+    { $set: { consumedAt: now } }
+  );
+  if (!consumed) {
+    return { error: EXPIRED_ERROR, status: 401 };
+  }
+
+  return { userId: challenge.userId, deliveredVia: challenge.deliveredVia };
+};
+
+module.exports = {
+  OTP_TTL_SECONDS,
+  OTP_MAX_ATTEMPTS,
+  OTP_MAX_SENDS,
+  issueOtp,
+  verifyOtp
+};
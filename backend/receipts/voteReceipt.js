@@ -0,0 +1,169 @@
+const {
+  provider,
+  factoryContract,
+  revotingContract,
+  commitRevealContract,
+  retryContractCall,
+  FACTORY_CONTRACT_ADDRESS,
+  REVOTING_CONTRACT_ADDRESS,
+  COMMIT_REVEAL_CONTRACT_ADDRESS
+} = require('../contract');
+const VoteEvent = require('../models/VoteEvent');
+const { isIndexerReady } = require('../indexer/indexer');
+const { verifyNonceSignature } = require('../identity/walletNonces');
+
+// What each verification status means, shown on the /verify page
+const STATUS_MESSAGES = {
+  counted: 'The vote is included in a block and counted in this election.',
+  // The check never says whether a re-vote happened: otherwise anyone shown
+  // the receipt could tell whether the voter changed their choice
+  recorded: 'The vote is included in a block and recorded for this election. Only the latest vote of each wallet is counted.',
+  pending: 'The transaction has not been included in a block yet.',
+  failed: 'The transaction was reverted, so no vote was recorded.',
+  mismatch: 'The transaction is not a vote in this election.',
+  not_found: 'No transaction with this hash was found on the network.'
+};
+
+const isTransactionHash = (value) => typeof value === 'string' && /^0x[0-9a-fA-F]{64}$/.test(value);
+
+// Our voting contract a transaction was sent to, or null
+const votingContractFor = (address) => {
+  const to = (address || '').toLowerCase();
+  if (to === FACTORY_CONTRACT_ADDRESS.toLowerCase()) return { name: 'factory', contract: factoryContract };
+  if (to === REVOTING_CONTRACT_ADDRESS.toLowerCase()) return { name: 'revoting', contract: revotingContract };
+  if (COMMIT_REVEAL_CONTRACT_ADDRESS && to === COMMIT_REVEAL_CONTRACT_ADDRESS.toLowerCase()) {
+    return { name: 'commitReveal', contract: commitRevealContract };
+  }
+  return null;
+};
+
+const result = (status, fields) => ({ status, verified: status === 'counted' || status === 'recorded', message: STATUS_MESSAGES[status], ...fields });
+
+// Election ID of a `vote` call (or `commitVote`, the vote of a commit-reveal
+// election), or null for any other call
+const votedElectionId = (contract, tx) => {
+  try {
+    const call = contract.interface.parseTransaction({ data: tx.data, value: tx.value });
+    return call && (call.name === 'vote' || call.name === 'commitVote') ? Number(call.args[0]) : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Candidate of an open (factory or re-voting) `vote` transaction, or null.
+// Only used to check a voter's own off-chain ballot; receipts never show it.
+const readVotedCandidate = async (transactionHash) => {
+  const tx = await retryContractCall(() => provider.getTransaction(transactionHash.toLowerCase()));
+  const target = tx && votingContractFor(tx.to);
+  if (!target || target.name === 'commitReveal') return null;
+
+  try {
+    const call = target.contract.interface.parseTransaction({ data: tx.data, value: tx.value });
+    return call && call.name === 'vote' ? Number(call.args[1]) : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Check that a vote receipt's transaction is a successful vote in the
+// election. Factory votes are looked up in the index first, then on chain;
+// re-voting votes and commit-reveal commitments (which a later commit can
+// replace) only on chain. Never returns the candidate.
+const verifyVoteReceipt = async ({ electionId, transactionHash }) => {
+  const txHash = transactionHash.toLowerCase();
+
+  if (isIndexerReady()) {
+    const indexed = await VoteEvent.findOne({ txHash, electionId }).lean();
+    if (indexed) {
+      return result('counted', {
+        electionId,
+        transactionHash: txHash,
+        contract: 'factory',
+        blockNumber: indexed.blockNumber,
+        blockHash: indexed.blockHash,
+        blockTimestamp: indexed.blockTimestamp || null,
+        source: 'index'
+      });
+    }
+  }
+
+  const tx = await retryContractCall(() => provider.getTransaction(txHash));
+  if (!tx) return result('not_found', { electionId, transactionHash: txHash });
+
+  const target = votingContractFor(tx.to);
+  if (!target || votedElectionId(target.contract, tx) !== electionId) {
+    return result('mismatch', { electionId, transactionHash: txHash });
+  }
+
+  const receipt = await retryContractCall(() => provider.getTransactionReceipt(txHash));
+  if (!receipt) return result('pending', { electionId, transactionHash: txHash, contract: target.name });
+
+  const fields = {
+    electionId,
+    transactionHash: txHash,
+    contract: target.name,
+    blockNumber: receipt.blockNumber,
+    blockHash: receipt.blockHash
+  };
+  if (receipt.status !== 1) return result('failed', fields);
+
+  const [block, confirmations] = await Promise.all([
+    retryContractCall(() => provider.getBlock(receipt.blockNumber)),
+    retryContractCall(() => receipt.confirmations())
+  ]);
+
+  return result(target.name === 'factory' ? 'counted' : 'recorded', {
+    ...fields,
+    blockTimestamp: block ? block.timestamp : null,
+    confirmations,
+    source: 'chain'
+  });
+};
+
+// What the sender of a vote transaction can do for it, by signing
+const VOTE_SENDER_ACTIONS = {
+  risk: 'Store the webcam risk metadata of this vote',
+  confirmation: 'Email a confirmation of this vote',
+  ballot: 'Cast the ranked, approval or score ballot of this vote'
+};
+
+// Message the sender of a vote signs before acting for it, so nobody can act
+// for a vote they did not cast. The nonce comes from walletNonces.js, issued
+// for 'vote-sender' and `${electionId}:${txHash}:${action}`.
+const voteSenderMessage = (electionId, transactionHash, action, nonce) =>
+  `${VOTE_SENDER_ACTIONS[action]}\nElection: ${electionId}\nTransaction: ${transactionHash.toLowerCase()}\nNonce: ${nonce}`;
+
+// Check that the sender of a vote transaction signed a nonce for the action.
+// Returns { sender } (lowercase) or { error, status }.
+const verifyVoteSender = async ({ electionId, transactionHash, action, nonce, signature }) => {
+  if (!nonce || !signature) {
+    return { error: 'A signature from the wallet that cast this vote is required', status: 401 };
+  }
+
+  const txHash = transactionHash.toLowerCase();
+  const tx = await retryContractCall(() => provider.getTransaction(txHash));
+  if (!tx) {
+    return { error: STATUS_MESSAGES.not_found, status: 404 };
+  }
+
+  const proof = verifyNonceSignature(
+    { address: tx.from, nonce, signature },
+    'vote-sender',
+    `${electionId}:${txHash}:${action}`,
+    (signedNonce) => voteSenderMessage(electionId, txHash, action, signedNonce)
+  );
+  if (proof.error) {
+    return proof;
+  }
+  return { sender: proof.address };
+};
+
+module.exports = {
+  STATUS_MESSAGES,
+  VOTE_SENDER_ACTIONS,
+  isTransactionHash,
+  readVotedCandidate,
+  verifyVoteReceipt,
+  voteSenderMessage,
+  verifyVoteSender
+};
@@ -0,0 +1,332 @@
+const { ethers } = require('ethers');
+const VoterRollEntry = require('../models/VoterRollEntry');
+const VoteEvent = require('../models/VoteEvent');
+const { electionClient } = require('../contract');
+const { consumeNonce } = require('../identity/walletNonces');
+const { govtIdFilter, maskGovtId } = require('../identity/govtIdVault');
+const { canonicalGovtId } = require('../validation/generated/govtIdValidator');
+
+const MAX_ROLL_ROWS = 100000;
+const REPORT_BATCH_SIZE = 25;
+
+// Header names accepted for each CSV column (compared lowercased)
+const GOVT_ID_HEADERS = ['govtid', 'govt_id', 'govt id', 'government id', 'voter id', 'id'];
+const ADDRESS_HEADERS = ['address', 'wallet', 'wallet address'];
+
+// Government IDs are hashed in the canonical form users' IDs are (see
+// canonicalGovtId), so "abc-123 4567" on the roll matches a user's ABC1234567
+const normalizeGovtID = (value) => {
+  const normalized = canonicalGovtId(value);
+  if (normalized.length < 5 || normalized.length > 50 || !/^[A-Z0-9_]+$/.test(normalized)) {
+    return null;
+  }
+  return normalized;
+};
+
+// Roll entry fields of a normalized government ID; the plaintext is not kept
+const rollGovtIdFields = (govtID) => ({ ...govtIdFilter(govtID), govtIDLast4: govtID.slice(-4) });
+
+const normalizeAddress = (value) => {
+  const trimmed = String(value).trim();
+  return ethers.isAddress(trimmed) ? trimmed.toLowerCase() : null;
+};
+
+// Message a wallet signs before a government ID on the roll is bound to it,
+// so nobody can bind a voter's ID to a wallet they do not control
+const rollBindingMessage = (electionId, address, nonce) =>
+  `Use this wallet to vote in election ${electionId}\nWallet: ${address}\nNonce: ${nonce}`;
+
+// Check a roll binding signature. The nonce comes from walletNonces.js,
+// issued for 'roll-binding' and `${electionId}:${address}`.
+// Returns { address } or { error, status }.
+const verifyRollSignature = (electionId, { address, nonce, signature }) => {
+  const normalizedAddress = address ? normalizeAddress(address) : null;
+  if (!normalizedAddress || !nonce || !signature) {
+    return { error: 'A wallet signature is required to check a government ID', status: 401 };
+  }
+
+  const nonceCheck = consumeNonce(nonce, 'roll-binding', `${electionId}:${normalizedAddress}`);
+  if (nonceCheck.error) {
+    return { error: nonceCheck.error, status: 400 };
+  }
+
+  let recovered;
+  try {
+    recovered = ethers.verifyMessage(rollBindingMessage(electionId, normalizedAddress, nonce), signature);
+  } catch (error) {
+    return { error: 'Invalid signature', status: 401 };
+  }
+  if (recovered.toLowerCase() !== normalizedAddress) {
+    return { error: 'Invalid signature', status: 401 };
+  }
+
+  return { address: normalizedAddress };
+};
+
+// Split one CSV line into cells, honouring double-quoted cells
+const parseCsvLine = (line) => {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      cells.push(cell.trim());
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  cells.push(cell.trim());
+
+  return cells;
+};
+
+// Parse a voter roll CSV. Either a header row names `govtID` and/or `address`
+// columns, or each row holds a single government ID or wallet address. A row
+// with both becomes a government ID entry already bound to that wallet.
+// Government IDs come back hashed; duplicates show them masked.
+// Returns { entries, invalid: [{ line, error }], duplicates: [{ line, value }] }.
+const parseRollCsv = (text) => {
+  const rows = String(text)
+    .split(/\r?\n/)
+    .map((line, index) => ({ line: index + 1, cells: parseCsvLine(line) }))
+    .filter(row => row.cells.some(Boolean) && !row.cells[0].startsWith('#'));
+
+  let govtIdColumn = -1;
+  let addressColumn = -1;
+  const header = rows[0] ? rows[0].cells.map(cell => cell.toLowerCase()) : [];
+  if (header.some(cell => GOVT_ID_HEADERS.includes(cell) || ADDRESS_HEADERS.includes(cell))) {
+    govtIdColumn = header.findIndex(cell => GOVT_ID_HEADERS.includes(cell));
+    addressColumn = header.findIndex(cell => ADDRESS_HEADERS.includes(cell));
+    rows.shift();
+  }
+
+  if (rows.length > MAX_ROLL_ROWS) {
+    throw new Error(`Voter rolls are limited to ${MAX_ROLL_ROWS} rows`);
+  }
+
+  const entries = [];
+  const invalid = [];
+  const duplicates = [];
+  const seen = new Set();
+
+  rows.forEach(({ line, cells }) => {
+    let govtIdCell = '';
+    let addressCell = '';
+    if (govtIdColumn === -1 && addressColumn === -1) {
+      // Single-column roll: tell addresses and government IDs apart
+      const [value] = cells;
+      if (/^0x/i.test(value)) {
+        addressCell = value;
+      } else {
+        govtIdCell = value;
+      }
+    } else {
+      govtIdCell = govtIdColumn >= 0 ? cells[govtIdColumn] || '' : '';
+      addressCell = addressColumn >= 0 ? cells[addressColumn] || '' : '';
+    }
+
+    if (!govtIdCell && !addressCell) {
+      invalid.push({ line, error: 'Row has no government ID or address' });
+      return;
+    }
+
+    const address = addressCell ? normalizeAddress(addressCell) : null;
+    if (addressCell && !address) {
+      invalid.push({ line, error: `Invalid wallet address: ${addressCell}` });
+      return;
+    }
+
+    let entry;
+    let key;
+    let shown;
+    if (govtIdCell) {
+      const govtID = normalizeGovtID(govtIdCell);
+      if (!govtID) {
+        invalid.push({ line, error: 'Government ID must be 5-50 letters, numbers, hyphens or underscores' });
+        return;
+      }
+      entry = { kind: 'govtID', ...rollGovtIdFields(govtID), boundAddress: address || undefined };
+      key = `govtID:${entry.govtIDHash}`;
+      shown = maskGovtId(govtID);
+    } else {
+      entry = { kind: 'address', value: address };
+      key = `address:${address}`;
+      shown = address;
+    }
+
+    if (seen.has(key)) {
+      duplicates.push({ line, value: shown });
+      return;
+    }
+    seen.add(key);
+    entries.push(entry);
+  });
+
+  return { entries, invalid, duplicates };
+};
+
+// Insert parsed entries, skipping voters already on the roll.
+// Returns the number of newly enrolled voters.
+const importRollEntries = async (electionId, entries, importedBy) => {
+  if (entries.length === 0) return 0;
+
+  const result = await VoterRollEntry.bulkWrite(entries.map(entry => ({
+    updateOne: {
+      filter: entry.kind === 'govtID'
+        ? { electionId, kind: 'govtID', govtIDHash: entry.govtIDHash }
+        : { electionId, kind: 'address', value: entry.value },
+      update: { $setOnInsert: { electionId, ...entry, importedBy } },
+      upsert: true
+    }
+  })), { ordered: false });
+
+  return result.upsertedCount;
+};
+
+// Check whether a voter may vote in an election. Elections without a roll are
+// open to everyone. A government ID entry is bound to the first wallet that
+// verifies with it; later checks from another wallet are refused. With a
+// govtID, `address` must already be proven (verifyRollSignature).
+const checkEligibility = async (electionId, { govtID, address }) => {
+  const enrolled = await VoterRollEntry.countDocuments({ electionId });
+  if (enrolled === 0) {
+    return { eligible: true, rollRequired: false };
+  }
+
+  const normalizedAddress = address ? normalizeAddress(address) : null;
+  if (!normalizedAddress) {
+    return { eligible: false, rollRequired: true, reason: 'A connected wallet address is required' };
+  }
+
+  const normalizedGovtID = govtID ? normalizeGovtID(govtID) : null;
+  if (normalizedGovtID) {
+    const entry = await VoterRollEntry.findOneAndUpdate(
+      {
+        electionId,
+        kind: 'govtID',
+        ...govtIdFilter(normalizedGovtID),
+        $or: [{ boundAddress: null }, { boundAddress: normalizedAddress }]
+      },
+      { $set: { boundAddress: normalizedAddress } },
+      { new: true }
+    );
+    if (entry) {
+      return { eligible: true, rollRequired: true, matchedBy: 'govtID' };
+    }
+
+    const bound = await VoterRollEntry.exists({ electionId, kind: 'govtID', ...govtIdFilter(normalizedGovtID) });
+    if (bound) {
+      return { eligible: false, rollRequired: true, reason: 'This government ID is linked to another wallet' };
+    }
+  }
+
+  const byAddress = await VoterRollEntry.exists({ electionId, kind: 'address', value: normalizedAddress });
+  if (byAddress) {
+    return { eligible: true, rollRequired: true, matchedBy: 'address' };
+  }
+
+  return { eligible: false, rollRequired: true, reason: 'You are not on the voter roll for this election' };
+};
+
+// Move a government ID entry to another wallet, or unbind it with a null
+// address, e.g. after a voter lost their wallet or someone else bound it.
+// Returns { entry } or { error, status }.
+const rebindRollEntry = async (electionId, govtID, address) => {
+  const normalizedGovtID = govtID ? normalizeGovtID(govtID) : null;
+  if (!normalizedGovtID) {
+    return { error: 'A valid government ID is required', status: 400 };
+  }
+
+  const normalizedAddress = address ? normalizeAddress(address) : null;
+  if (address && !normalizedAddress) {
+    return { error: 'Invalid wallet address', status: 400 };
+  }
+
+  const entry = await VoterRollEntry.findOneAndUpdate(
+    { electionId, kind: 'govtID', ...govtIdFilter(normalizedGovtID) },
+    normalizedAddress ? { $set: { boundAddress: normalizedAddress } } : { $unset: { boundAddress: 1 } },
+    { new: true }
+  );
+  if (!entry) {
+    return { error: 'This government ID is not on the voter roll', status: 404 };
+  }
+
+  return { entry };
+};
+
+// Enrolled, voted and not-voted counts of an election's roll. Votes come from
+// the indexed factory VoteCast events and the re-voting contract; rolls do
+// not restrict the contracts, so votes from wallets outside the roll are
+// reported as `unenrolledVoters`.
+const buildRollReport = async (electionId) => {
+  const [entries, indexedVoters] = await Promise.all([
+    VoterRollEntry.find({ electionId }).select('kind value boundAddress').lean(),
+    VoteEvent.distinct('voter', { electionId })
+  ]);
+
+  const factoryVoters = new Set(indexedVoters);
+  const rollAddresses = new Set();
+  const byKind = { govtID: 0, address: 0 };
+  let unbound = 0;
+
+  for (const entry of entries) {
+    byKind[entry.kind]++;
+    const address = entry.kind === 'address' ? entry.value : entry.boundAddress;
+    if (address) {
+      rollAddresses.add(address);
+    } else {
+      unbound++;
+    }
+  }
+
+  // Ask the re-voting contract about enrolled wallets without a factory vote
+  const votedAddresses = new Set([...rollAddresses].filter(address => factoryVoters.has(address)));
+  const unchecked = [...rollAddresses].filter(address => !votedAddresses.has(address));
+  for (let i = 0; i < unchecked.length; i += REPORT_BATCH_SIZE) {
+    const batch = unchecked.slice(i, i + REPORT_BATCH_SIZE);
+    const results = await Promise.all(batch.map(address => electionClient.hasVoted(electionId, address)));
+    batch.filter((address, index) => results[index]).forEach(address => votedAddresses.add(address));
+  }
+
+  const voted = entries.filter(entry =>
+    votedAddresses.has(entry.kind === 'address' ? entry.value : entry.boundAddress)
+  ).length;
+
+  return {
+    electionId,
+    enrolled: entries.length,
+    voted,
+    notVoted: entries.length - voted,
+    byKind,
+    unboundGovtIDs: unbound,
+    unenrolledVoters: [...factoryVoters].filter(voter => voter && !rollAddresses.has(voter)).length
+  };
+};
+
+module.exports = {
+  MAX_ROLL_ROWS,
+  normalizeGovtID,
+  normalizeAddress,
+  rollGovtIdFields,
+  parseRollCsv,
+  importRollEntries,
+  rollBindingMessage,
+  verifyRollSignature,
+  checkEligibility,
+  rebindRollEntry,
+  buildRollReport
+};
@@ -1,18 +1,43 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
-const crypto = require('crypto');
 const { ethers } = require('ethers');
 const { contract, retryContractCall, getSigner } = require('../contract');
 const { generateAnalytics, generateDemoData } = require('../analytics/analytics');
+const { getVotingMethod, DEFAULT_VOTING_METHOD } = require('../analytics/votingMethods');
+const { readElection } = require('../indexer/reader');
+const ElectionSettings = require('../models/ElectionSettings');
+const CandidateProfile = require('../models/CandidateProfile');
+const { normalizeProfile, hashProfile, formatProfile } = require('../metadata/candidateProfile');
+const {
+  createSession,
+  signAccessToken,
+  tokenResponse,
+  verifyAccessToken,
+  rotateRefreshToken,
+  revokeSession,
+  revokeSubjectSessions
+} = require('../identity/sessions');
+const { issueNonce, consumeNonce } = require('../identity/walletNonces');
+const { auditAction } = require('../audit/auditLog');
+const { isTransactionHash } = require('../receipts/voteReceipt');
+const {
+  DISPOSITIONS,
+  reviewRiskReport,
+  listFlaggedReports,
+  countRiskReports,
+  formatRiskReport
+} = require('../anomaly/riskReports');
+const { saveRiskPolicy } = require('../anomaly/riskPolicy');
 
 const router = express.Router();
 
-// In-memory storage for nonces (in production, use Redis)
-const nonces = new Map();
-const JWT_SECRET = process.env.JWT_SECRET || 'avalanche-voting-secret-key-change-in-production';
+// Audit log targets taken from the route parameters
+const electionTarget = req => ({ type: 'election', id: req.params.id });
+const candidateTarget = req => ({ type: 'candidate', id: `${req.params.id}:${req.params.candidateId}` });
+const voteTarget = req => ({ type: 'vote', id: req.params.txHash });
 
-// Middleware to verify admin JWT token
-const verifyAdminToken = (req, res, next) => {
+// Middleware to verify admin JWT token (signature, expiry and that its
+// session has not been revoked)
+const verifyAdminToken = async (req, res, next) => {
   const authHeader = req.headers.authorization;
   if (!authHeader || !authHeader.startsWith('Bearer ')) {
     return res.status(401).json({ error: 'No valid authorization token provided' });
@@ -21,7 +46,10 @@ const verifyAdminToken = (req, res, next) => {
   const token = authHeader.substring(7);
   
   try {
-    const decoded = jwt.verify(token, JWT_SECRET);
+    const decoded = await verifyAccessToken(token);
+    if (!decoded.address || decoded.role !== 'admin') {
+      return res.status(401).json({ error: 'Invalid or expired token' });
+    }
     req.admin = decoded;
     next();
   } catch (error) {
@@ -34,7 +62,8 @@ const verifyAdminToken = (req, res, next) => {
 const rateLimitMap = new Map();
 const rateLimit = (windowMs = 60000, maxRequests = 10) => {
   return (req, res, next) => {
-    const key = req.ip || 'unknown';
+    // Separate buckets per route so each limit only counts its own requests
+    const key = `${req.ip || 'unknown'}:${req.baseUrl}${req.route.path}`;
     const now = Date.now();
     
     if (!rateLimitMap.has(key)) {
@@ -57,24 +86,14 @@ const rateLimit = (windowMs = 60000, maxRequests = 10) => {
 // POST /api/admin/nonce - Generate nonce for signature
 router.post('/nonce', rateLimit(60000, 5), (req, res) => {
   try {
-    const nonce = crypto.randomBytes(32).toString('hex');
-    const expiry = Date.now() + 300000; // 5 minutes
-    
-    nonces.set(nonce, { expiry, used: false });
-    
-    // Clean up expired nonces
-    for (const [key, value] of nonces.entries()) {
-      if (Date.now() > value.expiry) {
-        nonces.delete(key);
-      }
-    }
+    const { nonce, expiresIn } = issueNonce('admin-auth');
     
     console.log(`Generated nonce for admin authentication: ${nonce.substring(0, 8)}...`);
     
     res.json({ 
       nonce,
       message: `Admin authentication nonce: ${nonce}`,
-      expiresIn: 300 // seconds
+      expiresIn // seconds
     });
   } catch (error) {
     console.error('Error generating nonce:', error);
@@ -83,7 +102,7 @@ router.post('/nonce', rateLimit(60000, 5), (req, res) => {
 });
 
 // POST /api/admin/auth - Authenticate admin with signature
-router.post('/auth', rateLimit(60000, 3), async (req, res) => {
+router.post('/auth', auditAction('admin.login', req => ({ type: 'wallet', id: req.body.address })), rateLimit(60000, 3), async (req, res) => {
   try {
     const { address, signature, nonce } = req.body;
     
@@ -91,24 +110,12 @@ router.post('/auth', rateLimit(60000, 3), async (req, res) => {
       return res.status(400).json({ error: 'Missing required fields' });
     }
     
-    // Verify nonce
-    const nonceData = nonces.get(nonce);
-    if (!nonceData) {
-      return res.status(400).json({ error: 'Invalid nonce' });
+    // Verify and use up the nonce
+    const nonceCheck = consumeNonce(nonce, 'admin-auth');
+    if (nonceCheck.error) {
+      return res.status(400).json({ error: nonceCheck.error });
     }
     
-    if (Date.now() > nonceData.expiry) {
-      nonces.delete(nonce);
-      return res.status(400).json({ error: 'Nonce expired' });
-    }
-    
-    if (nonceData.used) {
-      return res.status(400).json({ error: 'Nonce already used' });
-    }
-    
-    // Mark nonce as used
-    nonceData.used = true;
-    
     // Verify signature
     const message = `Admin authentication nonce: ${nonce}`;
     const recoveredAddress = ethers.verifyMessage(message, signature);
@@ -129,28 +136,29 @@ router.post('/auth', rateLimit(60000, 3), async (req, res) => {
       console.warn(`⚠️  DEMO MODE: Allowing admin access for address: ${address}`);
     }
     
-    // Generate JWT token
-    const token = jwt.sign(
+    // Start a session: short-lived access token plus rotating refresh token
+    const session = await createSession({
+      subjectType: 'wallet',
+      subject: address.toLowerCase(),
+      role: 'admin',
+      req
+    });
+    const token = signAccessToken(
       { 
         address: address.toLowerCase(), 
         role: 'admin',
         demoMode: isDemoMode,
         timestamp: Date.now()
       },
-      JWT_SECRET,
-      { expiresIn: '24h' }
+      session.sessionId
     );
     
-    // Clean up used nonce
-    nonces.delete(nonce);
-    
     console.log(`Admin authenticated: ${address}${isDemoMode ? ' (DEMO MODE)' : ''}`);
     
     res.json({ 
-      token,
+      ...tokenResponse(token, session),
       address: address.toLowerCase(),
-      demoMode: isDemoMode,
-      expiresIn: 86400 // 24 hours in seconds
+      demoMode: isDemoMode
     });
   } catch (error) {
     console.error('Authentication error:', error);
@@ -158,12 +166,82 @@ router.post('/auth', rateLimit(60000, 3), async (req, res) => {
   }
 });
 
+// POST /api/admin/refresh - Exchange a refresh token for a new token pair
+router.post('/refresh', rateLimit(60000, 10), async (req, res) => {
+  try {
+    const rotated = await rotateRefreshToken(req.body?.refreshToken, 'wallet');
+    if (rotated.error) {
+      return res.status(rotated.status).json({ error: rotated.error });
+    }
+    
+    // The wallet must still be the contract admin (outside demo mode)
+    const address = rotated.session.subject;
+    const isDemoMode = process.env.DEMO_MODE === 'true';
+    if (!isDemoMode) {
+      const adminAddress = await retryContractCall(() => contract.admin());
+      if (address !== adminAddress.toLowerCase()) {
+        await revokeSession(rotated.session.sessionId, 'no longer admin');
+        return res.status(403).json({ error: 'Access denied: Not admin address' });
+      }
+    }
+    
+    const token = signAccessToken(
+      { address, role: 'admin', demoMode: isDemoMode, timestamp: Date.now() },
+      rotated.session.sessionId
+    );
+    
+    res.json({
+      ...tokenResponse(token, rotated),
+      address,
+      demoMode: isDemoMode
+    });
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({ error: 'Token refresh failed' });
+  }
+});
+
+// POST /api/admin/logout - Revoke the current session
+router.post('/logout', auditAction('admin.logout'), verifyAdminToken, async (req, res) => {
+  try {
+    await revokeSession(req.admin.sid, 'logout');
+    console.log(`Admin logged out: ${req.admin.address}`);
+    res.json({ message: 'Logged out' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Logout failed' });
+  }
+});
+
+// POST /api/admin/logout-all - Revoke every session of this admin wallet
+router.post('/logout-all', auditAction('admin.logout_all'), verifyAdminToken, async (req, res) => {
+  try {
+    const revoked = await revokeSubjectSessions('wallet', req.admin.address, 'logout-all');
+    console.log(`Admin logged out everywhere: ${req.admin.address} (${revoked} sessions)`);
+    res.json({ message: 'Logged out of all sessions', revokedSessions: revoked });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Logout failed' });
+  }
+});
+
 // GET /api/admin/analytics - Get comprehensive analytics (admin only)
-router.get('/analytics', verifyAdminToken, async (req, res) => {
+router.get('/analytics', auditAction('analytics.view'), verifyAdminToken, async (req, res) => {
   try {
     console.log(`Admin analytics requested by: ${req.admin.address}`);
     
-    const analytics = await generateAnalytics();
+    let electionId;
+    if (req.query.electionId !== undefined) {
+      electionId = parseInt(req.query.electionId);
+      if (isNaN(electionId) || electionId < 0) {
+        return res.status(400).json({ error: 'Invalid election ID' });
+      }
+    }
+    
+    const analytics = await generateAnalytics(electionId);
+    if (!analytics) {
+      return res.status(404).json({ error: 'Election not found' });
+    }
     
     res.json({
       ...analytics,
@@ -180,7 +258,7 @@ router.get('/analytics', verifyAdminToken, async (req, res) => {
 });
 
 // GET /api/admin/voter/:address - Get voter information (admin only)
-router.get('/voter/:address', verifyAdminToken, async (req, res) => {
+router.get('/voter/:address', auditAction('voter.view', req => ({ type: 'wallet', id: req.params.address })), verifyAdminToken, async (req, res) => {
   try {
     const voterAddress = req.params.address;
     
@@ -211,7 +289,7 @@ router.get('/voter/:address', verifyAdminToken, async (req, res) => {
 });
 
 // POST /api/admin/end-election - End election (admin only)
-router.post('/end-election', verifyAdminToken, async (req, res) => {
+router.post('/end-election', auditAction('election.end'), verifyAdminToken, async (req, res) => {
   try {
     console.log(`Election end requested by admin: ${req.admin.address}`);
     
@@ -238,6 +316,7 @@ router.post('/end-election', verifyAdminToken, async (req, res) => {
     const tx = await contractWithSigner.endElection();
     
     console.log(`Election end transaction submitted: ${tx.hash}`);
+    res.locals.audit = { transactionHash: tx.hash };
     
     res.json({
       message: 'Election end transaction submitted',
@@ -262,7 +341,7 @@ router.post('/end-election', verifyAdminToken, async (req, res) => {
 });
 
 // GET /api/admin/export - Export results as CSV (admin only)
-router.get('/export', verifyAdminToken, async (req, res) => {
+router.get('/export', auditAction('results.export'), verifyAdminToken, async (req, res) => {
   try {
     console.log(`Results export requested by: ${req.admin.address}`);
     
@@ -313,7 +392,7 @@ router.get('/export', verifyAdminToken, async (req, res) => {
 });
 
 // POST /api/admin/upload-demo - Upload demo demographic data (admin only)
-router.post('/upload-demo', verifyAdminToken, async (req, res) => {
+router.post('/upload-demo', auditAction('demo_data.upload'), verifyAdminToken, async (req, res) => {
   try {
     const { demoData } = req.body;
     
@@ -322,6 +401,7 @@ router.post('/upload-demo', verifyAdminToken, async (req, res) => {
     }
     
     console.log(`Demo data upload by admin: ${req.admin.address}, records: ${demoData.length}`);
+    res.locals.audit = { recordsCount: demoData.length };
     
     // Store demo data in memory (in production, use database)
     global.demoData = demoData;
@@ -341,4 +421,301 @@ router.post('/upload-demo', verifyAdminToken, async (req, res) => {
   }
 });
 
+// PUT /api/admin/elections/:id/settings - Set the voting method of an election (admin only).
+// The method is locked once the election starts, so ballots are never cast under one
+// method and tallied under another.
+router.put('/elections/:id/settings', auditAction('election.settings.update', electionTarget), verifyAdminToken, async (req, res) => {
+  try {
+    const electionId = parseInt(req.params.id);
+    if (isNaN(electionId) || electionId < 0) {
+      return res.status(400).json({ error: 'Invalid election ID' });
+    }
+
+    const { votingMethod, methodOptions = {} } = req.body;
+    if (!getVotingMethod(votingMethod)) {
+      return res.status(400).json({ error: `Unknown voting method: ${votingMethod}` });
+    }
+
+    if (methodOptions.maxScore !== undefined) {
+      const maxScore = Number(methodOptions.maxScore);
+      if (!Number.isInteger(maxScore) || maxScore < 1 || maxScore > 100) {
+        return res.status(400).json({ error: 'maxScore must be an integer between 1 and 100' });
+      }
+    }
+
+    const election = await readElection(electionId);
+    if (!election) {
+      return res.status(404).json({ error: 'Election not found' });
+    }
+    if (election.status !== 'upcoming') {
+      return res.status(409).json({ error: 'The voting method cannot change once the election has started' });
+    }
+    if (votingMethod !== DEFAULT_VOTING_METHOD && election.ballotMode === 'commit-reveal') {
+      return res.status(400).json({ error: 'Commit-reveal elections are tallied by plurality' });
+    }
+
+    console.log(`Voting method for election ${electionId} set to '${votingMethod}' by admin: ${req.admin.address}`);
+    res.locals.audit = { votingMethod, methodOptions };
+
+    const settings = await ElectionSettings.findOneAndUpdate(
+      { electionId },
+      { electionId, votingMethod, methodOptions, updatedBy: req.admin.address },
+      { upsert: true, new: true, runValidators: true }
+    );
+
+    res.json({
+      message: 'Election settings updated',
+      electionId,
+      votingMethod: settings.votingMethod,
+      methodOptions: settings.methodOptions,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error updating election settings:', error);
+    res.status(500).json({
+      error: 'Failed to update election settings',
+      details: error.message
+    });
+  }
+});
+
+// PUT /api/admin/elections/:id/risk-policy - Set the anomaly risk policy of an election (admin only)
+router.put('/elections/:id/risk-policy', auditAction('election.risk_policy.update', electionTarget), verifyAdminToken, async (req, res) => {
+  try {
+    const electionId = parseInt(req.params.id);
+    if (isNaN(electionId) || electionId < 0) {
+      return res.status(400).json({ error: 'Invalid election ID' });
+    }
+
+    const election = await readElection(electionId);
+    if (!election) {
+      return res.status(404).json({ error: 'Election not found' });
+    }
+
+    const { policy, error } = await saveRiskPolicy(electionId, req.body.policy, req.admin.address);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    console.log(`Risk policy for election ${electionId} updated by admin: ${req.admin.address}`);
+    res.locals.audit = { policy };
+
+    res.json({
+      message: 'Risk policy updated',
+      electionId,
+      policy,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error updating risk policy:', error);
+    res.status(500).json({
+      error: 'Failed to update risk policy',
+      details: error.message
+    });
+  }
+});
+
+// Resolve the election and candidate of a profile route, or send the matching error response
+const resolveCandidate = async (req, res) => {
+  const electionId = parseInt(req.params.id);
+  const candidateId = parseInt(req.params.candidateId);
+  if (isNaN(electionId) || electionId < 0 || isNaN(candidateId) || candidateId < 0) {
+    res.status(400).json({ error: 'Invalid election or candidate ID' });
+    return null;
+  }
+
+  const election = await readElection(electionId);
+  if (!election) {
+    res.status(404).json({ error: 'Election not found' });
+    return null;
+  }
+
+  const candidate = election.candidates.find(c => c.id === candidateId);
+  if (!candidate) {
+    res.status(404).json({ error: 'Candidate not found' });
+    return null;
+  }
+
+  return { electionId, candidate };
+};
+
+// GET /api/admin/elections/:id/profiles - List candidate profiles of an election (admin only)
+router.get('/elections/:id/profiles', auditAction('candidate_profile.list', electionTarget), verifyAdminToken, async (req, res) => {
+  try {
+    const electionId = parseInt(req.params.id);
+    if (isNaN(electionId) || electionId < 0) {
+      return res.status(400).json({ error: 'Invalid election ID' });
+    }
+
+    const profiles = await CandidateProfile.find({ electionId }).sort({ candidateId: 1 }).lean();
+
+    res.json({
+      electionId,
+      profiles: profiles.map(formatProfile),
+      count: profiles.length
+    });
+  } catch (error) {
+    console.error('Error fetching candidate profiles:', error);
+    res.status(500).json({
+      error: 'Failed to fetch candidate profiles',
+      details: error.message
+    });
+  }
+});
+
+// PUT /api/admin/elections/:id/candidates/:candidateId/profile - Create or replace a candidate profile (admin only)
+router.put('/elections/:id/candidates/:candidateId/profile', auditAction('candidate_profile.update', candidateTarget), verifyAdminToken, async (req, res) => {
+  try {
+    const { profile, error } = normalizeProfile(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const resolved = await resolveCandidate(req, res);
+    if (!resolved) return;
+    const { electionId, candidate } = resolved;
+
+    const contentHash = hashProfile(electionId, candidate.id, profile);
+
+    console.log(`Profile for candidate ${candidate.id} of election ${electionId} updated by admin: ${req.admin.address}`);
+    res.locals.audit = { contentHash };
+
+    const saved = await CandidateProfile.findOneAndUpdate(
+      { electionId, candidateId: candidate.id },
+      { electionId, candidateId: candidate.id, ...profile, contentHash, updatedBy: req.admin.address },
+      { upsert: true, new: true, runValidators: true }
+    );
+
+    res.json({
+      message: 'Candidate profile saved',
+      electionId,
+      profile: formatProfile(saved),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error saving candidate profile:', error);
+    res.status(500).json({
+      error: 'Failed to save candidate profile',
+      details: error.message
+    });
+  }
+});
+
+// DELETE /api/admin/elections/:id/candidates/:candidateId/profile - Remove a candidate profile (admin only)
+router.delete('/elections/:id/candidates/:candidateId/profile', auditAction('candidate_profile.delete', candidateTarget), verifyAdminToken, async (req, res) => {
+  try {
+    const resolved = await resolveCandidate(req, res);
+    if (!resolved) return;
+    const { electionId, candidate } = resolved;
+
+    const result = await CandidateProfile.deleteOne({ electionId, candidateId: candidate.id });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ error: 'Candidate profile not found' });
+    }
+
+    console.log(`Profile for candidate ${candidate.id} of election ${electionId} deleted by admin: ${req.admin.address}`);
+
+    res.json({
+      message: 'Candidate profile deleted',
+      electionId,
+      candidateId: candidate.id,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error deleting candidate profile:', error);
+    res.status(500).json({
+      error: 'Failed to delete candidate profile',
+      details: error.message
+    });
+  }
+});
+
+// GET /api/admin/risk-reports - Review queue of anomaly-flagged votes (admin only)
+router.get('/risk-reports', auditAction('vote_risk.list'), verifyAdminToken, async (req, res) => {
+  try {
+    let electionId;
+    if (req.query.electionId !== undefined) {
+      electionId = parseInt(req.query.electionId);
+      if (isNaN(electionId) || electionId < 0) {
+        return res.status(400).json({ error: 'Invalid election ID' });
+      }
+    }
+
+    const disposition = req.query.disposition || 'pending';
+    if (disposition !== 'all' && disposition !== 'pending' && !DISPOSITIONS.includes(disposition)) {
+      return res.status(400).json({ error: `Unknown disposition: ${disposition}` });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const reports = await listFlaggedReports({ electionId, disposition, limit });
+
+    res.json({
+      electionId: electionId ?? null,
+      disposition,
+      reports: reports.map(formatRiskReport),
+      count: reports.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching flagged votes:', error);
+    res.status(500).json({
+      error: 'Failed to fetch flagged votes',
+      details: error.message
+    });
+  }
+});
+
+// GET /api/admin/risk-reports/counts - Flagged votes per election (admin only)
+router.get('/risk-reports/counts', auditAction('vote_risk.counts'), verifyAdminToken, async (req, res) => {
+  try {
+    const elections = await countRiskReports();
+
+    res.json({
+      elections,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error counting flagged votes:', error);
+    res.status(500).json({
+      error: 'Failed to count flagged votes',
+      details: error.message
+    });
+  }
+});
+
+// PUT /api/admin/risk-reports/:txHash/disposition - Clear or escalate a flagged vote (admin only)
+router.put('/risk-reports/:txHash/disposition', auditAction('vote_risk.review', voteTarget), verifyAdminToken, async (req, res) => {
+  try {
+    if (!isTransactionHash(req.params.txHash)) {
+      return res.status(400).json({ error: 'Invalid transaction hash' });
+    }
+
+    const { disposition, note } = req.body;
+    const reviewed = await reviewRiskReport({
+      transactionHash: req.params.txHash,
+      disposition,
+      note,
+      reviewedBy: req.admin.address
+    });
+    if (reviewed.error) {
+      return res.status(reviewed.status).json({ error: reviewed.error });
+    }
+
+    console.log(`Flagged vote ${reviewed.report.txHash} ${disposition} by admin: ${req.admin.address}`);
+    res.locals.audit = { electionId: reviewed.report.electionId, disposition };
+
+    res.json({
+      message: `Vote ${disposition}`,
+      report: formatRiskReport(reviewed.report),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error reviewing flagged vote:', error);
+    res.status(500).json({
+      error: 'Failed to review flagged vote',
+      details: error.message
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
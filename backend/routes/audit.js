@@ -0,0 +1,136 @@
+const express = require('express');
+const User = require('../models/User');
+const AuditLogEntry = require('../models/AuditLogEntry');
+const AuditAnchor = require('../models/AuditAnchor');
+const { verifyAccessToken } = require('../identity/sessions');
+const { hasPermission } = require('../identity/permissions');
+const { auditAction, verifyAuditChain } = require('../audit/auditLog');
+const { loadTrustedAnchors } = require('../audit/anchor');
+
+const router = express.Router();
+
+// Middleware accepting either admin sign-in: a wallet admin token
+// (/api/admin/auth) or a Government ID user with the audit:view permission
+const verifyAuditor = async (req, res, next) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return res.status(401).json({ error: 'No authorization token provided' });
+  }
+
+  try {
+    const decoded = await verifyAccessToken(authHeader.substring(7));
+
+    if (decoded.address && decoded.role === 'admin') {
+      req.admin = decoded;
+      return next();
+    }
+
+    const user = decoded.authType === 'govtID' ? await User.findById(decoded.userId) : null;
+    if (!user) {
+      return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+    req.user = user;
+    if (!(await hasPermission(user, 'audit:view'))) {
+      return res.status(403).json({ error: 'Access denied: audit:view permission required' });
+    }
+    next();
+  } catch (error) {
+    console.error('Audit log auth failed:', error.message);
+    return res.status(401).json({ error: 'Invalid or expired token' });
+  }
+};
+
+// Non-negative integer query parameter, or undefined
+const parseSeq = (value) => {
+  if (value === undefined) return undefined;
+  const seq = Number(value);
+  return Number.isInteger(seq) && seq >= 0 ? seq : NaN;
+};
+
+// GET /api/audit - Newest entries first; filter by action, actor, target or time
+router.get('/', auditAction('audit_log.view'), verifyAuditor, async (req, res) => {
+  try {
+    const { action, actorId, targetId, from, to } = req.query;
+    const before = parseSeq(req.query.before);
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+
+    if (Number.isNaN(before)) {
+      return res.status(400).json({ error: 'before must be a sequence number' });
+    }
+
+    const filter = {};
+    if (action) filter.action = String(action);
+    if (actorId) filter['actor.id'] = String(actorId);
+    if (targetId) filter['target.id'] = String(targetId);
+    if (before !== undefined) filter.seq = { $lt: before };
+    if (from || to) {
+      filter.timestamp = {};
+      if (from) filter.timestamp.$gte = new Date(from);
+      if (to) filter.timestamp.$lte = new Date(to);
+      if (Object.values(filter.timestamp).some(date => isNaN(date.getTime()))) {
+        return res.status(400).json({ error: 'from and to must be dates' });
+      }
+    }
+
+    const entries = await AuditLogEntry.find(filter).sort({ seq: -1 }).limit(limit).select('-_id -__v').lean();
+
+    res.json({
+      entries,
+      count: entries.length,
+      // Pass as `before` to get the next page
+      nextBefore: entries.length === limit ? entries[entries.length - 1].seq : null
+    });
+  } catch (error) {
+    console.error('Error querying audit log:', error);
+    res.status(500).json({
+      error: 'Failed to query audit log',
+      details: error.message
+    });
+  }
+});
+
+// GET /api/audit/verify - Recompute the hash chain and compare it with the
+// anchors in the export file or on chain (?anchorSource=file|chain|db)
+router.get('/verify', auditAction('audit_log.verify'), verifyAuditor, async (req, res) => {
+  try {
+    const fromSeq = parseSeq(req.query.fromSeq);
+    const toSeq = parseSeq(req.query.toSeq);
+    if (Number.isNaN(fromSeq) || Number.isNaN(toSeq) || fromSeq === 0) {
+      return res.status(400).json({ error: 'fromSeq and toSeq must be positive sequence numbers' });
+    }
+
+    const anchorSource = req.query.anchorSource;
+    if (anchorSource !== undefined && !['file', 'chain', 'db'].includes(anchorSource)) {
+      return res.status(400).json({ error: 'anchorSource must be file, chain or db' });
+    }
+    const txHashes = req.query.txHashes ? String(req.query.txHashes).split(',') : undefined;
+    if (txHashes && !txHashes.every(txHash => /^0x[0-9a-fA-F]{64}$/.test(txHash))) {
+      return res.status(400).json({ error: 'txHashes must be comma-separated transaction hashes' });
+    }
+
+    // Compare against the export file or the chain, not just the database
+    const trusted = await loadTrustedAnchors({ source: anchorSource, txHashes });
+    const verification = await verifyAuditChain({ fromSeq: fromSeq || 1, toSeq, anchors: trusted.anchors || undefined });
+    const latestAnchor = await AuditAnchor.findOne({}).sort({ seq: -1 }).select('-_id -__v').lean();
+
+    if (!verification.valid) {
+      console.warn(`⚠️  Audit log verification failed at entry ${verification.brokenAt}: ${verification.reason}`);
+    }
+    res.locals.audit = { valid: verification.valid, checked: verification.checked, brokenAt: verification.brokenAt };
+
+    res.json({
+      ...verification,
+      anchorSource: trusted.source,
+      latestAnchor,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error verifying audit log:', error);
+    res.status(500).json({
+      error: 'Failed to verify audit log',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,30 +1,30 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
-const { verifyGovtIDAuth, verifyGovtIDAdmin } = require('../middleware/auth');
+const RoleAssignment = require('../models/RoleAssignment');
+const OtpChallenge = require('../models/OtpChallenge');
+const { verifyGovtIDAuth, requirePermission } = require('../middleware/auth');
+const { ACCOUNT_ROLES, describePermissions } = require('../identity/permissions');
+const { validateGovtId } = require('../validation/generated/govtIdValidator');
+const { protectGovtId, govtIdFilter, maskGovtId, revealGovtId } = require('../identity/govtIdVault');
+const { issueOtp, verifyOtp, OTP_TTL_SECONDS } = require('../otp/otpService');
+const {
+  createSession,
+  signAccessToken,
+  tokenResponse,
+  rotateRefreshToken,
+  revokeSession,
+  revokeSubjectSessions
+} = require('../identity/sessions');
+const { auditAction } = require('../audit/auditLog');
+const { isEmail } = require('../mail/mailQueue');
 
 const router = express.Router();
-const JWT_SECRET = process.env.JWT_SECRET || 'avalanche-voting-secret-key-change-in-production';
 
-// Input validation helpers
-const validateGovtID = (govtID) => {
-  if (!govtID || typeof govtID !== 'string') {
-    return { isValid: false, error: 'Government ID is required' };
-  }
-  
-  const trimmed = govtID.trim();
-  if (trimmed.length < 5 || trimmed.length > 50) {
-    return { isValid: false, error: 'Government ID must be between 5-50 characters' };
-  }
-  
-  // Basic alphanumeric validation
-  if (!/^[a-zA-Z0-9\-_]+$/.test(trimmed)) {
-    return { isValid: false, error: 'Government ID can only contain letters, numbers, hyphens, and underscores' };
-  }
-  
-  return { isValid: true, value: trimmed };
-};
+// Audit log target for the /users/:id routes
+const userTarget = req => ({ type: 'user', id: req.params.id });
 
+// Input validation helpers. Government IDs are checked per ID type by
+// validateGovtId, shared with the frontend (src/lib/govtIdValidator.ts).
 const validateName = (name) => {
   if (!name || typeof name !== 'string') {
     return { isValid: false, error: 'Name is required' };
@@ -38,17 +38,29 @@ const validateName = (name) => {
   return { isValid: true, value: trimmed };
 };
 
-const validateRole = (role) => {
-  if (!role || typeof role !== 'string') {
-    return { isValid: false, error: 'Role is required' };
+// Optional contact address for login codes; required when they are emailed
+const validateEmail = (email) => {
+  if (email === undefined || email === null || email === '') {
+    return process.env.OTP_DELIVERY === 'email'
+      ? { isValid: false, error: 'An email address is required to receive login codes' }
+      : { isValid: true, value: undefined };
   }
-  
-  const validRoles = ['voter', 'admin'];
-  if (!validRoles.includes(role)) {
-    return { isValid: false, error: 'Role must be either "voter" or "admin"' };
+
+  if (!isEmail(email)) {
+    return { isValid: false, error: 'Invalid email address' };
   }
-  
-  return { isValid: true, value: role };
+
+  return { isValid: true, value: email.trim().toLowerCase() };
+};
+
+// Everyone registers as a voter. Admin and super admin accounts are granted
+// through PUT /api/govt-admin/users/:id/role (roles:manage) or the seed script.
+const validateRole = (role) => {
+  if (role === undefined || role === null || role === '' || role === 'voter') {
+    return { isValid: true, value: 'voter' };
+  }
+
+  return { isValid: false, status: 403, error: 'Only voter accounts can be registered; other roles are granted by a super admin' };
 };
 
 // Rate limiting
@@ -75,10 +87,21 @@ const rateLimit = (windowMs = 60000, maxRequests = 5) => {
   };
 };
 
+// Access token for a government ID user's session
+const signGovtIDAccessToken = (user, sessionId) => signAccessToken(
+  {
+    userId: user._id,
+    role: user.role,
+    authType: 'govtID',
+    timestamp: Date.now()
+  },
+  sessionId
+);
+
 // POST /api/auth/register - Register new user with Government ID
 router.post('/register', rateLimit(60000, 3), async (req, res) => {
   try {
-    const { name, govtID, role } = req.body;
+    const { name, govtID, idType, role, email } = req.body;
     
     // Validate inputs
     const nameValidation = validateName(name);
@@ -86,18 +109,23 @@ router.post('/register', rateLimit(60000, 3), async (req, res) => {
       return res.status(400).json({ error: nameValidation.error });
     }
     
-    const govtIDValidation = validateGovtID(govtID);
+    const govtIDValidation = validateGovtId(idType, govtID);
     if (!govtIDValidation.isValid) {
-      return res.status(400).json({ error: govtIDValidation.error });
+      return res.status(400).json({ error: govtIDValidation.error, code: govtIDValidation.code });
     }
     
     const roleValidation = validateRole(role);
     if (!roleValidation.isValid) {
-      return res.status(400).json({ error: roleValidation.error });
+      return res.status(roleValidation.status).json({ error: roleValidation.error });
+    }
+    
+    const emailValidation = validateEmail(email);
+    if (!emailValidation.isValid) {
+      return res.status(400).json({ error: emailValidation.error });
     }
     
     // Check if user already exists
-    const existingUser = await User.findOne({ govtID: govtIDValidation.value });
+    const existingUser = await User.findOne(govtIdFilter(govtIDValidation.value));
     if (existingUser) {
       return res.status(409).json({ error: 'User with this Government ID already exists' });
     }
@@ -105,20 +133,23 @@ router.post('/register', rateLimit(60000, 3), async (req, res) => {
     // Create new user
     const newUser = new User({
       name: nameValidation.value,
-      govtID: govtIDValidation.value,
-      role: roleValidation.value
+      ...protectGovtId(govtIDValidation.value),
+      idType: govtIDValidation.type,
+      role: roleValidation.value,
+      email: emailValidation.value
     });
     
     await newUser.save();
     
-    console.log(`✅ New ${roleValidation.value} registered: ${nameValidation.value} (ID: ${govtIDValidation.value})`);
+    console.log(`✅ New voter registered: ${nameValidation.value} (ID: ${maskGovtId(govtIDValidation.value)})`);
     
     res.status(201).json({
-      message: `${roleValidation.value === 'admin' ? 'Admin' : 'Voter'} registered successfully`,
+      message: 'Voter registered successfully',
       user: {
         id: newUser._id,
         name: newUser.name,
-        govtID: newUser.govtID,
+        govtID: maskGovtId(newUser.govtIDLast4),
+        idType: newUser.idType,
         role: newUser.role
       }
     });
@@ -141,68 +172,165 @@ router.post('/register', rateLimit(60000, 3), async (req, res) => {
   }
 });
 
-// POST /api/auth/login - Login with Government ID only
+// POST /api/auth/login - Start Government ID login by sending a one-time code
 router.post('/login', rateLimit(60000, 10), async (req, res) => {
   try {
-    const { govtID } = req.body;
+    const { govtID, idType } = req.body;
     
     // Validate Government ID
-    const govtIDValidation = validateGovtID(govtID);
+    const govtIDValidation = validateGovtId(idType, govtID);
     if (!govtIDValidation.isValid) {
-      return res.status(400).json({ error: govtIDValidation.error });
+      return res.status(400).json({ error: govtIDValidation.error, code: govtIDValidation.code });
     }
     
     // Find user by Government ID
-    const user = await User.findOne({ govtID: govtIDValidation.value });
+    const user = await User.findOne(govtIdFilter(govtIDValidation.value));
     if (!user) {
       return res.status(401).json({ error: 'Invalid Government ID. User not found.' });
     }
     
-    // Generate JWT token
-    const token = jwt.sign(
-      {
-        userId: user._id,
-        govtID: user.govtID,
-        role: user.role,
-        authType: 'govtID',
-        timestamp: Date.now()
-      },
-      JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    // The Government ID alone is not a secret, so the token is only issued
+    // once the code is verified via /login/verify
+    const otp = await issueOtp(user);
+    if (otp.error) {
+      return res.status(otp.status).json({ error: otp.error });
+    }
     
-    console.log(`🔐 User logged in: ${user.name} (${user.role}) - ID: ${user.govtID}`);
+    console.log(`📲 Login code sent to ${user.name} (${maskGovtId(user.govtIDLast4)}) via ${otp.deliveredVia}`);
+    
+    res.json({
+      message: 'Verification code sent',
+      otpRequired: true,
+      challengeId: otp.challengeId,
+      deliveredVia: otp.deliveredVia,
+      destination: otp.destination,
+      expiresIn: OTP_TTL_SECONDS
+    });
+    
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({ error: 'Login failed. Please try again.' });
+  }
+});
+
+// POST /api/auth/login/verify - Finish login with the one-time code
+router.post('/login/verify', rateLimit(60000, 10), async (req, res) => {
+  try {
+    const { challengeId, code } = req.body;
+    
+    const verification = await verifyOtp(challengeId, code);
+    if (verification.error) {
+      return res.status(verification.status).json({
+        error: verification.error,
+        attemptsRemaining: verification.attemptsRemaining
+      });
+    }
+    
+    const user = await User.findById(verification.userId);
+    if (!user) {
+      return res.status(401).json({ error: 'Invalid Government ID. User not found.' });
+    }
+    
+    // The code reached the user's inbox, which proves they own the address
+    if (verification.deliveredVia === 'email' && user.email && !user.emailVerifiedAt) {
+      user.emailVerifiedAt = new Date();
+      await user.save();
+    }
+    
+    // Start a session: short-lived access token plus rotating refresh token
+    const session = await createSession({
+      subjectType: 'govtID',
+      subject: user._id,
+      role: user.role,
+      req
+    });
+    const token = signGovtIDAccessToken(user, session.sessionId);
+    
+    console.log(`🔐 User logged in: ${user.name} (${user.role}) - ID: ${maskGovtId(user.govtIDLast4)}`);
     
     res.json({
       message: 'Login successful',
-      token,
+      ...tokenResponse(token, session),
       user: {
         id: user._id,
         name: user.name,
-        govtID: user.govtID,
+        govtID: maskGovtId(user.govtIDLast4),
+        idType: user.idType,
         role: user.role
-      },
-      expiresIn: 86400 // 24 hours in seconds
+      }
     });
     
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('Login verification error:', error);
     res.status(500).json({ error: 'Login failed. Please try again.' });
   }
 });
 
+// POST /api/auth/refresh - Exchange a refresh token for a new token pair
+router.post('/refresh', rateLimit(60000, 10), async (req, res) => {
+  try {
+    const rotated = await rotateRefreshToken(req.body?.refreshToken, 'govtID');
+    if (rotated.error) {
+      return res.status(rotated.status).json({ error: rotated.error });
+    }
+    
+    const user = await User.findById(rotated.session.subject);
+    if (!user) {
+      await revokeSession(rotated.session.sessionId, 'user deleted');
+      return res.status(401).json({ error: 'Invalid token - user not found' });
+    }
+    
+    res.json(tokenResponse(signGovtIDAccessToken(user, rotated.session.sessionId), rotated));
+    
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({ error: 'Token refresh failed. Please log in again.' });
+  }
+});
+
+// POST /api/auth/logout - Revoke the current session
+router.post('/logout', verifyGovtIDAuth, async (req, res) => {
+  try {
+    await revokeSession(req.sessionId, 'logout');
+    console.log(`👋 User logged out: ${req.user.name}`);
+    res.json({ message: 'Logged out' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Logout failed' });
+  }
+});
+
+// POST /api/auth/logout-all - Revoke every session of the current user
+router.post('/logout-all', verifyGovtIDAuth, async (req, res) => {
+  try {
+    const revoked = await revokeSubjectSessions('govtID', req.user._id, 'logout-all');
+    console.log(`👋 User logged out everywhere: ${req.user.name} (${revoked} sessions)`);
+    res.json({ message: 'Logged out of all sessions', revokedSessions: revoked });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Logout failed' });
+  }
+});
+
 // GET /api/auth/profile - Get user profile (requires authentication)
-router.get('/profile', verifyGovtIDAuth, (req, res) => {
+router.get('/profile', verifyGovtIDAuth, async (req, res) => {
   try {
+    const permissions = await describePermissions(req.user);
+    
     res.json({
       user: {
         id: req.user._id,
         name: req.user.name,
-        govtID: req.user.govtID,
+        govtID: maskGovtId(req.user.govtIDLast4),
+        idType: req.user.idType,
         role: req.user.role,
+        walletAddress: req.user.walletAddress || null,
+        email: req.user.email || null,
+        emailVerified: Boolean(req.user.emailVerifiedAt),
         createdAt: req.user.createdAt,
         updatedAt: req.user.updatedAt
-      }
+      },
+      permissions
     });
   } catch (error) {
     console.error('Profile fetch error:', error);
@@ -210,13 +338,48 @@ router.get('/profile', verifyGovtIDAuth, (req, res) => {
   }
 });
 
-// GET /api/auth/users - Get all users (admin only)
-router.get('/users', verifyGovtIDAdmin, async (req, res) => {
+// PUT /api/auth/profile/email - Set the email address that receives login codes
+router.put('/profile/email', rateLimit(60000, 5), verifyGovtIDAuth, async (req, res) => {
+  try {
+    const emailValidation = validateEmail(req.body?.email);
+    if (!emailValidation.isValid || !emailValidation.value) {
+      return res.status(400).json({ error: emailValidation.error || 'An email address is required' });
+    }
+    
+    // Otherwise anyone holding a session could redirect future login codes
+    if (req.user.emailVerifiedAt) {
+      return res.status(409).json({ error: 'A verified email address cannot be replaced. Please contact an administrator.' });
+    }
+    
+    req.user.email = emailValidation.value;
+    await req.user.save();
+    
+    // Codes already sent went to the old address and must not verify this one
+    await OtpChallenge.updateMany(
+      { userId: req.user._id, consumedAt: null, expiresAt: { $gt: new Date() } },
+      { $set: { expiresAt: new Date() } }
+    );
+    
+    console.log(`📧 Email address set for ${req.user.name} (${maskGovtId(req.user.govtIDLast4)})`);
+    
+    res.json({
+      message: 'Email address saved. It is verified the next time you log in with a code sent to it.',
+      email: req.user.email,
+      emailVerified: false
+    });
+  } catch (error) {
+    console.error('Email update error:', error);
+    res.status(500).json({ error: 'Failed to save email address' });
+  }
+});
+
+// GET /api/auth/users - Get all users (users:view)
+router.get('/users', auditAction('users.list'), requirePermission('users:view'), async (req, res) => {
   try {
     const { role, limit = 50, skip = 0 } = req.query;
     
     const filter = {};
-    if (role && ['voter', 'admin'].includes(role)) {
+    if (role && ACCOUNT_ROLES.includes(role)) {
       filter.role = role;
     }
     
@@ -232,7 +395,7 @@ router.get('/users', verifyGovtIDAdmin, async (req, res) => {
       users: users.map(user => ({
         id: user._id,
         name: user.name,
-        govtID: user.govtID,
+        govtID: maskGovtId(user.govtIDLast4),
         role: user.role,
         createdAt: user.createdAt
       })),
@@ -247,8 +410,8 @@ router.get('/users', verifyGovtIDAdmin, async (req, res) => {
   }
 });
 
-// DELETE /api/auth/users/:id - Delete user (admin only)
-router.delete('/users/:id', verifyGovtIDAdmin, async (req, res) => {
+// DELETE /api/auth/users/:id - Delete user (users:delete)
+router.delete('/users/:id', auditAction('user.delete', userTarget), requirePermission('users:delete'), async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -257,15 +420,23 @@ router.delete('/users/:id', verifyGovtIDAdmin, async (req, res) => {
       return res.status(404).json({ error: 'User not found' });
     }
     
+    // Only those who can grant roles may remove a super admin
+    if (user.role === 'super_admin' && req.user.role !== 'super_admin') {
+      return res.status(403).json({ error: 'Access denied: only a super admin can delete a super admin' });
+    }
+    
     await User.findByIdAndDelete(id);
+    await RoleAssignment.deleteMany({ userId: user._id });
+    await revokeSubjectSessions('govtID', user._id, 'user deleted');
     
-    console.log(`🗑️ User deleted by admin ${req.user.name}: ${user.name} (${user.govtID})`);
+    res.locals.audit = { name: user.name, govtID: maskGovtId(user.govtIDLast4), role: user.role };
+    console.log(`🗑️ User deleted by admin ${req.user.name}: ${user.name} (${maskGovtId(user.govtIDLast4)})`);
     
     res.json({
       message: 'User deleted successfully',
       deletedUser: {
         name: user.name,
-        govtID: user.govtID,
+        govtID: maskGovtId(user.govtIDLast4),
         role: user.role
       }
     });
@@ -276,4 +447,35 @@ router.delete('/users/:id', verifyGovtIDAdmin, async (req, res) => {
   }
 });
 
+// POST /api/auth/users/:id/govt-id/reveal - Decrypt a user's Government ID (govtId:reveal, super admins only)
+router.post('/users/:id/govt-id/reveal', auditAction('govt_id.reveal', userTarget), requirePermission('govtId:reveal'), rateLimit(60000, 5), async (req, res) => {
+  try {
+    const reason = typeof req.body?.reason === 'string' ? req.body.reason.trim() : '';
+    res.locals.audit = { reason };
+    if (reason.length < 5) {
+      return res.status(400).json({ error: 'A reason of at least 5 characters is required' });
+    }
+    
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    const govtID = revealGovtId(user);
+    
+    console.log(`🔓 Government ID of ${user.name} (${maskGovtId(user.govtIDLast4)}) revealed by super admin ${req.user.name}: ${reason}`);
+    
+    res.json({
+      id: user._id,
+      name: user.name,
+      govtID,
+      idType: user.idType
+    });
+    
+  } catch (error) {
+    console.error('Government ID reveal error:', error.message);
+    res.status(500).json({ error: 'Failed to reveal Government ID' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
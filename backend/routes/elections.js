@@ -0,0 +1,639 @@
+const express = require('express');
+const { readElections, readElection } = require('../indexer/reader');
+const { streamElection } = require('../stream/electionStream');
+const { runInstantRunoff } = require('../analytics/instantRunoff');
+const { DEFAULT_VOTING_METHOD, listVotingMethods } = require('../analytics/votingMethods');
+const { loadElectionSettings, buildResults } = require('../tally/electionResults');
+const { recordVoterBallot } = require('../tally/voterBallots');
+const CandidateProfile = require('../models/CandidateProfile');
+const { formatProfile } = require('../metadata/candidateProfile');
+const { normalizeAddress, rollBindingMessage, verifyRollSignature, checkEligibility } = require('../rolls/voterRoll');
+const { issueNonce } = require('../identity/walletNonces');
+const {
+  VOTE_SENDER_ACTIONS,
+  isTransactionHash,
+  verifyVoteReceipt,
+  voteSenderMessage,
+  verifyVoteSender
+} = require('../receipts/voteReceipt');
+const { getTallyCommitment, getInclusionProof } = require('../tally/tallyCommitments');
+const { sealedResults } = require('../commitReveal/sealedResults');
+const { normalizeRiskReport, recordRiskReport } = require('../anomaly/riskReports');
+const { loadRiskPolicy } = require('../anomaly/riskPolicy');
+const { enqueueMail } = require('../mail/mailQueue');
+const { resultsMailData } = require('../mail/templates');
+
+const router = express.Router();
+
+// Rate limiting
+const rateLimitMap = new Map();
+const rateLimit = (windowMs = 60000, maxRequests = 5) => {
+  return (req, res, next) => {
+    // Separate buckets per route so each limit only counts its own requests
+    const key = `${req.ip || 'unknown'}:${req.baseUrl}${req.route.path}`;
+    const now = Date.now();
+
+    if (!rateLimitMap.has(key)) {
+      rateLimitMap.set(key, []);
+    }
+
+    const requests = rateLimitMap.get(key);
+    const validRequests = requests.filter(time => now - time < windowMs);
+
+    if (validRequests.length >= maxRequests) {
+      return res.status(429).json({ error: 'Too many requests. Please try again later.' });
+    }
+
+    validRequests.push(now);
+    rateLimitMap.set(key, validRequests);
+    next();
+  };
+};
+
+// Parse and validate the :id route parameter
+const parseElectionId = (value) => {
+  if (!/^\d+$/.test(String(value))) {
+    return null;
+  }
+  return parseInt(value, 10);
+};
+
+// Resolve the election for the :id parameter, or send the matching error response
+const resolveElection = async (req, res) => {
+  const electionId = parseElectionId(req.params.id);
+  if (electionId === null) {
+    res.status(400).json({ error: 'Invalid election ID' });
+    return null;
+  }
+
+  const election = await readElection(electionId);
+  if (!election) {
+    res.status(404).json({ error: 'Election not found' });
+    return null;
+  }
+
+  return election;
+};
+
+// Strip per-candidate data from an election summary
+const summarizeElection = ({ candidates, ...election }) => election;
+
+// GET /api/elections/voting-methods - List supported voting methods
+router.get('/voting-methods', (req, res) => {
+  res.json({
+    votingMethods: listVotingMethods(),
+    default: DEFAULT_VOTING_METHOD
+  });
+});
+
+// GET /api/elections - List all elections
+router.get('/', async (req, res) => {
+  try {
+    console.log('Fetching elections...');
+
+    const elections = await readElections();
+
+    res.json({
+      elections: elections.map(summarizeElection),
+      count: elections.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching elections:', error);
+    res.status(500).json({
+      error: 'Failed to fetch elections',
+      details: error.message
+    });
+  }
+});
+
+// GET /api/elections/:id - Get a single election
+router.get('/:id', async (req, res) => {
+  try {
+    const election = await resolveElection(req, res);
+    if (!election) return;
+
+    const settings = await loadElectionSettings(election.id);
+
+    res.json({
+      election: {
+        ...summarizeElection(election),
+        ...settings
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching election:', error);
+    res.status(500).json({
+      error: 'Failed to fetch election',
+      details: error.message
+    });
+  }
+});
+
+// GET /api/elections/:id/candidates - Get candidates of an election
+router.get('/:id/candidates', async (req, res) => {
+  try {
+    const election = await resolveElection(req, res);
+    if (!election) return;
+
+    // Attach off-chain profiles (photo, party, localized names, manifesto)
+    const profiles = await CandidateProfile.find({ electionId: election.id }).lean();
+    const profilesById = new Map(profiles.map(profile => [profile.candidateId, formatProfile(profile)]));
+
+    res.json({
+      electionId: election.id,
+      candidates: election.candidates.map(({ id, name }) => ({
+        id,
+        name,
+        profile: profilesById.get(id) || null
+      })),
+      count: election.candidates.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching election candidates:', error);
+    res.status(500).json({
+      error: 'Failed to fetch election candidates',
+      details: error.message
+    });
+  }
+});
+
+// POST /api/elections/:id/eligibility/nonce - Nonce for the wallet to sign before a government ID check
+router.post('/:id/eligibility/nonce', rateLimit(60000, 10), async (req, res) => {
+  try {
+    const election = await resolveElection(req, res);
+    if (!election) return;
+
+    const address = req.body.address ? normalizeAddress(req.body.address) : null;
+    if (!address) {
+      return res.status(400).json({ error: 'A valid wallet address is required' });
+    }
+
+    const { nonce, expiresIn } = issueNonce('roll-binding', `${election.id}:${address}`);
+
+    res.json({
+      nonce,
+      message: rollBindingMessage(election.id, address, nonce),
+      expiresIn // seconds
+    });
+  } catch (error) {
+    console.error('Error generating eligibility nonce:', error);
+    res.status(500).json({ error: 'Failed to generate nonce' });
+  }
+});
+
+// POST /api/elections/:id/eligibility - Check a voter against the election's roll.
+// A government ID check binds the ID to the wallet, so it needs the wallet's
+// signature of a nonce from /eligibility/nonce.
+router.post('/:id/eligibility', rateLimit(60000, 10), async (req, res) => {
+  try {
+    const election = await resolveElection(req, res);
+    if (!election) return;
+
+    const { govtID, nonce, signature } = req.body || {};
+    let { address } = req.body || {};
+    if (govtID) {
+      const proof = verifyRollSignature(election.id, { address, nonce, signature });
+      if (proof.error) {
+        return res.status(proof.status).json({ error: proof.error });
+      }
+      address = proof.address;
+    }
+
+    const result = await checkEligibility(election.id, { govtID, address });
+
+    res.json({
+      electionId: election.id,
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error checking voter eligibility:', error);
+    res.status(500).json({
+      error: 'Failed to check voter eligibility',
+      details: error.message
+    });
+  }
+});
+
+// GET /api/elections/:id/receipts/:txHash - Check that a vote receipt's transaction is counted
+router.get('/:id/receipts/:txHash', async (req, res) => {
+  try {
+    if (!isTransactionHash(req.params.txHash)) {
+      return res.status(400).json({ error: 'Invalid transaction hash' });
+    }
+
+    const election = await resolveElection(req, res);
+    if (!election) return;
+
+    const verification = await verifyVoteReceipt({ electionId: election.id, transactionHash: req.params.txHash });
+
+    res.json({
+      ...verification,
+      electionTitle: election.title,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error verifying vote receipt:', error);
+    res.status(500).json({
+      error: 'Failed to verify vote receipt',
+      details: error.message
+    });
+  }
+});
+
+// GET /api/elections/:id/risk-policy - Anomaly risk-scoring policy of an election
+router.get('/:id/risk-policy', async (req, res) => {
+  try {
+    const election = await resolveElection(req, res);
+    if (!election) return;
+
+    const { policy, isDefault, updatedAt } = await loadRiskPolicy(election.id);
+
+    res.json({
+      electionId: election.id,
+      policy,
+      isDefault,
+      updatedAt,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching risk policy:', error);
+    res.status(500).json({
+      error: 'Failed to fetch risk policy',
+      details: error.message
+    });
+  }
+});
+
+// POST /api/elections/:id/votes/:txHash/nonce - Nonce for the wallet that cast a vote to sign
+// before acting for it ({ action: 'risk' | 'confirmation' | 'ballot' })
+router.post('/:id/votes/:txHash/nonce', rateLimit(60000, 10), async (req, res) => {
+  try {
+    if (!isTransactionHash(req.params.txHash)) {
+      return res.status(400).json({ error: 'Invalid transaction hash' });
+    }
+
+    const election = await resolveElection(req, res);
+    if (!election) return;
+
+    const { action } = req.body || {};
+    if (!Object.prototype.hasOwnProperty.call(VOTE_SENDER_ACTIONS, action)) {
+      return res.status(400).json({ error: `action must be one of: ${Object.keys(VOTE_SENDER_ACTIONS).join(', ')}` });
+    }
+
+    const txHash = req.params.txHash.toLowerCase();
+    const { nonce, expiresIn } = issueNonce('vote-sender', `${election.id}:${txHash}:${action}`);
+
+    res.json({
+      nonce,
+      message: voteSenderMessage(election.id, txHash, action, nonce),
+      expiresIn // seconds
+    });
+  } catch (error) {
+    console.error('Error generating vote sender nonce:', error);
+    res.status(500).json({ error: 'Failed to generate nonce' });
+  }
+});
+
+// POST /api/elections/:id/votes/:txHash/risk - Store the webcam anomaly metadata of a vote,
+// signed by the wallet that cast it with a nonce from /votes/:txHash/nonce
+router.post('/:id/votes/:txHash/risk', rateLimit(60000, 10), async (req, res) => {
+  try {
+    if (!isTransactionHash(req.params.txHash)) {
+      return res.status(400).json({ error: 'Invalid transaction hash' });
+    }
+
+    const election = await resolveElection(req, res);
+    if (!election) return;
+
+    const { policy } = await loadRiskPolicy(election.id);
+    const { report, error } = normalizeRiskReport(req.body, policy);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const { nonce, signature } = req.body;
+    const proof = await verifyVoteSender({ electionId: election.id, transactionHash: req.params.txHash, action: 'risk', nonce, signature });
+    if (proof.error) {
+      return res.status(proof.status).json({ error: proof.error });
+    }
+
+    const recorded = await recordRiskReport({
+      electionId: election.id,
+      transactionHash: req.params.txHash,
+      voter: proof.sender,
+      report
+    });
+    if (recorded.error) {
+      return res.status(recorded.status).json({ error: recorded.error });
+    }
+
+    if (recorded.report.isFlagged) {
+      console.log(`🚩 Flagged vote ${recorded.report.txHash} in election ${election.id} queued for review (risk ${report.riskScore})`);
+    }
+
+    res.status(201).json({
+      message: 'Risk metadata recorded',
+      electionId: election.id,
+      transactionHash: recorded.report.txHash,
+      isFlagged: recorded.report.isFlagged,
+      flagThreshold: recorded.report.flagThreshold,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error recording vote risk metadata:', error);
+    res.status(500).json({
+      error: 'Failed to record vote risk metadata',
+      details: error.message
+    });
+  }
+});
+
+// POST /api/elections/:id/votes/:txHash/confirmation - Email a confirmation of a vote
+// (without the candidate) to the voter; one per vote. Signed by the wallet that
+// cast it with a nonce from /votes/:txHash/nonce, since the first request
+// claims the vote's one confirmation.
+router.post('/:id/votes/:txHash/confirmation', rateLimit(60000, 5), async (req, res) => {
+  try {
+    if (!isTransactionHash(req.params.txHash)) {
+      return res.status(400).json({ error: 'Invalid transaction hash' });
+    }
+
+    const election = await resolveElection(req, res);
+    if (!election) return;
+
+    const { email, name, locale, nonce, signature } = req.body;
+    const proof = await verifyVoteSender({ electionId: election.id, transactionHash: req.params.txHash, action: 'confirmation', nonce, signature });
+    if (proof.error) {
+      return res.status(proof.status).json({ error: proof.error });
+    }
+
+    const verification = await verifyVoteReceipt({ electionId: election.id, transactionHash: req.params.txHash });
+    if (verification.status === 'pending') {
+      return res.status(409).json({ error: verification.message });
+    }
+    if (!verification.verified) {
+      return res.status(400).json({ error: verification.message });
+    }
+
+    const queued = await enqueueMail({
+      template: 'voteConfirmation',
+      to: email,
+      locale,
+      data: {
+        name,
+        electionTitle: election.title,
+        transactionHash: verification.transactionHash,
+        votedAt: verification.blockTimestamp ? new Date(verification.blockTimestamp * 1000).toISOString() : new Date().toISOString()
+      },
+      dedupeKey: `voteConfirmation:${verification.transactionHash}`
+    });
+    if (queued.error) {
+      return res.status(queued.status).json({ error: queued.error });
+    }
+    if (queued.duplicate) {
+      return res.status(409).json({ error: 'A confirmation was already sent for this vote' });
+    }
+
+    res.status(202).json({
+      message: 'Vote confirmation queued',
+      electionId: election.id,
+      transactionHash: verification.transactionHash,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error queueing vote confirmation:', error);
+    res.status(500).json({
+      error: 'Failed to queue vote confirmation',
+      details: error.message
+    });
+  }
+});
+
+// POST /api/elections/:id/votes/:txHash/ballot - Cast the ranked, approval or score ballot
+// of an on-chain vote ({ choices }, in the election's ballot format), signed by the wallet
+// that cast it with a nonce from /votes/:txHash/nonce
+router.post('/:id/votes/:txHash/ballot', rateLimit(60000, 10), async (req, res) => {
+  try {
+    if (!isTransactionHash(req.params.txHash)) {
+      return res.status(400).json({ error: 'Invalid transaction hash' });
+    }
+
+    const election = await resolveElection(req, res);
+    if (!election) return;
+
+    const { choices, nonce, signature } = req.body;
+    const proof = await verifyVoteSender({ electionId: election.id, transactionHash: req.params.txHash, action: 'ballot', nonce, signature });
+    if (proof.error) {
+      return res.status(proof.status).json({ error: proof.error });
+    }
+
+    const settings = await loadElectionSettings(election.id);
+    const recorded = await recordVoterBallot({
+      election,
+      settings,
+      transactionHash: req.params.txHash,
+      voter: proof.sender,
+      choices
+    });
+    if (recorded.error) {
+      return res.status(recorded.status).json({ error: recorded.error });
+    }
+
+    res.status(201).json({
+      message: recorded.replaced ? 'Ballot replaced' : 'Ballot recorded',
+      electionId: election.id,
+      transactionHash: recorded.ballot.txHash,
+      votingMethod: settings.votingMethod,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error recording ballot:', error);
+    res.status(500).json({
+      error: 'Failed to record ballot',
+      details: error.message
+    });
+  }
+});
+
+// GET /api/elections/:id/results - Get vote counts and winner of an election
+router.get('/:id/results', async (req, res) => {
+  try {
+    const election = await resolveElection(req, res);
+    if (!election) return;
+
+    console.log(`Fetching results for election ${election.id} (source: ${election.source})...`);
+
+    // Commit-reveal elections have no tally until the reveal phase ends
+    if (election.sealed) {
+      return res.json({
+        ...sealedResults(election),
+        title: election.title,
+        status: election.status,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({
+      ...(await buildResults(election)),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching election results:', error);
+    res.status(500).json({
+      error: 'Failed to fetch election results',
+      details: error.message
+    });
+  }
+});
+
+// POST /api/elections/:id/results/email - Email the final results of an ended election
+router.post('/:id/results/email', rateLimit(60000, 5), async (req, res) => {
+  try {
+    const election = await resolveElection(req, res);
+    if (!election) return;
+
+    if (election.status !== 'ended' || election.sealed) {
+      return res.status(409).json({ error: 'Results are emailed once the election has ended and its results are published' });
+    }
+
+    const { email, name, locale } = req.body;
+    const results = await buildResults(election);
+
+    const queued = await enqueueMail({
+      template: 'resultsPublished',
+      to: email,
+      locale,
+      data: { name, ...resultsMailData(results) },
+      dedupeKey: typeof email === 'string' ? `resultsPublished:${election.id}:${email.toLowerCase()}` : undefined
+    });
+    if (queued.error) {
+      return res.status(queued.status).json({ error: queued.error });
+    }
+
+    res.status(202).json({
+      message: queued.duplicate ? 'Results were already sent to this address' : 'Results email queued',
+      electionId: election.id,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error queueing results email:', error);
+    res.status(500).json({
+      error: 'Failed to queue results email',
+      details: error.message
+    });
+  }
+});
+
+// GET /api/elections/:id/tally/root - Published Merkle root of a closed election's votes
+router.get('/:id/tally/root', async (req, res) => {
+  try {
+    const election = await resolveElection(req, res);
+    if (!election) return;
+
+    const commitment = await getTallyCommitment(election.id);
+    if (!commitment) {
+      return res.status(404).json({ error: 'The tally of this election has not been published yet' });
+    }
+
+    res.json({
+      ...commitment,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching tally root:', error);
+    res.status(500).json({
+      error: 'Failed to fetch tally root',
+      details: error.message
+    });
+  }
+});
+
+// GET /api/elections/:id/tally/proof/:txHash - Inclusion proof of a vote in the published root
+router.get('/:id/tally/proof/:txHash', async (req, res) => {
+  try {
+    if (!isTransactionHash(req.params.txHash)) {
+      return res.status(400).json({ error: 'Invalid transaction hash' });
+    }
+
+    const election = await resolveElection(req, res);
+    if (!election) return;
+
+    const inclusion = await getInclusionProof(election.id, req.params.txHash);
+    if (inclusion.error) {
+      return res.status(inclusion.status).json({ error: inclusion.error });
+    }
+
+    res.json({
+      electionId: election.id,
+      root: inclusion.commitment.root,
+      leafEncoding: inclusion.commitment.leafEncoding,
+      vote: inclusion.vote,
+      leaf: inclusion.leaf,
+      proof: inclusion.proof,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error building inclusion proof:', error);
+    res.status(500).json({
+      error: 'Failed to build inclusion proof',
+      details: error.message
+    });
+  }
+});
+
+// POST /api/elections/:id/tally/irv - Run an instant-runoff tally over ranked ballots
+router.post('/:id/tally/irv', async (req, res) => {
+  try {
+    const { ballots } = req.body;
+
+    if (!Array.isArray(ballots) || ballots.length === 0) {
+      return res.status(400).json({ error: 'Ballots must be a non-empty array of ranked candidate IDs' });
+    }
+
+    if (!ballots.every(Array.isArray)) {
+      return res.status(400).json({ error: 'Each ballot must be an array of candidate IDs' });
+    }
+
+    const election = await resolveElection(req, res);
+    if (!election) return;
+
+    console.log(`Running instant-runoff for election ${election.id} over ${ballots.length} ballots...`);
+
+    const result = runInstantRunoff(election.candidates, ballots);
+
+    res.json({
+      electionId: election.id,
+      title: election.title,
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error running instant-runoff tally:', error);
+    res.status(500).json({
+      error: 'Failed to run instant-runoff tally',
+      details: error.message
+    });
+  }
+});
+
+// GET /api/elections/:id/stream - Server-Sent Events with live tally and status updates
+router.get('/:id/stream', async (req, res) => {
+  try {
+    const election = await resolveElection(req, res);
+    if (!election) return;
+
+    streamElection(election, req, res);
+  } catch (error) {
+    console.error('Error opening election stream:', error);
+    res.status(500).json({
+      error: 'Failed to open election stream',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,23 +1,54 @@
 const express = require('express');
-const { verifyGovtIDAdmin } = require('../middleware/auth');
+const mongoose = require('mongoose');
+const { requirePermission } = require('../middleware/auth');
 const { contract, retryContractCall } = require('../contract');
 const { generateAnalytics } = require('../analytics/analytics');
+const { readElection } = require('../indexer/reader');
+const { parseRollCsv, importRollEntries, rebindRollEntry, buildRollReport } = require('../rolls/voterRoll');
+const { maskGovtId } = require('../identity/govtIdVault');
+const { ROLE_PERMISSIONS, ACCOUNT_ROLES, ELECTION_ROLES, parseElectionId } = require('../identity/permissions');
 const User = require('../models/User');
+const VoterRollEntry = require('../models/VoterRollEntry');
+const RoleAssignment = require('../models/RoleAssignment');
+const { auditAction } = require('../audit/auditLog');
 
 const router = express.Router();
 
-// GET /api/govt-admin/analytics - Get comprehensive analytics (Govt ID admin only)
-router.get('/analytics', verifyGovtIDAdmin, async (req, res) => {
+// Audit log target for the /elections/:id routes
+const electionTarget = req => ({ type: 'election', id: req.params.id });
+
+// User list entry with the Government ID masked
+const formatUserSummary = (user) => ({
+  _id: user._id,
+  name: user.name,
+  govtID: maskGovtId(user.govtIDLast4),
+  role: user.role,
+  createdAt: user.createdAt
+});
+
+// GET /api/govt-admin/analytics - Get comprehensive analytics (results:view)
+router.get('/analytics', auditAction('analytics.view', req => ({ type: 'election', id: req.query.electionId })), requirePermission('results:view', req => req.query.electionId), async (req, res) => {
   try {
-    console.log(`Govt ID Admin analytics requested by: ${req.user.name} (${req.user.govtID})`);
+    console.log(`Govt ID Admin analytics requested by: ${req.user.name} (${maskGovtId(req.user.govtIDLast4)})`);
+    
+    let electionId;
+    if (req.query.electionId !== undefined) {
+      electionId = parseInt(req.query.electionId);
+      if (isNaN(electionId) || electionId < 0) {
+        return res.status(400).json({ error: 'Invalid election ID' });
+      }
+    }
     
-    const analytics = await generateAnalytics();
+    const analytics = await generateAnalytics(electionId);
+    if (!analytics) {
+      return res.status(404).json({ error: 'Election not found' });
+    }
     
     res.json({
       ...analytics,
       requestedBy: {
         name: req.user.name,
-        govtID: req.user.govtID,
+        govtID: maskGovtId(req.user.govtIDLast4),
         authType: 'govtID'
       },
       timestamp: new Date().toISOString()
@@ -32,7 +63,7 @@ router.get('/analytics', verifyGovtIDAdmin, async (req, res) => {
 });
 
 // GET /api/govt-admin/dashboard - Get admin dashboard data
-router.get('/dashboard', verifyGovtIDAdmin, async (req, res) => {
+router.get('/dashboard', auditAction('dashboard.view'), requirePermission('users:view'), async (req, res) => {
   try {
     console.log(`Admin dashboard requested by: ${req.user.name}`);
     
@@ -47,14 +78,14 @@ router.get('/dashboard', verifyGovtIDAdmin, async (req, res) => {
     const [totalUsers, totalVoters, totalAdmins] = await Promise.all([
       User.countDocuments({}),
       User.countDocuments({ role: 'voter' }),
-      User.countDocuments({ role: 'admin' })
+      User.countDocuments({ role: { $in: ['admin', 'super_admin'] } })
     ]);
     
     // Get recent registrations
     const recentUsers = await User.find({})
       .sort({ createdAt: -1 })
       .limit(10)
-      .select('name govtID role createdAt');
+      .select('name govtIDLast4 role createdAt');
     
     res.json({
       election: {
@@ -67,11 +98,11 @@ router.get('/dashboard', verifyGovtIDAdmin, async (req, res) => {
         total: totalUsers,
         voters: totalVoters,
         admins: totalAdmins,
-        recent: recentUsers
+        recent: recentUsers.map(formatUserSummary)
       },
       admin: {
         name: req.user.name,
-        govtID: req.user.govtID,
+        govtID: maskGovtId(req.user.govtIDLast4),
         loginTime: new Date().toISOString()
       },
       timestamp: new Date().toISOString()
@@ -87,11 +118,12 @@ router.get('/dashboard', verifyGovtIDAdmin, async (req, res) => {
 });
 
 // POST /api/govt-admin/manage-election - Election management actions
-router.post('/manage-election', verifyGovtIDAdmin, async (req, res) => {
+router.post('/manage-election', auditAction('election.manage'), requirePermission('election:manage'), async (req, res) => {
   try {
     const { action } = req.body;
     
     console.log(`Election management action '${action}' by: ${req.user.name}`);
+    res.locals.audit = { action };
     
     switch (action) {
       case 'status':
@@ -137,7 +169,7 @@ router.post('/manage-election', verifyGovtIDAdmin, async (req, res) => {
 });
 
 // GET /api/govt-admin/voter-analytics - Get voter statistics
-router.get('/voter-analytics', verifyGovtIDAdmin, async (req, res) => {
+router.get('/voter-analytics', auditAction('voter_analytics.view'), requirePermission('users:view'), async (req, res) => {
   try {
     console.log(`Voter analytics requested by: ${req.user.name}`);
     
@@ -193,11 +225,12 @@ router.get('/voter-analytics', verifyGovtIDAdmin, async (req, res) => {
 });
 
 // POST /api/govt-admin/bulk-actions - Bulk user management actions
-router.post('/bulk-actions', verifyGovtIDAdmin, async (req, res) => {
+router.post('/bulk-actions', auditAction('users.bulk_action'), requirePermission('users:view'), async (req, res) => {
   try {
     const { action, userIds, filters } = req.body;
     
     console.log(`Bulk action '${action}' requested by: ${req.user.name}`);
+    res.locals.audit = { action, userCount: Array.isArray(userIds) ? userIds.length : null };
     
     if (!action) {
       return res.status(400).json({ error: 'Action is required' });
@@ -224,13 +257,13 @@ router.post('/bulk-actions', verifyGovtIDAdmin, async (req, res) => {
         if (filters?.role) listFilter.role = filters.role;
         
         const users = await User.find(listFilter)
-          .select('name govtID role createdAt')
+          .select('name govtIDLast4 role createdAt')
           .limit(100)
           .sort({ createdAt: -1 });
           
         res.json({
           action: 'list',
-          users,
+          users: users.map(formatUserSummary),
           count: users.length,
           filters,
           message: `Listed ${users.length} users`
@@ -250,4 +283,281 @@ router.post('/bulk-actions', verifyGovtIDAdmin, async (req, res) => {
   }
 });
 
+// Parse the :id parameter and check the election exists, or send the matching error response
+const resolveElectionId = async (req, res) => {
+  const electionId = parseInt(req.params.id);
+  if (isNaN(electionId) || electionId < 0) {
+    res.status(400).json({ error: 'Invalid election ID' });
+    return null;
+  }
+
+  if (!await readElection(electionId)) {
+    res.status(404).json({ error: 'Election not found' });
+    return null;
+  }
+
+  return electionId;
+};
+
+// POST /api/govt-admin/elections/:id/roll - Import a voter roll from CSV (roll:manage)
+router.post('/elections/:id/roll', auditAction('voter_roll.import', electionTarget), requirePermission('roll:manage', req => req.params.id), async (req, res) => {
+  try {
+    const { csv, replace = false } = req.body;
+    if (typeof csv !== 'string' || !csv.trim()) {
+      return res.status(400).json({ error: 'CSV content is required' });
+    }
+
+    const electionId = await resolveElectionId(req, res);
+    if (electionId === null) return;
+
+    let parsed;
+    try {
+      parsed = parseRollCsv(csv);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    const { entries, invalid, duplicates } = parsed;
+
+    console.log(`Voter roll import for election ${electionId} by: ${req.user.name}, rows: ${entries.length}, invalid: ${invalid.length}`);
+    res.locals.audit = { rows: entries.length, invalid: invalid.length, replace: Boolean(replace) };
+
+    if (replace) {
+      await VoterRollEntry.deleteMany({ electionId });
+    }
+    const imported = await importRollEntries(electionId, entries, String(req.user._id));
+    const totalEnrolled = await VoterRollEntry.countDocuments({ electionId });
+
+    res.json({
+      message: 'Voter roll imported',
+      electionId,
+      imported,
+      alreadyEnrolled: entries.length - imported,
+      duplicates: duplicates.length,
+      invalid: invalid.slice(0, 100),
+      invalidCount: invalid.length,
+      totalEnrolled,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error importing voter roll:', error);
+    res.status(500).json({
+      error: 'Failed to import voter roll',
+      details: error.message
+    });
+  }
+});
+
+// PUT /api/govt-admin/elections/:id/roll/binding - Bind a roll government ID to another wallet, or unbind it (roll:manage)
+router.put('/elections/:id/roll/binding', auditAction('voter_roll.rebind', electionTarget), requirePermission('roll:manage', req => req.params.id), async (req, res) => {
+  try {
+    const electionId = await resolveElectionId(req, res);
+    if (electionId === null) return;
+
+    const { govtID, address = null } = req.body;
+    const result = await rebindRollEntry(electionId, govtID, address);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    console.log(`Voter roll entry of election ${electionId} ${address ? `bound to ${result.entry.boundAddress}` : 'unbound'} by: ${req.user.name}`);
+    res.locals.audit = { boundAddress: result.entry.boundAddress || null };
+
+    res.json({
+      message: address ? 'Government ID bound to the wallet' : 'Government ID unbound',
+      electionId,
+      boundAddress: result.entry.boundAddress || null,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error rebinding voter roll entry:', error);
+    res.status(500).json({
+      error: 'Failed to rebind voter roll entry',
+      details: error.message
+    });
+  }
+});
+
+// GET /api/govt-admin/elections/:id/roll/report - Enrolled, voted and not-voted counts (roll:view)
+router.get('/elections/:id/roll/report', auditAction('voter_roll.report', electionTarget), requirePermission('roll:view', req => req.params.id), async (req, res) => {
+  try {
+    const electionId = await resolveElectionId(req, res);
+    if (electionId === null) return;
+
+    console.log(`Voter roll report for election ${electionId} requested by: ${req.user.name}`);
+
+    const report = await buildRollReport(electionId);
+
+    res.json({
+      ...report,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error building voter roll report:', error);
+    res.status(500).json({
+      error: 'Failed to build voter roll report',
+      details: error.message
+    });
+  }
+});
+
+// Role assignment with its user's name and masked Government ID
+const formatAssignment = (assignment, user) => ({
+  id: assignment._id,
+  userId: assignment.userId,
+  user: user ? { name: user.name, govtID: maskGovtId(user.govtIDLast4) } : null,
+  role: assignment.role,
+  electionId: assignment.electionId,
+  grantedBy: assignment.grantedBy,
+  createdAt: assignment.createdAt
+});
+
+// GET /api/govt-admin/roles - Roles, their permissions and election role assignments (roles:manage)
+router.get('/roles', auditAction('roles.list'), requirePermission('roles:manage'), async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.userId) {
+      if (!mongoose.isValidObjectId(req.query.userId)) {
+        return res.status(400).json({ error: 'Invalid user ID' });
+      }
+      filter.userId = req.query.userId;
+    }
+    if (req.query.electionId !== undefined) {
+      const electionId = parseElectionId(req.query.electionId);
+      if (electionId === null) {
+        return res.status(400).json({ error: 'Invalid election ID' });
+      }
+      filter.electionId = electionId;
+    }
+
+    const assignments = await RoleAssignment.find(filter).sort({ createdAt: -1 }).limit(500).lean();
+    const users = await User.find({ _id: { $in: assignments.map(assignment => assignment.userId) } })
+      .select('name govtIDLast4');
+    const usersById = new Map(users.map(user => [String(user._id), user]));
+
+    res.json({
+      permissions: ROLE_PERMISSIONS,
+      accountRoles: ACCOUNT_ROLES,
+      electionRoles: ELECTION_ROLES,
+      assignments: assignments.map(assignment => formatAssignment(assignment, usersById.get(String(assignment.userId))))
+    });
+  } catch (error) {
+    console.error('Error listing role assignments:', error);
+    res.status(500).json({
+      error: 'Failed to list role assignments',
+      details: error.message
+    });
+  }
+});
+
+// POST /api/govt-admin/roles - Grant an election role, for one election or all of them (roles:manage)
+router.post('/roles', auditAction('role.grant', req => ({ type: 'user', id: req.body.userId })), requirePermission('roles:manage'), async (req, res) => {
+  try {
+    const { userId, role } = req.body;
+    if (!ELECTION_ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${ELECTION_ROLES.join(', ')}` });
+    }
+    if (!mongoose.isValidObjectId(userId)) {
+      return res.status(400).json({ error: 'Invalid user ID' });
+    }
+
+    let electionId = null;
+    if (req.body.electionId !== undefined && req.body.electionId !== null) {
+      electionId = parseElectionId(req.body.electionId);
+      if (electionId === null) {
+        return res.status(400).json({ error: 'Invalid election ID' });
+      }
+      if (!await readElection(electionId)) {
+        return res.status(404).json({ error: 'Election not found' });
+      }
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const assignment = await RoleAssignment.create({
+      userId: user._id,
+      role,
+      electionId,
+      grantedBy: String(req.user._id)
+    });
+
+    console.log(`🎖️ Role ${role} granted to ${user.name} for ${electionId === null ? 'all elections' : `election ${electionId}`} by: ${req.user.name}`);
+    res.locals.audit = { role, electionId };
+
+    res.status(201).json({
+      message: 'Role granted',
+      assignment: formatAssignment(assignment, user)
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'User already has this role for this election' });
+    }
+    console.error('Error granting role:', error);
+    res.status(500).json({
+      error: 'Failed to grant role',
+      details: error.message
+    });
+  }
+});
+
+// DELETE /api/govt-admin/roles/:assignmentId - Revoke an election role (roles:manage)
+router.delete('/roles/:assignmentId', auditAction('role.revoke', req => ({ type: 'role_assignment', id: req.params.assignmentId })), requirePermission('roles:manage'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.assignmentId)) {
+      return res.status(400).json({ error: 'Invalid role assignment ID' });
+    }
+
+    const assignment = await RoleAssignment.findByIdAndDelete(req.params.assignmentId);
+    if (!assignment) {
+      return res.status(404).json({ error: 'Role assignment not found' });
+    }
+
+    console.log(`🎖️ Role ${assignment.role} revoked from user ${assignment.userId} by: ${req.user.name}`);
+    res.locals.audit = { role: assignment.role, userId: String(assignment.userId), electionId: assignment.electionId };
+
+    res.json({ message: 'Role revoked', assignment: formatAssignment(assignment) });
+  } catch (error) {
+    console.error('Error revoking role:', error);
+    res.status(500).json({
+      error: 'Failed to revoke role',
+      details: error.message
+    });
+  }
+});
+
+// PUT /api/govt-admin/users/:id/role - Change a user's account role (roles:manage)
+router.put('/users/:id/role', auditAction('user.role.update', req => ({ type: 'user', id: req.params.id })), requirePermission('roles:manage'), async (req, res) => {
+  try {
+    const { role } = req.body;
+    if (!ACCOUNT_ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${ACCOUNT_ROLES.join(', ')}` });
+    }
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid user ID' });
+    }
+    // A super admin demoting themselves could leave nobody able to grant roles
+    if (String(req.params.id) === String(req.user._id)) {
+      return res.status(400).json({ error: 'You cannot change your own role' });
+    }
+
+    const user = await User.findByIdAndUpdate(req.params.id, { $set: { role } }, { new: true, runValidators: true });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    console.log(`🎖️ Account role of ${user.name} set to ${role} by: ${req.user.name}`);
+    res.locals.audit = { role };
+
+    res.json({ message: 'Role updated', user: formatUserSummary(user) });
+  } catch (error) {
+    console.error('Error updating account role:', error);
+    res.status(500).json({
+      error: 'Failed to update role',
+      details: error.message
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
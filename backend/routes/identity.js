@@ -0,0 +1,272 @@
+const express = require('express');
+const { ethers } = require('ethers');
+const User = require('../models/User');
+const { requirePermission } = require('../middleware/auth');
+const { verifyAccessToken } = require('../identity/sessions');
+const { isSupabaseToken, verifySupabaseToken, getProfile, isSupabaseConfigured } = require('../identity/supabaseProfiles');
+const { issueNonce, consumeNonce } = require('../identity/walletNonces');
+const { govtIdFilter } = require('../identity/govtIdVault');
+const { validateGovtId } = require('../validation/generated/govtIdValidator');
+const { issueOtp, verifyOtp, OTP_TTL_SECONDS } = require('../otp/otpService');
+const { auditAction } = require('../audit/auditLog');
+const {
+  walletLinkMessage,
+  normalizeAddress,
+  resolveSupabaseUser,
+  linkSupabaseUser,
+  linkWallet,
+  unlinkWallet,
+  findIdentityByAddress,
+  identitySummary
+} = require('../identity/walletLinks');
+
+const router = express.Router();
+
+// Rate limiting
+const rateLimitMap = new Map();
+const rateLimit = (windowMs = 60000, maxRequests = 5) => {
+  return (req, res, next) => {
+    // Separate buckets per route so each limit only counts its own requests
+    const key = `${req.ip || 'unknown'}:${req.baseUrl}${req.route.path}`;
+    const now = Date.now();
+
+    if (!rateLimitMap.has(key)) {
+      rateLimitMap.set(key, []);
+    }
+
+    const requests = rateLimitMap.get(key);
+    const validRequests = requests.filter(time => now - time < windowMs);
+
+    if (validRequests.length >= maxRequests) {
+      return res.status(429).json({ error: 'Too many requests. Please try again later.' });
+    }
+
+    validRequests.push(now);
+    rateLimitMap.set(key, validRequests);
+    next();
+  };
+};
+
+// Middleware accepting either sign-in: a Government ID access token
+// (/api/auth/login/verify) or a Supabase session token (src/pages/Auth.jsx).
+// Both resolve to the Mongo user that wallet links are stored on.
+const verifyIdentity = async (req, res, next) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return res.status(401).json({ error: 'No authorization token provided' });
+  }
+
+  const token = authHeader.substring(7);
+  let resolved;
+  try {
+    if (isSupabaseToken(token)) {
+      resolved = await resolveSupabaseUser(verifySupabaseToken(token));
+    } else {
+      const decoded = await verifyAccessToken(token);
+      const user = decoded.authType === 'govtID' ? await User.findById(decoded.userId) : null;
+      resolved = user ? { user } : { error: 'Invalid or expired token', status: 401 };
+    }
+  } catch (error) {
+    console.error('Identity verification failed:', error.message);
+    return res.status(401).json({ error: 'Invalid or expired token' });
+  }
+
+  if (resolved.error) {
+    return res.status(resolved.status).json({ error: resolved.error, code: resolved.code });
+  }
+  req.user = resolved.user;
+  next();
+};
+
+// Middleware for a Supabase session that may not be linked to a Mongo user yet
+const verifySupabaseSession = (req, res, next) => {
+  const authHeader = req.headers.authorization;
+  const token = authHeader && authHeader.startsWith('Bearer ') ? authHeader.substring(7) : null;
+  if (!token || !isSupabaseToken(token)) {
+    return res.status(401).json({ error: 'A Supabase session token is required' });
+  }
+
+  try {
+    req.supabaseUserId = verifySupabaseToken(token);
+  } catch (error) {
+    console.error('Supabase token verification failed:', error.message);
+    return res.status(401).json({ error: 'Invalid or expired token' });
+  }
+  next();
+};
+
+// POST /api/identity/govt-id/code - Send a login code to the registered owner of a Government ID
+router.post('/govt-id/code', rateLimit(60000, 5), verifySupabaseSession, async (req, res) => {
+  try {
+    const { govtID, idType } = req.body;
+    const govtIDValidation = validateGovtId(idType, govtID);
+    if (!govtIDValidation.isValid) {
+      return res.status(400).json({ error: govtIDValidation.error, code: govtIDValidation.code });
+    }
+
+    const user = await User.findOne(govtIdFilter(govtIDValidation.value));
+    if (!user) {
+      return res.status(404).json({ error: 'No voter is registered with this Government ID' });
+    }
+
+    const otp = await issueOtp(user);
+    if (otp.error) {
+      return res.status(otp.status).json({ error: otp.error });
+    }
+
+    res.json({
+      message: 'Verification code sent',
+      challengeId: otp.challengeId,
+      deliveredVia: otp.deliveredVia,
+      destination: otp.destination,
+      expiresIn: OTP_TTL_SECONDS
+    });
+  } catch (error) {
+    console.error('Government ID code error:', error);
+    res.status(500).json({ error: 'Failed to send verification code', details: error.message });
+  }
+});
+
+// POST /api/identity/govt-id/verify - Link the Supabase account to the Government ID the code proves
+router.post('/govt-id/verify', rateLimit(60000, 10), verifySupabaseSession, async (req, res) => {
+  try {
+    const { challengeId, code } = req.body;
+    const verification = await verifyOtp(challengeId, code);
+    if (verification.error) {
+      return res.status(verification.status).json({
+        error: verification.error,
+        attemptsRemaining: verification.attemptsRemaining
+      });
+    }
+
+    const user = await User.findById(verification.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'No voter is registered with this Government ID' });
+    }
+
+    const result = await linkSupabaseUser(user, req.supabaseUserId);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({ message: 'Government ID verified', identity: identitySummary(result.user) });
+  } catch (error) {
+    console.error('Government ID verification error:', error);
+    res.status(500).json({ error: 'Failed to verify Government ID', details: error.message });
+  }
+});
+
+// GET /api/identity/wallet - The caller's identity and linked wallet
+router.get('/wallet', verifyIdentity, (req, res) => {
+  res.json({
+    linked: Boolean(req.user.walletAddress),
+    identity: identitySummary(req.user)
+  });
+});
+
+// POST /api/identity/wallet/nonce - Nonce for the wallet to sign
+router.post('/wallet/nonce', rateLimit(60000, 10), verifyIdentity, (req, res) => {
+  try {
+    const userId = String(req.user._id);
+    const { nonce, expiresIn } = issueNonce('wallet-link', userId);
+
+    res.json({
+      nonce,
+      message: walletLinkMessage(userId, nonce),
+      expiresIn // seconds
+    });
+  } catch (error) {
+    console.error('Error generating wallet link nonce:', error);
+    res.status(500).json({ error: 'Failed to generate nonce' });
+  }
+});
+
+// POST /api/identity/wallet/link - Bind the wallet that signed the nonce
+router.post('/wallet/link', rateLimit(60000, 10), verifyIdentity, async (req, res) => {
+  try {
+    const { signature, nonce } = req.body;
+    const address = normalizeAddress(req.body.address);
+
+    if (!address || !signature || !nonce) {
+      return res.status(400).json({ error: 'A valid address, signature and nonce are required' });
+    }
+
+    const userId = String(req.user._id);
+    const nonceCheck = consumeNonce(nonce, 'wallet-link', userId);
+    if (nonceCheck.error) {
+      return res.status(400).json({ error: nonceCheck.error });
+    }
+
+    let recoveredAddress;
+    try {
+      recoveredAddress = ethers.verifyMessage(walletLinkMessage(userId, nonce), signature);
+    } catch (error) {
+      return res.status(401).json({ error: 'Invalid signature' });
+    }
+    if (recoveredAddress.toLowerCase() !== address) {
+      return res.status(401).json({ error: 'Invalid signature' });
+    }
+
+    const result = await linkWallet(req.user, address);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    console.log(`🔗 Wallet ${address} linked to ${req.user.name} (${identitySummary(req.user).govtID})`);
+
+    res.json({
+      message: 'Wallet linked successfully',
+      walletAddress: address,
+      profileSynced: result.profileSynced,
+      identity: identitySummary(result.user)
+    });
+  } catch (error) {
+    console.error('Wallet link error:', error);
+    res.status(500).json({ error: 'Failed to link wallet', details: error.message });
+  }
+});
+
+// DELETE /api/identity/wallet - Unlink the caller's wallet
+router.delete('/wallet', verifyIdentity, async (req, res) => {
+  try {
+    const previousAddress = await unlinkWallet(req.user);
+    if (!previousAddress) {
+      return res.status(404).json({ error: 'No wallet is linked to this identity' });
+    }
+
+    console.log(`✂️ Wallet ${previousAddress} unlinked from ${req.user.name}`);
+
+    res.json({ message: 'Wallet unlinked successfully', walletAddress: previousAddress });
+  } catch (error) {
+    console.error('Wallet unlink error:', error);
+    res.status(500).json({ error: 'Failed to unlink wallet', details: error.message });
+  }
+});
+
+// GET /api/identity/address/:address - Which verified person controls an address (identity:lookup)
+router.get('/address/:address', auditAction('identity.lookup', req => ({ type: 'wallet', id: req.params.address })), requirePermission('identity:lookup'), async (req, res) => {
+  try {
+    const address = normalizeAddress(req.params.address);
+    if (!address) {
+      return res.status(400).json({ error: 'Invalid wallet address' });
+    }
+
+    const user = await findIdentityByAddress(address);
+    if (!user) {
+      return res.status(404).json({ error: 'No verified identity is linked to this address' });
+    }
+
+    let profile = null;
+    if (user.supabaseUserId && isSupabaseConfigured()) {
+      const row = await getProfile(user.supabaseUserId).catch(() => null);
+      profile = row && { id: row.id, isVerified: Boolean(row.is_verified), walletAddress: row.wallet_address };
+    }
+
+    res.json({ address, identity: identitySummary(user), profile });
+  } catch (error) {
+    console.error('Identity lookup error:', error);
+    res.status(500).json({ error: 'Failed to look up address', details: error.message });
+  }
+});
+
+module.exports = router;
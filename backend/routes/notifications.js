@@ -0,0 +1,289 @@
+const express = require('express');
+const NotificationSubscription = require('../models/NotificationSubscription');
+const Notification = require('../models/Notification');
+const { readElection } = require('../indexer/reader');
+const { issueNonce, verifyNonceSignature } = require('../identity/walletNonces');
+const {
+  isToken,
+  normalizeAddress,
+  subscriptionMessage,
+  subscribe,
+  confirmSubscription,
+  normalizePreferences,
+  formatSubscription
+} = require('../notifications/subscriptions');
+
+const router = express.Router();
+
+// Simple rate limiting middleware
+const rateLimitMap = new Map();
+const rateLimit = (windowMs = 60000, maxRequests = 5) => {
+  return (req, res, next) => {
+    // Separate buckets per route so each limit only counts its own requests
+    const key = `${req.ip || 'unknown'}:${req.baseUrl}${req.route.path}`;
+    const now = Date.now();
+
+    const validRequests = (rateLimitMap.get(key) || []).filter(time => now - time < windowMs);
+    if (validRequests.length >= maxRequests) {
+      return res.status(429).json({ error: 'Too many requests. Please try again later.' });
+    }
+
+    validRequests.push(now);
+    rateLimitMap.set(key, validRequests);
+    next();
+  };
+};
+
+// Read the election a subscription request names, or send the matching error response
+const resolveOpenElection = async (req, res) => {
+  const electionId = req.body.electionId;
+  if (!Number.isInteger(electionId) || electionId < 0) {
+    res.status(400).json({ error: 'Invalid election ID' });
+    return null;
+  }
+
+  const election = await readElection(electionId);
+  if (!election) {
+    res.status(404).json({ error: 'Election not found' });
+    return null;
+  }
+  if (election.status === 'ended') {
+    res.status(409).json({ error: 'This election has already ended' });
+    return null;
+  }
+
+  return election;
+};
+
+// Resolve the subscription for the :token parameter, or send the matching error response
+const resolveSubscription = async (req, res) => {
+  if (!isToken(req.params.token)) {
+    res.status(400).json({ error: 'Invalid subscription token' });
+    return null;
+  }
+
+  const subscription = await NotificationSubscription.findOne({ token: req.params.token }).lean();
+  if (!subscription) {
+    res.status(404).json({ error: 'Subscription not found' });
+    return null;
+  }
+
+  return subscription;
+};
+
+// POST /api/notifications/subscriptions/nonce - Nonce for the wallet to sign before subscribing
+router.post('/subscriptions/nonce', rateLimit(60000, 10), async (req, res) => {
+  try {
+    const election = await resolveOpenElection(req, res);
+    if (!election) return;
+
+    const address = normalizeAddress(req.body.address);
+    if (!address) {
+      return res.status(400).json({ error: 'A valid wallet address is required' });
+    }
+
+    const { nonce, expiresIn } = issueNonce('notification-subscription', `${election.id}:${address}`);
+
+    res.json({
+      nonce,
+      message: subscriptionMessage(election.id, address, nonce),
+      expiresIn // seconds
+    });
+  } catch (error) {
+    console.error('Error generating subscription nonce:', error);
+    res.status(500).json({ error: 'Failed to generate nonce' });
+  }
+});
+
+// POST /api/notifications/subscriptions - Subscribe to an election's lifecycle notifications.
+// A wallet address needs the wallet's signature of a nonce from /subscriptions/nonce
+// and gets the subscription's token back; an email address alone is confirmed
+// through a link mailed to it, and the response never says whether it was subscribed.
+router.post('/subscriptions', rateLimit(60000, 10), async (req, res) => {
+  try {
+    const election = await resolveOpenElection(req, res);
+    if (!election) return;
+
+    const { address, nonce, signature } = req.body;
+    if (address) {
+      const normalizedAddress = normalizeAddress(address);
+      if (!normalizedAddress) {
+        return res.status(400).json({ error: 'Invalid wallet address' });
+      }
+      if (!nonce || !signature) {
+        return res.status(401).json({ error: 'A wallet signature is required to subscribe a wallet address' });
+      }
+      const proof = verifyNonceSignature(
+        { address: normalizedAddress, nonce, signature },
+        'notification-subscription',
+        `${election.id}:${normalizedAddress}`,
+        (signedNonce) => subscriptionMessage(election.id, normalizedAddress, signedNonce)
+      );
+      if (proof.error) {
+        return res.status(proof.status).json({ error: proof.error });
+      }
+    }
+
+    const result = await subscribe(election, req.body);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    if (result.pending) {
+      return res.status(202).json({
+        message: 'Check your email and follow the link to confirm these notifications',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.status(result.created ? 201 : 200).json({
+      message: result.created ? 'Subscribed to election notifications' : 'Subscription updated',
+      token: result.subscription.token,
+      subscription: formatSubscription(result.subscription),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error subscribing to notifications:', error);
+    res.status(500).json({
+      error: 'Failed to subscribe to notifications',
+      details: error.message
+    });
+  }
+});
+
+// POST /api/notifications/subscriptions/:token/confirm - Confirm an email address with the code from its link
+router.post('/subscriptions/:token/confirm', rateLimit(60000, 10), async (req, res) => {
+  try {
+    const subscription = await resolveSubscription(req, res);
+    if (!subscription) return;
+
+    const result = await confirmSubscription(subscription, req.body.code);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({
+      message: 'Election notifications confirmed',
+      subscription: formatSubscription(result.subscription),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error confirming notification subscription:', error);
+    res.status(500).json({
+      error: 'Failed to confirm notification subscription',
+      details: error.message
+    });
+  }
+});
+
+// GET /api/notifications/subscriptions/:token - Preferences and in-app notifications
+router.get('/subscriptions/:token', async (req, res) => {
+  try {
+    const subscription = await resolveSubscription(req, res);
+    if (!subscription) return;
+
+    const notifications = await Notification.find({ subscriptionId: subscription._id })
+      .sort({ createdAt: -1 })
+      .limit(50)
+      .select('electionId event title readAt createdAt')
+      .lean();
+
+    res.json({
+      subscription: formatSubscription(subscription),
+      notifications: notifications.map(({ _id, ...notification }) => ({ id: String(_id), ...notification })),
+      unread: notifications.filter(notification => !notification.readAt).length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching notification subscription:', error);
+    res.status(500).json({
+      error: 'Failed to fetch notification subscription',
+      details: error.message
+    });
+  }
+});
+
+// PUT /api/notifications/subscriptions/:token - Opt out of events or change channels
+router.put('/subscriptions/:token', async (req, res) => {
+  try {
+    const subscription = await resolveSubscription(req, res);
+    if (!subscription) return;
+
+    const { updates, error } = normalizePreferences(subscription, req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    // Saving preferences resubscribes a subscription that was stopped
+    const updated = await NotificationSubscription.findOneAndUpdate(
+      { _id: subscription._id },
+      { $set: { ...updates, unsubscribedAt: null } },
+      { new: true }
+    ).lean();
+
+    res.json({
+      message: 'Notification preferences saved',
+      subscription: formatSubscription(updated),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error updating notification preferences:', error);
+    res.status(500).json({
+      error: 'Failed to update notification preferences',
+      details: error.message
+    });
+  }
+});
+
+// DELETE /api/notifications/subscriptions/:token - Stop all notifications of the subscription
+router.delete('/subscriptions/:token', async (req, res) => {
+  try {
+    const subscription = await resolveSubscription(req, res);
+    if (!subscription) return;
+
+    const updated = await NotificationSubscription.findOneAndUpdate(
+      { _id: subscription._id },
+      { $set: { unsubscribedAt: subscription.unsubscribedAt || new Date() } },
+      { new: true }
+    ).lean();
+
+    res.json({
+      message: 'Unsubscribed from election notifications',
+      subscription: formatSubscription(updated),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error unsubscribing from notifications:', error);
+    res.status(500).json({
+      error: 'Failed to unsubscribe from notifications',
+      details: error.message
+    });
+  }
+});
+
+// POST /api/notifications/subscriptions/:token/read - Mark in-app notifications as read
+router.post('/subscriptions/:token/read', async (req, res) => {
+  try {
+    const subscription = await resolveSubscription(req, res);
+    if (!subscription) return;
+
+    const { modifiedCount } = await Notification.updateMany(
+      { subscriptionId: subscription._id, readAt: null },
+      { $set: { readAt: new Date() } }
+    );
+
+    res.json({
+      message: 'Notifications marked as read',
+      marked: modifiedCount,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error marking notifications as read:', error);
+    res.status(500).json({
+      error: 'Failed to mark notifications as read',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
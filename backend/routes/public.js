@@ -1,6 +1,8 @@
 const express = require('express');
 const { contract, retryContractCall } = require('../contract');
 const { generateAnalytics } = require('../analytics/analytics');
+const { readElection, pickWinner } = require('../indexer/reader');
+const { sealedResults } = require('../commitReveal/sealedResults');
 
 const router = express.Router();
 
@@ -57,9 +59,56 @@ router.get('/status', async (req, res) => {
   }
 });
 
+// Send results for a factory election in the same shape as the legacy /results
+const sendFactoryResults = async (req, res) => {
+  const electionId = parseInt(req.query.electionId);
+  if (isNaN(electionId) || electionId < 0) {
+    return res.status(400).json({ error: 'Invalid election ID' });
+  }
+
+  console.log(`Fetching results for election ${electionId}...`);
+
+  const election = await readElection(electionId);
+  if (!election) {
+    return res.status(404).json({ error: 'Election not found' });
+  }
+
+  if (election.sealed) {
+    return res.json({ ...sealedResults(election), timestamp: new Date().toISOString() });
+  }
+
+  const totalVotes = election.totalVotes;
+  const votes = election.candidates
+    .map(candidate => ({
+      candidate: candidate.name,
+      votes: candidate.votes,
+      percentage: totalVotes > 0 ? Math.round((candidate.votes / totalVotes) * 100) : 0,
+      index: candidate.id
+    }))
+    .sort((a, b) => b.votes - a.votes);
+
+  res.json({
+    electionId,
+    totalVotes,
+    votes,
+    winner: pickWinner(election.candidates, totalVotes),
+    raw: {
+      votesCount: election.candidates.map(candidate => candidate.votes),
+      totalVotes
+    },
+    source: election.source,
+    timestamp: new Date().toISOString()
+  });
+};
+
 // GET /api/results - Get voting results and winner
+// Pass ?electionId=N to read a factory election (served from the index when available)
 router.get('/results', async (req, res) => {
   try {
+    if (req.query.electionId !== undefined) {
+      return sendFactoryResults(req, res);
+    }
+
     console.log('Fetching election results...');
     
     // Get candidates first
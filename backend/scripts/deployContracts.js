@@ -0,0 +1,112 @@
+const fs = require('fs');
+const { ethers } = require('ethers');
+const { compileContracts } = require('../chain/compile');
+const { CONTRACTS, deployContracts } = require('../chain/deploy');
+const { CONFIG_PATH, readContractConfig, writeContractConfig } = require('../chain/config');
+require('dotenv').config();
+
+const FUJI_RPC_URL = process.env.FUJI_RPC_URL || 'https://api.avax-test.network/ext/bc/C/rpc';
+
+const USAGE = `Usage: node scripts/deployContracts.js [options]
+
+  --only <keys>       Comma-separated contracts to deploy (${CONTRACTS.map(({ key }) => key).join(', ')})
+  --duration <min>    Voting window of the legacy contract in minutes (default 60)
+  --abi-only          Recompile and refresh ABIs for the recorded addresses without deploying
+
+Deploys to FUJI_RPC_URL with ADMIN_PRIVATE_KEY and writes addresses and ABIs to
+${CONFIG_PATH}`;
+
+const parseArgs = (argv) => {
+  const args = { abiOnly: false, only: null, durationMinutes: 60 };
+
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--abi-only':
+        args.abiOnly = true;
+        break;
+      case '--only':
+        args.only = argv[++i].split(',').map(key => key.trim());
+        break;
+      case '--duration':
+        args.durationMinutes = parseInt(argv[++i]);
+        break;
+      default:
+        throw new Error(`Unknown option: ${argv[i]}\n\n${USAGE}`);
+    }
+  }
+
+  const known = CONTRACTS.map(({ key }) => key);
+  const unknown = (args.only || []).filter(key => !known.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown contracts: ${unknown.join(', ')}`);
+  }
+  if (isNaN(args.durationMinutes) || args.durationMinutes <= 0) {
+    throw new Error('--duration must be a positive number of minutes');
+  }
+
+  return args;
+};
+
+// Refresh ABIs from the Solidity sources, keeping the recorded addresses.
+// Contracts not deployed to this network yet get a null address.
+const refreshAbis = () => {
+  const artifacts = compileContracts();
+  const { network, contracts } = readContractConfig();
+
+  const refreshed = Object.fromEntries(CONTRACTS.map(({ key, name }) => [
+    key,
+    {
+      name,
+      address: contracts[key] ? contracts[key].address : null,
+      abi: artifacts[name].abi,
+      deployBlock: contracts[key] ? contracts[key].deployBlock : undefined
+    }
+  ]));
+
+  writeContractConfig(network, refreshed);
+  console.log(`✅ ABIs refreshed for ${network.name} in ${CONFIG_PATH}`);
+};
+
+const deploy = async ({ only, durationMinutes }) => {
+  if (!process.env.ADMIN_PRIVATE_KEY) {
+    throw new Error('ADMIN_PRIVATE_KEY is required to deploy');
+  }
+
+  const provider = new ethers.JsonRpcProvider(FUJI_RPC_URL);
+  const signer = new ethers.Wallet(process.env.ADMIN_PRIVATE_KEY, provider);
+  const { chainId, name } = await provider.getNetwork();
+  const network = {
+    name: chainId === 43113n ? 'avalanche-fuji' : name,
+    chainId: Number(chainId)
+  };
+
+  console.log(`🚀 Deploying ${(only || CONTRACTS.map(({ key }) => key)).join(', ')} to ${network.name} as ${signer.address}...`);
+
+  // Deploying commitReveal on its own ties it to the recorded factory
+  const recorded = fs.existsSync(CONFIG_PATH) ? readContractConfig().contracts.factory : null;
+  const factoryAddress = recorded ? recorded.address : undefined;
+
+  const deployed = await deployContracts(signer, { only, durationMinutes, factoryAddress });
+  Object.values(deployed).forEach(({ name: contractName, address, txHash, deployBlock }) => {
+    console.log(`   ✅ ${contractName}: ${address} (tx ${txHash}, block ${deployBlock})`);
+  });
+
+  writeContractConfig(network, deployed);
+  console.log(`📝 Wrote ${CONFIG_PATH}`);
+};
+
+// Run if called directly
+if (require.main === module) {
+  Promise.resolve()
+    .then(() => {
+      const args = parseArgs(process.argv.slice(2));
+      return args.abiOnly ? refreshAbis() : deploy(args);
+    })
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('❌ Contract deployment failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { parseArgs };
@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const VoterRollEntry = require('../models/VoterRollEntry');
+const { validateGovtId, canonicalGovtId, GOVT_ID_TYPES } = require('../validation/generated/govtIdValidator');
+const { checkGovtIdKeys, hashGovtId, protectGovtId, rewrapGovtIdEnvelope, maskGovtId } = require('../identity/govtIdVault');
+require('dotenv').config();
+
+// Canonical form of a plaintext ID stored before per-type validation. IDs
+// that match a known type are normalized so users can log in with it; the
+// rest are kept as stored and can only be revealed, not logged in with.
+const canonicalLegacyId = (govtID, idType) => {
+  const types = idType ? [idType] : GOVT_ID_TYPES;
+  for (const type of types) {
+    const validation = validateGovtId(type, govtID);
+    if (validation.isValid) {
+      return { value: validation.value, idType: validation.type };
+    }
+  }
+  return { value: String(govtID).trim(), idType };
+};
+
+// Update for one raw user document, or null when it is already migrated.
+// Plaintext IDs are hashed and encrypted; envelopes under a retired master
+// key are rewrapped with the current one.
+const migrateUserDocument = (doc) => {
+  if (doc.govtID) {
+    const { value, idType } = canonicalLegacyId(doc.govtID, doc.idType);
+    const $set = protectGovtId(value);
+    if (idType) $set.idType = idType;
+    return { $set, $unset: { govtID: '' } };
+  }
+
+  if (doc.govtIDEncrypted) {
+    const rewrapped = rewrapGovtIdEnvelope(doc.govtIDEncrypted);
+    if (rewrapped !== doc.govtIDEncrypted) {
+      return { $set: { govtIDEncrypted: rewrapped } };
+    }
+  }
+
+  return null;
+};
+
+// Update for one raw voter roll entry, or null when it is already migrated.
+// Roll IDs were stored normalized in `value`; they become a keyed hash of
+// the canonical form users' IDs are hashed in.
+const migrateRollEntryDocument = (doc) => {
+  if (doc.kind !== 'govtID' || !doc.value) return null;
+
+  const govtID = canonicalGovtId(doc.value);
+  return {
+    $set: { govtIDHash: hashGovtId(govtID), govtIDLast4: govtID.slice(-4) },
+    $unset: { value: '' }
+  };
+};
+
+const migrateGovtIds = async ({ dryRun = false } = {}) => {
+  try {
+    if (!process.env.MONGO_URI) {
+      throw new Error('MONGO_URI is required');
+    }
+    checkGovtIdKeys();
+    console.log('🔌 Connecting to MongoDB...');
+    await mongoose.connect(process.env.MONGO_URI, { autoIndex: false });
+    console.log('✅ Connected to MongoDB');
+
+    // Read raw documents: the schema no longer has the plaintext govtID field
+    const cursor = User.collection.find({});
+    let migrated = 0;
+    let skipped = 0;
+
+    for await (const doc of cursor) {
+      const update = migrateUserDocument(doc);
+      if (!update) {
+        skipped++;
+        continue;
+      }
+
+      const shown = maskGovtId(doc.govtID || doc.govtIDLast4);
+      console.log(`🔐 ${dryRun ? 'Would migrate' : 'Migrating'} ${doc.name} (${shown})`);
+      if (!dryRun) {
+        await User.collection.updateOne({ _id: doc._id }, update);
+      }
+      migrated++;
+    }
+
+    let rollEntries = 0;
+    for await (const doc of VoterRollEntry.collection.find({ kind: 'govtID', value: { $exists: true } })) {
+      if (!dryRun) {
+        await VoterRollEntry.collection.updateOne({ _id: doc._id }, migrateRollEntryDocument(doc));
+      }
+      rollEntries++;
+    }
+    console.log(`🗳️  ${rollEntries} voter roll government ID(s) ${dryRun ? 'to hash' : 'hashed'}`);
+
+    if (!dryRun) {
+      // Drops the old plaintext govtID indexes and builds the govtIDHash ones
+      console.log('📇 Syncing user and voter roll indexes...');
+      await User.syncIndexes();
+      await VoterRollEntry.syncIndexes();
+    }
+
+    console.log(`✅ ${migrated} user(s) ${dryRun ? 'to migrate' : 'migrated'}, ${skipped} already up to date`);
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Government ID migration failed:', error);
+    process.exit(1);
+  }
+};
+
+// Run if called directly
+if (require.main === module) {
+  migrateGovtIds({ dryRun: process.argv.includes('--dry-run') });
+}
+
+module.exports = { canonicalLegacyId, migrateUserDocument, migrateRollEntryDocument, migrateGovtIds };
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const supabaseProfiles = require('../identity/supabaseProfiles');
+const { syncProfileWallet } = require('../identity/walletLinks');
+require('dotenv').config();
+
+// Whether a profile's wallet_address is backed by a signed link: the address
+// belongs to a Mongo user linked to this profile's account
+const isBackedByLink = (profile, owner) => Boolean(owner && owner.supabaseUserId === profile.id);
+
+// Bring Supabase profiles in line with the wallet links held in MongoDB.
+// Links are pushed to the profiles of linked accounts, then addresses no link
+// backs are cleared, such as ones clients wrote before linking required a
+// signature.
+const reconcileIdentities = async ({ dryRun = false } = {}) => {
+  try {
+    if (!supabaseProfiles.isSupabaseConfigured()) {
+      throw new Error('SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY are required');
+    }
+    if (!process.env.MONGO_URI) {
+      throw new Error('MONGO_URI is required');
+    }
+
+    console.log('🔌 Connecting to MongoDB...');
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('✅ Connected to MongoDB');
+
+    let synced = 0;
+    const linkedUsers = await User.find({ walletAddress: { $exists: true } });
+    for (const user of linkedUsers) {
+      const result = await syncProfileWallet(user, { dryRun });
+      if (result?.changed) {
+        console.log(`🔗 ${dryRun ? 'Would sync' : 'Synced'} ${user.walletAddress} to profile ${result.profileId || '(none)'}`);
+        synced++;
+      }
+    }
+
+    let cleared = 0;
+    for (const profile of await supabaseProfiles.findProfilesWithWallet()) {
+      const owner = await User.findOne({ walletAddress: profile.wallet_address.toLowerCase() });
+      if (isBackedByLink(profile, owner)) continue;
+
+      console.log(`🧹 ${dryRun ? 'Would clear' : 'Clearing'} unlinked ${profile.wallet_address} from profile ${profile.id}`);
+      if (!dryRun) {
+        await supabaseProfiles.setProfileWallet(profile.id, null);
+      }
+      cleared++;
+    }
+
+    console.log(`✅ ${linkedUsers.length} linked wallet(s) checked, ${synced} ${dryRun ? 'to sync' : 'synced'}, ${cleared} unlinked address(es) ${dryRun ? 'to clear' : 'cleared'}`);
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Identity reconciliation failed:', error);
+    process.exit(1);
+  }
+};
+
+// Run if called directly
+if (require.main === module) {
+  reconcileIdentities({ dryRun: process.argv.includes('--dry-run') });
+}
+
+module.exports = { isBackedByLink, reconcileIdentities };
@@ -0,0 +1,114 @@
+require('dotenv').config();
+const fs = require('fs');
+const { factoryContract, electionClient, retryContractCall } = require('../contract');
+const { buildBallotTree, countVotes } = require('../tally/ballotMerkle');
+
+// Independent check of a published tally: reads the raw VoteCast events from
+// the chain (not the backend's index), rebuilds the Merkle tree and tally,
+// and compares them with the published root and the contract's totals.
+//
+//   node scripts/verifyTally.js <electionId> [--api http://localhost:3001] [--commitment root.json]
+//
+// --commitment takes a saved copy of GET /api/elections/:id/tally/root.
+
+const BATCH_SIZE = parseInt(process.env.INDEXER_BATCH_SIZE || '2000');
+
+const argValue = (name) => {
+  const index = process.argv.indexOf(name);
+  return index === -1 ? null : process.argv[index + 1];
+};
+
+// Published commitment, from a file or the backend API
+const loadCommitment = async (electionId) => {
+  const file = argValue('--commitment');
+  if (file) {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  const api = (argValue('--api') || `http://localhost:${process.env.PORT || 3001}`).replace(/\/$/, '');
+  const response = await fetch(`${api}/api/elections/${electionId}/tally/root`);
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.error || `Failed to fetch the published root (${response.status})`);
+  }
+  return data;
+};
+
+// The election's VoteCast events in the committed block range
+const readVoteEvents = async (electionId, fromBlock, toBlock) => {
+  const votes = [];
+  for (let from = fromBlock; from <= toBlock; from += BATCH_SIZE) {
+    const to = Math.min(from + BATCH_SIZE - 1, toBlock);
+    const logs = await retryContractCall(() => factoryContract.queryFilter('VoteCast', from, to));
+    for (const log of logs) {
+      if (Number(log.args.electionId) !== electionId) continue;
+      votes.push({
+        electionId,
+        candidateId: Number(log.args.candidateId),
+        txHash: log.transactionHash,
+        logIndex: log.index,
+        blockNumber: log.blockNumber
+      });
+    }
+  }
+  return votes;
+};
+
+const sameTotals = (a, b) => a.length === b.length && a.every((total, index) => total.votes === b[index].votes);
+
+// Returns { valid, checks, root, totals, onChainTotals }. Votes left out of
+// the committed block range still show up, as a mismatch with the contract.
+const verifyTally = async ({ electionId, commitment }) => {
+  const votes = await readVoteEvents(electionId, commitment.fromBlock, commitment.toBlock);
+  const tree = buildBallotTree(votes);
+
+  const candidates = await electionClient.getCandidates(electionId);
+  const onChainTotals = candidates.map(candidate => ({ candidateId: candidate.id, votes: candidate.votes }));
+  const totals = countVotes(votes, candidates.length);
+
+  const checks = {
+    root: tree.root.toLowerCase() === String(commitment.root).toLowerCase(),
+    leafCount: tree.leaves.length === commitment.leafCount,
+    publishedTotals: sameTotals(totals, commitment.totals || []),
+    onChainTotals: sameTotals(totals, onChainTotals)
+  };
+
+  return {
+    valid: Object.values(checks).every(Boolean),
+    checks,
+    root: tree.root,
+    totals,
+    onChainTotals
+  };
+};
+
+const main = async () => {
+  try {
+    const electionId = Number(process.argv[2]);
+    if (!Number.isInteger(electionId) || electionId < 0) {
+      throw new Error('Usage: node scripts/verifyTally.js <electionId> [--api URL] [--commitment file]');
+    }
+
+    const commitment = await loadCommitment(electionId);
+    console.log(`🔎 Verifying election ${electionId}: root ${commitment.root}, blocks ${commitment.fromBlock}-${commitment.toBlock}`);
+
+    const result = await verifyTally({ electionId, commitment });
+
+    for (const [check, passed] of Object.entries(result.checks)) {
+      console.log(`${passed ? '✅' : '❌'} ${check}`);
+    }
+    console.log('Recomputed tally:', result.totals.map(({ candidateId, votes }) => `#${candidateId}: ${votes}`).join(', '));
+    console.log(result.valid ? '✅ Tally verified' : `❌ Tally does not match (recomputed root ${result.root})`);
+    process.exit(result.valid ? 0 : 1);
+  } catch (error) {
+    console.error('❌ Tally verification failed:', error.message);
+    process.exit(1);
+  }
+};
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = { verifyTally };
@@ -6,17 +6,41 @@ require('dotenv').config();
 
 // MongoDB connection
 const connectDB = require('./config/database');
+const { startIndexer } = require('./indexer/indexer');
+const { startAuditAnchoring } = require('./audit/anchor');
+const { startMailQueue } = require('./mail/mailQueue');
+const { startNotificationScheduler } = require('./notifications/scheduler');
+const { CONTRACT_ADDRESS } = require('./contract');
+const { checkGovtIdKeys } = require('./identity/govtIdVault');
 
 const publicRoutes = require('./routes/public');
+const electionRoutes = require('./routes/elections');
 const adminRoutes = require('./routes/admin');
 const authRoutes = require('./routes/auth');
 const govtAdminRoutes = require('./routes/govtAdmin');
+const identityRoutes = require('./routes/identity');
+const auditRoutes = require('./routes/audit');
+const notificationRoutes = require('./routes/notifications');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
-// Initialize MongoDB connection
-connectDB();
+checkGovtIdKeys();
+
+// Initialize MongoDB connection, then start the blockchain event indexer.
+// Tests import the app directly and manage their own database connection.
+if (process.env.NODE_ENV !== 'test') {
+  connectDB().then(() => {
+    if (process.env.ENABLE_INDEXER !== 'false') {
+      startIndexer();
+    }
+    startAuditAnchoring();
+    startMailQueue().catch(error => console.error('❌ Mail queue failed to start:', error.message));
+    if (process.env.ENABLE_NOTIFICATIONS !== 'false') {
+      startNotificationScheduler();
+    }
+  });
+}
 
 // Middleware
 app.use(cors());
@@ -33,9 +57,13 @@ app.use((req, res, next) => {
 
 // Routes
 app.use('/api', publicRoutes);
+app.use('/api/elections', electionRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/govt-admin', govtAdminRoutes);
+app.use('/api/identity', identityRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/notifications', notificationRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -81,13 +109,14 @@ process.on('SIGTERM', () => {
   process.exit(0);
 });
 
-app.listen(PORT, '0.0.0.0', () => {
-  console.log(`
+if (process.env.NODE_ENV !== 'test') {
+  app.listen(PORT, '0.0.0.0', () => {
+    console.log(`
 🚀 Avalanche Voting Backend Server Started
 📍 Port: ${PORT}
 🌍 Environment: ${process.env.NODE_ENV || 'development'}
-🔗 Network: Avalanche Fuji Testnet
-📋 Contract: ${process.env.CONTRACT_ADDRESS || '0xa982db91EaF445C7928d30e37FfE4575125F8523'}
+🔗 Network: ${process.env.CHAIN_MODE === 'local' ? 'Local in-process chain' : 'Avalanche Fuji Testnet'}
+📋 Contract: ${CONTRACT_ADDRESS}
 
 Available endpoints:
 BLOCKCHAIN ENDPOINTS:
@@ -96,24 +125,90 @@ BLOCKCHAIN ENDPOINTS:
 - GET  /api/status
 - GET  /api/results
 
+MULTI-ELECTION ENDPOINTS:
+- GET  /api/elections
+- GET  /api/elections/:id
+- GET  /api/elections/:id/candidates
+- GET  /api/elections/:id/results
+- POST /api/elections/:id/results/email
+- POST /api/elections/:id/eligibility/nonce
+- POST /api/elections/:id/eligibility
+- GET  /api/elections/:id/receipts/:txHash
+- GET  /api/elections/:id/risk-policy
+- POST /api/elections/:id/votes/:txHash/nonce
+- POST /api/elections/:id/votes/:txHash/risk (vote sender signature)
+- POST /api/elections/:id/votes/:txHash/confirmation (vote sender signature)
+- POST /api/elections/:id/votes/:txHash/ballot (vote sender signature)
+- GET  /api/elections/:id/stream (Server-Sent Events)
+- POST /api/elections/:id/tally/irv
+- GET  /api/elections/:id/tally/root
+- GET  /api/elections/:id/tally/proof/:txHash
+- GET  /api/elections/voting-methods
+
 CORE WALLET ADMIN ENDPOINTS:
 - POST /api/admin/nonce
 - POST /api/admin/auth
-- GET  /api/analytics (admin)
+- POST /api/admin/refresh
+- POST /api/admin/logout (admin)
+- POST /api/admin/logout-all (admin)
+- GET  /api/admin/analytics (admin)
 - POST /api/admin/end-election (admin)
 - GET  /api/admin/export (admin)
+- PUT  /api/admin/elections/:id/settings (admin)
+- PUT  /api/admin/elections/:id/risk-policy (admin)
+- GET  /api/admin/elections/:id/profiles (admin)
+- PUT  /api/admin/elections/:id/candidates/:candidateId/profile (admin)
+- DELETE /api/admin/elections/:id/candidates/:candidateId/profile (admin)
+- GET  /api/admin/risk-reports (admin)
+- GET  /api/admin/risk-reports/counts (admin)
+- PUT  /api/admin/risk-reports/:txHash/disposition (admin)
 
 GOVERNMENT ID AUTH ENDPOINTS:
 - POST /api/auth/register
-- POST /api/auth/login
+- POST /api/auth/login (sends one-time code)
+- POST /api/auth/login/verify
+- POST /api/auth/refresh
+- POST /api/auth/logout
+- POST /api/auth/logout-all
 - GET  /api/auth/profile
+- PUT  /api/auth/profile/email
 - GET  /api/auth/users (admin)
 
+WALLET LINKING ENDPOINTS (Government ID or Supabase sign-in):
+- POST /api/identity/govt-id/code (Supabase sign-in)
+- POST /api/identity/govt-id/verify (Supabase sign-in)
+- GET  /api/identity/wallet
+- POST /api/identity/wallet/nonce
+- POST /api/identity/wallet/link
+- DELETE /api/identity/wallet
+- GET  /api/identity/address/:address (admin)
+
 GOVERNMENT ID ADMIN ENDPOINTS:
 - GET  /api/govt-admin/analytics
 - GET  /api/govt-admin/dashboard
 - POST /api/govt-admin/manage-election
-  `);
-});
+- POST /api/govt-admin/elections/:id/roll
+- PUT  /api/govt-admin/elections/:id/roll/binding
+- GET  /api/govt-admin/elections/:id/roll/report
+- GET  /api/govt-admin/roles (super admin)
+- POST /api/govt-admin/roles (super admin)
+- DELETE /api/govt-admin/roles/:assignmentId (super admin)
+- PUT  /api/govt-admin/users/:id/role (super admin)
+
+AUDIT LOG ENDPOINTS (admin or audit:view):
+- GET  /api/audit
+- GET  /api/audit/verify
+
+NOTIFICATION ENDPOINTS (subscription token):
+- POST /api/notifications/subscriptions/nonce
+- POST /api/notifications/subscriptions (wallet signature or email confirmation)
+- POST /api/notifications/subscriptions/:token/confirm
+- GET  /api/notifications/subscriptions/:token
+- PUT  /api/notifications/subscriptions/:token
+- DELETE /api/notifications/subscriptions/:token
+- POST /api/notifications/subscriptions/:token/read
+    `);
+  });
+}
 
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,148 @@
+const { readElection } = require('../indexer/reader');
+const { indexerEvents } = require('../indexer/indexer');
+
+// How often watched elections are re-read when no indexer update arrives
+const POLL_INTERVAL_MS = parseInt(process.env.STREAM_POLL_INTERVAL_MS || '3000');
+// Keep-alive comment interval so proxies don't close idle connections
+const HEARTBEAT_INTERVAL_MS = 15000;
+
+// electionId -> { clients: Set<res>, snapshot, timer, refreshing }
+const watchers = new Map();
+
+// Reduce an election to the fields the stream reports on
+const toSnapshot = (election) => ({
+  electionId: election.id,
+  status: election.status,
+  totalVotes: election.totalVotes,
+  candidates: election.candidates.map(({ id, name, votes }) => ({ id, name, votes }))
+});
+
+// Compare two snapshots and return the stream events to emit
+const diffSnapshots = (previous, next) => {
+  const events = [];
+
+  if (previous.status !== next.status) {
+    events.push({
+      event: 'status',
+      data: {
+        electionId: next.electionId,
+        status: next.status,
+        previousStatus: previous.status,
+        change: next.status === 'active' ? 'started' : next.status
+      }
+    });
+  }
+
+  if (next.totalVotes > previous.totalVotes) {
+    events.push({
+      event: 'vote',
+      data: {
+        electionId: next.electionId,
+        newVotes: next.totalVotes - previous.totalVotes,
+        totalVotes: next.totalVotes
+      }
+    });
+  }
+
+  const tallyChanged = next.totalVotes !== previous.totalVotes ||
+    next.candidates.some((candidate, index) =>
+      !previous.candidates[index] || previous.candidates[index].votes !== candidate.votes
+    );
+
+  if (tallyChanged) {
+    events.push({
+      event: 'tally',
+      data: {
+        electionId: next.electionId,
+        totalVotes: next.totalVotes,
+        candidates: next.candidates
+      }
+    });
+  }
+
+  return events;
+};
+
+// Write a single Server-Sent Event
+const sendEvent = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// Re-read a watched election and push any changes to its clients
+const refreshElection = async (electionId) => {
+  const watcher = watchers.get(electionId);
+  if (!watcher || watcher.refreshing) return;
+
+  watcher.refreshing = true;
+  try {
+    const election = await readElection(electionId);
+    if (!election) return;
+
+    const snapshot = toSnapshot(election);
+    const events = diffSnapshots(watcher.snapshot, snapshot);
+    watcher.snapshot = snapshot;
+
+    for (const { event, data } of events) {
+      for (const client of watcher.clients) {
+        sendEvent(client, event, data);
+      }
+    }
+  } catch (error) {
+    console.error(`Error refreshing stream for election ${electionId}:`, error.message);
+  } finally {
+    watcher.refreshing = false;
+  }
+};
+
+// Push indexer updates to watched elections immediately
+indexerEvents.on('electionsUpdated', (electionIds) => {
+  electionIds
+    .filter(electionId => watchers.has(electionId))
+    .forEach(electionId => refreshElection(electionId));
+});
+
+// Attach an HTTP response as a Server-Sent Events client of an election
+const streamElection = (election, req, res) => {
+  const electionId = election.id;
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  let watcher = watchers.get(electionId);
+  if (!watcher) {
+    watcher = {
+      clients: new Set(),
+      snapshot: toSnapshot(election),
+      timer: setInterval(() => refreshElection(electionId), POLL_INTERVAL_MS),
+      refreshing: false
+    };
+    watchers.set(electionId, watcher);
+  }
+  watcher.clients.add(res);
+
+  // Send the current state so clients can render without a separate fetch
+  sendEvent(res, 'snapshot', watcher.snapshot);
+
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    watcher.clients.delete(res);
+
+    if (watcher.clients.size === 0) {
+      clearInterval(watcher.timer);
+      watchers.delete(electionId);
+    }
+  });
+
+  console.log(`📡 Stream client connected to election ${electionId} (${watcher.clients.size} watching)`);
+};
+
+module.exports = {
+  streamElection,
+  diffSnapshots
+};
@@ -0,0 +1,80 @@
+const { ethers } = require('ethers');
+
+// Merkle tree over an election's VoteCast events. Shared by the backend
+// (publishing roots and inclusion proofs) and scripts/verifyTally.js, so both
+// sides build the exact same tree.
+//
+// Leaf: keccak256(abi.encode(uint256 electionId, uint256 candidateId,
+// bytes32 txHash, uint256 logIndex)). The candidate is already public in the
+// VoteCast event, so proofs reveal nothing the chain does not.
+// Leaves are ordered by block number then log index; parents hash the sorted
+// pair of children (OpenZeppelin MerkleProof compatible) and an odd node is
+// carried up unchanged.
+const LEAF_ENCODING = 'keccak256(abi.encode(uint256 electionId, uint256 candidateId, bytes32 txHash, uint256 logIndex))';
+
+const abiCoder = ethers.AbiCoder.defaultAbiCoder();
+
+const hashLeaf = ({ electionId, candidateId, txHash, logIndex }) => ethers.keccak256(
+  abiCoder.encode(['uint256', 'uint256', 'bytes32', 'uint256'], [electionId, candidateId, txHash, logIndex])
+);
+
+const hashPair = (a, b) => ethers.keccak256(ethers.concat(a.toLowerCase() < b.toLowerCase() ? [a, b] : [b, a]));
+
+// Votes in tree order
+const sortVotes = (votes) => [...votes].sort((a, b) => (a.blockNumber - b.blockNumber) || (a.logIndex - b.logIndex));
+
+// Build the tree. Returns { root, votes, leaves, layers } with `votes` in
+// leaf order; an election without votes has the zero hash as its root.
+const buildBallotTree = (unsortedVotes) => {
+  const votes = sortVotes(unsortedVotes);
+  const leaves = votes.map(hashLeaf);
+  if (leaves.length === 0) {
+    return { root: ethers.ZeroHash, votes, leaves, layers: [[]] };
+  }
+
+  const layers = [leaves];
+  while (layers[layers.length - 1].length > 1) {
+    const layer = layers[layers.length - 1];
+    const parents = [];
+    for (let i = 0; i < layer.length; i += 2) {
+      parents.push(i + 1 < layer.length ? hashPair(layer[i], layer[i + 1]) : layer[i]);
+    }
+    layers.push(parents);
+  }
+
+  return { root: layers[layers.length - 1][0], votes, leaves, layers };
+};
+
+// Sibling hashes from leaf `index` up to the root
+const getBallotProof = ({ layers }, index) => {
+  const proof = [];
+  let position = index;
+  for (let level = 0; level < layers.length - 1; level++) {
+    const sibling = position % 2 === 0 ? position + 1 : position - 1;
+    if (sibling < layers[level].length) {
+      proof.push(layers[level][sibling]);
+    }
+    position = Math.floor(position / 2);
+  }
+  return proof;
+};
+
+const verifyBallotProof = (leaf, proof, root) => proof.reduce(hashPair, leaf).toLowerCase() === root.toLowerCase();
+
+// Votes per candidate, for `candidatesCount` candidates
+const countVotes = (votes, candidatesCount) => {
+  const totals = Array.from({ length: candidatesCount }, (_, candidateId) => ({ candidateId, votes: 0 }));
+  for (const { candidateId } of votes) {
+    if (totals[candidateId]) totals[candidateId].votes++;
+  }
+  return totals;
+};
+
+module.exports = {
+  LEAF_ENCODING,
+  hashLeaf,
+  buildBallotTree,
+  getBallotProof,
+  verifyBallotProof,
+  countVotes
+};
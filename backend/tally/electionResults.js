@@ -0,0 +1,71 @@
+const { pickWinner } = require('../indexer/reader');
+const { DEFAULT_VOTING_METHOD, tallyBallots, tallyOnChainVotes } = require('../analytics/votingMethods');
+const ElectionSettings = require('../models/ElectionSettings');
+const Ballot = require('../models/Ballot');
+
+// Load the off-chain settings of an election, falling back to plurality
+const loadElectionSettings = async (electionId) => {
+  const settings = await ElectionSettings.findOne({ electionId }).lean();
+  return {
+    votingMethod: settings ? settings.votingMethod : DEFAULT_VOTING_METHOD,
+    methodOptions: settings && settings.methodOptions ? settings.methodOptions : {}
+  };
+};
+
+// Tally an election with its configured voting method. Plurality uses the
+// on-chain counts; other methods tally the ballots voters signed with their
+// on-chain votes (tally/voterBallots.js).
+const tallyElection = async (election, { votingMethod, methodOptions }) => {
+  if (votingMethod === DEFAULT_VOTING_METHOD) {
+    return tallyOnChainVotes(election.candidates);
+  }
+
+  const ballots = await Ballot.find({ electionId: election.id }).select('choices').lean();
+  return tallyBallots(votingMethod, election.candidates, ballots.map(ballot => ballot.choices), methodOptions);
+};
+
+// Results of an unsealed election with its configured voting method
+const buildResults = async (election) => {
+  const totalVotes = election.totalVotes;
+  const votes = election.candidates
+    .map(candidate => ({
+      candidateId: candidate.id,
+      candidate: candidate.name,
+      votes: candidate.votes,
+      percentage: totalVotes > 0 ? Math.round((candidate.votes / totalVotes) * 100) : 0
+    }))
+    .sort((a, b) => b.votes - a.votes);
+
+  const settings = await loadElectionSettings(election.id);
+  const methodResult = await tallyElection(election, settings);
+
+  // Plurality keeps the on-chain winner shape; other methods report scores
+  const winner = settings.votingMethod === DEFAULT_VOTING_METHOD
+    ? pickWinner(election.candidates, totalVotes)
+    : methodResult.winner && {
+      name: methodResult.winner.name,
+      score: methodResult.winner.score,
+      unit: methodResult.unit,
+      tied: methodResult.winner.tied
+    };
+
+  return {
+    electionId: election.id,
+    title: election.title,
+    status: election.status,
+    ballotMode: election.ballotMode,
+    votingMethod: settings.votingMethod,
+    totalVotes,
+    votes,
+    winner,
+    margin: methodResult.margin,
+    methodResult,
+    source: election.source
+  };
+};
+
+module.exports = {
+  loadElectionSettings,
+  tallyElection,
+  buildResults
+};
@@ -0,0 +1,147 @@
+const { electionClient } = require('../contract');
+const Election = require('../models/Election');
+const VoteEvent = require('../models/VoteEvent');
+const TallyCommitment = require('../models/TallyCommitment');
+const { appendAuditEntry } = require('../audit/auditLog');
+const { loadCommitReveal } = require('../commitReveal/sealedResults');
+const { LEAF_ENCODING, buildBallotTree, getBallotProof, countVotes } = require('./ballotMerkle');
+
+// Trees of published elections, rebuilt from the index on first use. Closed
+// elections receive no more votes, so a tree never goes stale.
+const treeCache = new Map();
+
+const loadBallotTree = async (electionId) => {
+  if (!treeCache.has(electionId)) {
+    const votes = await VoteEvent.find({ electionId })
+      .select('electionId candidateId txHash logIndex blockNumber')
+      .lean();
+    treeCache.set(electionId, buildBallotTree(votes));
+  }
+  return treeCache.get(electionId);
+};
+
+// Published commitment for API consumers
+const formatCommitment = (commitment) => ({
+  electionId: commitment.electionId,
+  root: commitment.root,
+  leafCount: commitment.leafCount,
+  leafEncoding: commitment.leafEncoding,
+  totals: commitment.totals.map(({ candidateId, votes }) => ({ candidateId, votes })),
+  onChainTotals: commitment.onChainTotals.map(({ candidateId, votes }) => ({ candidateId, votes })),
+  matchesChain: commitment.matchesChain,
+  fromBlock: commitment.fromBlock,
+  toBlock: commitment.toBlock,
+  publishedAt: commitment.publishedAt
+});
+
+// Build the tree of a closed election from its indexed votes, compare the
+// tally with the contract's totals and publish the root. `toBlock` is the
+// last indexed block.
+const publishTally = async (election, toBlock) => {
+  const { electionId } = election;
+  treeCache.delete(electionId);
+  const tree = await loadBallotTree(electionId);
+
+  const candidates = await electionClient.getCandidates(electionId, election.candidates.length);
+  const totals = countVotes(tree.votes, candidates.length);
+  const onChainTotals = candidates.map(candidate => ({ candidateId: candidate.id, votes: candidate.votes }));
+  const matchesChain = totals.every((total, index) => total.votes === onChainTotals[index].votes);
+
+  let commitment;
+  try {
+    commitment = await TallyCommitment.create({
+      electionId,
+      root: tree.root,
+      leafCount: tree.leaves.length,
+      leafEncoding: LEAF_ENCODING,
+      totals,
+      onChainTotals,
+      matchesChain,
+      fromBlock: election.createdBlock,
+      toBlock
+    });
+  } catch (error) {
+    // Another server process published it first
+    if (error.code === 11000) {
+      return TallyCommitment.findOne({ electionId }).lean();
+    }
+    throw error;
+  }
+
+  if (!matchesChain) {
+    console.warn(`⚠️  Indexed votes of election ${electionId} do not match the on-chain totals`);
+  }
+  console.log(`🌳 Published tally root of election ${electionId}: ${tree.root} (${tree.leaves.length} votes)`);
+
+  // The audit log is anchored, so a root changed later in MongoDB shows up
+  await appendAuditEntry({
+    actor: { type: 'anonymous', id: null, name: 'indexer', role: null },
+    action: 'tally.publish',
+    target: { type: 'election', id: String(electionId) },
+    result: { status: null, outcome: matchesChain ? 'success' : 'failure' },
+    details: { root: tree.root, leafCount: tree.leaves.length, matchesChain }
+  });
+
+  return commitment;
+};
+
+// Publish every closed election without a root: ended by the admin or past
+// its end time at `finalizedTimestamp` (a block old enough not to be reorged).
+// Commit-reveal elections are skipped: their votes are reveals on the
+// commit-reveal contract, not factory VoteCast events.
+const publishClosedTallies = async (finalizedTimestamp, toBlock) => {
+  const published = await TallyCommitment.find({}).distinct('electionId');
+  const closed = await Election.find({
+    electionId: { $nin: published },
+    $or: [{ active: false }, { endTime: { $lte: finalizedTimestamp } }]
+  }).lean();
+
+  let count = 0;
+  for (const election of closed) {
+    if (await loadCommitReveal(election.electionId)) continue;
+    await publishTally(election, toBlock);
+    count++;
+  }
+  return count;
+};
+
+// Published commitment of an election, or null
+const getTallyCommitment = async (electionId) => {
+  const commitment = await TallyCommitment.findOne({ electionId }).lean();
+  return commitment ? formatCommitment(commitment) : null;
+};
+
+// Inclusion proof for the vote cast in transaction `txHash`. Returns
+// { commitment, vote, leaf, proof } or { error, status }.
+const getInclusionProof = async (electionId, txHash) => {
+  const commitment = await getTallyCommitment(electionId);
+  if (!commitment) {
+    return { error: 'The tally of this election has not been published yet', status: 404 };
+  }
+
+  const tree = await loadBallotTree(electionId);
+  if (tree.root !== commitment.root) {
+    treeCache.delete(electionId);
+    return { error: 'The indexed votes no longer match the published root', status: 409 };
+  }
+
+  const index = tree.votes.findIndex(vote => vote.txHash === txHash.toLowerCase());
+  if (index === -1) {
+    return { error: 'No vote from this transaction is in the published tally, which covers only votes cast on the election factory', status: 404 };
+  }
+
+  const { candidateId, blockNumber, logIndex } = tree.votes[index];
+  return {
+    commitment,
+    vote: { electionId, candidateId, txHash: tree.votes[index].txHash, logIndex, blockNumber },
+    leaf: tree.leaves[index],
+    proof: getBallotProof(tree, index)
+  };
+};
+
+module.exports = {
+  publishTally,
+  publishClosedTallies,
+  getTallyCommitment,
+  getInclusionProof
+};
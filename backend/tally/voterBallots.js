@@ -0,0 +1,66 @@
+const { DEFAULT_VOTING_METHOD, validateBallot, ballotMatchesVote } = require('../analytics/votingMethods');
+const { verifyVoteReceipt, readVotedCandidate } = require('../receipts/voteReceipt');
+const Ballot = require('../models/Ballot');
+
+// Store the off-chain ballot a voter casts with their on-chain vote in an
+// election with a ranked, approval or score method. `voter` is the sender of
+// the vote transaction, who signed the ballot (verifyVoteSender in
+// receipts/voteReceipt.js). The on-chain vote must name one of the ballot's
+// first choices, so the two never disagree. A later vote of the same wallet
+// replaces the ballot. Returns { ballot } or { error, status }.
+const recordVoterBallot = async ({ election, settings, transactionHash, voter, choices }) => {
+  const { votingMethod, methodOptions } = settings;
+  if (votingMethod === DEFAULT_VOTING_METHOD) {
+    return { error: 'Plurality elections are tallied from on-chain votes', status: 400 };
+  }
+  if (election.ballotMode === 'commit-reveal') {
+    return { error: 'Commit-reveal elections are tallied from revealed votes', status: 400 };
+  }
+  if (election.status === 'ended') {
+    return { error: 'Ballots are accepted until the election ends', status: 409 };
+  }
+
+  const invalid = validateBallot(votingMethod, election.candidates, choices, methodOptions);
+  if (invalid) {
+    return { error: invalid, status: 400 };
+  }
+
+  const txHash = transactionHash.toLowerCase();
+  const verification = await verifyVoteReceipt({ electionId: election.id, transactionHash: txHash });
+  if (verification.status === 'pending') {
+    return { error: verification.message, status: 409 };
+  }
+  if (!verification.verified) {
+    return { error: verification.message, status: 400 };
+  }
+
+  const candidateId = await readVotedCandidate(txHash);
+  if (candidateId === null || !ballotMatchesVote(votingMethod, choices, candidateId)) {
+    return { error: 'The ballot must put the candidate of the on-chain vote first', status: 400 };
+  }
+
+  const existing = await Ballot.findOne({ electionId: election.id, voter }).lean();
+  if (existing && existing.txHash === txHash) {
+    return { error: 'A ballot is already recorded for this vote', status: 409 };
+  }
+  if (existing && existing.blockNumber > verification.blockNumber) {
+    return { error: 'A later vote of this wallet already has a ballot', status: 409 };
+  }
+
+  try {
+    const ballot = await Ballot.findOneAndUpdate(
+      { electionId: election.id, voter },
+      { electionId: election.id, voter, txHash, blockNumber: verification.blockNumber, choices },
+      { upsert: true, new: true, runValidators: true }
+    ).lean();
+    return { ballot, replaced: Boolean(existing) };
+  } catch (error) {
+    // Two ballots of the same wallet raced to be first
+    if (error.code === 11000) {
+      return { error: 'A ballot is already recorded for this vote', status: 409 };
+    }
+    throw error;
+  }
+};
+
+module.exports = { recordVoterBallot };
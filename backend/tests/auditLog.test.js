@@ -0,0 +1,319 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../models/AuthSession', () => require('./setup/authSessionStore'));
+jest.mock('../models/AuditLogEntry', () => require('./setup/auditLogStore').entries);
+jest.mock('../models/AuditAnchor', () => require('./setup/auditLogStore').anchors);
+
+// A chain that only remembers the signer's transactions
+jest.mock('../contract', () => {
+  const address = '0x00000000000000000000000000000000000000aa';
+  const transactions = new Map();
+  return {
+    contract: {},
+    transactions,
+    retryContractCall: (contractMethod) => contractMethod(),
+    provider: {
+      getTransaction: jest.fn(async (hash) => transactions.get(hash) || null)
+    },
+    getSigner: () => ({
+      getAddress: async () => address,
+      sendTransaction: async ({ to, data }) => {
+        const hash = `0x${(transactions.size + 1).toString(16).padStart(64, '0')}`;
+        transactions.set(hash, { hash, from: address, to, data });
+        return { hash, wait: async () => ({}) };
+      }
+    })
+  };
+});
+
+jest.mock('../models/User', () => {
+  const users = [];
+  return {
+    users,
+    findById: jest.fn((id) => Promise.resolve(users.find(user => user._id === String(id)) || null))
+  };
+});
+
+jest.mock('../models/RoleAssignment', () => ({
+  find: jest.fn(() => ({ lean: () => Promise.resolve([]) }))
+}));
+
+const User = require('../models/User');
+const auditStore = require('./setup/auditLogStore');
+const sessionStore = require('./setup/authSessionStore');
+const { createSession, signAccessToken } = require('../identity/sessions');
+const {
+  GENESIS_HASH,
+  computeEntryHash,
+  appendAuditEntry,
+  flushAuditLog,
+  flushDeniedAttempts,
+  verifyAuditChain
+} = require('../audit/auditLog');
+const { transactions } = require('../contract');
+const { anchorAuditHead, loadTrustedAnchors, readChainAnchors } = require('../audit/anchor');
+const adminRoutes = require('../routes/admin');
+const auditRoutes = require('../routes/audit');
+
+const app = express();
+app.use(express.json());
+app.use('/api/admin', adminRoutes);
+app.use('/api/audit', auditRoutes);
+
+const ADMIN_ADDRESS = '0x1111111111111111111111111111111111111111';
+
+const walletAdminToken = async () => {
+  const session = await createSession({ subjectType: 'wallet', subject: ADMIN_ADDRESS, role: 'admin' });
+  return signAccessToken({ address: ADMIN_ADDRESS, role: 'admin' }, session.sessionId);
+};
+
+// Entries are written once the response has finished
+const settle = async () => {
+  await new Promise(resolve => setImmediate(resolve));
+  await flushAuditLog();
+};
+
+const appendEntries = (count) => Promise.all(Array.from({ length: count }, (_, index) => appendAuditEntry({
+  action: 'test.action',
+  details: { index }
+})));
+
+describe('Audit log', () => {
+
+  beforeEach(async () => {
+    await flushDeniedAttempts();
+    auditStore.entries.clear();
+    auditStore.anchors.clear();
+    transactions.clear();
+    sessionStore.clear();
+    User.users.length = 0;
+  });
+
+  afterAll(() => {
+    delete global.demoData;
+  });
+
+  test('should chain each entry to the one before it', async () => {
+    const entries = await appendEntries(3);
+
+    expect(entries.map(entry => entry.seq)).toEqual([1, 2, 3]);
+    expect(entries[0].prevHash).toBe(GENESIS_HASH);
+    expect(entries[1].prevHash).toBe(entries[0].hash);
+    expect(entries[2].prevHash).toBe(entries[1].hash);
+    expect(await verifyAuditChain()).toEqual({
+      valid: true,
+      checked: 3,
+      lastSeq: 3,
+      lastHash: entries[2].hash,
+      anchorsChecked: 0
+    });
+    expect(await verifyAuditChain({ fromSeq: 2, toSeq: 2 })).toMatchObject({ valid: true, checked: 1 });
+  });
+
+  test('should hash an entry the same after a Mongoose round trip', async () => {
+    const AuditLogModel = jest.requireActual('../models/AuditLogEntry');
+    const entry = await appendAuditEntry({
+      action: 'test.action',
+      details: { empty: {}, nested: { value: null, list: [null, { id: null }], options: {} } }
+    });
+
+    const stored = new AuditLogModel(entry).toObject();
+    expect(stored.target).toEqual({ type: null, id: null });
+    expect(stored.details).toEqual({ empty: {}, nested: { value: null, list: [null, { id: null }], options: {} } });
+    expect(computeEntryHash(stored)).toBe(entry.hash);
+  });
+
+  test('should report edited and removed entries', async () => {
+    await appendEntries(3);
+    const [, second, third] = auditStore.entries.docs;
+
+    second.details.index = 42;
+    expect(await verifyAuditChain()).toMatchObject({ valid: false, brokenAt: 2, reason: 'entry hash mismatch', checked: 1 });
+
+    // Re-hashing the edited entry breaks the link from the next one
+    second.hash = computeEntryHash(second);
+    expect(await verifyAuditChain()).toMatchObject({ valid: false, brokenAt: 3, reason: 'previous hash mismatch' });
+
+    auditStore.entries.docs.splice(auditStore.entries.docs.indexOf(third), 1);
+    auditStore.entries.docs.splice(0, 1);
+    expect(await verifyAuditChain()).toMatchObject({ valid: false, brokenAt: 1, reason: 'missing entry' });
+  });
+
+  test('should anchor the head to a file and catch a rewritten chain', async () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'audit-')), 'anchors.jsonl');
+    await appendEntries(2);
+
+    const anchor = await anchorAuditHead({ mode: 'file', file });
+    expect(anchor).toMatchObject({ seq: 2, method: 'file', file });
+    expect(await anchorAuditHead({ mode: 'file', file })).toBeNull();
+
+    const [line] = fs.readFileSync(file, 'utf8').trim().split('\n').map(JSON.parse);
+    expect(line).toMatchObject({ seq: 2, hash: anchor.hash });
+
+    // Rewrite every entry consistently: only the anchor shows it
+    let prevHash = GENESIS_HASH;
+    for (const entry of auditStore.entries.docs) {
+      entry.details.index += 100;
+      entry.prevHash = prevHash;
+      entry.hash = computeEntryHash(entry);
+      prevHash = entry.hash;
+    }
+    expect(await verifyAuditChain()).toMatchObject({ valid: false, brokenAt: 2, reason: 'anchor mismatch' });
+
+    // Dropping the anchored entries does not hide it either
+    auditStore.entries.docs.length = 1;
+    expect(await verifyAuditChain()).toMatchObject({ valid: false, brokenAt: 2, reason: 'missing entry' });
+
+    fs.rmSync(path.dirname(file), { recursive: true, force: true });
+  });
+
+  // Rewrite every entry and every AuditAnchor row to match
+  const rewriteLogAndAnchors = () => {
+    let prevHash = GENESIS_HASH;
+    for (const entry of auditStore.entries.docs) {
+      entry.details.index += 100;
+      entry.prevHash = prevHash;
+      entry.hash = computeEntryHash(entry);
+      prevHash = entry.hash;
+    }
+    for (const anchor of auditStore.anchors.docs) {
+      anchor.hash = auditStore.entries.docs.find(entry => entry.seq === anchor.seq).hash;
+    }
+  };
+
+  test('should catch a rewritten log and anchors against the export file', async () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'audit-')), 'anchors.jsonl');
+    await appendEntries(2);
+    await anchorAuditHead({ mode: 'file', file });
+
+    rewriteLogAndAnchors();
+    expect(await verifyAuditChain()).toMatchObject({ valid: true, checked: 2, anchorsChecked: 1 });
+
+    const { source, anchors } = await loadTrustedAnchors({ source: 'file', file });
+    expect(source).toBe('file');
+    expect(await verifyAuditChain({ anchors })).toMatchObject({ valid: false, brokenAt: 2, reason: 'anchor mismatch' });
+
+    fs.rmSync(path.dirname(file), { recursive: true, force: true });
+  });
+
+  test('should catch a rewritten log and anchors against the anchor transactions', async () => {
+    await appendEntries(2);
+    const anchor = await anchorAuditHead({ mode: 'chain' });
+    expect(anchor).toMatchObject({ seq: 2, method: 'chain', txHash: expect.stringMatching(/^0x/) });
+    expect(await readChainAnchors([anchor.txHash])).toEqual([{ seq: 2, hash: anchor.hash }]);
+
+    rewriteLogAndAnchors();
+    const { anchors } = await loadTrustedAnchors({ source: 'chain' });
+    expect(await verifyAuditChain({ anchors })).toMatchObject({ valid: false, brokenAt: 2, reason: 'anchor mismatch' });
+
+    // Pointing the row at a transaction the signer did not send to itself fails the lookup
+    const foreign = '0x00000000000000000000000000000000000000000000000000000000000000ff';
+    transactions.set(foreign, { hash: foreign, from: '0x00000000000000000000000000000000000000bb', to: null, data: '0x' });
+    auditStore.anchors.docs[0].txHash = foreign;
+    await expect(loadTrustedAnchors({ source: 'chain' })).rejects.toThrow(/not an audit anchor transaction/);
+  });
+
+  test('should record admin requests with actor and outcome', async () => {
+    const token = await walletAdminToken();
+
+    await request(app)
+      .post('/api/admin/upload-demo')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ demoData: [{ id: 1 }, { id: 2 }] })
+      .expect(200);
+    await request(app)
+      .post('/api/admin/upload-demo')
+      .send({ demoData: [] })
+      .expect(401);
+    await settle();
+
+    const [uploaded, refused] = auditStore.entries.docs;
+    expect(uploaded).toMatchObject({
+      seq: 1,
+      actor: { type: 'wallet', id: ADMIN_ADDRESS, role: 'admin' },
+      authType: 'wallet',
+      action: 'demo_data.upload',
+      request: { method: 'POST', path: '/api/admin/upload-demo' },
+      result: { status: 200, outcome: 'success' },
+      details: { recordsCount: 2 }
+    });
+    expect(refused).toMatchObject({
+      seq: 2,
+      actor: { type: 'anonymous', id: null },
+      authType: 'none',
+      action: 'demo_data.upload',
+      result: { status: 401, outcome: 'denied' }
+    });
+  });
+
+  test('should summarise repeated refusals of signed-out clients', async () => {
+    for (let attempt = 0; attempt < 4; attempt++) {
+      await request(app).get('/api/admin/analytics').expect(401);
+    }
+    await settle();
+
+    expect(auditStore.entries.docs).toHaveLength(1);
+    expect(auditStore.entries.docs[0]).toMatchObject({
+      actor: { type: 'anonymous' },
+      action: 'analytics.view',
+      result: { status: 401, outcome: 'denied' }
+    });
+
+    await flushDeniedAttempts();
+    expect(auditStore.entries.docs).toHaveLength(2);
+    expect(auditStore.entries.docs[1]).toMatchObject({
+      action: 'analytics.view',
+      request: { method: 'GET', path: '/api/admin/analytics' },
+      result: { status: 401, outcome: 'denied' },
+      details: { repeatedDenials: 3, windowSeconds: 60 }
+    });
+    expect(await verifyAuditChain()).toMatchObject({ valid: true, checked: 2 });
+  });
+
+  test('should let admins query and verify the log', async () => {
+    const token = await walletAdminToken();
+    await appendEntries(3);
+
+    const listed = await request(app)
+      .get('/api/audit?action=test.action&limit=2')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+    expect(listed.body.entries.map(entry => entry.seq)).toEqual([3, 2]);
+    expect(listed.body.nextBefore).toBe(2);
+    await settle();
+
+    const verified = await request(app)
+      .get('/api/audit/verify')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+    // Reading the log is itself recorded
+    expect(verified.body).toMatchObject({ valid: true, checked: 4, anchorSource: 'file', latestAnchor: null });
+    await settle();
+
+    expect(auditStore.entries.docs.map(entry => entry.action).slice(3)).toEqual(['audit_log.view', 'audit_log.verify']);
+  });
+
+  test('should refuse users without audit:view', async () => {
+    const voter = { _id: '65e000000000000000000001', name: 'Vera Voter', govtIDLast4: '0001', role: 'voter' };
+    User.users.push(voter);
+    const session = await createSession({ subjectType: 'govtID', subject: voter._id, role: 'voter' });
+    const token = signAccessToken({ userId: voter._id, role: 'voter', authType: 'govtID' }, session.sessionId);
+
+    const response = await request(app)
+      .get('/api/audit/verify')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(403);
+    expect(response.body.error).toBe('Access denied: audit:view permission required');
+    await settle();
+
+    expect(auditStore.entries.docs[0]).toMatchObject({
+      actor: { type: 'govtID', id: voter._id, name: 'Vera Voter (XXXX-XXXX-0001)' },
+      result: { status: 403, outcome: 'denied' }
+    });
+  });
+
+});
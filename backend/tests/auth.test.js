@@ -2,10 +2,34 @@ const request = require('supertest');
 const mongoose = require('mongoose');
 const app = require('../server');
 const User = require('../models/User');
+const OtpChallenge = require('../models/OtpChallenge');
+const AuthSession = require('../models/AuthSession');
+const { protectGovtId } = require('../identity/govtIdVault');
+const { registerOtpAdapter } = require('../otp/delivery');
 
 // Test database URL (use a separate test database)
 const TEST_DB_URI = process.env.TEST_MONGO_URI || 'mongodb://localhost:27017/avalanche-voting-test';
 
+// Capture login codes instead of printing them
+const sentCodes = [];
+registerOtpAdapter('test', {
+  send: async ({ code }) => {
+    sentCodes.push(code);
+  }
+});
+process.env.OTP_DELIVERY = 'test';
+
+// Both login steps: request a code, then verify the code that was sent
+const loginWithOtp = async (govtID) => {
+  const loginResponse = await request(app)
+    .post('/api/auth/login')
+    .send({ govtID, idType: 'voter' });
+
+  return request(app)
+    .post('/api/auth/login/verify')
+    .send({ challengeId: loginResponse.body.challengeId, code: sentCodes[sentCodes.length - 1] });
+};
+
 describe('Government ID Authentication', () => {
   let testUser;
   let authToken;
@@ -20,11 +44,15 @@ describe('Government ID Authentication', () => {
   beforeEach(async () => {
     // Clean up database before each test
     await User.deleteMany({});
+    await OtpChallenge.deleteMany({});
+    await AuthSession.deleteMany({});
   });
 
   afterAll(async () => {
     // Clean up and close database connection
     await User.deleteMany({});
+    await OtpChallenge.deleteMany({});
+    await AuthSession.deleteMany({});
     await mongoose.connection.close();
   });
 
@@ -32,7 +60,8 @@ describe('Government ID Authentication', () => {
     it('should register a new voter successfully', async () => {
       const userData = {
         name: 'Test Voter',
-        govtID: 'VOTER123456',
+        govtID: 'VOT1234567',
+        idType: 'voter',
         role: 'voter'
       };
 
@@ -43,30 +72,39 @@ describe('Government ID Authentication', () => {
 
       expect(response.body.message).toContain('registered successfully');
       expect(response.body.user.name).toBe(userData.name);
-      expect(response.body.user.govtID).toBe(userData.govtID);
+      expect(response.body.user.govtID).toBe('XXXX-XXXX-4567');
       expect(response.body.user.role).toBe(userData.role);
+
+      // Stored as a keyed hash and an encrypted copy, never in plaintext
+      const stored = await User.collection.findOne({ name: 'Test Voter' });
+      expect(stored.govtID).toBeUndefined();
+      expect(stored.govtIDHash).toBe(protectGovtId('VOT1234567').govtIDHash);
+      expect(stored.govtIDEncrypted.ciphertext).toBeDefined();
+      expect(JSON.stringify(stored)).not.toContain('VOT1234567');
     });
 
-    it('should register a new admin successfully', async () => {
+    it('should refuse to register an admin', async () => {
       const userData = {
         name: 'Test Admin',
-        govtID: 'ADMIN123456',
+        govtID: 'ADM1234567',
+        idType: 'voter',
         role: 'admin'
       };
 
       const response = await request(app)
         .post('/api/auth/register')
         .send(userData)
-        .expect(201);
+        .expect(403);
 
-      expect(response.body.message).toContain('Admin registered successfully');
-      expect(response.body.user.role).toBe('admin');
+      expect(response.body.error).toContain('Only voter accounts can be registered');
+      expect(await User.countDocuments({})).toBe(0);
     });
 
     it('should reject duplicate Government ID', async () => {
       const userData = {
         name: 'Test User 1',
-        govtID: 'DUPLICATE123',
+        govtID: 'DUP1234567',
+        idType: 'voter',
         role: 'voter'
       };
 
@@ -79,7 +117,8 @@ describe('Government ID Authentication', () => {
       // Second registration with same govtID
       const duplicateUser = {
         name: 'Test User 2',
-        govtID: 'DUPLICATE123',
+        govtID: 'DUP1234567',
+        idType: 'voter',
         role: 'voter'
       };
 
@@ -104,6 +143,7 @@ describe('Government ID Authentication', () => {
       const userData = {
         name: 'Test User',
         govtID: '123', // Too short
+        idType: 'voter',
         role: 'voter'
       };
 
@@ -112,22 +152,24 @@ describe('Government ID Authentication', () => {
         .send(userData)
         .expect(400);
 
-      expect(response.body.error).toContain('between 5-50 characters');
+      expect(response.body.code).toBe('epicFormat');
+      expect(response.body.error).toContain('3 letters followed by 7 digits');
     });
 
     it('should validate role field', async () => {
       const userData = {
         name: 'Test User',
-        govtID: 'VALID123456',
+        govtID: 'VAL1234567',
+        idType: 'voter',
         role: 'invalid_role'
       };
 
       const response = await request(app)
         .post('/api/auth/register')
         .send(userData)
-        .expect(400);
+        .expect(403);
 
-      expect(response.body.error).toContain('voter" or "admin');
+      expect(response.body.error).toContain('Only voter accounts can be registered');
     });
   });
 
@@ -136,22 +178,34 @@ describe('Government ID Authentication', () => {
       // Create a test user
       testUser = new User({
         name: 'Test User',
-        govtID: 'LOGIN123456',
+        ...protectGovtId('LOG1234567'),
+        idType: 'voter',
         role: 'voter'
       });
       await testUser.save();
     });
 
-    it('should login successfully with valid Government ID', async () => {
+    it('should send a code instead of a token for a valid Government ID', async () => {
       const response = await request(app)
         .post('/api/auth/login')
-        .send({ govtID: 'LOGIN123456' })
+        .send({ govtID: 'LOG1234567', idType: 'voter' })
         .expect(200);
 
+      expect(response.body.otpRequired).toBe(true);
+      expect(response.body.challengeId).toBeDefined();
+      expect(response.body.token).toBeUndefined();
+      expect(sentCodes[sentCodes.length - 1]).toMatch(/^\d{6}$/);
+    });
+
+    it('should login successfully after verifying the code', async () => {
+      const response = await loginWithOtp('LOG1234567');
+
+      expect(response.status).toBe(200);
       expect(response.body.message).toBe('Login successful');
       expect(response.body.token).toBeDefined();
-      expect(response.body.user.govtID).toBe('LOGIN123456');
-      expect(response.body.expiresIn).toBe(86400);
+      expect(response.body.user.govtID).toBe('XXXX-XXXX-4567');
+      expect(response.body.refreshToken).toBeDefined();
+      expect(response.body.expiresIn).toBe(900);
 
       authToken = response.body.token;
     });
@@ -159,7 +213,7 @@ describe('Government ID Authentication', () => {
     it('should reject invalid Government ID', async () => {
       const response = await request(app)
         .post('/api/auth/login')
-        .send({ govtID: 'INVALID123456' })
+        .send({ govtID: 'INV1234567', idType: 'voter' })
         .expect(401);
 
       expect(response.body.error).toContain('not found');
@@ -168,10 +222,50 @@ describe('Government ID Authentication', () => {
     it('should validate Government ID format on login', async () => {
       const response = await request(app)
         .post('/api/auth/login')
-        .send({ govtID: '123' }) // Too short
+        .send({ govtID: '123', idType: 'voter' }) // Too short
         .expect(400);
 
-      expect(response.body.error).toContain('between 5-50 characters');
+      expect(response.body.code).toBe('epicFormat');
+      expect(response.body.error).toContain('3 letters followed by 7 digits');
+    });
+
+    it('should reject wrong codes and lock the challenge after too many attempts', async () => {
+      const loginResponse = await request(app)
+        .post('/api/auth/login')
+        .send({ govtID: 'LOG1234567', idType: 'voter' });
+      const { challengeId } = loginResponse.body;
+      const wrongCode = sentCodes[sentCodes.length - 1] === '000000' ? '111111' : '000000';
+
+      const first = await request(app)
+        .post('/api/auth/login/verify')
+        .send({ challengeId, code: wrongCode })
+        .expect(401);
+      expect(first.body.attemptsRemaining).toBe(4);
+
+      await OtpChallenge.updateOne({ _id: challengeId }, { $set: { attempts: 5 } });
+      await request(app)
+        .post('/api/auth/login/verify')
+        .send({ challengeId, code: sentCodes[sentCodes.length - 1] })
+        .expect(429);
+    });
+
+    it('should not accept a code twice or after it expires', async () => {
+      const loginResponse = await request(app)
+        .post('/api/auth/login')
+        .send({ govtID: 'LOG1234567', idType: 'voter' });
+      const verification = { challengeId: loginResponse.body.challengeId, code: sentCodes[sentCodes.length - 1] };
+
+      await request(app).post('/api/auth/login/verify').send(verification).expect(200);
+      await request(app).post('/api/auth/login/verify').send(verification).expect(401);
+
+      const expiring = await request(app)
+        .post('/api/auth/login')
+        .send({ govtID: 'LOG1234567', idType: 'voter' });
+      await OtpChallenge.updateOne({ _id: expiring.body.challengeId }, { $set: { expiresAt: new Date(Date.now() - 1000) } });
+      await request(app)
+        .post('/api/auth/login/verify')
+        .send({ challengeId: expiring.body.challengeId, code: sentCodes[sentCodes.length - 1] })
+        .expect(401);
     });
   });
 
@@ -180,14 +274,13 @@ describe('Government ID Authentication', () => {
       // Create test user and get auth token
       testUser = new User({
         name: 'Profile Test User',
-        govtID: 'PROFILE123456',
+        ...protectGovtId('PRO1234567'),
+        idType: 'voter',
         role: 'voter'
       });
       await testUser.save();
 
-      const loginResponse = await request(app)
-        .post('/api/auth/login')
-        .send({ govtID: 'PROFILE123456' });
+      const loginResponse = await loginWithOtp('PRO1234567');
 
       authToken = loginResponse.body.token;
     });
@@ -199,7 +292,9 @@ describe('Government ID Authentication', () => {
         .expect(200);
 
       expect(response.body.user.name).toBe('Profile Test User');
-      expect(response.body.user.govtID).toBe('PROFILE123456');
+      expect(response.body.user.govtID).toBe('XXXX-XXXX-4567');
+      expect(response.body.user.walletAddress).toBeNull();
+      expect(response.body.permissions).toEqual({ global: [], elections: [] });
       expect(response.body.user.role).toBe('voter');
     });
 
@@ -221,6 +316,72 @@ describe('Government ID Authentication', () => {
     });
   });
 
+  describe('Sessions', () => {
+    let session;
+
+    beforeEach(async () => {
+      testUser = new User({
+        name: 'Session Test User',
+        ...protectGovtId('SES1234567'),
+        idType: 'voter',
+        role: 'voter'
+      });
+      await testUser.save();
+
+      session = (await loginWithOtp('SES1234567')).body;
+    });
+
+    it('should exchange a refresh token for a new pair once', async () => {
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: session.refreshToken })
+        .expect(200);
+
+      expect(response.body.token).toBeDefined();
+      expect(response.body.refreshToken).not.toBe(session.refreshToken);
+
+      await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${response.body.token}`)
+        .expect(200);
+
+      // Reusing the old refresh token revokes the session
+      await request(app).post('/api/auth/refresh').send({ refreshToken: session.refreshToken }).expect(401);
+      await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${response.body.token}`)
+        .expect(401);
+    });
+
+    it('should revoke the session on logout', async () => {
+      await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${session.token}`)
+        .expect(200);
+
+      await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${session.token}`)
+        .expect(401);
+      await request(app).post('/api/auth/refresh').send({ refreshToken: session.refreshToken }).expect(401);
+    });
+
+    it('should revoke every session on logout-all', async () => {
+      const other = (await loginWithOtp('SES1234567')).body;
+
+      const response = await request(app)
+        .post('/api/auth/logout-all')
+        .set('Authorization', `Bearer ${session.token}`)
+        .expect(200);
+
+      expect(response.body.revokedSessions).toBe(2);
+      await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${other.token}`)
+        .expect(401);
+    });
+  });
+
   describe('Admin Routes', () => {
     let adminToken;
 
@@ -228,21 +389,20 @@ describe('Government ID Authentication', () => {
       // Create admin user
       const adminUser = new User({
         name: 'Test Admin',
-        govtID: 'ADMINTEST123',
+        ...protectGovtId('ADT1234567'),
+        idType: 'voter',
         role: 'admin'
       });
       await adminUser.save();
 
-      const loginResponse = await request(app)
-        .post('/api/auth/login')
-        .send({ govtID: 'ADMINTEST123' });
+      const loginResponse = await loginWithOtp('ADT1234567');
 
       adminToken = loginResponse.body.token;
 
       // Create some test voters
       await User.create([
-        { name: 'Voter 1', govtID: 'VOTER001', role: 'voter' },
-        { name: 'Voter 2', govtID: 'VOTER002', role: 'voter' }
+        { name: 'Voter 1', ...protectGovtId('VOT0000001'), role: 'voter' },
+        { name: 'Voter 2', ...protectGovtId('VOT0000002'), role: 'voter' }
       ]);
     });
 
@@ -254,6 +414,25 @@ describe('Government ID Authentication', () => {
 
       expect(response.body.users).toHaveLength(3); // 2 voters + 1 admin
       expect(response.body.totalUsers).toBe(3);
+      expect(response.body.users.map(u => u.govtID)).toContain('XXXX-XXXX-0001');
+    });
+
+    it('should reveal a Government ID to an admin who gives a reason', async () => {
+      const voter = await User.findOne({ name: 'Voter 1' });
+
+      await request(app)
+        .post(`/api/auth/users/${voter._id}/govt-id/reveal`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({})
+        .expect(400);
+
+      const response = await request(app)
+        .post(`/api/auth/users/${voter._id}/govt-id/reveal`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ reason: 'Voter helpdesk request' })
+        .expect(200);
+
+      expect(response.body.govtID).toBe('VOT0000001');
     });
 
     it('should allow admin to filter users by role', async () => {
@@ -270,14 +449,13 @@ describe('Government ID Authentication', () => {
       // Create voter user
       const voterUser = new User({
         name: 'Non Admin',
-        govtID: 'NONADMIN123',
+        ...protectGovtId('NON1234567'),
+        idType: 'voter',
         role: 'voter'
       });
       await voterUser.save();
 
-      const voterLogin = await request(app)
-        .post('/api/auth/login')
-        .send({ govtID: 'NONADMIN123' });
+      const voterLogin = await loginWithOtp('NON1234567');
 
       const response = await request(app)
         .get('/api/auth/users')
@@ -292,7 +470,8 @@ describe('Government ID Authentication', () => {
     it('should apply rate limiting to registration', async () => {
       const userData = {
         name: 'Rate Limit Test',
-        govtID: 'RATE123456',
+        govtID: 'RAT1234567',
+        idType: 'voter',
         role: 'voter'
       };
 
@@ -302,7 +481,7 @@ describe('Government ID Authentication', () => {
           .post('/api/auth/register')
           .send({
             ...userData,
-            govtID: `RATE${i}${Date.now()}`
+            govtID: `RAT${String(Date.now() + i).slice(-7)}`
           })
       );
 
@@ -0,0 +1,133 @@
+const { ethers } = require('ethers');
+
+// Audit log and tally commitments live in memory; votes come from the local chain
+jest.mock('../models/AuditLogEntry', () => require('./setup/auditLogStore').entries);
+jest.mock('../models/AuditAnchor', () => require('./setup/auditLogStore').anchors);
+
+jest.mock('../models/VoteEvent', () => ({
+  events: [],
+  find: jest.fn(function (filter) {
+    const matching = this.events.filter(event => event.electionId === filter.electionId);
+    return { select: () => ({ lean: () => Promise.resolve(matching) }) };
+  })
+}));
+
+jest.mock('../models/TallyCommitment', () => {
+  const commitments = [];
+  return {
+    commitments,
+    create: jest.fn((fields) => {
+      const commitment = { ...fields, publishedAt: new Date() };
+      commitments.push(commitment);
+      return Promise.resolve(commitment);
+    }),
+    findOne: jest.fn((filter) => ({
+      lean: () => Promise.resolve(commitments.find(commitment => commitment.electionId === filter.electionId) || null)
+    }))
+  };
+});
+
+const localChain = require('../chain/localChain');
+const { factoryContract, provider } = require('../contract');
+const VoteEvent = require('../models/VoteEvent');
+const auditStore = require('./setup/auditLogStore');
+const { hashLeaf, buildBallotTree, getBallotProof, verifyBallotProof, countVotes } = require('../tally/ballotMerkle');
+const { publishTally, getInclusionProof } = require('../tally/tallyCommitments');
+const { verifyTally } = require('../scripts/verifyTally');
+
+const fakeVote = (index) => ({
+  electionId: 3,
+  candidateId: index % 2,
+  txHash: ethers.id(`vote ${index}`),
+  logIndex: 0,
+  blockNumber: 100 + index
+});
+
+const createElection = async (title, candidates) => {
+  const { timestamp } = await provider.getBlock('latest');
+  const factory = factoryContract.connect(localChain.getAccount(0));
+  const receipt = await (await factory.createElection(title, `${title} description`, candidates, timestamp - 60, timestamp + 3600)).wait();
+  return { electionId: Number(await factoryContract.electionCount()) - 1, createdBlock: receipt.blockNumber };
+};
+
+// VoteCast events of an election read back from the chain, as the indexer stores them
+const indexVotes = async (electionId) => {
+  const logs = await factoryContract.queryFilter('VoteCast', 0, 'latest');
+  VoteEvent.events = logs
+    .filter(log => Number(log.args.electionId) === electionId)
+    .map(log => ({
+      electionId,
+      candidateId: Number(log.args.candidateId),
+      txHash: log.transactionHash,
+      logIndex: log.index,
+      blockNumber: log.blockNumber
+    }));
+};
+
+beforeAll(() => localChain.ready, 60000);
+
+afterAll(() => localChain.stop());
+
+describe('Ballot Merkle tree', () => {
+
+  test('should prove every vote for any number of leaves', () => {
+    for (let count = 1; count <= 7; count++) {
+      const votes = Array.from({ length: count }, (_, index) => fakeVote(index));
+      const tree = buildBallotTree(votes);
+
+      tree.votes.forEach((vote, index) => {
+        expect(verifyBallotProof(hashLeaf(vote), getBallotProof(tree, index), tree.root)).toBe(true);
+      });
+    }
+  });
+
+  test('should not depend on event order but on event contents', () => {
+    const votes = [fakeVote(0), fakeVote(1), fakeVote(2)];
+    const tree = buildBallotTree(votes);
+
+    expect(buildBallotTree([...votes].reverse()).root).toBe(tree.root);
+    expect(buildBallotTree([votes[0], votes[1], { ...votes[2], candidateId: 1 }]).root).not.toBe(tree.root);
+    expect(buildBallotTree([]).root).toBe(ethers.ZeroHash);
+
+    const changedLeaf = hashLeaf({ ...votes[1], candidateId: 0 });
+    expect(verifyBallotProof(changedLeaf, getBallotProof(tree, 1), tree.root)).toBe(false);
+    expect(countVotes(votes, 3)).toEqual([
+      { candidateId: 0, votes: 2 },
+      { candidateId: 1, votes: 1 },
+      { candidateId: 2, votes: 0 }
+    ]);
+  });
+
+  test('should publish a root that voters and the verifier script can check', async () => {
+    const { electionId, createdBlock } = await createElection('Ward 9', ['Omar', 'Priya', 'Quinn']);
+    const votes = [[1, 0], [2, 1], [3, 1]];
+    for (const [accountIndex, candidateId] of votes) {
+      await (await factoryContract.connect(localChain.getAccount(accountIndex)).vote(electionId, candidateId)).wait();
+    }
+    await indexVotes(electionId);
+
+    const toBlock = await provider.getBlockNumber();
+    const commitment = await publishTally({ electionId, createdBlock, candidates: [{}, {}, {}] }, toBlock);
+    expect(commitment).toMatchObject({ electionId, leafCount: 3, matchesChain: true, fromBlock: createdBlock, toBlock });
+    expect(commitment.totals.map(total => total.votes)).toEqual([1, 2, 0]);
+    expect(auditStore.entries.docs[0]).toMatchObject({ action: 'tally.publish', details: { root: commitment.root } });
+
+    const inclusion = await getInclusionProof(electionId, VoteEvent.events[1].txHash);
+    expect(inclusion.vote).toMatchObject({ electionId, candidateId: 1 });
+    expect(verifyBallotProof(inclusion.leaf, inclusion.proof, commitment.root)).toBe(true);
+    expect(await getInclusionProof(electionId, ethers.id('not a vote'))).toMatchObject({ status: 404 });
+
+    expect(await verifyTally({ electionId, commitment })).toMatchObject({ valid: true });
+
+    // A root or tally the chain does not back is reported
+    const forged = await verifyTally({
+      electionId,
+      commitment: { ...commitment, root: ethers.id('forged'), totals: [{ votes: 2 }, { votes: 1 }, { votes: 0 }] }
+    });
+    expect(forged).toMatchObject({
+      valid: false,
+      checks: { root: false, leafCount: true, publishedTotals: false, onChainTotals: true }
+    });
+  });
+
+});
@@ -0,0 +1,146 @@
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../models/AuthSession', () => require('./setup/authSessionStore'));
+jest.mock('../models/AuditLogEntry', () => require('./setup/auditLogStore').entries);
+jest.mock('../models/AuditAnchor', () => require('./setup/auditLogStore').anchors);
+
+jest.mock('../contract', () => ({
+  contract: {},
+  retryContractCall: (contractMethod) => contractMethod(),
+  getSigner: () => null
+}));
+
+jest.mock('../indexer/reader', () => ({
+  readElection: jest.fn((electionId) => Promise.resolve(electionId === 0
+    ? { id: 0, candidates: [{ id: 0, name: 'Alice', votes: 0 }, { id: 1, name: 'Bob', votes: 0 }] }
+    : null))
+}));
+
+jest.mock('../models/CandidateProfile', () => ({
+  find: jest.fn(() => ({ sort: () => ({ lean: () => Promise.resolve([]) }) })),
+  findOneAndUpdate: jest.fn((filter, update) => Promise.resolve({ ...update, updatedAt: new Date() })),
+  deleteOne: jest.fn(() => Promise.resolve({ deletedCount: 1 }))
+}));
+
+const CandidateProfile = require('../models/CandidateProfile');
+const { createSession, signAccessToken } = require('../identity/sessions');
+const { normalizeProfile, hashProfile, formatProfile } = require('../metadata/candidateProfile');
+const adminRoutes = require('../routes/admin');
+
+const app = express();
+app.use(express.json());
+app.use('/api/admin', adminRoutes);
+
+let token;
+beforeAll(async () => {
+  const session = await createSession({ subjectType: 'wallet', subject: '0xadmin', role: 'admin' });
+  token = signAccessToken({ address: '0xadmin', role: 'admin' }, session.sessionId);
+});
+
+const profileBody = {
+  names: { en: 'Alice Rao', te: 'ఆలిస్ రావు', hi: '  ' },
+  party: ' Civic Party ',
+  photoUrl: 'https://example.com/alice.png',
+  manifesto: { en: 'Open budgets for every ward' }
+};
+
+describe('Candidate profiles', () => {
+
+  describe('normalizeProfile', () => {
+
+    test('should trim fields and drop empty translations', () => {
+      const { profile } = normalizeProfile(profileBody);
+
+      expect(profile).toEqual({
+        names: { en: 'Alice Rao', te: 'ఆలిస్ రావు' },
+        party: 'Civic Party',
+        partySymbolUrl: null,
+        photoUrl: 'https://example.com/alice.png',
+        manifesto: { en: 'Open budgets for every ward' }
+      });
+    });
+
+    test('should reject unsupported locales and unsafe image URLs', () => {
+      expect(normalizeProfile({ names: { fr: 'Alice' } }).error).toMatch(/Unsupported locale/);
+      expect(normalizeProfile({ photoUrl: 'javascript:alert(1)' }).error).toMatch(/photoUrl/);
+      expect(normalizeProfile({ partySymbolUrl: 'data:text/html;base64,AAAA' }).error).toMatch(/partySymbolUrl/);
+    });
+  });
+
+  describe('hashProfile', () => {
+
+    test('should not depend on key order and bind the candidate', () => {
+      const { profile } = normalizeProfile(profileBody);
+      const reordered = { ...profile, names: { te: profile.names.te, en: profile.names.en } };
+
+      expect(hashProfile(0, 0, reordered)).toBe(hashProfile(0, 0, profile));
+      expect(hashProfile(0, 1, profile)).not.toBe(hashProfile(0, 0, profile));
+    });
+
+    test('should flag profiles edited outside the API', () => {
+      const { profile } = normalizeProfile(profileBody);
+      const doc = { electionId: 0, candidateId: 0, ...profile, contentHash: hashProfile(0, 0, profile) };
+
+      expect(formatProfile(doc).verified).toBe(true);
+      expect(formatProfile({ ...doc, party: 'Other Party' }).verified).toBe(false);
+    });
+  });
+
+  describe('Admin endpoints', () => {
+
+    test('PUT should require an admin token', async () => {
+      await request(app)
+        .put('/api/admin/elections/0/candidates/0/profile')
+        .send(profileBody)
+        .expect(401);
+    });
+
+    test('PUT should store the profile with its content hash', async () => {
+      const response = await request(app)
+        .put('/api/admin/elections/0/candidates/0/profile')
+        .set('Authorization', `Bearer ${token}`)
+        .send(profileBody)
+        .expect(200);
+
+      const [filter, update] = CandidateProfile.findOneAndUpdate.mock.calls[0];
+      expect(filter).toEqual({ electionId: 0, candidateId: 0 });
+      expect(update.updatedBy).toBe('0xadmin');
+      expect(update.contentHash).toBe(hashProfile(0, 0, normalizeProfile(profileBody).profile));
+      expect(response.body.profile).toMatchObject({ candidateId: 0, party: 'Civic Party', verified: true });
+    });
+
+    test('PUT should reject invalid profiles and unknown candidates', async () => {
+      await request(app)
+        .put('/api/admin/elections/0/candidates/0/profile')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ names: { xx: 'Alice' } })
+        .expect(400);
+
+      await request(app)
+        .put('/api/admin/elections/0/candidates/5/profile')
+        .set('Authorization', `Bearer ${token}`)
+        .send(profileBody)
+        .expect(404);
+
+      await request(app)
+        .put('/api/admin/elections/3/candidates/0/profile')
+        .set('Authorization', `Bearer ${token}`)
+        .send(profileBody)
+        .expect(404);
+    });
+
+    test('DELETE should remove a profile and 404 when there is none', async () => {
+      await request(app)
+        .delete('/api/admin/elections/0/candidates/1/profile')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      CandidateProfile.deleteOne.mockResolvedValueOnce({ deletedCount: 0 });
+      await request(app)
+        .delete('/api/admin/elections/0/candidates/1/profile')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(404);
+    });
+  });
+});
@@ -0,0 +1,174 @@
+const request = require('supertest');
+const express = require('express');
+const { ethers } = require('ethers');
+
+// Re-read commit and reveal counts on every request
+process.env.COMMIT_REVEAL_CACHE_MS = '0';
+
+// Elections default to plurality
+jest.mock('../models/ElectionSettings', () => ({
+  findOne: jest.fn(() => ({ lean: () => Promise.resolve(null) }))
+}));
+
+const localChain = require('../chain/localChain');
+const { factoryContract, commitRevealContract, provider } = require('../contract');
+const { createElectionClient, hashVoteCommitment } = require('../chain/generated/electionClient');
+const { verifyVoteReceipt } = require('../receipts/voteReceipt');
+const electionRoutes = require('../routes/elections');
+
+const app = express();
+app.use(express.json());
+app.use('/api/elections', electionRoutes);
+
+// Client signing as the given local account
+const clientFor = (accountIndex) => {
+  const signer = localChain.getAccount(accountIndex);
+  return createElectionClient({
+    factory: factoryContract.connect(signer),
+    commitReveal: commitRevealContract.connect(signer)
+  });
+};
+
+// Create a factory election that opened a minute ago and run it in
+// commit-reveal mode: ten minutes of voting, then ten minutes of revealing
+const createCommitRevealElection = async (title, candidates) => {
+  const { timestamp } = await provider.getBlock('latest');
+  const schedule = { startTime: timestamp - 60, commitEndTime: timestamp + 600, revealEndTime: timestamp + 1200 };
+
+  const { electionId } = await clientFor(0).createElection({
+    title,
+    description: `${title} description`,
+    candidates,
+    startTime: schedule.startTime,
+    endTime: schedule.commitEndTime
+  });
+  await clientFor(0).openCommitReveal(electionId, { candidatesCount: candidates.length, ...schedule });
+  return { electionId, ...schedule };
+};
+
+// Commit a vote for a candidate; returns the salt needed to reveal it
+const commit = async (accountIndex, electionId, candidateId) => {
+  const salt = ethers.hexlify(ethers.randomBytes(32));
+  const voter = localChain.accounts[accountIndex];
+  const { hash } = await clientFor(accountIndex).commitVote(electionId, hashVoteCommitment(electionId, voter, candidateId, salt));
+  return { salt, hash };
+};
+
+// Move the chain clock to `timestamp`
+const travelTo = async (timestamp) => {
+  const { timestamp: now } = await provider.getBlock('latest');
+  await localChain.increaseTime(timestamp - now);
+};
+
+beforeAll(() => localChain.ready, 60000);
+
+afterAll(() => localChain.stop());
+
+describe('Commit-reveal elections', () => {
+
+  test('seal the tally while voting and revealing, then publish the revealed votes', async () => {
+    const { electionId, commitEndTime, revealEndTime } = await createCommitRevealElection('Harbour Board', ['Ines', 'Joao']);
+
+    const first = await commit(1, electionId, 1);
+    const second = await commit(2, electionId, 1);
+    await commit(3, electionId, 1);
+    // A new commitment replaces the voter's earlier one
+    const third = await commit(3, electionId, 0);
+
+    const schedule = await clientFor(1).getCommitReveal(electionId);
+    expect(schedule).toMatchObject({ candidatesCount: 2, commitCount: 3, revealCount: 0 });
+
+    // Nothing to read while voting is open, on chain or through the API
+    await expect(clientFor(1).getRevealedResults(electionId)).rejects.toMatchObject({ reason: 'Results are sealed until the reveal phase ends' });
+    await expect(clientFor(1).revealVote(electionId, 1, first.salt)).rejects.toMatchObject({ reason: 'Reveal phase has not started' });
+
+    const sealed = await request(app).get(`/api/elections/${electionId}/results`);
+    expect(sealed.status).toBe(200);
+    expect(sealed.body).toMatchObject({ electionId, ballotMode: 'commit-reveal', sealed: true, commitReveal: { phase: 'commit', commitCount: 3 } });
+    expect(sealed.body.votes).toBeUndefined();
+    expect(sealed.body.winner).toBeUndefined();
+
+    const summary = await request(app).get(`/api/elections/${electionId}`);
+    expect(summary.body.election).toMatchObject({ ballotMode: 'commit-reveal', sealed: true, totalVotes: null });
+
+    // Commitments verify as recorded votes without revealing the candidate
+    expect(await verifyVoteReceipt({ electionId, transactionHash: first.hash })).toMatchObject({ status: 'recorded', contract: 'commitReveal' });
+
+    await travelTo(commitEndTime + 1);
+
+    await expect(clientFor(1).commitVote(electionId, ethers.id('late'))).rejects.toMatchObject({ reason: 'Voting has ended' });
+    await expect(clientFor(1).revealVote(electionId, 0, first.salt)).rejects.toMatchObject({ reason: 'Reveal does not match commitment' });
+
+    await clientFor(1).revealVote(electionId, 1, first.salt);
+    await clientFor(3).revealVote(electionId, 0, third.salt);
+    await expect(clientFor(1).revealVote(electionId, 1, first.salt)).rejects.toMatchObject({ reason: 'Already revealed' });
+    expect(await clientFor(1).getVoteCommitment(electionId, localChain.accounts[1])).toMatchObject({ revealed: true });
+
+    // Still sealed while others are revealing
+    const revealing = await request(app).get(`/api/elections/${electionId}/results`);
+    expect(revealing.body).toMatchObject({ sealed: true, commitReveal: { phase: 'reveal', revealCount: 2 } });
+
+    await travelTo(revealEndTime + 1);
+
+    // Account 2 never revealed, so its vote is not counted
+    await expect(clientFor(2).revealVote(electionId, 1, second.salt)).rejects.toMatchObject({ reason: 'Reveal phase has ended' });
+
+    const results = await request(app).get(`/api/elections/${electionId}/results`);
+    expect(results.body).toMatchObject({ ballotMode: 'commit-reveal', totalVotes: 2 });
+    expect(results.body.sealed).toBeUndefined();
+    expect(results.body.votes.map(({ candidate, votes }) => [candidate, votes])).toEqual([['Ines', 1], ['Joao', 1]]);
+  });
+
+  test('only the contract admin opens an election, once, with a valid schedule', async () => {
+    const { timestamp } = await provider.getBlock('latest');
+    const { electionId } = await clientFor(0).createElection({
+      title: 'Ferry Timetable',
+      description: 'Ferry Timetable description',
+      candidates: ['Early', 'Late'],
+      startTime: timestamp - 60,
+      endTime: timestamp + 600
+    });
+    const schedule = { candidatesCount: 2, startTime: timestamp - 60, commitEndTime: timestamp + 600, revealEndTime: timestamp + 1200 };
+
+    await expect(clientFor(1).openCommitReveal(electionId, schedule)).rejects.toMatchObject({ reason: 'Only admin' });
+    await expect(clientFor(0).openCommitReveal(electionId, { ...schedule, revealEndTime: schedule.commitEndTime }))
+      .rejects.toMatchObject({ reason: 'Reveal end must be after commit end' });
+
+    await clientFor(0).openCommitReveal(electionId, schedule);
+    await expect(clientFor(0).openCommitReveal(electionId, schedule)).rejects.toMatchObject({ reason: 'Election already opened' });
+
+    // Elections never opened on the contract run in the open
+    expect(await clientFor(1).getCommitReveal(electionId + 1)).toBeNull();
+  });
+
+  test('an election only opens while its factory election is open, unvoted and has the same candidates', async () => {
+    const { timestamp } = await provider.getBlock('latest');
+    const createOpenElection = async (title) => (await clientFor(0).createElection({
+      title,
+      description: `${title} description`,
+      candidates: ['Yes', 'No'],
+      startTime: timestamp - 60,
+      endTime: timestamp + 600
+    })).electionId;
+    const schedule = { candidatesCount: 2, startTime: timestamp - 60, commitEndTime: timestamp + 600, revealEndTime: timestamp + 1200 };
+
+    const electionCount = Number(await factoryContract.electionCount());
+    await expect(clientFor(0).openCommitReveal(electionCount + 5, schedule))
+      .rejects.toMatchObject({ reason: 'Factory election does not exist' });
+
+    const recount = await createOpenElection('Bridge Tolls');
+    await expect(clientFor(0).openCommitReveal(recount, { ...schedule, candidatesCount: 3 }))
+      .rejects.toMatchObject({ reason: 'Candidate count does not match the factory election' });
+
+    // Plain votes on the factory would already show a running tally
+    const voted = await createOpenElection('Library Hours');
+    await clientFor(1).castVote(voted, 0);
+    await expect(clientFor(0).openCommitReveal(voted, schedule))
+      .rejects.toMatchObject({ reason: 'Factory election already has votes' });
+
+    const ended = await createOpenElection('Market Day');
+    await clientFor(0).endElection(ended);
+    await expect(clientFor(0).openCommitReveal(ended, schedule))
+      .rejects.toMatchObject({ reason: 'Factory election has ended' });
+  });
+});
@@ -0,0 +1,106 @@
+const localChain = require('../chain/localChain');
+const { factoryContract, revotingContract, provider } = require('../contract');
+const { createElectionClient, decodeError } = require('../chain/generated/electionClient');
+
+// Client signing as the given local account
+const clientFor = (accountIndex) => {
+  const signer = localChain.getAccount(accountIndex);
+  return createElectionClient({
+    factory: factoryContract.connect(signer),
+    revoting: revotingContract.connect(signer)
+  });
+};
+
+const createElection = async (title, candidates) => {
+  const { timestamp } = await provider.getBlock('latest');
+  return clientFor(0).createElection({
+    title,
+    description: `${title} description`,
+    candidates,
+    startTime: timestamp - 60,
+    endTime: timestamp + 3600
+  });
+};
+
+beforeAll(() => localChain.ready, 60000);
+
+afterAll(() => localChain.stop());
+
+describe('Election client', () => {
+
+  test('creates an election and reads it back with numeric fields', async () => {
+    const { electionId, hash, blockNumber } = await createElection('Library Board', ['Ana', 'Ben']);
+    const client = clientFor(1);
+
+    expect(hash).toMatch(/^0x[0-9a-f]{64}$/);
+    expect(typeof blockNumber).toBe('number');
+
+    const election = await client.getElection(electionId);
+    expect(election).toMatchObject({
+      id: electionId,
+      title: 'Library Board',
+      active: true,
+      candidatesCount: 2,
+      totalVotes: 0
+    });
+    expect(typeof election.startTime).toBe('number');
+
+    const elections = await client.listElections();
+    expect(elections[electionId]).toEqual(election);
+  });
+
+  test('casts votes and reports candidates and winner', async () => {
+    const { electionId } = await createElection('Park Fund', ['North', 'South', 'East']);
+    await clientFor(1).castVote(electionId, 2);
+    await clientFor(2).castVote(electionId, 2);
+    await clientFor(3).castVote(electionId, 0);
+
+    const client = clientFor(1);
+    expect(await client.getCandidates(electionId)).toEqual([
+      { id: 0, name: 'North', votes: 1 },
+      { id: 1, name: 'South', votes: 0 },
+      { id: 2, name: 'East', votes: 2 }
+    ]);
+    expect(await client.getWinner(electionId)).toEqual({ name: 'East', votes: 2 });
+  });
+
+  test('returns null for elections that do not exist', async () => {
+    const client = clientFor(1);
+    const count = await client.getElectionCount();
+
+    expect(await client.getElection(count)).toBeNull();
+    expect(await client.getElection(-1)).toBeNull();
+  });
+
+  test('decodes contract reverts into REVERTED errors', async () => {
+    const { electionId } = await createElection('Repeat Vote', ['Yes', 'No']);
+    await clientFor(4).castVote(electionId, 0);
+
+    await expect(clientFor(4).castVote(electionId, 1)).rejects.toMatchObject({
+      name: 'ElectionClientError',
+      code: 'REVERTED',
+      reason: 'Already voted'
+    });
+    await expect(clientFor(5).endElection(electionId)).rejects.toMatchObject({ code: 'REVERTED' });
+  });
+
+  test('records re-votes on the re-voting contract', async () => {
+    const { electionId } = await createElection('Revote Election', ['Red', 'Blue']);
+    await clientFor(0).enableRevoting(electionId);
+
+    await clientFor(6).castVote(electionId, 0, { revote: true });
+    await clientFor(6).castVote(electionId, 1, { revote: true });
+
+    expect(Number(await revotingContract.voterChoice(electionId, localChain.getAccount(6).address))).toBe(1);
+    expect(await clientFor(1).hasVoted(electionId, localChain.getAccount(6).address)).toBe(true);
+    expect(await clientFor(1).hasVoted(electionId, localChain.getAccount(7).address)).toBe(false);
+  });
+
+  test('maps wallet and network errors to stable codes', () => {
+    expect(decodeError({ code: 'ACTION_REJECTED' }).code).toBe('REJECTED');
+    expect(decodeError({ code: 4001 }).code).toBe('REJECTED');
+    expect(decodeError({ code: 'INSUFFICIENT_FUNDS' }).code).toBe('INSUFFICIENT_FUNDS');
+    expect(decodeError({ code: 'NETWORK_ERROR' }).code).toBe('NETWORK');
+    expect(decodeError(new Error('boom'))).toMatchObject({ code: 'UNKNOWN', message: 'boom' });
+  });
+});
@@ -0,0 +1,58 @@
+// Keep the stream module from connecting to a real RPC endpoint
+jest.mock('../contract', () => ({
+  provider: {},
+  factoryContract: {},
+  retryContractCall: (contractMethod) => contractMethod(),
+  FACTORY_CONTRACT_ADDRESS: '0x5638def6c0255Ef32f4bAE9E1b5C5B96c0fac81a'
+}));
+
+const { diffSnapshots } = require('../stream/electionStream');
+
+describe('Election Stream', () => {
+  const baseSnapshot = {
+    electionId: 3,
+    status: 'active',
+    totalVotes: 2,
+    candidates: [
+      { id: 0, name: 'Alice', votes: 1 },
+      { id: 1, name: 'Bob', votes: 1 }
+    ]
+  };
+
+  test('should emit nothing when the election is unchanged', () => {
+    expect(diffSnapshots(baseSnapshot, { ...baseSnapshot })).toEqual([]);
+  });
+
+  test('should emit vote and tally events for new votes', () => {
+    const next = {
+      ...baseSnapshot,
+      totalVotes: 4,
+      candidates: [
+        { id: 0, name: 'Alice', votes: 3 },
+        { id: 1, name: 'Bob', votes: 1 }
+      ]
+    };
+
+    const events = diffSnapshots(baseSnapshot, next);
+
+    expect(events.map(e => e.event)).toEqual(['vote', 'tally']);
+    expect(events[0].data).toEqual({ electionId: 3, newVotes: 2, totalVotes: 4 });
+    expect(events[1].data.candidates[0].votes).toBe(3);
+  });
+
+  test('should emit a status event when voting starts', () => {
+    const events = diffSnapshots({ ...baseSnapshot, status: 'upcoming' }, baseSnapshot);
+
+    expect(events).toEqual([{
+      event: 'status',
+      data: { electionId: 3, status: 'active', previousStatus: 'upcoming', change: 'started' }
+    }]);
+  });
+
+  test('should emit a status event when the election ends', () => {
+    const events = diffSnapshots(baseSnapshot, { ...baseSnapshot, status: 'ended' });
+
+    expect(events[0].data.change).toBe('ended');
+  });
+
+});
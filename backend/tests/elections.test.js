@@ -0,0 +1,172 @@
+const request = require('supertest');
+const express = require('express');
+
+// Mock the factory contract before importing the router
+jest.mock('../contract', () => {
+  const now = Math.floor(Date.now() / 1000);
+  const elections = [
+    ['Board Election', 'Annual board vote', now - 3600, now + 3600, true, 3, 10],
+    ['Past Election', 'Already closed', now - 7200, now - 3600, false, 2, 0]
+  ];
+  const candidates = [
+    [[0, 'Alice', 6], [1, 'Bob', 3], [2, 'Carol', 1]],
+    [[0, 'Dave', 0], [1, 'Eve', 0]]
+  ];
+
+  const factoryContract = {
+    electionCount: jest.fn(() => Promise.resolve(2n)),
+    getElection: jest.fn((id) => Promise.resolve(elections[id])),
+    getCandidate: jest.fn((id, index) => Promise.resolve(candidates[id][index])),
+    getWinner: jest.fn(() => Promise.resolve(['Alice', 6n]))
+  };
+  const { createElectionClient } = jest.requireActual('../chain/generated/electionClient');
+
+  return {
+    factoryContract,
+    electionClient: createElectionClient({ factory: factoryContract }),
+    retryContractCall: (contractMethod) => contractMethod()
+  };
+});
+
+// Elections default to plurality unless a test configures another method
+jest.mock('../models/ElectionSettings', () => ({
+  findOne: jest.fn(() => ({ lean: () => Promise.resolve(null) }))
+}));
+
+jest.mock('../models/Ballot', () => ({
+  find: jest.fn(() => ({
+    select: () => ({
+      lean: () => Promise.resolve([{ choices: [1, 0] }, { choices: [1, 0] }, { choices: [0, 1] }])
+    })
+  }))
+}));
+
+// Alice has an off-chain profile; Bob and Carol do not
+jest.mock('../models/CandidateProfile', () => {
+  const { hashProfile } = jest.requireActual('../metadata/candidateProfile');
+  const profile = {
+    names: { en: 'Alice', hi: 'ऐलिस' },
+    party: 'Civic Party',
+    partySymbolUrl: null,
+    photoUrl: 'https://example.com/alice.png',
+    manifesto: { en: 'Open budgets' }
+  };
+
+  return {
+    find: jest.fn(() => ({
+      lean: () => Promise.resolve([{ electionId: 0, candidateId: 0, ...profile, contentHash: hashProfile(0, 0, profile) }])
+    }))
+  };
+});
+
+const ElectionSettings = require('../models/ElectionSettings');
+const electionRoutes = require('../routes/elections');
+
+const app = express();
+app.use('/api/elections', electionRoutes);
+
+describe('Multi-election API', () => {
+
+  test('GET /api/elections should list all elections', async () => {
+    const response = await request(app)
+      .get('/api/elections')
+      .expect(200);
+
+    expect(response.body.count).toBe(2);
+    expect(response.body.elections[0]).toMatchObject({
+      id: 0,
+      title: 'Board Election',
+      status: 'active',
+      candidatesCount: 3,
+      totalVotes: 10
+    });
+    expect(response.body.elections[1].status).toBe('ended');
+  });
+
+  test('GET /api/elections/:id should return a single election', async () => {
+    const response = await request(app)
+      .get('/api/elections/1')
+      .expect(200);
+
+    expect(response.body.election).toMatchObject({ id: 1, title: 'Past Election', active: false });
+  });
+
+  test('GET /api/elections/:id should reject invalid and unknown IDs', async () => {
+    await request(app).get('/api/elections/abc').expect(400);
+    await request(app).get('/api/elections/-1').expect(400);
+    await request(app).get('/api/elections/5').expect(404);
+  });
+
+  test('GET /api/elections/:id/candidates should return candidates without votes', async () => {
+    const response = await request(app)
+      .get('/api/elections/0/candidates')
+      .expect(200);
+
+    expect(response.body.count).toBe(3);
+    expect(response.body.candidates).toEqual([
+      { id: 0, name: 'Alice', profile: expect.any(Object) },
+      { id: 1, name: 'Bob', profile: null },
+      { id: 2, name: 'Carol', profile: null }
+    ]);
+  });
+
+  test('GET /api/elections/:id/candidates should attach verified candidate profiles', async () => {
+    const response = await request(app)
+      .get('/api/elections/0/candidates')
+      .expect(200);
+
+    expect(response.body.candidates[0].profile).toMatchObject({
+      candidateId: 0,
+      names: { en: 'Alice', hi: 'ऐलिस' },
+      party: 'Civic Party',
+      photoUrl: 'https://example.com/alice.png',
+      verified: true
+    });
+    expect(response.body.candidates[0].profile.contentHash).toMatch(/^[0-9a-f]{64}$/);
+  });
+
+  test('GET /api/elections/:id/results should return sorted votes and winner', async () => {
+    const response = await request(app)
+      .get('/api/elections/0/results')
+      .expect(200);
+
+    expect(response.body.totalVotes).toBe(10);
+    expect(response.body.votes.map(v => v.candidate)).toEqual(['Alice', 'Bob', 'Carol']);
+    expect(response.body.votes[0].percentage).toBe(60);
+    expect(response.body.winner).toEqual({ name: 'Alice', votes: 6, percentage: 60 });
+  });
+
+  test('GET /api/elections/:id/results should not report a winner without votes', async () => {
+    const response = await request(app)
+      .get('/api/elections/1/results')
+      .expect(200);
+
+    expect(response.body.totalVotes).toBe(0);
+    expect(response.body.winner).toBeNull();
+  });
+
+  test('GET /api/elections/:id/results should tally off-chain ballots with the configured method', async () => {
+    ElectionSettings.findOne.mockReturnValueOnce({
+      lean: () => Promise.resolve({ votingMethod: 'borda', methodOptions: {} })
+    });
+
+    const response = await request(app)
+      .get('/api/elections/1/results')
+      .expect(200);
+
+    expect(response.body.votingMethod).toBe('borda');
+    expect(response.body.winner).toEqual({ name: 'Eve', score: 2, unit: 'points', tied: false });
+    expect(response.body.margin).toEqual({ value: 1, percentage: 33.3 });
+  });
+
+  test('GET /api/elections/voting-methods should list registered methods', async () => {
+    const response = await request(app)
+      .get('/api/elections/voting-methods')
+      .expect(200);
+
+    expect(response.body.votingMethods.map(m => m.name)).toEqual(
+      expect.arrayContaining(['plurality', 'approval', 'score', 'borda', 'instant-runoff'])
+    );
+  });
+
+});
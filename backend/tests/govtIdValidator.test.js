@@ -0,0 +1,42 @@
+const { validateGovtId, canonicalGovtId, isVerhoeffValid } = require('../validation/generated/govtIdValidator');
+
+describe('Government ID validator', () => {
+
+  test('should accept Aadhaar numbers with a valid Verhoeff check digit', () => {
+    expect(isVerhoeffValid('234123412346')).toBe(true);
+    expect(isVerhoeffValid('234123412345')).toBe(false);
+
+    expect(validateGovtId('aadhaar', '2341 2341 2346')).toEqual({ isValid: true, type: 'aadhaar', value: '234123412346' });
+    expect(validateGovtId('aadhaar', '234123412345')).toMatchObject({ isValid: false, code: 'aadhaarChecksum' });
+  });
+
+  test('should reject Aadhaar numbers of the wrong shape', () => {
+    expect(validateGovtId('aadhaar', '134123412346')).toMatchObject({ code: 'aadhaarFormat' });
+    expect(validateGovtId('aadhaar', '23412341234')).toMatchObject({ code: 'aadhaarFormat' });
+    expect(validateGovtId('aadhaar', '23412341234A')).toMatchObject({ code: 'aadhaarFormat' });
+  });
+
+  test('should check PAN format and holder type', () => {
+    expect(validateGovtId('pan', 'abcpe1234f')).toEqual({ isValid: true, type: 'pan', value: 'ABCPE1234F' });
+    expect(validateGovtId('pan', 'ABCXE1234F')).toMatchObject({ isValid: false, code: 'panEntityType' });
+    expect(validateGovtId('pan', 'ABCP12345F')).toMatchObject({ isValid: false, code: 'panFormat' });
+  });
+
+  test('should check EPIC voter ID format', () => {
+    expect(validateGovtId('voter', 'abc-1234567')).toEqual({ isValid: true, type: 'voter', value: 'ABC1234567' });
+    expect(validateGovtId('voter', 'AB12345678')).toMatchObject({ isValid: false, code: 'epicFormat' });
+    expect(validateGovtId('voter', 'ABC123456')).toMatchObject({ isValid: false, code: 'epicFormat' });
+  });
+
+  test('should require a known ID type and a value', () => {
+    expect(validateGovtId('passport', 'ABC1234567')).toMatchObject({ code: 'unknownType' });
+    expect(validateGovtId(undefined, 'ABC1234567')).toMatchObject({ code: 'unknownType' });
+    expect(validateGovtId('voter', '  ')).toMatchObject({ code: 'required', error: 'Government ID is required' });
+    expect(validateGovtId('voter', 1234567)).toMatchObject({ code: 'required' });
+  });
+
+  test('should canonicalise spacing, hyphens and case', () => {
+    expect(canonicalGovtId(' abc 123 4567 ')).toBe('ABC1234567');
+    expect(canonicalGovtId('2341-2341-2346')).toBe('234123412346');
+  });
+});
@@ -0,0 +1,138 @@
+const {
+  checkGovtIdKeys,
+  hashGovtId,
+  encryptGovtId,
+  decryptGovtId,
+  maskGovtId,
+  protectGovtId,
+  revealGovtId
+} = require('../identity/govtIdVault');
+const { migrateUserDocument, migrateRollEntryDocument } = require('../scripts/migrateGovtIds');
+
+const withEnv = (vars, fn) => {
+  const saved = {};
+  Object.keys(vars).forEach(name => {
+    saved[name] = process.env[name];
+    process.env[name] = vars[name];
+  });
+  try {
+    return fn();
+  } finally {
+    Object.keys(vars).forEach(name => {
+      if (saved[name] === undefined) delete process.env[name];
+      else process.env[name] = saved[name];
+    });
+  }
+};
+
+describe('Government ID vault', () => {
+
+  test('should hash IDs deterministically under the HMAC key', () => {
+    const hash = hashGovtId('ABC1234567');
+
+    expect(hash).toMatch(/^[0-9a-f]{64}$/);
+    expect(hashGovtId('ABC1234567')).toBe(hash);
+    expect(hashGovtId('ABC1234568')).not.toBe(hash);
+    expect(withEnv({ GOVT_ID_HMAC_KEY: 'another-key' }, () => hashGovtId('ABC1234567'))).not.toBe(hash);
+  });
+
+  test('should round-trip envelope encryption with a fresh data key each time', () => {
+    const user = protectGovtId('234123412346');
+
+    expect(user.govtIDLast4).toBe('2346');
+    expect(user.govtIDEncrypted.keyId).toBe('v1');
+    expect(JSON.stringify(user)).not.toContain('234123412346');
+    expect(revealGovtId(user)).toBe('234123412346');
+
+    const again = encryptGovtId('234123412346');
+    expect(again.wrappedKey).not.toBe(user.govtIDEncrypted.wrappedKey);
+    expect(again.ciphertext).not.toBe(user.govtIDEncrypted.ciphertext);
+  });
+
+  test('should refuse envelopes that were tampered with or moved to another user', () => {
+    const user = protectGovtId('ABC1234567');
+    const other = protectGovtId('XYZ7654321');
+
+    expect(() => decryptGovtId(user.govtIDEncrypted, other.govtIDHash)).toThrow();
+
+    const tampered = { ...user.govtIDEncrypted, ciphertext: Buffer.from('ABC1234568').toString('base64') };
+    expect(() => decryptGovtId(tampered, user.govtIDHash)).toThrow();
+
+    expect(() => decryptGovtId({ ...user.govtIDEncrypted, keyId: 'v0' }, user.govtIDHash))
+      .toThrow('Unknown government ID master key: v0');
+  });
+
+  test('should refuse the development keys in production and warn elsewhere', () => {
+    const saved = { hmac: process.env.GOVT_ID_HMAC_KEY, master: process.env.GOVT_ID_MASTER_KEY };
+    delete process.env.GOVT_ID_HMAC_KEY;
+    delete process.env.GOVT_ID_MASTER_KEY;
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    try {
+      checkGovtIdKeys();
+      expect(warn).not.toHaveBeenCalled();
+
+      withEnv({ NODE_ENV: 'production' }, () => {
+        expect(checkGovtIdKeys).toThrow('GOVT_ID_HMAC_KEY and GOVT_ID_MASTER_KEY are not set');
+      });
+      withEnv({ NODE_ENV: 'production', GOVT_ID_HMAC_KEY: 'hmac', GOVT_ID_MASTER_KEY: 'master' }, () => {
+        expect(checkGovtIdKeys).not.toThrow();
+      });
+
+      withEnv({ NODE_ENV: 'development', GOVT_ID_HMAC_KEY: 'hmac' }, checkGovtIdKeys);
+      expect(warn).toHaveBeenCalledWith(expect.stringContaining('GOVT_ID_MASTER_KEY is not set'));
+    } finally {
+      warn.mockRestore();
+      if (saved.hmac !== undefined) process.env.GOVT_ID_HMAC_KEY = saved.hmac;
+      if (saved.master !== undefined) process.env.GOVT_ID_MASTER_KEY = saved.master;
+    }
+  });
+
+  test('should mask IDs down to their last four characters', () => {
+    expect(maskGovtId('ABCPE1234F')).toBe('XXXX-XXXX-234F');
+    expect(maskGovtId('4567')).toBe('XXXX-XXXX-4567');
+    expect(maskGovtId(undefined)).toBeNull();
+  });
+
+  describe('migration', () => {
+
+    test('should hash, encrypt and drop plaintext IDs', () => {
+      const update = migrateUserDocument({ name: 'Legacy', govtID: 'abc 1234567' });
+
+      expect(update.$unset).toEqual({ govtID: '' });
+      expect(update.$set).toMatchObject({
+        govtIDHash: hashGovtId('ABC1234567'),
+        govtIDLast4: '4567',
+        idType: 'voter'
+      });
+      expect(revealGovtId(update.$set)).toBe('ABC1234567');
+
+      // IDs that match no type are kept as stored
+      const legacy = migrateUserDocument({ name: 'Legacy', govtID: ' VOTER001 ' });
+      expect(legacy.$set.govtIDHash).toBe(hashGovtId('VOTER001'));
+      expect(legacy.$set.idType).toBeUndefined();
+    });
+
+    test('should hash plaintext voter roll IDs', () => {
+      expect(migrateRollEntryDocument({ kind: 'govtID', value: 'ABCD12345' })).toEqual({
+        $set: { govtIDHash: hashGovtId('ABCD12345'), govtIDLast4: '2345' },
+        $unset: { value: '' }
+      });
+      expect(migrateRollEntryDocument({ kind: 'govtID', govtIDHash: hashGovtId('ABCD12345') })).toBeNull();
+      expect(migrateRollEntryDocument({ kind: 'address', value: '0x1111111111111111111111111111111111111111' })).toBeNull();
+    });
+
+    test('should rewrap envelopes under a retired master key', () => {
+      const oldKey = 'a'.repeat(64);
+      const user = withEnv({ GOVT_ID_MASTER_KEY: oldKey, GOVT_ID_MASTER_KEY_ID: 'v0' }, () => protectGovtId('ABC1234567'));
+
+      withEnv({ GOVT_ID_PREVIOUS_MASTER_KEYS: `v0:${oldKey}` }, () => {
+        const update = migrateUserDocument(user);
+        expect(update.$set.govtIDEncrypted.keyId).toBe('v1');
+        expect(decryptGovtId(update.$set.govtIDEncrypted, user.govtIDHash)).toBe('ABC1234567');
+      });
+
+      expect(migrateUserDocument(protectGovtId('ABC1234567'))).toBeNull();
+    });
+  });
+});
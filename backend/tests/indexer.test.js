@@ -0,0 +1,101 @@
+// Keep the indexer from connecting to a real RPC endpoint
+jest.mock('../contract', () => ({
+  provider: { getBlockNumber: jest.fn() },
+  factoryContract: {},
+  electionClient: { getElectionCount: jest.fn(() => Promise.resolve(0)) },
+  retryContractCall: (contractMethod) => contractMethod(),
+  FACTORY_CONTRACT_ADDRESS: '0x5638def6c0255Ef32f4bAE9E1b5C5B96c0fac81a'
+}));
+
+// An index already at block 100
+jest.mock('../models/IndexerState', () => ({
+  findOne: jest.fn(() => Promise.resolve({
+    contractAddress: '0x5638def6c0255ef32f4bae9e1b5c5b96c0fac81a',
+    lastProcessedBlock: 100,
+    lastProcessedHash: null
+  }))
+}));
+
+jest.mock('../models/Election', () => ({
+  countDocuments: jest.fn(() => Promise.resolve(0))
+}));
+
+const { provider } = require('../contract');
+const { computeSyncRange, applyTally, findDeployBlock, syncOnce, isIndexerReady } = require('../indexer/indexer');
+
+describe('Blockchain Indexer', () => {
+  const config = { reorgDepth: 12, batchSize: 2000 };
+
+  describe('computeSyncRange', () => {
+
+    test('should continue from the block after the last processed one', () => {
+      expect(computeSyncRange(100, 150, false, config)).toEqual({ fromBlock: 101, toBlock: 150 });
+    });
+
+    test('should cap the range at the batch size while catching up', () => {
+      expect(computeSyncRange(0, 10000, false, config)).toEqual({ fromBlock: 1, toBlock: 2000 });
+    });
+
+    test('should return null when already at the chain head', () => {
+      expect(computeSyncRange(150, 150, false, config)).toBeNull();
+    });
+
+    test('should re-scan the reorg window after a reorg', () => {
+      expect(computeSyncRange(150, 152, true, config)).toEqual({ fromBlock: 139, toBlock: 152 });
+      expect(computeSyncRange(5, 8, true, config)).toEqual({ fromBlock: 0, toBlock: 8 });
+    });
+
+  });
+
+  describe('findDeployBlock', () => {
+
+    test('should find the first block with contract code', async () => {
+      const hasCode = jest.fn(async (block) => block >= 1234);
+      expect(await findDeployBlock(hasCode, 50000)).toBe(1234);
+      expect(hasCode.mock.calls.length).toBeLessThanOrEqual(17);
+      expect(await findDeployBlock(async () => true, 50000)).toBe(0);
+    });
+
+  });
+
+  describe('syncOnce', () => {
+
+    test('should stop serving reads after a failed sync until it catches up again', async () => {
+      provider.getBlockNumber.mockResolvedValueOnce(100);
+      await syncOnce();
+      expect(isIndexerReady()).toBe(true);
+
+      provider.getBlockNumber.mockRejectedValueOnce(new Error('RPC unavailable'));
+      await expect(syncOnce()).rejects.toThrow('RPC unavailable');
+      expect(isIndexerReady()).toBe(false);
+
+      provider.getBlockNumber.mockResolvedValueOnce(100);
+      await syncOnce();
+      expect(isIndexerReady()).toBe(true);
+    });
+
+  });
+
+  describe('applyTally', () => {
+
+    test('should apply aggregated counts and total them', () => {
+      const candidates = [
+        { candidateId: 0, name: 'Alice', votes: 0 },
+        { candidateId: 1, name: 'Bob', votes: 7 },
+        { candidateId: 2, name: 'Carol', votes: 0 }
+      ];
+      const counts = [{ _id: 0, count: 4 }, { _id: 2, count: 1 }];
+
+      expect(applyTally(candidates, counts)).toEqual({
+        candidates: [
+          { candidateId: 0, name: 'Alice', votes: 4 },
+          { candidateId: 1, name: 'Bob', votes: 0 },
+          { candidateId: 2, name: 'Carol', votes: 1 }
+        ],
+        totalVotes: 5
+      });
+    });
+
+  });
+
+});
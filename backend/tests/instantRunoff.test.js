@@ -0,0 +1,87 @@
+const { runInstantRunoff, normalizeBallots } = require('../analytics/instantRunoff');
+
+describe('Instant-runoff tallying', () => {
+  const candidates = [
+    { id: 0, name: 'Alice' },
+    { id: 1, name: 'Bob' },
+    { id: 2, name: 'Carol' },
+    { id: 3, name: 'Dave' }
+  ];
+
+  test('should elect a first-round majority winner without eliminations', () => {
+    const ballots = [[0, 1], [0, 2], [0], [1, 0], [2, 1]];
+
+    const result = runInstantRunoff(candidates, ballots);
+
+    expect(result.winner).toEqual({ candidateId: 0, name: 'Alice', votes: 3 });
+    expect(result.rounds).toHaveLength(1);
+    expect(result.rounds[0].threshold).toBe(3);
+    expect(result.rounds[0].eliminated).toBeNull();
+  });
+
+  test('should eliminate the last-placed candidate and transfer their ballots', () => {
+    const ballots = [
+      [0, 1], [0, 1], [0, 1],
+      [1, 0], [1, 0],
+      [2, 1], [2, 1],
+      [3, 2]
+    ];
+
+    const result = runInstantRunoff(candidates, ballots);
+
+    // Round 1: A3 B2 C2 D1 -> Dave eliminated, transfers to Carol
+    expect(result.rounds[0].eliminated).toMatchObject({ candidateId: 3, votes: 1 });
+    expect(result.rounds[0].transfers).toEqual([{ to: 2, name: 'Carol', votes: 1 }]);
+
+    // Round 2: A3 B2 C3 -> Bob eliminated, transfers to Alice
+    expect(result.rounds[1].eliminated).toMatchObject({ candidateId: 1, votes: 2 });
+    expect(result.rounds[1].transfers).toEqual([{ to: 0, name: 'Alice', votes: 2 }]);
+
+    // Round 3: A5 C3 -> Alice wins
+    expect(result.rounds).toHaveLength(3);
+    expect(result.winner).toEqual({ candidateId: 0, name: 'Alice', votes: 5 });
+  });
+
+  test('should count exhausted ballots and lower the threshold accordingly', () => {
+    const ballots = [[0], [0], [1], [1], [2]];
+
+    const result = runInstantRunoff(candidates.slice(0, 3), ballots);
+
+    // Round 1: A2 B2 C1 -> Carol eliminated, ballot exhausts
+    expect(result.rounds[0].transfers).toEqual([{ to: null, name: null, votes: 1 }]);
+    expect(result.rounds[1].exhaustedBallots).toBe(1);
+    expect(result.rounds[1].continuingBallots).toBe(4);
+    expect(result.rounds[1].threshold).toBe(3);
+  });
+
+  test('should prefer the previous-round tie-break over candidate ID', () => {
+    const ballots = [
+      [0], [0], [0], [0], [0],
+      [1], [1], [1],
+      [2], [2],
+      [3, 2]
+    ];
+
+    const result = runInstantRunoff(candidates, ballots);
+
+    // Round 1: A5 B3 C2 D1 -> Dave out; round 2: A5 B3 C3.
+    // Bob and Carol tie, Carol had fewer in round 1 and is eliminated.
+    expect(result.rounds[1].eliminated.candidateId).toBe(2);
+    expect(result.rounds[1].tieBreak).toBe('previous-round');
+  });
+
+  test('should fall back to the highest candidate ID for unbreakable ties', () => {
+    const ballots = [[0], [1]];
+
+    const result = runInstantRunoff(candidates.slice(0, 2), ballots);
+
+    expect(result.rounds[0].eliminated.candidateId).toBe(1);
+    expect(result.rounds[0].tieBreak).toBe('candidate-id');
+    expect(result.winner.candidateId).toBe(0);
+  });
+
+  test('should ignore unknown and repeated candidate IDs on ballots', () => {
+    expect(normalizeBallots([[7, 1, 1, '2'], 'invalid'], [0, 1, 2])).toEqual([[1, 2], []]);
+  });
+
+});
@@ -0,0 +1,98 @@
+const request = require('supertest');
+const localChain = require('../chain/localChain');
+const { factoryContract, provider } = require('../contract');
+const { compileContracts } = require('../chain/compile');
+const { readContractConfig } = require('../chain/config');
+const { ethers } = require('ethers');
+
+// Voting-method settings live in MongoDB; these tests cover on-chain plurality
+jest.mock('../models/ElectionSettings', () => ({
+  findOne: jest.fn(() => ({ lean: () => Promise.resolve(null) }))
+}));
+
+const app = require('../server');
+
+// Create a factory election that opened a minute ago on the local chain
+const createElection = async (title, candidates, durationSeconds = 3600) => {
+  const { timestamp } = await provider.getBlock('latest');
+  const factory = factoryContract.connect(localChain.getAccount(0));
+  await (await factory.createElection(title, `${title} description`, candidates, timestamp - 60, timestamp + durationSeconds)).wait();
+  return Number(await factoryContract.electionCount()) - 1;
+};
+
+const castVote = async (accountIndex, electionId, candidateId) => {
+  const voter = factoryContract.connect(localChain.getAccount(accountIndex));
+  await (await voter.vote(electionId, candidateId)).wait();
+};
+
+beforeAll(() => localChain.ready, 60000);
+
+afterAll(() => localChain.stop());
+
+describe('Local chain harness', () => {
+
+  test('deploys the contracts at their predicted addresses', async () => {
+    const deployed = await localChain.ready;
+
+    expect(deployed.factory.address).toBe(localChain.addresses.factory);
+    expect(await factoryContract.admin()).toBe(localChain.adminAddress);
+  });
+
+  test('generated contract config matches the Solidity sources', () => {
+    const artifacts = compileContracts();
+    const { contracts } = readContractConfig();
+
+    Object.values(contracts).forEach(({ name, abi }) => {
+      expect(abi).toEqual(artifacts[name].abi);
+    });
+  });
+
+  test('serves factory elections and results through the API', async () => {
+    const electionId = await createElection('Council Election', ['Asha', 'Ravi', 'Meena']);
+    await castVote(1, electionId, 1);
+    await castVote(2, electionId, 1);
+    await castVote(3, electionId, 0);
+
+    const response = await request(app)
+      .get(`/api/elections/${electionId}/results`)
+      .expect(200);
+
+    expect(response.body.status).toBe('active');
+    expect(response.body.totalVotes).toBe(3);
+    expect(response.body.winner).toEqual({ name: 'Ravi', votes: 2, percentage: 67 });
+  });
+
+  test('enforces one vote per address and the voting window', async () => {
+    const electionId = await createElection('Short Election', ['Yes', 'No'], 120);
+    await castVote(4, electionId, 0);
+
+    await expect(castVote(4, electionId, 1)).rejects.toThrow('Already voted');
+
+    await localChain.increaseTime(300);
+    await expect(castVote(5, electionId, 1)).rejects.toThrow('Election has ended');
+
+    const factory = factoryContract.connect(localChain.getAccount(0));
+    await (await factory.endElection(electionId)).wait();
+
+    const response = await request(app)
+      .get(`/api/elections/${electionId}`)
+      .expect(200);
+
+    expect(response.body.election.status).toBe('ended');
+  });
+
+  test('lets voters change their choice on the re-voting contract', async () => {
+    const { RevotingElection } = compileContracts();
+    const revoting = new ethers.Contract(localChain.addresses.revoting, RevotingElection.abi, localChain.getAccount(6));
+
+    await (await revoting.startElection(7)).wait();
+    await (await revoting.vote(7, 0)).wait();
+    await (await revoting.vote(7, 1)).wait();
+
+    const [, firstVotes] = await revoting.candidates(7, 0);
+    const [, secondVotes] = await revoting.candidates(7, 1);
+    expect([Number(firstVotes), Number(secondVotes)]).toEqual([0, 1]);
+    expect(Number(await revoting.voterChoice(7, localChain.accounts[6]))).toBe(1);
+  });
+
+});
@@ -0,0 +1,250 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const express = require('express');
+
+const mailFile = path.join(os.tmpdir(), `mail-test-${process.pid}.log`);
+process.env.MAIL_TRANSPORT = 'file';
+process.env.MAIL_FILE_PATH = mailFile;
+
+// Elections default to plurality
+jest.mock('../models/ElectionSettings', () => ({
+  findOne: jest.fn(() => ({ lean: () => Promise.resolve(null) }))
+}));
+
+// In-memory jobs supporting the queries mail/mailQueue.js makes
+jest.mock('../models/MailJob', () => {
+  const jobs = [];
+  let nextId = 1;
+  const matches = (doc, filter) => Object.entries(filter).every(([key, value]) =>
+    value && value.$lte !== undefined ? doc[key] <= value.$lte : doc[key] === value);
+  const lean = (result) => ({ lean: () => Promise.resolve(result ? { ...result } : null) });
+  const apply = (doc, update) => {
+    Object.assign(doc, update.$set);
+    Object.entries(update.$inc || {}).forEach(([key, amount]) => { doc[key] += amount; });
+  };
+  return {
+    jobs,
+    findOne: jest.fn((filter) => lean(jobs.find(doc => matches(doc, filter)))),
+    create: jest.fn((fields) => {
+      const doc = { _id: nextId++, status: 'queued', attempts: 0, nextAttemptAt: new Date(), ...fields };
+      jobs.push(doc);
+      return Promise.resolve({ ...doc });
+    }),
+    findOneAndUpdate: jest.fn((filter, update, { sort }) => {
+      const due = jobs.filter(doc => matches(doc, filter))
+        .sort((a, b) => (sort.nextAttemptAt ? a.nextAttemptAt - b.nextAttemptAt : 0));
+      if (due[0]) apply(due[0], update);
+      return lean(due[0]);
+    }),
+    updateOne: jest.fn((filter, update) => {
+      const doc = jobs.find(candidate => matches(candidate, filter));
+      if (doc) apply(doc, update);
+      return Promise.resolve({ modifiedCount: doc ? 1 : 0 });
+    }),
+    updateMany: jest.fn((filter, update) => {
+      const docs = jobs.filter(doc => matches(doc, filter));
+      docs.forEach(doc => apply(doc, update));
+      return Promise.resolve({ modifiedCount: docs.length });
+    })
+  };
+});
+
+const MailJob = require('../models/MailJob');
+const localChain = require('../chain/localChain');
+const { factoryContract, provider } = require('../contract');
+const { renderMail } = require('../mail/templates');
+const { registerMailTransport } = require('../mail/transports');
+const { enqueueMail, processMailQueue, retryDelay } = require('../mail/mailQueue');
+const electionRoutes = require('../routes/elections');
+const signAsVoter = require('./setup/voteSender');
+
+const app = express();
+app.use(express.json());
+app.use('/api/elections', electionRoutes);
+
+const sentMail = () => (fs.existsSync(mailFile)
+  ? fs.readFileSync(mailFile, 'utf8').trim().split('\n').filter(Boolean).map(line => JSON.parse(line))
+  : []);
+
+const confirmation = {
+  name: 'Asha',
+  electionTitle: 'Water Board',
+  transactionHash: '0xabc',
+  votedAt: '2026-03-01T10:00:00.000Z'
+};
+
+beforeEach(() => {
+  MailJob.jobs.length = 0;
+  fs.rmSync(mailFile, { force: true });
+  process.env.MAIL_TRANSPORT = 'file';
+});
+
+afterAll(() => fs.rmSync(mailFile, { force: true }));
+
+describe('Mail templates', () => {
+
+  test('should render localized text and HTML without the candidate', () => {
+    const { mail } = renderMail('voteConfirmation', 'en', confirmation);
+    expect(mail.subject).toBe('Your vote in Water Board was recorded');
+    expect(mail.text).toContain('Hello Asha,');
+    expect(mail.text).toContain('does not say who you voted for');
+    expect(mail.html).toContain('<html lang="en">');
+    expect(mail.html).toContain('/verify');
+
+    const hindi = renderMail('voteConfirmation', 'hi-IN', confirmation).mail;
+    expect(hindi.locale).toBe('hi');
+    expect(hindi.subject).toBe('Water Board में आपका मत दर्ज हो गया');
+
+    expect(renderMail('electionReminder', 'fr', { name: 'Asha', electionTitle: 'Water Board', endTime: Date.now() }).mail.locale).toBe('en');
+  });
+
+  test('should list the results and escape HTML', () => {
+    const { mail } = renderMail('resultsPublished', 'en', {
+      name: 'Asha',
+      electionTitle: '<b>Board</b>',
+      winner: 'Ana',
+      totalVotes: 3,
+      votes: [{ candidate: 'Ana', votes: 2, percentage: 67 }, { candidate: 'Ravi', votes: 1, percentage: 33 }]
+    });
+
+    expect(mail.text).toContain('Winner: Ana');
+    expect(mail.text).toContain('Ravi - 1 (33%)');
+    expect(mail.html).toContain('&lt;b&gt;Board&lt;/b&gt;');
+    expect(mail.html).not.toContain('<b>Board</b>');
+  });
+
+  test('should send login codes with their own footer', () => {
+    const { mail } = renderMail('loginCode', 'en', { name: 'Asha', code: '042917', expiresAt: '2026-03-01T10:05:00.000Z' });
+    expect(mail.text).toContain('Your login code is 042917.');
+    expect(mail.text).toContain('a login code was requested for your account');
+    expect(mail.text).not.toContain('while voting');
+  });
+
+  test('should reject unknown templates and missing data', () => {
+    expect(renderMail('newsletter', 'en', {}).error).toMatch(/Unknown mail template/);
+    expect(renderMail('voteConfirmation', 'en', { ...confirmation, transactionHash: undefined }).error).toMatch(/transactionHash/);
+    expect(renderMail('electionReminder', 'en', { name: 'Asha', electionTitle: 'Water Board', endTime: 'soon' }).error).toMatch(/invalid date/);
+  });
+});
+
+describe('Mail queue', () => {
+
+  test('should send queued emails through the file transport', async () => {
+    const { job } = await enqueueMail({ template: 'voteConfirmation', to: 'Asha@Example.com', locale: 'ta', data: confirmation });
+    expect(job.locale).toBe('ta');
+
+    expect(await processMailQueue()).toEqual({ sent: 1, retried: 0, failed: 0 });
+    expect(MailJob.jobs[0]).toMatchObject({ status: 'sent', attempts: 1, transport: 'file' });
+
+    const [mail] = sentMail();
+    expect(mail.to).toBe('Asha@Example.com');
+    expect(mail.subject).toContain('Water Board');
+    expect(mail.html).toContain('<html lang="ta">');
+  });
+
+  test('should queue an email once per dedupe key', async () => {
+    const first = await enqueueMail({ template: 'voteConfirmation', to: 'asha@example.com', data: confirmation, dedupeKey: 'vote:0xabc' });
+    const second = await enqueueMail({ template: 'voteConfirmation', to: 'asha@example.com', data: confirmation, dedupeKey: 'vote:0xabc' });
+
+    expect(second).toMatchObject({ duplicate: true, job: { _id: first.job._id } });
+    expect(MailJob.jobs).toHaveLength(1);
+    expect((await enqueueMail({ template: 'voteConfirmation', to: 'not-an-email', data: confirmation })).status).toBe(400);
+  });
+
+  test('should retry failed sends with a growing delay', async () => {
+    let failures = 2;
+    registerMailTransport('flaky', {
+      send: async () => {
+        if (failures-- > 0) throw new Error('Connection refused');
+        return { messageId: '<1@test>' };
+      }
+    });
+    process.env.MAIL_TRANSPORT = 'flaky';
+
+    await enqueueMail({ template: 'voteConfirmation', to: 'asha@example.com', data: confirmation });
+    const start = new Date(Date.now() + 1000);
+
+    expect(await processMailQueue({ now: start })).toEqual({ sent: 0, retried: 1, failed: 0 });
+    expect(MailJob.jobs[0]).toMatchObject({ status: 'queued', attempts: 1, lastError: 'Connection refused' });
+    expect(MailJob.jobs[0].nextAttemptAt.getTime()).toBe(start.getTime() + retryDelay(1));
+
+    expect(await processMailQueue({ now: start })).toEqual({ sent: 0, retried: 0, failed: 0 });
+
+    const second = new Date(start.getTime() + retryDelay(1));
+    expect(await processMailQueue({ now: second })).toEqual({ sent: 0, retried: 1, failed: 0 });
+    expect(retryDelay(2)).toBe(2 * retryDelay(1));
+
+    const third = new Date(second.getTime() + retryDelay(2));
+    expect(await processMailQueue({ now: third })).toEqual({ sent: 1, retried: 0, failed: 0 });
+    expect(MailJob.jobs[0]).toMatchObject({ status: 'sent', attempts: 3, messageId: '<1@test>', lastError: null });
+  });
+
+  test('should give up after the last attempt', async () => {
+    registerMailTransport('down', { send: async () => { throw new Error('Mailbox unavailable'); } });
+    process.env.MAIL_TRANSPORT = 'down';
+
+    await enqueueMail({ template: 'voteConfirmation', to: 'asha@example.com', data: confirmation });
+    MailJob.jobs[0].maxAttempts = 2;
+    const later = new Date(Date.now() + 24 * 60 * 60 * 1000);
+
+    expect(await processMailQueue({ now: new Date(Date.now() + 1000) })).toMatchObject({ retried: 1 });
+    expect(await processMailQueue({ now: later })).toMatchObject({ failed: 1 });
+    expect(MailJob.jobs[0]).toMatchObject({ status: 'failed', attempts: 2, lastError: 'Mailbox unavailable' });
+  });
+});
+
+describe('Mail routes', () => {
+  let electionId;
+
+  beforeAll(async () => {
+    await localChain.ready;
+    const { timestamp } = await provider.getBlock('latest');
+    const factory = factoryContract.connect(localChain.getAccount(0));
+    await (await factory.createElection('Parks Board', 'Parks Board description', ['Ana', 'Ravi'], timestamp - 60, timestamp + 3600)).wait();
+    electionId = Number(await factoryContract.electionCount()) - 1;
+  }, 60000);
+
+  afterAll(() => localChain.stop());
+
+  test('should email one confirmation per vote', async () => {
+    const tx = await factoryContract.connect(localChain.getAccount(3)).vote(electionId, 1);
+    await tx.wait();
+    const confirm = async (body, signer = localChain.getAccount(3)) => {
+      const proof = await signAsVoter(app, { electionId, txHash: tx.hash, action: 'confirmation', signer });
+      return request(app).post(`/api/elections/${electionId}/votes/${tx.hash}/confirmation`).send({ ...body, ...proof });
+    };
+
+    // Only the voting wallet can claim the vote's confirmation
+    await request(app).post(`/api/elections/${electionId}/votes/${tx.hash}/confirmation`).send({ email: 'eve@example.com' }).expect(401);
+    expect((await confirm({ email: 'eve@example.com', name: 'Eve' }, localChain.getAccount(4))).status).toBe(401);
+
+    expect((await confirm({ email: 'nope', name: 'Asha' })).status).toBe(400);
+    expect((await confirm({ email: 'asha@example.com', name: 'Asha', locale: 'hi' })).status).toBe(202);
+    expect((await confirm({ email: 'asha@example.com', name: 'Asha', locale: 'hi' })).status).toBe(409);
+
+    await processMailQueue();
+    const [mail] = sentMail();
+    expect(mail.text).toContain(tx.hash.toLowerCase());
+    expect(mail.text).not.toMatch(/Ravi/);
+  });
+
+  test('should email results only once the election has ended', async () => {
+    const emailResults = () => request(app)
+      .post(`/api/elections/${electionId}/results/email`)
+      .send({ email: 'asha@example.com', name: 'Asha' });
+
+    await emailResults().expect(409);
+
+    await (await factoryContract.connect(localChain.getAccount(0)).endElection(electionId)).wait();
+    await emailResults().expect(202);
+    const repeat = await emailResults().expect(202);
+    expect(repeat.body.message).toMatch(/already sent/);
+
+    await processMailQueue();
+    const mails = sentMail();
+    expect(mails).toHaveLength(1);
+    expect(mails[0].text).toContain('Winner: Ravi');
+  });
+});
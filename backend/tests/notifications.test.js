@@ -0,0 +1,207 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const express = require('express');
+const { ethers } = require('ethers');
+
+// Elections default to plurality
+jest.mock('../models/ElectionSettings', () => ({
+  findOne: jest.fn(() => ({ lean: () => Promise.resolve(null) }))
+}));
+
+jest.mock('../models/NotificationSubscription', () => require('./setup/notificationStore')({
+  unique: [['token'], ['electionId', 'email'], ['electionId', 'address']],
+  defaults: { name: '', locale: 'en', channels: [], optOut: [], unsubscribedAt: null }
+}));
+jest.mock('../models/NotificationDelivery', () => require('./setup/notificationStore')({ unique: [['key']] }));
+jest.mock('../models/Notification', () => require('./setup/notificationStore')({ defaults: { readAt: null } }));
+jest.mock('../models/MailJob', () => require('./setup/notificationStore')({
+  unique: [['dedupeKey']],
+  defaults: { status: 'queued', attempts: 0 }
+}));
+
+const NotificationSubscription = require('../models/NotificationSubscription');
+const NotificationDelivery = require('../models/NotificationDelivery');
+const Notification = require('../models/Notification');
+const MailJob = require('../models/MailJob');
+const localChain = require('../chain/localChain');
+const { factoryContract, provider } = require('../contract');
+const { dueEvents, runNotificationCycle } = require('../notifications/scheduler');
+const notificationRoutes = require('../routes/notifications');
+
+const app = express();
+app.use(express.json());
+app.use('/api/notifications', notificationRoutes);
+
+const originalFetch = global.fetch;
+
+const subscribe = (body) => request(app).post('/api/notifications/subscriptions').send(body);
+
+const subscriptionNonce = (electionId, address) =>
+  request(app).post('/api/notifications/subscriptions/nonce').send({ electionId, address });
+
+// Subscribe a wallet address with its signature (or `signer`'s, to forge one)
+const signedSubscribe = async (wallet, body, status, signer = wallet) => {
+  const { body: { nonce, message } } = await subscriptionNonce(body.electionId, wallet.address).expect(200);
+  return subscribe({ ...body, address: wallet.address, nonce, signature: await signer.signMessage(message) }).expect(status);
+};
+
+// Token and code from the latest confirmation email sent to an address
+const confirmationLink = (email) => {
+  const job = MailJob.docs.filter(mail => mail.template === 'subscriptionConfirm' && mail.to === email).pop();
+  const url = new URL(job.data.confirmUrl);
+  return { token: url.searchParams.get('token'), code: url.searchParams.get('confirm') };
+};
+
+const confirm = (token, code) => request(app).post(`/api/notifications/subscriptions/${token}/confirm`).send({ code });
+
+describe('Notification schedule', () => {
+
+  test('should pick the events an election has reached', () => {
+    const now = 1_700_000_000_000;
+    const seconds = now / 1000;
+    const lead = { closingLeadSeconds: 3600 };
+
+    expect(dueEvents({ status: 'upcoming', endTime: seconds + 7200 }, now, lead)).toEqual([]);
+    expect(dueEvents({ status: 'active', endTime: seconds + 7200 }, now, lead)).toEqual(['opened']);
+    expect(dueEvents({ status: 'active', endTime: seconds + 1800 }, now, lead)).toEqual(['closingSoon']);
+    expect(dueEvents({ status: 'ended', endTime: seconds - 60, sealed: false }, now, lead)).toEqual(['resultsFinal']);
+    expect(dueEvents({ status: 'ended', endTime: seconds - 60, sealed: true }, now, lead)).toEqual([]);
+  });
+});
+
+describe('Notification delivery', () => {
+  let electionId;
+  let emailToken;
+  let walletToken;
+  const wallet = ethers.Wallet.createRandom();
+
+  beforeAll(async () => {
+    await localChain.ready;
+    const { timestamp } = await provider.getBlock('latest');
+    const factory = factoryContract.connect(localChain.getAccount(0));
+    await (await factory.createElection('Ward Council', 'Ward Council description', ['Meera', 'Kabir'], timestamp - 60, timestamp + 86400)).wait();
+    electionId = Number(await factoryContract.electionCount()) - 1;
+  }, 60000);
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+    delete process.env.NOTIFICATION_WEBHOOK_URL;
+    delete process.env.NOTIFICATION_WEBHOOK_SECRET;
+  });
+
+  afterAll(() => localChain.stop());
+
+  test('should confirm email subscriptions through a mailed link', async () => {
+    await subscribe({ electionId, name: 'Asha' }).expect(400);
+    await subscribe({ electionId, email: 'not-an-email' }).expect(400);
+    await subscriptionNonce(999, wallet.address).expect(404);
+
+    const pending = await subscribe({ electionId, email: 'Asha@Example.com', name: 'Asha', locale: 'hi-IN' }).expect(202);
+    expect(pending.body.token).toBeUndefined();
+    expect(NotificationSubscription.docs[0]).toMatchObject({ email: 'asha@example.com', locale: 'hi', channels: ['email', 'inApp'] });
+    expect(NotificationSubscription.docs[0].confirmedAt).toBeUndefined();
+
+    const { token, code } = confirmationLink('asha@example.com');
+    expect(MailJob.docs[0]).toMatchObject({ template: 'subscriptionConfirm', locale: 'hi', data: { name: 'Asha', electionTitle: 'Ward Council' } });
+    expect(NotificationSubscription.docs[0].confirmCodeHash).not.toContain(code);
+
+    await confirm(token, 'f'.repeat(32)).expect(400);
+    const confirmed = await confirm(token, code).expect(200);
+    expect(confirmed.body.subscription).toMatchObject({ confirmed: true, emailConfirmed: true, subscribed: true });
+    await confirm(token, code).expect(400);
+    emailToken = token;
+  });
+
+  test('should neither reveal nor change a subscription without proof of its contact', async () => {
+    // Someone else's email address: same answer as a new subscription, nothing changes
+    const again = await subscribe({ electionId, email: 'asha@example.com', name: 'Mallory', channels: ['inApp'] }).expect(202);
+    expect(again.body.token).toBeUndefined();
+    expect(NotificationSubscription.docs).toHaveLength(1);
+    expect(NotificationSubscription.docs[0]).toMatchObject({ name: 'Asha', channels: ['email', 'inApp'] });
+    // A recent confirmation email is not sent again
+    expect(MailJob.docs.filter(mail => mail.template === 'subscriptionConfirm')).toHaveLength(1);
+
+    // A wallet address needs its wallet's signature, and cannot take over an email address
+    await subscribe({ electionId, address: wallet.address }).expect(401);
+    await signedSubscribe(wallet, { electionId }, 401, ethers.Wallet.createRandom());
+    await signedSubscribe(wallet, { electionId, email: 'asha@example.com' }, 409);
+
+    const created = await signedSubscribe(wallet, { electionId }, 201);
+    expect(created.body.subscription).toMatchObject({ address: wallet.address.toLowerCase(), channels: ['inApp'], confirmed: true });
+    walletToken = created.body.token;
+
+    const updated = await signedSubscribe(wallet, { electionId, name: 'Asha' }, 200);
+    expect(updated.body.token).toBe(walletToken);
+
+    await request(app).get('/api/notifications/subscriptions/not-a-token').expect(400);
+    await request(app).get(`/api/notifications/subscriptions/${'0'.repeat(48)}`).expect(404);
+  });
+
+  test('should fan out an opened election once, even across runs', async () => {
+    // Unconfirmed subscriptions hear nothing
+    await subscribe({ electionId, email: 'ravi@example.com' }).expect(202);
+
+    expect(await runNotificationCycle()).toEqual({ sent: 3, failed: 0, skipped: 0 });
+
+    const opened = MailJob.docs.filter(mail => mail.template === 'electionOpened');
+    expect(opened).toHaveLength(1);
+    expect(opened[0]).toMatchObject({ to: 'asha@example.com', locale: 'hi' });
+    expect(opened[0].data.manageUrl).toContain(`/notifications?token=${emailToken}`);
+    expect(NotificationDelivery.docs.every(delivery => delivery.status === 'sent')).toBe(true);
+
+    // A second run, as after a restart, finds every delivery already recorded
+    expect(await runNotificationCycle()).toEqual({ sent: 0, failed: 0, skipped: 3 });
+    expect(MailJob.docs.filter(mail => mail.template === 'electionOpened')).toHaveLength(1);
+    expect(Notification.docs).toHaveLength(2);
+
+    const inbox = await request(app).get(`/api/notifications/subscriptions/${walletToken}`).expect(200);
+    expect(inbox.body.unread).toBe(1);
+    expect(inbox.body.notifications[0]).toMatchObject({ electionId, event: 'opened', title: expect.stringContaining('Ward Council') });
+
+    const read = await request(app).post(`/api/notifications/subscriptions/${walletToken}/read`).expect(200);
+    expect(read.body.marked).toBe(1);
+  });
+
+  test('should retry a failed webhook and sign its body', async () => {
+    process.env.NOTIFICATION_WEBHOOK_URL = 'https://hooks.example.com/elections';
+    process.env.NOTIFICATION_WEBHOOK_SECRET = 'webhook-secret';
+    global.fetch = jest.fn()
+      .mockResolvedValueOnce({ ok: false, status: 503 })
+      .mockResolvedValueOnce({ ok: true, status: 200 });
+
+    expect(await runNotificationCycle()).toEqual({ sent: 0, failed: 1, skipped: 3 });
+    expect(NotificationDelivery.docs.find(delivery => delivery.channel === 'webhook'))
+      .toMatchObject({ status: 'failed', attempts: 1, lastError: 'Webhook responded with 503' });
+
+    expect(await runNotificationCycle()).toEqual({ sent: 1, failed: 0, skipped: 3 });
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+
+    const [url, { headers, body }] = global.fetch.mock.calls[1];
+    expect(url).toBe('https://hooks.example.com/elections');
+    expect(JSON.parse(body)).toMatchObject({ event: 'opened', electionId, title: 'Ward Council' });
+    expect(headers['X-Notification-Signature'])
+      .toBe(`sha256=${crypto.createHmac('sha256', 'webhook-secret').update(body).digest('hex')}`);
+  });
+
+  test('should honour opt-outs and unsubscribes for final results', async () => {
+    await request(app).put(`/api/notifications/subscriptions/${walletToken}`).send({ optOut: ['everything'] }).expect(400);
+    const saved = await request(app).put(`/api/notifications/subscriptions/${walletToken}`).send({ optOut: ['resultsFinal'] }).expect(200);
+    expect(saved.body.subscription.optOut).toEqual(['resultsFinal']);
+
+    const late = confirmationLink('ravi@example.com');
+    await confirm(late.token, late.code).expect(200);
+    const stopped = await request(app).delete(`/api/notifications/subscriptions/${late.token}`).expect(200);
+    expect(stopped.body.subscription.subscribed).toBe(false);
+
+    await (await factoryContract.connect(localChain.getAccount(2)).vote(electionId, 1)).wait();
+    await (await factoryContract.connect(localChain.getAccount(0)).endElection(electionId)).wait();
+    await subscriptionNonce(electionId, wallet.address).expect(409);
+
+    expect(await runNotificationCycle()).toEqual({ sent: 2, failed: 0, skipped: 0 });
+
+    const results = MailJob.docs.filter(job => job.template === 'resultsPublished');
+    expect(results).toHaveLength(1);
+    expect(results[0]).toMatchObject({ to: 'asha@example.com', data: { winner: 'Kabir', totalVotes: 1 } });
+    expect(Notification.docs.filter(notification => notification.event === 'resultsFinal')).toHaveLength(1);
+  });
+});
@@ -0,0 +1,174 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../models/OtpChallenge', () => {
+  const mongoose = require('mongoose');
+  const OtpChallenge = jest.fn(function (fields) {
+    Object.assign(this, fields, { _id: new mongoose.Types.ObjectId() });
+    this.save = jest.fn(() => Promise.resolve(this));
+    OtpChallenge.created.push(this);
+  });
+  OtpChallenge.created = [];
+  OtpChallenge.countDocuments = jest.fn(() => Promise.resolve(0));
+  OtpChallenge.updateMany = jest.fn(() => Promise.resolve({}));
+  OtpChallenge.deleteOne = jest.fn(() => Promise.resolve({}));
+  OtpChallenge.findOneAndUpdate = jest.fn(() => Promise.resolve(null));
+  OtpChallenge.findById = jest.fn(() => Promise.resolve(null));
+  return OtpChallenge;
+});
+
+jest.mock('../models/MailJob', () => require('./setup/notificationStore')({ defaults: { status: 'queued', attempts: 0 } }));
+
+const OtpChallenge = require('../models/OtpChallenge');
+const MailJob = require('../models/MailJob');
+const { registerOtpAdapter } = require('../otp/delivery');
+const { issueOtp, verifyOtp, OTP_MAX_ATTEMPTS, OTP_MAX_SENDS } = require('../otp/otpService');
+
+const user = { _id: 'user-1', name: 'Asha Rao', govtIDHash: 'hash-1', govtIDLast4: '4567' };
+
+const sent = [];
+registerOtpAdapter('test', {
+  send: async (message) => {
+    sent.push(message);
+    return { destination: 'test inbox' };
+  }
+});
+
+// Issue a code through the test adapter and return its challenge and code
+const issueTestCode = async () => {
+  const result = await issueOtp(user);
+  return { result, challenge: OtpChallenge.created[OtpChallenge.created.length - 1], code: sent[sent.length - 1].code };
+};
+
+describe('One-time login codes', () => {
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    OtpChallenge.created.length = 0;
+    sent.length = 0;
+    process.env.OTP_DELIVERY = 'test';
+  });
+
+  describe('issueOtp', () => {
+
+    test('should send a 6-digit code and store only its hash', async () => {
+      const { result, challenge, code } = await issueTestCode();
+
+      expect(code).toMatch(/^\d{6}$/);
+      expect(result).toMatchObject({
+        challengeId: String(challenge._id),
+        deliveredVia: 'test',
+        destination: 'test inbox'
+      });
+      expect(challenge.codeHash).toMatch(/^[0-9a-f]{64}$/);
+      expect(JSON.stringify(challenge)).not.toContain(`"${code}"`);
+      expect(challenge.expiresAt.getTime()).toBeGreaterThan(Date.now());
+
+      // Earlier unused codes for the same ID are expired
+      expect(OtpChallenge.updateMany.mock.calls[0][0]).toMatchObject({ govtIDHash: 'hash-1', consumedAt: null });
+    });
+
+    test('should limit how many codes one Government ID can request', async () => {
+      OtpChallenge.countDocuments.mockResolvedValueOnce(OTP_MAX_SENDS);
+
+      const result = await issueOtp(user);
+
+      expect(result).toMatchObject({ status: 429 });
+      expect(sent).toHaveLength(0);
+      expect(OtpChallenge.countDocuments.mock.calls[0][0]).toMatchObject({ govtIDHash: 'hash-1' });
+    });
+
+    test('should discard the challenge when delivery fails', async () => {
+      registerOtpAdapter('broken', { send: () => Promise.reject(new Error('SMTP down')) });
+      process.env.OTP_DELIVERY = 'broken';
+
+      const result = await issueOtp(user);
+
+      expect(result).toMatchObject({ status: 502 });
+      expect(OtpChallenge.deleteOne).toHaveBeenCalledWith({ _id: OtpChallenge.created[0]._id });
+    });
+  });
+
+  describe('verifyOtp', () => {
+
+    test('should accept the right code once', async () => {
+      const { challenge, code } = await issueTestCode();
+      OtpChallenge.findOneAndUpdate
+        .mockResolvedValueOnce({ ...challenge, attempts: 1 })
+        .mockResolvedValueOnce({ ...challenge, attempts: 1 });
+
+      expect(await verifyOtp(String(challenge._id), code)).toEqual({ userId: 'user-1', deliveredVia: 'test' });
+
+      const [attemptFilter, attemptUpdate] = OtpChallenge.findOneAndUpdate.mock.calls[0];
+      expect(attemptFilter).toMatchObject({ consumedAt: null, attempts: { $lt: OTP_MAX_ATTEMPTS } });
+      expect(attemptUpdate).toEqual({ $inc: { attempts: 1 } });
+      expect(OtpChallenge.findOneAndUpdate.mock.calls[1][1]).toEqual({ $set: { consumedAt: expect.any(Date) } });
+    });
+
+    test('should count wrong codes against the attempt limit', async () => {
+      const { challenge, code } = await issueTestCode();
+      const wrongCode = code === '000000' ? '111111' : '000000';
+      OtpChallenge.findOneAndUpdate.mockResolvedValueOnce({ ...challenge, attempts: 2 });
+
+      expect(await verifyOtp(String(challenge._id), wrongCode)).toMatchObject({
+        status: 401,
+        attemptsRemaining: OTP_MAX_ATTEMPTS - 2
+      });
+      expect(OtpChallenge.findOneAndUpdate).toHaveBeenCalledTimes(1);
+    });
+
+    test('should refuse locked, expired and malformed challenges', async () => {
+      const { challenge, code } = await issueTestCode();
+
+      OtpChallenge.findById.mockResolvedValueOnce({ ...challenge, attempts: OTP_MAX_ATTEMPTS });
+      expect(await verifyOtp(String(challenge._id), code)).toMatchObject({ status: 429 });
+
+      OtpChallenge.findById.mockResolvedValueOnce({ ...challenge, attempts: 1 });
+      expect(await verifyOtp(String(challenge._id), code)).toMatchObject({ status: 401 });
+
+      expect(await verifyOtp('not-an-id', code)).toMatchObject({ status: 400 });
+      expect(await verifyOtp(String(challenge._id), '12ab')).toMatchObject({ status: 400 });
+    });
+  });
+
+  describe('delivery adapters', () => {
+
+    test('should append codes to OTP_FILE_PATH with the file adapter', async () => {
+      const filePath = path.join(os.tmpdir(), `otp-test-${process.pid}.log`);
+      process.env.OTP_DELIVERY = 'file';
+      process.env.OTP_FILE_PATH = filePath;
+
+      try {
+        await issueOtp(user);
+        const [line] = fs.readFileSync(filePath, 'utf8').trim().split('\n');
+        expect(JSON.parse(line)).toMatchObject({ userId: 'user-1', govtID: 'XXXX-XXXX-4567', code: expect.stringMatching(/^\d{6}$/) });
+      } finally {
+        fs.rmSync(filePath, { force: true });
+        delete process.env.OTP_FILE_PATH;
+      }
+    });
+
+    test('should queue codes to the user\'s email address with the email adapter', async () => {
+      process.env.OTP_DELIVERY = 'email';
+
+      const result = await issueOtp({ ...user, email: 'asha@example.com' });
+
+      expect(result).toMatchObject({ deliveredVia: 'email', destination: 'a***@example.com' });
+      expect(MailJob.docs[0]).toMatchObject({
+        template: 'loginCode',
+        to: 'asha@example.com',
+        data: { name: 'Asha Rao', code: expect.stringMatching(/^\d{6}$/) }
+      });
+
+      // Accounts without an address cannot receive a code
+      expect(await issueOtp(user)).toMatchObject({ status: 502 });
+    });
+
+    test('should reject unknown and incomplete adapters', async () => {
+      process.env.OTP_DELIVERY = 'carrier-pigeon';
+      await expect(issueOtp(user)).rejects.toThrow('Unknown OTP delivery adapter: carrier-pigeon');
+      expect(() => registerOtpAdapter('sms', {})).toThrow('must implement send()');
+    });
+  });
+});
@@ -0,0 +1,219 @@
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../models/AuthSession', () => require('./setup/authSessionStore'));
+jest.mock('../models/AuditLogEntry', () => require('./setup/auditLogStore').entries);
+jest.mock('../models/AuditAnchor', () => require('./setup/auditLogStore').anchors);
+
+jest.mock('../contract', () => ({
+  contract: {},
+  retryContractCall: (contractMethod) => contractMethod()
+}));
+
+jest.mock('../indexer/reader', () => ({
+  readElection: jest.fn((electionId) => Promise.resolve(electionId <= 1 ? { id: electionId, candidates: [] } : null))
+}));
+
+jest.mock('../rolls/voterRoll', () => ({
+  ...jest.requireActual('../rolls/voterRoll'),
+  buildRollReport: jest.fn((electionId) => Promise.resolve({ electionId, enrolled: 0 }))
+}));
+
+// Users kept in memory with ObjectId-shaped ids
+jest.mock('../models/User', () => {
+  const users = [];
+  return {
+    users,
+    findById: jest.fn((id) => Promise.resolve(users.find(user => user._id === String(id)) || null)),
+    findByIdAndDelete: jest.fn((id) => Promise.resolve(users.find(user => user._id === String(id)) || null))
+  };
+});
+
+// Role assignments kept in memory; supports the filters identity/permissions.js uses
+jest.mock('../models/RoleAssignment', () => {
+  const assignments = [];
+  const matchesElection = (value, condition) => (
+    condition && typeof condition === 'object' ? condition.$in.includes(value) : value === condition
+  );
+  const matches = (assignment, filter) => Object.entries(filter).every(([key, condition]) => (
+    key === 'electionId' ? matchesElection(assignment.electionId, condition) : String(assignment[key]) === String(condition)
+  ));
+  return {
+    assignments,
+    find: jest.fn((filter) => ({
+      lean: () => Promise.resolve(assignments.filter(assignment => matches(assignment, filter)))
+    })),
+    create: jest.fn((fields) => {
+      const assignment = { _id: `65f0000000000000000000${String(assignments.length).padStart(2, '0')}`, ...fields };
+      assignments.push(assignment);
+      return Promise.resolve(assignment);
+    }),
+    deleteMany: jest.fn(() => Promise.resolve({ deletedCount: 0 }))
+  };
+});
+
+const User = require('../models/User');
+const RoleAssignment = require('../models/RoleAssignment');
+const sessionStore = require('./setup/authSessionStore');
+const { createSession, signAccessToken } = require('../identity/sessions');
+const { hasPermission, parseElectionId, describePermissions } = require('../identity/permissions');
+const govtAdminRoutes = require('../routes/govtAdmin');
+const authRoutes = require('../routes/auth');
+
+const app = express();
+app.use(express.json());
+app.use('/api/govt-admin', govtAdminRoutes);
+app.use('/api/auth', authRoutes);
+
+// Signed-in Government ID user with an account role
+const signedInUser = async (name, role = 'voter') => {
+  const user = { _id: `65e00000000000000000000${User.users.length}`, name, govtIDLast4: '0001', role };
+  User.users.push(user);
+  const session = await createSession({ subjectType: 'govtID', subject: user._id, role });
+  user.token = signAccessToken({ userId: user._id, role, authType: 'govtID' }, session.sessionId);
+  return user;
+};
+
+const grant = (user, role, electionId = null) => RoleAssignment.create({ userId: user._id, role, electionId, grantedBy: 'seed' });
+
+const rollReport = (user, electionId) => request(app)
+  .get(`/api/govt-admin/elections/${electionId}/roll/report`)
+  .set('Authorization', `Bearer ${user.token}`);
+
+const importRoll = (user, electionId) => request(app)
+  .post(`/api/govt-admin/elections/${electionId}/roll`)
+  .set('Authorization', `Bearer ${user.token}`)
+  .send({ csv: 'ABCD12345' });
+
+describe('Role-based access control', () => {
+
+  beforeEach(() => {
+    User.users.length = 0;
+    RoleAssignment.assignments.length = 0;
+    sessionStore.clear();
+    jest.clearAllMocks();
+  });
+
+  test('should scope election roles to their election', async () => {
+    const observer = await signedInUser('Olivia Observer');
+    await grant(observer, 'observer', 0);
+
+    await rollReport(observer, 0).expect(200);
+    await rollReport(observer, 1).expect(403);
+    const response = await importRoll(observer, 0).expect(403);
+    expect(response.body.error).toBe('Access denied: roll:manage permission required');
+
+    // Account-wide pages need an account-wide grant
+    await request(app)
+      .get('/api/govt-admin/voter-analytics')
+      .set('Authorization', `Bearer ${observer.token}`)
+      .expect(403);
+  });
+
+  test('should apply roles granted without an election to every election', async () => {
+    const officer = await signedInUser('Oscar Officer');
+    await grant(officer, 'election_officer');
+
+    expect(await hasPermission(officer, 'roll:manage', 0)).toBe(true);
+    expect(await hasPermission(officer, 'roll:manage', 1)).toBe(true);
+    expect(await hasPermission(officer, 'roll:manage')).toBe(true);
+    expect(await hasPermission(officer, 'users:delete', 0)).toBe(false);
+    await rollReport(officer, 1).expect(200);
+  });
+
+  test('should keep user management away from election roles', async () => {
+    const officer = await signedInUser('Oscar Officer');
+    const voter = await signedInUser('Vera Voter');
+    await grant(officer, 'election_officer');
+
+    await request(app)
+      .delete(`/api/auth/users/${voter._id}`)
+      .set('Authorization', `Bearer ${officer.token}`)
+      .expect(403);
+    await request(app)
+      .post(`/api/auth/users/${voter._id}/govt-id/reveal`)
+      .set('Authorization', `Bearer ${officer.token}`)
+      .send({ reason: 'audit request' })
+      .expect(403);
+    expect(User.findByIdAndDelete).not.toHaveBeenCalled();
+  });
+
+  test('should only let super admins decrypt Government IDs', async () => {
+    const admin = await signedInUser('Ada Admin', 'admin');
+    const voter = await signedInUser('Vic Voter');
+
+    const response = await request(app)
+      .post(`/api/auth/users/${voter._id}/govt-id/reveal`)
+      .set('Authorization', `Bearer ${admin.token}`)
+      .send({ reason: 'Voter helpdesk request' })
+      .expect(403);
+    expect(response.body.error).toMatch(/govtId:reveal/);
+    expect(await hasPermission({ role: 'super_admin' }, 'govtId:reveal')).toBe(true);
+  });
+
+  test('should only register voters', async () => {
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send({ name: 'Self Made Admin', govtID: 'ABC1234567', idType: 'voter', role: 'admin' })
+      .expect(403);
+    expect(response.body.error).toMatch(/Only voter accounts can be registered/);
+
+    await request(app)
+      .post('/api/auth/register')
+      .send({ name: 'Self Made Super Admin', govtID: 'ABC1234568', idType: 'voter', role: 'super_admin' })
+      .expect(403);
+  });
+
+  test('should only let super admins grant roles and delete super admins', async () => {
+    const superAdmin = await signedInUser('Sara Super', 'super_admin');
+    const admin = await signedInUser('Adam Admin', 'admin');
+    const candidate = await signedInUser('Cora Candidate');
+
+    await request(app)
+      .post('/api/govt-admin/roles')
+      .set('Authorization', `Bearer ${admin.token}`)
+      .send({ userId: candidate._id, role: 'candidate', electionId: 1 })
+      .expect(403);
+
+    const granted = await request(app)
+      .post('/api/govt-admin/roles')
+      .set('Authorization', `Bearer ${superAdmin.token}`)
+      .send({ userId: candidate._id, role: 'candidate', electionId: 1 })
+      .expect(201);
+    expect(granted.body.assignment).toMatchObject({ role: 'candidate', electionId: 1, grantedBy: superAdmin._id });
+    expect(await hasPermission(candidate, 'results:view', 1)).toBe(true);
+    expect(await hasPermission(candidate, 'roll:view', 1)).toBe(false);
+
+    await request(app)
+      .post('/api/govt-admin/roles')
+      .set('Authorization', `Bearer ${superAdmin.token}`)
+      .send({ userId: candidate._id, role: 'super_admin' })
+      .expect(400);
+    await request(app)
+      .post('/api/govt-admin/roles')
+      .set('Authorization', `Bearer ${superAdmin.token}`)
+      .send({ userId: candidate._id, role: 'observer', electionId: 7 })
+      .expect(404);
+
+    await request(app)
+      .delete(`/api/auth/users/${superAdmin._id}`)
+      .set('Authorization', `Bearer ${admin.token}`)
+      .expect(403);
+    expect(User.findByIdAndDelete).not.toHaveBeenCalled();
+  });
+
+  test('should describe account and election permissions', async () => {
+    const user = await signedInUser('Cora Candidate');
+    await grant(user, 'candidate', 1);
+    await grant(user, 'observer');
+
+    expect(await describePermissions(user)).toEqual({
+      global: ['results:view', 'roll:view', 'audit:view'],
+      elections: [{ electionId: 1, role: 'candidate', permissions: ['results:view'] }]
+    });
+    expect(parseElectionId('3')).toBe(3);
+    expect(parseElectionId('-1')).toBeNull();
+    expect(parseElectionId('abc')).toBeNull();
+    expect(parseElectionId(undefined)).toBeNull();
+  });
+});
@@ -0,0 +1,189 @@
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../models/AuthSession', () => require('./setup/authSessionStore'));
+jest.mock('../models/AuditLogEntry', () => require('./setup/auditLogStore').entries);
+jest.mock('../models/AuditAnchor', () => require('./setup/auditLogStore').anchors);
+
+// In-memory settings supporting the queries anomaly/riskPolicy.js makes
+jest.mock('../models/ElectionSettings', () => {
+  const settings = [];
+  return {
+    settings,
+    findOne: jest.fn((filter) => ({
+      lean: () => Promise.resolve(settings.find(doc => doc.electionId === filter.electionId) || null)
+    })),
+    findOneAndUpdate: jest.fn((filter, update) => {
+      let doc = settings.find(candidate => candidate.electionId === filter.electionId);
+      if (!doc) {
+        doc = {};
+        settings.push(doc);
+      }
+      Object.assign(doc, update.$set, { updatedAt: new Date() });
+      return Promise.resolve(doc);
+    })
+  };
+});
+
+jest.mock('../models/VoteRiskReport', () => ({
+  exists: jest.fn(() => Promise.resolve(null)),
+  create: jest.fn((fields) => Promise.resolve({ ...fields, disposition: 'pending', dispositionHistory: [] }))
+}));
+
+const sequences = require('./fixtures/analysisSequences.json');
+const localChain = require('../chain/localChain');
+const { factoryContract, provider } = require('../contract');
+const { createSession, signAccessToken } = require('../identity/sessions');
+const {
+  DEFAULT_RISK_POLICY,
+  normalizeRiskPolicy,
+  createRiskScorer,
+  riskStatus
+} = require('../anomaly/generated/riskPolicy');
+const electionRoutes = require('../routes/elections');
+const adminRoutes = require('../routes/admin');
+const signAsVoter = require('./setup/voteSender');
+
+const app = express();
+app.use(express.json());
+app.use('/api/elections', electionRoutes);
+app.use('/api/admin', adminRoutes);
+
+// Replay recorded frames through a session scorer, like useAnomalyDetection
+// does while a voter is on the ballot page
+const replay = (policy, frames) => {
+  const scorer = createRiskScorer(policy);
+  const results = frames.map(({ at, ...observation }) => scorer.score(observation, at));
+  return {
+    scores: results.map(result => result.riskScore),
+    flags: results.map(result => result.anomalyFlags),
+    sessionRisk: scorer.sessionRisk(frames[frames.length - 1].at)
+  };
+};
+
+// The per-frame scoring the anomaly-detection function had before policies
+const fixedWeightScore = (frame, previous) => {
+  let score = 0;
+  if (frame.faceCount > 1) score += 40;
+  if (frame.faceCount === 0) score += 20;
+  if (previous && previous.faceCount >= 1 && frame.faceCount === 0) score += 30;
+  if (frame.cameraBlocked) score += 30;
+  if (frame.highMotion) score += 20;
+  if (!frame.environmentStable) score += 10;
+  return Math.min(score, 100);
+};
+
+const policyWith = (overrides) => normalizeRiskPolicy(overrides).policy;
+
+describe('Risk policy replay', () => {
+
+  test('should score every recorded session like the fixed weights by default', () => {
+    for (const frames of Object.values(sequences)) {
+      const expected = frames.map((frame, index) => fixedWeightScore(frame, frames[index - 1]));
+      const { scores, sessionRisk } = replay(DEFAULT_RISK_POLICY, frames);
+
+      expect(scores).toEqual(expected);
+      expect(sessionRisk).toBe(Math.max(...expected));
+    }
+
+    expect(replay(DEFAULT_RISK_POLICY, sequences.secondPersonGlance).flags[2]).toEqual(['Multiple faces detected: 2']);
+    expect(riskStatus(DEFAULT_RISK_POLICY, 40)).toBe('warning');
+    expect(riskStatus(DEFAULT_RISK_POLICY, 80)).toBe('flagged');
+  });
+
+  test('should ignore conditions seen for fewer frames than the policy requires', () => {
+    const policy = policyWith({ consecutiveFrames: { multipleFaces: 3 } });
+
+    expect(replay(policy, sequences.secondPersonGlance).sessionRisk).toBe(0);
+    expect(replay(policy, sequences.secondPersonStays).scores).toEqual([0, 0, 0, 40, 40, 0]);
+  });
+
+  test('should count a lost face once, when it has been missing long enough', () => {
+    const policy = policyWith({ consecutiveFrames: { faceLost: 2 } });
+    const { scores, flags } = replay(policy, sequences.faceLeaves);
+
+    expect(scores).toEqual([0, 0, 20, 50, 20, 50]);
+    expect(flags.filter(frameFlags => frameFlags.includes('Face suddenly disappeared'))).toHaveLength(1);
+  });
+
+  test('should let an early spike fade when the policy decays risk', () => {
+    const frames = sequences.earlyCoveredCamera;
+    expect(replay(DEFAULT_RISK_POLICY, frames).sessionRisk).toBe(80);
+
+    const decaying = policyWith({ decayHalfLifeSeconds: 10 });
+    const { scores, sessionRisk } = replay(decaying, frames);
+    expect(scores[1]).toBe(80);
+    expect(sessionRisk).toBeCloseTo(80 / 64);
+    expect(riskStatus(decaying, sessionRisk)).toBe('normal');
+  });
+
+  test('should apply the policy thresholds and weights', () => {
+    const strict = policyWith({ weights: { multipleFaces: 60 }, thresholds: { warning: 10, flagged: 30 } });
+
+    const glance = replay(strict, sequences.secondPersonGlance);
+    expect(glance.sessionRisk).toBe(60);
+    expect(riskStatus(strict, glance.sessionRisk)).toBe('flagged');
+    expect(riskStatus(strict, replay(strict, sequences.faceLeaves).scores[4])).toBe('warning');
+  });
+
+  test('should reject invalid policies', () => {
+    expect(normalizeRiskPolicy(null).error).toMatch(/must be an object/);
+    expect(normalizeRiskPolicy({ weights: { lookingAway: 10 } }).error).toMatch(/Unknown risk condition: lookingAway/);
+    expect(normalizeRiskPolicy({ weights: { noFace: 120 } }).error).toMatch(/weights\.noFace/);
+    expect(normalizeRiskPolicy({ consecutiveFrames: { highMotion: 0.5 } }).error).toMatch(/consecutiveFrames\.highMotion/);
+    expect(normalizeRiskPolicy({ thresholds: { warning: 60, flagged: 50 } }).error).toMatch(/below thresholds\.flagged/);
+    expect(normalizeRiskPolicy({ decayHalfLifeSeconds: -1 }).error).toMatch(/decayHalfLifeSeconds/);
+
+    expect(normalizeRiskPolicy({}).policy).toEqual(DEFAULT_RISK_POLICY);
+  });
+});
+
+describe('Risk policy API', () => {
+  let token;
+  let electionId;
+
+  beforeAll(async () => {
+    await localChain.ready;
+    const session = await createSession({ subjectType: 'wallet', subject: '0xadmin', role: 'admin' });
+    token = signAccessToken({ address: '0xadmin', role: 'admin' }, session.sessionId);
+
+    const { timestamp } = await provider.getBlock('latest');
+    const factory = factoryContract.connect(localChain.getAccount(0));
+    await (await factory.createElection('Harbour Board', 'Harbour Board description', ['Ines', 'Tomas'], timestamp - 60, timestamp + 3600)).wait();
+    electionId = Number(await factoryContract.electionCount()) - 1;
+  }, 60000);
+
+  afterAll(() => localChain.stop());
+
+  const putPolicy = (id, policy) => request(app)
+    .put(`/api/admin/elections/${id}/risk-policy`)
+    .set('Authorization', `Bearer ${token}`)
+    .send({ policy });
+
+  test('should serve the default policy until admins set one', async () => {
+    const response = await request(app).get(`/api/elections/${electionId}/risk-policy`).expect(200);
+    expect(response.body).toMatchObject({ electionId, policy: DEFAULT_RISK_POLICY, isDefault: true });
+  });
+
+  test('should let admins set a policy and flag reported votes with it', async () => {
+    await request(app).put(`/api/admin/elections/${electionId}/risk-policy`).send({ policy: {} }).expect(401);
+    await putPolicy(electionId, { thresholds: { warning: 60, flagged: 40 } }).expect(400);
+    await putPolicy(9999, {}).expect(404);
+
+    const saved = await putPolicy(electionId, { consecutiveFrames: { multipleFaces: 2 }, thresholds: { warning: 15, flagged: 30 } }).expect(200);
+    expect(saved.body.policy.thresholds).toEqual({ warning: 15, flagged: 30 });
+
+    const response = await request(app).get(`/api/elections/${electionId}/risk-policy`).expect(200);
+    expect(response.body.isDefault).toBe(false);
+    expect(response.body.policy.consecutiveFrames.multipleFaces).toBe(2);
+
+    const tx = await factoryContract.connect(localChain.getAccount(7)).vote(electionId, 0);
+    await tx.wait();
+    const proof = await signAsVoter(app, { electionId, txHash: tx.hash, action: 'risk', signer: localChain.getAccount(7) });
+    const report = await request(app)
+      .post(`/api/elections/${electionId}/votes/${tx.hash}/risk`)
+      .send({ riskScore: 40, flagDetails: ['Multiple faces detected: 2'], analysisCount: 6, ...proof })
+      .expect(201);
+    expect(report.body).toMatchObject({ isFlagged: true, flagThreshold: 30 });
+  });
+});
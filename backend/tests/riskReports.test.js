@@ -0,0 +1,182 @@
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../models/AuthSession', () => require('./setup/authSessionStore'));
+jest.mock('../models/AuditLogEntry', () => require('./setup/auditLogStore').entries);
+jest.mock('../models/AuditAnchor', () => require('./setup/auditLogStore').anchors);
+// Elections use the default risk policy
+jest.mock('../models/ElectionSettings', () => ({
+  findOne: jest.fn(() => ({ lean: () => Promise.resolve(null) }))
+}));
+
+// In-memory reports supporting the queries anomaly/riskReports.js makes
+jest.mock('../models/VoteRiskReport', () => {
+  const reports = [];
+  const matches = (doc, filter) => Object.entries(filter).every(([key, value]) => doc[key] === value);
+  const lean = (result) => ({ lean: () => Promise.resolve(result ? JSON.parse(JSON.stringify(result)) : null) });
+  return {
+    reports,
+    exists: jest.fn((filter) => Promise.resolve(reports.some(doc => matches(doc, filter)) ? { _id: 1 } : null)),
+    create: jest.fn((fields) => {
+      const doc = { disposition: 'pending', dispositionHistory: [], createdAt: new Date(), ...fields, voter: fields.voter.toLowerCase() };
+      reports.push(doc);
+      return Promise.resolve({ ...doc });
+    }),
+    findOne: jest.fn((filter) => lean(reports.find(doc => matches(doc, filter)))),
+    findOneAndUpdate: jest.fn((filter, update) => {
+      const doc = reports.find(candidate => matches(candidate, filter));
+      if (doc) {
+        Object.assign(doc, update.$set);
+        doc.dispositionHistory.push(update.$push.dispositionHistory);
+      }
+      return lean(doc);
+    }),
+    find: jest.fn((filter) => ({
+      sort: () => ({ limit: (limit) => lean(reports.filter(doc => matches(doc, filter)).slice(0, limit)) })
+    })),
+    aggregate: jest.fn(() => Promise.resolve([]))
+  };
+});
+
+const VoteRiskReport = require('../models/VoteRiskReport');
+const localChain = require('../chain/localChain');
+const { factoryContract, provider } = require('../contract');
+const { createSession, signAccessToken } = require('../identity/sessions');
+const { normalizeRiskReport } = require('../anomaly/riskReports');
+const electionRoutes = require('../routes/elections');
+const adminRoutes = require('../routes/admin');
+const signAsVoter = require('./setup/voteSender');
+
+const app = express();
+app.use(express.json());
+app.use('/api/elections', electionRoutes);
+app.use('/api/admin', adminRoutes);
+
+// Create a factory election that opened a minute ago on the local chain
+const createElection = async (title, candidates) => {
+  const { timestamp } = await provider.getBlock('latest');
+  const factory = factoryContract.connect(localChain.getAccount(0));
+  await (await factory.createElection(title, `${title} description`, candidates, timestamp - 60, timestamp + 3600)).wait();
+  return Number(await factoryContract.electionCount()) - 1;
+};
+
+const sendVote = async (accountIndex, electionId, candidateId) => {
+  const tx = await factoryContract.connect(localChain.getAccount(accountIndex)).vote(electionId, candidateId);
+  await tx.wait();
+  return tx.hash;
+};
+
+// Report a vote's risk metadata, signed by the account at `signerIndex`
+const reportRisk = async (electionId, txHash, signerIndex, body, status) => {
+  const proof = await signAsVoter(app, { electionId, txHash, action: 'risk', signer: localChain.getAccount(signerIndex) });
+  return request(app).post(`/api/elections/${electionId}/votes/${txHash}/risk`).send({ ...body, ...proof }).expect(status);
+};
+
+const flaggedSession = {
+  riskScore: 80,
+  flagDetails: ['multiple_faces', 'camera_blocked'],
+  flagHistory: ['multiple_faces', 'multiple_faces', 'camera_blocked'],
+  analysisCount: 12,
+  timestamp: Date.now()
+};
+
+let token;
+beforeAll(async () => {
+  await localChain.ready;
+  const session = await createSession({ subjectType: 'wallet', subject: '0xadmin', role: 'admin' });
+  token = signAccessToken({ address: '0xadmin', role: 'admin' }, session.sessionId);
+}, 60000);
+
+afterAll(() => localChain.stop());
+
+describe('Vote risk reports', () => {
+
+  test('should decide whether a session is flagged on the server', () => {
+    expect(normalizeRiskReport({ ...flaggedSession, isFlagged: false }).report).toMatchObject({ isFlagged: true, analysisCount: 12 });
+    expect(normalizeRiskReport({ riskScore: 50, flagDetails: ['high_motion'], isFlagged: true }).report.isFlagged).toBe(false);
+
+    expect(normalizeRiskReport({ riskScore: 140 }).error).toMatch(/riskScore/);
+    expect(normalizeRiskReport({ riskScore: 10, flagDetails: 'multiple_faces' }).error).toMatch(/flagDetails/);
+    expect(normalizeRiskReport({ riskScore: 10, flagHistory: [42] }).error).toMatch(/flagHistory/);
+  });
+
+  test('should store metadata once against a vote in the election', async () => {
+    const electionId = await createElection('Water Board', ['Ana', 'Ravi']);
+    const otherElectionId = await createElection('Tram Board', ['Mei', 'Olu']);
+    const txHash = await sendVote(4, electionId, 0);
+
+    // Nobody but the voting wallet can report on the vote, so nobody else can lock its record
+    await request(app).post(`/api/elections/${electionId}/votes/${txHash}/risk`).send({ riskScore: 0 }).expect(401);
+    await reportRisk(electionId, txHash, 5, { riskScore: 0 }, 401);
+    expect(VoteRiskReport.reports).toHaveLength(0);
+
+    const response = await reportRisk(electionId, txHash, 4, flaggedSession, 201);
+
+    expect(response.body).toMatchObject({ electionId, transactionHash: txHash, isFlagged: true });
+    expect(VoteRiskReport.reports[0]).toMatchObject({
+      electionId,
+      txHash,
+      voter: localChain.accounts[4].toLowerCase(),
+      contract: 'factory',
+      flagHistory: flaggedSession.flagHistory
+    });
+
+    await reportRisk(electionId, txHash, 4, flaggedSession, 409);
+    const otherTxHash = await sendVote(4, otherElectionId, 1);
+    const mismatch = await reportRisk(electionId, otherTxHash, 4, flaggedSession, 400);
+    expect(mismatch.body.error).toMatch(/not a vote in this election/);
+  });
+
+  test('should let admins clear or escalate flagged votes and keep the history', async () => {
+    const electionId = await createElection('Library Board', ['Noor', 'Sam']);
+    const flaggedTx = await sendVote(5, electionId, 1);
+    const calmTx = await sendVote(6, electionId, 0);
+    await reportRisk(electionId, flaggedTx, 5, flaggedSession, 201);
+    await reportRisk(electionId, calmTx, 6, { riskScore: 5, analysisCount: 8 }, 201);
+
+    await request(app).get('/api/admin/risk-reports').expect(401);
+
+    const queue = await request(app)
+      .get(`/api/admin/risk-reports?electionId=${electionId}`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+    expect(queue.body.reports.map(report => report.transactionHash)).toEqual([flaggedTx]);
+    expect(queue.body.reports[0]).toMatchObject({ disposition: 'pending', flagHistory: flaggedSession.flagHistory });
+
+    const review = (txHash, body) => request(app)
+      .put(`/api/admin/risk-reports/${txHash}/disposition`)
+      .set('Authorization', `Bearer ${token}`)
+      .send(body);
+
+    await review(flaggedTx, { disposition: 'ignored' }).expect(400);
+    await review(calmTx, { disposition: 'cleared' }).expect(400);
+    await review(flaggedTx, { disposition: 'escalated', note: 'Second face in frame' }).expect(200);
+    await review(flaggedTx, { disposition: 'escalated' }).expect(409);
+
+    const cleared = await review(flaggedTx, { disposition: 'cleared', note: 'Family member, confirmed by phone' }).expect(200);
+    expect(cleared.body.report.disposition).toBe('cleared');
+    expect(cleared.body.report.dispositionHistory).toEqual([
+      expect.objectContaining({ disposition: 'escalated', note: 'Second face in frame', reviewedBy: '0xadmin' }),
+      expect.objectContaining({ disposition: 'cleared', note: 'Family member, confirmed by phone', reviewedBy: '0xadmin' })
+    ]);
+
+    const pending = await request(app)
+      .get(`/api/admin/risk-reports?electionId=${electionId}`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+    expect(pending.body.count).toBe(0);
+  });
+
+  test('should report flagged vote counts per election', async () => {
+    VoteRiskReport.aggregate.mockResolvedValueOnce([
+      { _id: 2, reported: 5, flagged: 2, pending: 1, cleared: 1, escalated: 0 }
+    ]);
+
+    const response = await request(app)
+      .get('/api/admin/risk-reports/counts')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    expect(response.body.elections).toEqual([{ electionId: 2, reported: 5, flagged: 2, pending: 1, cleared: 1, escalated: 0 }]);
+  });
+});
@@ -0,0 +1,145 @@
+const request = require('supertest');
+const express = require('express');
+const { ethers } = require('ethers');
+
+jest.mock('../models/AuthSession', () => require('./setup/authSessionStore'));
+jest.mock('../models/AuditLogEntry', () => require('./setup/auditLogStore').entries);
+jest.mock('../models/AuditAnchor', () => require('./setup/auditLogStore').anchors);
+
+jest.mock('../contract', () => ({
+  contract: { admin: jest.fn() },
+  retryContractCall: (contractMethod) => contractMethod(),
+  getSigner: () => null
+}));
+
+jest.mock('../indexer/reader', () => ({
+  readElection: jest.fn(() => Promise.resolve(null))
+}));
+
+const sessionStore = require('./setup/authSessionStore');
+const { contract } = require('../contract');
+const { createSession, signAccessToken, isSessionActive } = require('../identity/sessions');
+const adminRoutes = require('../routes/admin');
+
+const app = express();
+app.use(express.json());
+app.use('/api/admin', adminRoutes);
+
+const adminWallet = ethers.Wallet.createRandom();
+
+// Sign in with the admin wallet: nonce, signature, token pair. /auth allows
+// three requests a minute, so other tests start sessions directly.
+const signIn = async () => {
+  const { body: { nonce, message } } = await request(app).post('/api/admin/nonce');
+  const signature = await adminWallet.signMessage(message);
+  const response = await request(app)
+    .post('/api/admin/auth')
+    .send({ address: adminWallet.address, signature, nonce })
+    .expect(200);
+  return response.body;
+};
+
+// Same session and tokens /auth would issue
+const startSession = async () => {
+  const address = adminWallet.address.toLowerCase();
+  const session = await createSession({ subjectType: 'wallet', subject: address, role: 'admin' });
+  return {
+    token: signAccessToken({ address, role: 'admin' }, session.sessionId),
+    refreshToken: session.refreshToken
+  };
+};
+
+// Any route behind verifyAdminToken works; logout-all has no other effects
+// when the token is refused
+const expectTokenRejected = (token) => request(app)
+  .post('/api/admin/logout-all')
+  .set('Authorization', `Bearer ${token}`)
+  .expect(401);
+
+describe('Admin sessions', () => {
+
+  beforeEach(() => {
+    sessionStore.clear();
+    contract.admin.mockResolvedValue(adminWallet.address);
+  });
+
+  test('should issue a short-lived access token and a refresh token', async () => {
+    const { token, refreshToken, expiresIn, refreshExpiresIn } = await signIn();
+
+    expect(token).toBeDefined();
+    expect(refreshToken).toMatch(/^[0-9a-f-]{36}\./);
+    expect(expiresIn).toBe(900);
+    expect(refreshExpiresIn).toBe(7 * 24 * 60 * 60);
+    expect(sessionStore.sessions[0]).toMatchObject({
+      subjectType: 'wallet',
+      subject: adminWallet.address.toLowerCase(),
+      role: 'admin'
+    });
+    expect(JSON.stringify(sessionStore.sessions[0])).not.toContain(refreshToken.split('.')[1]);
+  });
+
+  test('should rotate refresh tokens and revoke the session when an old one is reused', async () => {
+    const first = await startSession();
+
+    const refreshed = await request(app)
+      .post('/api/admin/refresh')
+      .send({ refreshToken: first.refreshToken })
+      .expect(200);
+    expect(refreshed.body.refreshToken).not.toBe(first.refreshToken);
+    expect(refreshed.body.token).not.toBe(first.token);
+
+    // Replaying the first refresh token revokes the whole session
+    await request(app).post('/api/admin/refresh').send({ refreshToken: first.refreshToken }).expect(401);
+    await request(app).post('/api/admin/refresh').send({ refreshToken: refreshed.body.refreshToken }).expect(401);
+    expect(sessionStore.sessions[0].revokedReason).toBe('refresh token reuse');
+    await expectTokenRejected(refreshed.body.token);
+  });
+
+  test('should stop refreshing once the wallet is no longer the contract admin', async () => {
+    const { refreshToken } = await startSession();
+    contract.admin.mockResolvedValue(ethers.Wallet.createRandom().address);
+
+    await request(app).post('/api/admin/refresh').send({ refreshToken }).expect(403);
+    expect(sessionStore.sessions[0].revokedReason).toBe('no longer admin');
+  });
+
+  test('POST /logout should revoke only the current session', async () => {
+    const first = await startSession();
+    const second = await startSession();
+
+    await request(app)
+      .post('/api/admin/logout')
+      .set('Authorization', `Bearer ${first.token}`)
+      .expect(200);
+
+    await expectTokenRejected(first.token);
+    await request(app).post('/api/admin/refresh').send({ refreshToken: first.refreshToken }).expect(401);
+    await request(app).post('/api/admin/refresh').send({ refreshToken: second.refreshToken }).expect(200);
+  });
+
+  test('POST /logout-all should revoke every session of the wallet', async () => {
+    const first = await startSession();
+    const second = await startSession();
+    await createSession({ subjectType: 'wallet', subject: '0xsomeoneelse', role: 'admin' });
+
+    const response = await request(app)
+      .post('/api/admin/logout-all')
+      .set('Authorization', `Bearer ${second.token}`)
+      .expect(200);
+
+    expect(response.body.revokedSessions).toBe(2);
+    await expectTokenRejected(first.token);
+    expect(await isSessionActive(sessionStore.sessions[2].sessionId)).toBe(true);
+  });
+
+  test('should treat expired sessions and missing ids as inactive', async () => {
+    const { sessionId } = await createSession({ subjectType: 'wallet', subject: '0xabc', role: 'admin' });
+    expect(await isSessionActive(sessionId)).toBe(true);
+
+    sessionStore.sessions[0].expiresAt = new Date(Date.now() - 1000);
+    expect(await isSessionActive(sessionId)).toBe(false);
+    expect(await isSessionActive(undefined)).toBe(false);
+
+    await request(app).post('/api/admin/refresh').send({}).expect(400);
+  });
+});
@@ -0,0 +1,90 @@
+// In-memory stand-ins for models/AuditLogEntry and models/AuditAnchor, for
+// suites that run without MongoDB:
+//   jest.mock('../models/AuditLogEntry', () => require('./setup/auditLogStore').entries)
+//   jest.mock('../models/AuditAnchor', () => require('./setup/auditLogStore').anchors)
+// Supports the queries audit/ and routes/audit.js make: equality on dotted
+// paths, $gte/$lte/$lt, sort by one field, limit and lean.
+
+const valueAt = (doc, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+
+const matchesValue = (value, condition) => {
+  if (condition && typeof condition === 'object' && !(condition instanceof Date)) {
+    if ('$gte' in condition && !(value >= condition.$gte)) return false;
+    if ('$lte' in condition && !(value <= condition.$lte)) return false;
+    if ('$lt' in condition && !(value < condition.$lt)) return false;
+    return true;
+  }
+  return value === condition;
+};
+
+const matches = (doc, filter) => Object.entries(filter).every(([path, condition]) => matchesValue(valueAt(doc, path), condition));
+
+// Stored documents come back as copies, as they would from MongoDB.
+// (structuredClone would create Dates outside Jest's sandbox.)
+const copy = (value) => {
+  if (value instanceof Date) return new Date(value);
+  if (Array.isArray(value)) return value.map(copy);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, field]) => [key, copy(field)]));
+  }
+  return value;
+};
+
+// find() resolves to every match, findOne() (`single`) to the first or null
+const query = (resolveDocs, single = false) => {
+  let sortField = null;
+  let sortOrder = 1;
+  let limit = Infinity;
+  const run = () => {
+    const docs = resolveDocs();
+    if (sortField) {
+      docs.sort((a, b) => (a[sortField] - b[sortField]) * sortOrder);
+    }
+    const results = docs.slice(0, single ? 1 : limit).map(copy);
+    return single ? results[0] || null : results;
+  };
+  const chain = {
+    sort: (spec) => {
+      [[sortField, sortOrder]] = Object.entries(spec);
+      return chain;
+    },
+    limit: (count) => {
+      limit = count;
+      return chain;
+    },
+    select: () => chain,
+    lean: () => Promise.resolve(run()),
+    then: (resolve, reject) => Promise.resolve(run()).then(resolve, reject)
+  };
+  return chain;
+};
+
+const createStore = () => {
+  const docs = [];
+  const store = {
+    docs,
+    clear: () => {
+      docs.length = 0;
+    },
+    create: async (fields) => {
+      if (fields.seq !== undefined && store.unique && docs.some(doc => doc.seq === fields.seq)) {
+        throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+      }
+      docs.push(copy(fields));
+      return copy(fields);
+    },
+    find: (filter = {}) => query(() => docs.filter(doc => matches(doc, filter))),
+    findOne: (filter = {}) => query(() => docs.filter(doc => matches(doc, filter)), true),
+    exists: async (filter) => (docs.some(doc => matches(doc, filter)) ? { _id: 'exists' } : null)
+  };
+  return store;
+};
+
+const entries = createStore();
+// AuditLogEntry.seq has a unique index
+entries.unique = true;
+
+module.exports = {
+  entries,
+  anchors: createStore()
+};
@@ -0,0 +1,56 @@
+// In-memory stand-in for models/AuthSession, for suites that run without
+// MongoDB: jest.mock('../models/AuthSession', () => require('./setup/authSessionStore'))
+// Supports the queries identity/sessions.js makes: equality, null and $gt/$lt.
+
+const sessions = [];
+
+const matchesValue = (value, condition) => {
+  if (condition === null) return value === null || value === undefined;
+  if (condition && typeof condition === 'object' && !(condition instanceof Date)) {
+    if ('$gt' in condition && !(value > condition.$gt)) return false;
+    if ('$lt' in condition && !(value < condition.$lt)) return false;
+    return true;
+  }
+  return value === condition;
+};
+
+const matches = (doc, filter) => Object.entries(filter).every(([key, condition]) => matchesValue(doc[key], condition));
+
+const query = (result) => {
+  const chain = {
+    select: () => chain,
+    lean: () => Promise.resolve(result ? { ...result } : null),
+    then: (resolve, reject) => Promise.resolve(result ? { ...result } : null).then(resolve, reject)
+  };
+  return chain;
+};
+
+module.exports = {
+  sessions,
+  clear: () => {
+    sessions.length = 0;
+  },
+  create: async (fields) => {
+    const doc = { revokedAt: null, ...fields };
+    sessions.push(doc);
+    return { ...doc };
+  },
+  findOne: (filter) => query(sessions.find(doc => matches(doc, filter))),
+  findOneAndUpdate: async (filter, update, options = {}) => {
+    const doc = sessions.find(candidate => matches(candidate, filter));
+    if (!doc) return null;
+    const before = { ...doc };
+    Object.assign(doc, update.$set);
+    return options.new ? { ...doc } : before;
+  },
+  updateOne: async (filter, update) => {
+    const doc = sessions.find(candidate => matches(candidate, filter));
+    if (doc) Object.assign(doc, update.$set);
+    return { modifiedCount: doc ? 1 : 0 };
+  },
+  updateMany: async (filter, update) => {
+    const docs = sessions.filter(candidate => matches(candidate, filter));
+    docs.forEach(doc => Object.assign(doc, update.$set));
+    return { modifiedCount: docs.length };
+  }
+};
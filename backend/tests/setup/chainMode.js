@@ -0,0 +1,3 @@
+// Run the suite against the in-process chain unless a chain is chosen
+// explicitly, e.g. CHAIN_MODE=fuji npm test
+process.env.CHAIN_MODE = process.env.CHAIN_MODE || 'local';
@@ -0,0 +1,85 @@
+// In-memory stand-in for the notification models (and MailJob), for suites
+// that run without MongoDB:
+// jest.mock('../models/Notification', () => require('./setup/notificationStore')({ defaults: { readAt: null } }))
+// `unique` lists field groups that behave like unique indexes (groups with an
+// unset field are skipped, like a partial index). Supports equality, null,
+// $ne (also on array fields) and the find().sort().limit().select().lean()
+// chain the notification modules use.
+
+const matchesValue = (value, condition) => {
+  if (condition === null) return value === null || value === undefined;
+  if (condition && typeof condition === 'object' && !(condition instanceof Date) && '$ne' in condition) {
+    if (condition.$ne === null) return value !== null && value !== undefined;
+    return Array.isArray(value) ? !value.includes(condition.$ne) : value !== condition.$ne;
+  }
+  return value === condition;
+};
+
+const matches = (doc, filter) => Object.entries(filter).every(([key, condition]) => matchesValue(doc[key], condition));
+
+const copy = (doc) => (doc ? { ...doc } : null);
+
+const query = (result) => {
+  let rows = result;
+  const chain = {
+    select: () => chain,
+    sort: (order) => {
+      const [[field, direction]] = Object.entries(order);
+      rows = [...rows].sort((a, b) => (a[field] - b[field]) * direction);
+      return chain;
+    },
+    limit: (count) => {
+      rows = rows.slice(0, count);
+      return chain;
+    },
+    lean: () => Promise.resolve(Array.isArray(rows) ? rows.map(copy) : copy(rows)),
+    then: (resolve, reject) => chain.lean().then(resolve, reject)
+  };
+  return chain;
+};
+
+module.exports = ({ unique = [], defaults = {} } = {}) => {
+  const docs = [];
+  let nextId = 1;
+
+  const conflicts = (doc) => unique.some(fields => fields.every(field => doc[field] !== undefined && doc[field] !== null)
+    && docs.some(other => other !== doc && fields.every(field => other[field] === doc[field])));
+
+  const apply = (doc, update) => {
+    Object.assign(doc, update.$set);
+    Object.entries(update.$inc || {}).forEach(([key, amount]) => { doc[key] += amount; });
+  };
+
+  return {
+    docs,
+    clear: () => {
+      docs.length = 0;
+    },
+    create: async (fields) => {
+      const doc = { _id: `id-${nextId++}`, ...JSON.parse(JSON.stringify(defaults)), ...fields, createdAt: new Date() };
+      if (conflicts(doc)) {
+        throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+      }
+      docs.push(doc);
+      return copy(doc);
+    },
+    find: (filter) => query(docs.filter(doc => matches(doc, filter))),
+    findOne: (filter) => query(docs.find(doc => matches(doc, filter))),
+    findOneAndUpdate: (filter, update, options = {}) => {
+      const doc = docs.find(candidate => matches(candidate, filter));
+      const before = copy(doc);
+      if (doc) apply(doc, update);
+      return query(doc && options.new ? doc : before);
+    },
+    updateOne: async (filter, update) => {
+      const doc = docs.find(candidate => matches(candidate, filter));
+      if (doc) apply(doc, update);
+      return { modifiedCount: doc ? 1 : 0 };
+    },
+    updateMany: async (filter, update) => {
+      const matched = docs.filter(candidate => matches(candidate, filter));
+      matched.forEach(doc => apply(doc, update));
+      return { modifiedCount: matched.length };
+    }
+  };
+};
@@ -0,0 +1,12 @@
+// Sign for a vote as its sender, like the voting page does before reporting
+// on it: fetches a nonce from /api/elections/:id/votes/:txHash/nonce for the
+// action and returns the { nonce, signature } fields to send with the request.
+const request = require('supertest');
+
+module.exports = async (app, { electionId, txHash, action, signer }) => {
+  const { body } = await request(app)
+    .post(`/api/elections/${electionId}/votes/${txHash}/nonce`)
+    .send({ action })
+    .expect(200);
+  return { nonce: body.nonce, signature: await signer.signMessage(body.message) };
+};
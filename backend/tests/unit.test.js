@@ -1,27 +1,29 @@
 const request = require('supertest');
 const jwt = require('jsonwebtoken');
 
-// Mock ethers before importing modules that use it
-jest.mock('ethers', () => ({
-  JsonRpcProvider: jest.fn(() => ({
-    getBlockNumber: jest.fn(() => Promise.resolve(12345)),
-  })),
-  Contract: jest.fn(() => ({
-    getCandidates: jest.fn(() => Promise.resolve(['Modi', 'Gandhi', 'Kejriwal'])),
-    totalVotes: jest.fn(() => Promise.resolve(100)),
-    isElectionActive: jest.fn(() => Promise.resolve(true)),
-    timeLeft: jest.fn(() => Promise.resolve(3600)),
-    electionEndTime: jest.fn(() => Promise.resolve(Math.floor(Date.now() / 1000) + 3600)),
-    getVotesFor: jest.fn((index) => Promise.resolve([40, 35, 25][index] || 0)),
-    getVotePercentage: jest.fn((index) => Promise.resolve([40, 35, 25][index] || 0)),
-    getWinner: jest.fn(() => Promise.resolve(['Modi', 40])),
-    admin: jest.fn(() => Promise.resolve('0x1234567890123456789012345678901234567890')),
-    hasVoted: jest.fn(() => Promise.resolve(false)),
-    getVoterName: jest.fn(() => Promise.resolve('Test Voter'))
-  })),
-  verifyMessage: jest.fn(() => '0x1234567890123456789012345678901234567890'),
-  isAddress: jest.fn(() => true)
-}));
+// Admin sessions and the audit log live in memory; this suite runs without MongoDB
+jest.mock('../models/AuthSession', () => require('./setup/authSessionStore'));
+jest.mock('../models/AuditLogEntry', () => require('./setup/auditLogStore').entries);
+jest.mock('../models/AuditAnchor', () => require('./setup/auditLogStore').anchors);
+
+const localChain = require('../chain/localChain');
+const { contract } = require('../contract');
+const { createSession, signAccessToken } = require('../identity/sessions');
+
+// Votes seeded on the local chain: 4 for Modi, 3 for Gandhi, 3 for Kejriwal
+const SEEDED_VOTES = [0, 0, 0, 0, 1, 1, 1, 2, 2, 2];
+const VOTER_ADDRESS = localChain.accounts[1];
+
+beforeAll(async () => {
+  await localChain.ready;
+
+  for (const [index, candidateIndex] of SEEDED_VOTES.entries()) {
+    const voter = contract.connect(localChain.getAccount(index + 1));
+    await (await voter.vote(candidateIndex, `Test Voter ${index + 1}`)).wait();
+  }
+}, 60000);
+
+afterAll(() => localChain.stop());
 
 const app = require('../server');
 
@@ -64,7 +66,7 @@ describe('Avalanche Voting API', () => {
         .get('/api/results')
         .expect(200);
       
-      expect(response.body).toHaveProperty('totalVotes', 100);
+      expect(response.body).toHaveProperty('totalVotes', 10);
       expect(response.body).toHaveProperty('votes');
       expect(response.body.votes).toHaveLength(3);
       expect(response.body).toHaveProperty('winner');
@@ -77,7 +79,7 @@ describe('Avalanche Voting API', () => {
         .expect(200);
       
       expect(response.body).toHaveProperty('candidate', 'Modi');
-      expect(response.body).toHaveProperty('votes', 40);
+      expect(response.body).toHaveProperty('votes', 4);
       expect(response.body).toHaveProperty('percentage', 40);
       expect(response.body).toHaveProperty('narrative');
     });
@@ -107,18 +109,21 @@ describe('Avalanche Voting API', () => {
       const nonceResponse = await request(app)
         .post('/api/admin/nonce');
       
-      const { nonce } = nonceResponse.body;
+      const { nonce, message } = nonceResponse.body;
+      const signature = await localChain.getAccount(0).signMessage(message);
       
       const response = await request(app)
         .post('/api/admin/auth')
         .send({
-          address: '0x1234567890123456789012345678901234567890',
-          signature: 'mock-signature',
+          address: localChain.adminAddress,
+          signature,
           nonce: nonce
         })
         .expect(200);
       
       expect(response.body).toHaveProperty('token');
+      expect(response.body).toHaveProperty('refreshToken');
+      expect(response.body).toHaveProperty('expiresIn', 900);
       expect(response.body).toHaveProperty('address');
     });
     
@@ -126,17 +131,16 @@ describe('Avalanche Voting API', () => {
       const nonceResponse = await request(app)
         .post('/api/admin/nonce');
       
-      const { nonce } = nonceResponse.body;
+      const { nonce, message } = nonceResponse.body;
       
-      // Mock ethers.verifyMessage to return different address
-      const ethers = require('ethers');
-      ethers.verifyMessage.mockReturnValueOnce('0xdifferentaddress');
+      // Signed by a different account than the one claimed
+      const signature = await localChain.getAccount(1).signMessage(message);
       
       await request(app)
         .post('/api/admin/auth')
         .send({
-          address: '0x1234567890123456789012345678901234567890',
-          signature: 'invalid-signature',
+          address: localChain.adminAddress,
+          signature,
           nonce: nonce
         })
         .expect(401);
@@ -148,20 +152,24 @@ describe('Avalanche Voting API', () => {
     let adminToken;
     
     beforeAll(async () => {
-      // Create a valid admin token
-      adminToken = jwt.sign(
+      // Create a valid admin session and access token
+      const session = await createSession({
+        subjectType: 'wallet',
+        subject: localChain.adminAddress.toLowerCase(),
+        role: 'admin'
+      });
+      adminToken = signAccessToken(
         { 
-          address: '0x1234567890123456789012345678901234567890', 
+          address: localChain.adminAddress.toLowerCase(), 
           role: 'admin' 
         },
-        process.env.JWT_SECRET || 'avalanche-voting-secret-key-change-in-production',
-        { expiresIn: '1h' }
+        session.sessionId
       );
     });
     
-    test('GET /api/analytics should return analytics with valid token', async () => {
+    test('GET /api/admin/analytics should return analytics with valid token', async () => {
       const response = await request(app)
-        .get('/api/analytics')
+        .get('/api/admin/analytics')
         .set('Authorization', `Bearer ${adminToken}`)
         .expect(200);
       
@@ -171,28 +179,42 @@ describe('Avalanche Voting API', () => {
       expect(response.body).toHaveProperty('insights');
     });
     
-    test('GET /api/analytics should reject invalid token', async () => {
+    test('GET /api/admin/analytics should reject invalid token', async () => {
       await request(app)
-        .get('/api/analytics')
+        .get('/api/admin/analytics')
         .set('Authorization', 'Bearer invalid-token')
         .expect(401);
     });
     
-    test('GET /api/analytics should reject missing token', async () => {
+    test('GET /api/admin/analytics should reject tokens without an active session', async () => {
+      // Signed correctly, but not issued for a server-side session
+      const sessionless = jwt.sign(
+        { address: localChain.adminAddress.toLowerCase(), role: 'admin' },
+        process.env.JWT_SECRET || 'avalanche-voting-secret-key-change-in-production',
+        { expiresIn: '1h' }
+      );
+      
+      await request(app)
+        .get('/api/admin/analytics')
+        .set('Authorization', `Bearer ${sessionless}`)
+        .expect(401);
+    });
+    
+    test('GET /api/admin/analytics should reject missing token', async () => {
       await request(app)
-        .get('/api/analytics')
+        .get('/api/admin/analytics')
         .expect(401);
     });
     
     test('GET /api/admin/voter/:address should return voter info', async () => {
       const response = await request(app)
-        .get('/api/admin/voter/0x1234567890123456789012345678901234567890')
+        .get(`/api/admin/voter/${VOTER_ADDRESS}`)
         .set('Authorization', `Bearer ${adminToken}`)
         .expect(200);
       
       expect(response.body).toHaveProperty('address');
-      expect(response.body).toHaveProperty('name');
-      expect(response.body).toHaveProperty('hasVoted');
+      expect(response.body).toHaveProperty('name', 'Test Voter 1');
+      expect(response.body).toHaveProperty('hasVoted', true);
     });
     
     test('GET /api/admin/export should return CSV', async () => {
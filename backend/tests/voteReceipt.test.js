@@ -0,0 +1,83 @@
+const request = require('supertest');
+const express = require('express');
+const localChain = require('../chain/localChain');
+const { factoryContract, revotingContract, provider } = require('../contract');
+const { verifyVoteReceipt } = require('../receipts/voteReceipt');
+const electionRoutes = require('../routes/elections');
+
+const app = express();
+app.use(express.json());
+app.use('/api/elections', electionRoutes);
+
+// Create a factory election that opened a minute ago on the local chain
+const createElection = async (title, candidates) => {
+  const { timestamp } = await provider.getBlock('latest');
+  const factory = factoryContract.connect(localChain.getAccount(0));
+  await (await factory.createElection(title, `${title} description`, candidates, timestamp - 60, timestamp + 3600)).wait();
+  return Number(await factoryContract.electionCount()) - 1;
+};
+
+const sendVote = async (contract, accountIndex, electionId, candidateId) => {
+  const tx = await contract.connect(localChain.getAccount(accountIndex)).vote(electionId, candidateId);
+  await tx.wait();
+  return tx.hash;
+};
+
+beforeAll(() => localChain.ready, 60000);
+
+afterAll(() => localChain.stop());
+
+describe('Vote receipts', () => {
+
+  test('should confirm a factory vote is counted without naming the candidate', async () => {
+    const electionId = await createElection('Harbour Council', ['Ines', 'Joel']);
+    const txHash = await sendVote(factoryContract, 2, electionId, 1);
+
+    const response = await request(app)
+      .get(`/api/elections/${electionId}/receipts/${txHash}`)
+      .expect(200);
+
+    expect(response.body).toMatchObject({
+      status: 'counted',
+      verified: true,
+      electionId,
+      electionTitle: 'Harbour Council',
+      transactionHash: txHash,
+      contract: 'factory',
+      source: 'chain'
+    });
+    expect(response.body.blockNumber).toEqual(expect.any(Number));
+    expect(response.body.confirmations).toBeGreaterThanOrEqual(1);
+    expect(JSON.stringify(response.body)).not.toMatch(/candidate|Joel/i);
+  });
+
+  test('should not reveal whether a re-vote replaced the receipt', async () => {
+    const electionId = await createElection('Parks Board', ['Kim', 'Lee']);
+    await (await revotingContract.connect(localChain.getAccount(0)).startElection(electionId)).wait();
+
+    const first = await sendVote(revotingContract, 3, electionId, 0);
+    const second = await sendVote(revotingContract, 3, electionId, 1);
+
+    const [replaced, latest] = await Promise.all([
+      verifyVoteReceipt({ electionId, transactionHash: first }),
+      verifyVoteReceipt({ electionId, transactionHash: second })
+    ]);
+    expect(replaced).toMatchObject({ status: 'recorded', verified: true, contract: 'revoting' });
+    expect(latest).toMatchObject({ status: 'recorded', verified: true, contract: 'revoting' });
+  });
+
+  test('should reject receipts for another election or unknown transactions', async () => {
+    const electionId = await createElection('Water Board', ['Mia', 'Noor']);
+    const txHash = await sendVote(factoryContract, 4, electionId, 0);
+
+    expect(await verifyVoteReceipt({ electionId: electionId - 1, transactionHash: txHash }))
+      .toMatchObject({ status: 'mismatch', verified: false });
+    expect(await verifyVoteReceipt({ electionId, transactionHash: `0x${'ab'.repeat(32)}` }))
+      .toMatchObject({ status: 'not_found', verified: false });
+
+    await request(app)
+      .get(`/api/elections/${electionId}/receipts/0x1234`)
+      .expect(400);
+  });
+
+});
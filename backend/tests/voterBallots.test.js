@@ -0,0 +1,172 @@
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../models/AuthSession', () => require('./setup/authSessionStore'));
+jest.mock('../models/AuditLogEntry', () => require('./setup/auditLogStore').entries);
+jest.mock('../models/AuditAnchor', () => require('./setup/auditLogStore').anchors);
+
+// In-memory documents supporting the queries the settings and ballot code makes
+const mockCollection = () => {
+  const docs = [];
+  const matches = (doc, filter) => Object.entries(filter).every(([key, value]) => (doc[key] ?? null) === value);
+  const copy = (result) => (result ? JSON.parse(JSON.stringify(result)) : null);
+  const query = (result) => ({
+    lean: () => Promise.resolve(copy(result)),
+    select: () => query(result),
+    then: (resolve, reject) => Promise.resolve(copy(result)).then(resolve, reject)
+  });
+  return {
+    docs,
+    findOne: jest.fn((filter) => query(docs.find(doc => matches(doc, filter)))),
+    find: jest.fn((filter) => query(docs.filter(doc => matches(doc, filter)))),
+    findOneAndUpdate: jest.fn((filter, update) => {
+      let doc = docs.find(candidate => matches(candidate, filter));
+      if (!doc) {
+        doc = {};
+        docs.push(doc);
+      }
+      Object.assign(doc, filter, update);
+      return query(doc);
+    })
+  };
+};
+jest.mock('../models/ElectionSettings', () => mockCollection());
+jest.mock('../models/Ballot', () => mockCollection());
+
+const ElectionSettings = require('../models/ElectionSettings');
+const Ballot = require('../models/Ballot');
+const localChain = require('../chain/localChain');
+const { factoryContract, provider } = require('../contract');
+const { createSession, signAccessToken } = require('../identity/sessions');
+const { validateBallot, ballotMatchesVote } = require('../analytics/votingMethods');
+const electionRoutes = require('../routes/elections');
+const adminRoutes = require('../routes/admin');
+const signAsVoter = require('./setup/voteSender');
+
+const app = express();
+app.use(express.json());
+app.use('/api/elections', electionRoutes);
+app.use('/api/admin', adminRoutes);
+
+// Create a factory election opening `startsIn` seconds from now on the local chain
+const createElection = async (title, candidates, startsIn = -60) => {
+  const { timestamp } = await provider.getBlock('latest');
+  const factory = factoryContract.connect(localChain.getAccount(0));
+  await (await factory.createElection(title, `${title} description`, candidates, timestamp + startsIn, timestamp + startsIn + 3600)).wait();
+  return Number(await factoryContract.electionCount()) - 1;
+};
+
+const sendVote = async (accountIndex, electionId, candidateId) => {
+  const tx = await factoryContract.connect(localChain.getAccount(accountIndex)).vote(electionId, candidateId);
+  await tx.wait();
+  return tx.hash;
+};
+
+// Cast the ballot of a vote, signed by the account at `signerIndex`
+const castBallot = async (electionId, txHash, signerIndex, choices, status) => {
+  const proof = await signAsVoter(app, { electionId, txHash, action: 'ballot', signer: localChain.getAccount(signerIndex) });
+  return request(app).post(`/api/elections/${electionId}/votes/${txHash}/ballot`).send({ choices, ...proof }).expect(status);
+};
+
+const candidates = [{ id: 0 }, { id: 1 }, { id: 2 }];
+
+let token;
+beforeAll(async () => {
+  await localChain.ready;
+  const session = await createSession({ subjectType: 'wallet', subject: '0xadmin', role: 'admin' });
+  token = signAccessToken({ address: '0xadmin', role: 'admin' }, session.sessionId);
+}, 60000);
+
+afterAll(() => localChain.stop());
+
+describe('Ballot validation', () => {
+
+  test('should check ballots against each method', () => {
+    expect(validateBallot('plurality', candidates, 1)).toBeNull();
+    expect(validateBallot('plurality', candidates, [0, 1])).toMatch(/one candidate/);
+
+    expect(validateBallot('approval', candidates, [0, 2])).toBeNull();
+    expect(validateBallot('approval', candidates, [])).toMatch(/non-empty/);
+    expect(validateBallot('approval', candidates, [0, 7])).toBe('Unknown candidate ID: 7');
+
+    expect(validateBallot('borda', candidates, [2, 0, 1])).toBeNull();
+    expect(validateBallot('instant-runoff', candidates, [1, 1])).toMatch(/more than once/);
+
+    expect(validateBallot('score', candidates, { 0: 5, 2: 3 })).toBeNull();
+    expect(validateBallot('score', candidates, { 0: 6 })).toMatch(/0 to 5/);
+    expect(validateBallot('score', candidates, { 0: 9 }, { maxScore: 10 })).toBeNull();
+    expect(validateBallot('score', candidates, [0, 1])).toMatch(/map candidate IDs/);
+  });
+
+  test('should match an on-chain vote with the ballot\'s first choices', () => {
+    expect(ballotMatchesVote('instant-runoff', [2, 0], 2)).toBe(true);
+    expect(ballotMatchesVote('borda', [2, 0], 0)).toBe(false);
+    expect(ballotMatchesVote('approval', [0, 2], 2)).toBe(true);
+    expect(ballotMatchesVote('score', { 0: 3, 1: 5, 2: 5 }, 2)).toBe(true);
+    expect(ballotMatchesVote('score', { 0: 3, 1: 5 }, 0)).toBe(false);
+  });
+});
+
+describe('Voting method settings', () => {
+
+  test('should lock the voting method once the election starts', async () => {
+    const upcomingId = await createElection('Harbour Board', ['Ana', 'Ravi', 'Mei'], 3600);
+    const activeId = await createElection('Canal Board', ['Noor', 'Sam']);
+
+    const update = (electionId) => request(app)
+      .put(`/api/admin/elections/${electionId}/settings`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ votingMethod: 'approval' });
+
+    await update(upcomingId).expect(200);
+    const locked = await update(activeId).expect(409);
+    expect(locked.body.error).toMatch(/cannot change once the election has started/);
+  });
+
+  test('should not take ballots from admins', async () => {
+    const electionId = await createElection('Dock Board', ['Ana', 'Ravi', 'Mei'], 3600);
+    await request(app)
+      .post(`/api/admin/elections/${electionId}/ballots`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ ballots: [[0, 1], [2]] })
+      .expect(404);
+    expect(Ballot.docs.filter(ballot => ballot.electionId === electionId)).toHaveLength(0);
+  });
+});
+
+describe('Voter ballots', () => {
+
+  test('should store a signed ballot that agrees with the on-chain vote', async () => {
+    const electionId = await createElection('Bridge Board', ['Ana', 'Ravi', 'Mei']);
+    ElectionSettings.docs.push({ electionId, votingMethod: 'instant-runoff', methodOptions: {} });
+    const txHash = await sendVote(4, electionId, 1);
+
+    await request(app).post(`/api/elections/${electionId}/votes/${txHash}/ballot`).send({ choices: [1, 0] }).expect(401);
+    await castBallot(electionId, txHash, 5, [1, 0], 401);
+
+    const mismatch = await castBallot(electionId, txHash, 4, [0, 1], 400);
+    expect(mismatch.body.error).toMatch(/candidate of the on-chain vote first/);
+    await castBallot(electionId, txHash, 4, [1, 9], 400);
+
+    const response = await castBallot(electionId, txHash, 4, [1, 2], 201);
+    expect(response.body).toMatchObject({ electionId, transactionHash: txHash, votingMethod: 'instant-runoff', message: 'Ballot recorded' });
+    expect(Ballot.docs.find(ballot => ballot.txHash === txHash)).toMatchObject({
+      electionId,
+      voter: localChain.accounts[4].toLowerCase(),
+      choices: [1, 2]
+    });
+
+    await castBallot(electionId, txHash, 4, [1, 0], 409);
+
+    const results = await request(app).get(`/api/elections/${electionId}/results`).expect(200);
+    expect(results.body.methodResult).toMatchObject({ method: 'instant-runoff', validBallots: 1, winner: { name: 'Ravi' } });
+  });
+
+  test('should take no ballots for plurality elections', async () => {
+    const electionId = await createElection('Ferry Board', ['Noor', 'Sam']);
+    const txHash = await sendVote(6, electionId, 0);
+
+    const response = await castBallot(electionId, txHash, 6, [0], 400);
+    expect(response.body.error).toMatch(/tallied from on-chain votes/);
+  });
+});
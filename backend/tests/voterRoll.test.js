@@ -0,0 +1,237 @@
+const request = require('supertest');
+const express = require('express');
+const { ethers } = require('ethers');
+
+// Admin routes record to the audit log, kept in memory here
+jest.mock('../models/AuditLogEntry', () => require('./setup/auditLogStore').entries);
+jest.mock('../models/AuditAnchor', () => require('./setup/auditLogStore').anchors);
+
+jest.mock('../contract', () => ({
+  contract: {},
+  retryContractCall: (contractMethod) => contractMethod(),
+  electionClient: {
+    hasVoted: jest.fn((electionId, address) => Promise.resolve(address === '0x3333333333333333333333333333333333333333'))
+  }
+}));
+
+jest.mock('../indexer/reader', () => ({
+  readElection: jest.fn((electionId) => Promise.resolve(electionId === 0 ? { id: 0, candidates: [] } : null))
+}));
+
+// Govt ID authentication and permission checks are covered by auth.test.js
+// and permissions.test.js
+jest.mock('../middleware/auth', () => ({
+  requirePermission: () => (req, res, next) => {
+    req.user = { _id: 'roll-admin', name: 'Roll Admin', govtIDLast4: '0001', role: 'admin' };
+    next();
+  }
+}));
+
+jest.mock('../models/VoterRollEntry', () => ({
+  countDocuments: jest.fn(() => Promise.resolve(0)),
+  findOneAndUpdate: jest.fn(() => Promise.resolve(null)),
+  exists: jest.fn(() => Promise.resolve(null)),
+  find: jest.fn(() => ({ select: () => ({ lean: () => Promise.resolve([]) }) })),
+  bulkWrite: jest.fn((ops) => Promise.resolve({ upsertedCount: ops.length - 1 })),
+  deleteMany: jest.fn(() => Promise.resolve({}))
+}));
+
+jest.mock('../models/VoteEvent', () => ({
+  distinct: jest.fn(() => Promise.resolve([]))
+}));
+
+const VoterRollEntry = require('../models/VoterRollEntry');
+const VoteEvent = require('../models/VoteEvent');
+const { issueNonce } = require('../identity/walletNonces');
+const { hashGovtId } = require('../identity/govtIdVault');
+const { validateGovtId } = require('../validation/generated/govtIdValidator');
+const { parseRollCsv, rollBindingMessage, verifyRollSignature, checkEligibility, buildRollReport } = require('../rolls/voterRoll');
+const govtAdminRoutes = require('../routes/govtAdmin');
+
+const app = express();
+app.use(express.json());
+app.use('/api/govt-admin', govtAdminRoutes);
+
+const WALLET_A = '0x1111111111111111111111111111111111111111';
+const WALLET_B = '0x2222222222222222222222222222222222222222';
+const WALLET_C = '0x3333333333333333333333333333333333333333';
+
+const rollId = (govtID) => ({ govtIDHash: hashGovtId(govtID), govtIDLast4: govtID.slice(-4) });
+
+describe('Voter rolls', () => {
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('parseRollCsv', () => {
+
+    test('should read single-column rolls of IDs and addresses', () => {
+      const { entries, invalid } = parseRollCsv(`ABCD12345\n${WALLET_A.toUpperCase().replace('0X', '0x')}\n\n# comment\nvid 998877`);
+
+      expect(invalid).toEqual([]);
+      expect(entries).toEqual([
+        { kind: 'govtID', ...rollId('ABCD12345'), boundAddress: undefined },
+        { kind: 'address', value: WALLET_A },
+        { kind: 'govtID', ...rollId('VID998877'), boundAddress: undefined }
+      ]);
+    });
+
+    test('should use header columns and bind IDs to listed wallets', () => {
+      const { entries } = parseRollCsv(`name,govtID,address\n"Rao, Asha",ABCD12345,${WALLET_A}\nRavi,,${WALLET_B}`);
+
+      expect(entries).toEqual([
+        { kind: 'govtID', ...rollId('ABCD12345'), boundAddress: WALLET_A },
+        { kind: 'address', value: WALLET_B }
+      ]);
+    });
+
+    test('should hash hyphenated and spaced IDs as a registered user\'s ID', () => {
+      const user = validateGovtId('voter', 'abc-123 4567');
+      const { entries, duplicates } = parseRollCsv('ABC-1234567\nabc 123 4567\nABC1234567');
+
+      expect(entries).toEqual([{ kind: 'govtID', govtIDHash: hashGovtId(user.value), govtIDLast4: '4567', boundAddress: undefined }]);
+      expect(duplicates.map(row => row.line)).toEqual([2, 3]);
+    });
+
+    test('should report invalid rows and de-duplicate entries', () => {
+      const { entries, invalid, duplicates } = parseRollCsv(`abcd12345\nABCD 12345\n0x1234\nab!\n${WALLET_A}\n${WALLET_A}`);
+
+      expect(entries.map(entry => entry.govtIDHash || entry.value)).toEqual([hashGovtId('ABCD12345'), WALLET_A]);
+      expect(JSON.stringify(entries)).not.toContain('ABCD12345');
+      expect(duplicates).toEqual([{ line: 2, value: 'XXXX-XXXX-2345' }, { line: 6, value: WALLET_A }]);
+      expect(invalid.map(row => row.line)).toEqual([3, 4]);
+    });
+  });
+
+  describe('checkEligibility', () => {
+
+    test('should let everyone vote when the election has no roll', async () => {
+      expect(await checkEligibility(0, { govtID: 'ABCD12345', address: WALLET_A }))
+        .toEqual({ eligible: true, rollRequired: false });
+    });
+
+    test('should bind a government ID to the first wallet that uses it', async () => {
+      VoterRollEntry.countDocuments.mockResolvedValueOnce(2);
+      VoterRollEntry.findOneAndUpdate.mockResolvedValueOnce(rollId('ABCD12345'));
+
+      const result = await checkEligibility(0, { govtID: 'abcd 12345', address: WALLET_A });
+
+      expect(result).toMatchObject({ eligible: true, matchedBy: 'govtID' });
+      const [filter, update] = VoterRollEntry.findOneAndUpdate.mock.calls[0];
+      expect(filter).toMatchObject({ electionId: 0, kind: 'govtID', govtIDHash: hashGovtId('ABCD12345') });
+      expect(update).toEqual({ $set: { boundAddress: WALLET_A } });
+    });
+
+    test('should look up a hyphenated ID by the user\'s canonical hash', async () => {
+      VoterRollEntry.countDocuments.mockResolvedValueOnce(1);
+      VoterRollEntry.findOneAndUpdate.mockResolvedValueOnce(rollId('ABC1234567'));
+
+      expect(await checkEligibility(0, { govtID: 'ABC-123-4567', address: WALLET_A })).toMatchObject({ eligible: true });
+      expect(VoterRollEntry.findOneAndUpdate.mock.calls[0][0])
+        .toMatchObject({ govtIDHash: hashGovtId(validateGovtId('voter', 'ABC1234567').value) });
+    });
+
+    test('should refuse IDs bound to another wallet and voters not on the roll', async () => {
+      VoterRollEntry.countDocuments.mockResolvedValue(2);
+      VoterRollEntry.exists.mockResolvedValueOnce({ _id: 'entry' });
+
+      expect(await checkEligibility(0, { govtID: 'ABCD12345', address: WALLET_B }))
+        .toMatchObject({ eligible: false, reason: 'This government ID is linked to another wallet' });
+      expect(await checkEligibility(0, { govtID: 'ZZZZ99999', address: WALLET_B }))
+        .toMatchObject({ eligible: false, reason: 'You are not on the voter roll for this election' });
+      expect(await checkEligibility(0, { govtID: 'ABCD12345' }))
+        .toMatchObject({ eligible: false, reason: 'A connected wallet address is required' });
+
+      VoterRollEntry.countDocuments.mockResolvedValue(0);
+    });
+  });
+
+  describe('verifyRollSignature', () => {
+    const wallet = ethers.Wallet.createRandom();
+    const address = wallet.address.toLowerCase();
+
+    const signedProof = async (electionId = 0) => {
+      const { nonce } = issueNonce('roll-binding', `${electionId}:${address}`);
+      return { address: wallet.address, nonce, signature: await wallet.signMessage(rollBindingMessage(electionId, address, nonce)) };
+    };
+
+    test('should accept a signed nonce from the wallet once', async () => {
+      const proof = await signedProof();
+      expect(verifyRollSignature(0, proof)).toEqual({ address });
+      expect(verifyRollSignature(0, proof)).toMatchObject({ error: 'Nonce already used', status: 400 });
+    });
+
+    test('should refuse missing, foreign and misdirected signatures', async () => {
+      expect(verifyRollSignature(0, { address })).toMatchObject({ status: 401 });
+
+      const proof = await signedProof();
+      expect(verifyRollSignature(0, { ...proof, signature: await ethers.Wallet.createRandom().signMessage('x') }))
+        .toMatchObject({ error: 'Invalid signature', status: 401 });
+
+      // A nonce issued for another election does not redeem here
+      expect(verifyRollSignature(0, await signedProof(1))).toMatchObject({ error: 'Invalid nonce' });
+    });
+  });
+
+  test('PUT /api/govt-admin/elections/:id/roll/binding should rebind or unbind an ID', async () => {
+    VoterRollEntry.findOneAndUpdate.mockResolvedValueOnce({ ...rollId('ABCD12345'), boundAddress: WALLET_B });
+    const bound = await request(app)
+      .put('/api/govt-admin/elections/0/roll/binding')
+      .send({ govtID: 'abcd 12345', address: WALLET_B })
+      .expect(200);
+    expect(bound.body.boundAddress).toBe(WALLET_B);
+    expect(VoterRollEntry.findOneAndUpdate.mock.calls[0][1]).toEqual({ $set: { boundAddress: WALLET_B } });
+
+    VoterRollEntry.findOneAndUpdate.mockResolvedValueOnce(rollId('ABCD12345'));
+    const unbound = await request(app).put('/api/govt-admin/elections/0/roll/binding').send({ govtID: 'ABCD12345' }).expect(200);
+    expect(unbound.body.boundAddress).toBeNull();
+    expect(VoterRollEntry.findOneAndUpdate.mock.calls[1][1]).toEqual({ $unset: { boundAddress: 1 } });
+
+    await request(app).put('/api/govt-admin/elections/0/roll/binding').send({ govtID: 'ZZZZ99999' }).expect(404);
+    await request(app).put('/api/govt-admin/elections/0/roll/binding').send({ govtID: 'ABCD12345', address: '0x12' }).expect(400);
+  });
+
+  test('should report enrolled, voted and not-voted counts', async () => {
+    VoterRollEntry.find.mockReturnValueOnce({
+      select: () => ({
+        lean: () => Promise.resolve([
+          { kind: 'govtID', ...rollId('ABCD12345'), boundAddress: WALLET_A },
+          { kind: 'govtID', ...rollId('EFGH67890') },
+          { kind: 'address', value: WALLET_B },
+          { kind: 'address', value: WALLET_C }
+        ])
+      })
+    });
+    VoteEvent.distinct.mockResolvedValueOnce([WALLET_A, '0x4444444444444444444444444444444444444444']);
+
+    expect(await buildRollReport(0)).toEqual({
+      electionId: 0,
+      enrolled: 4,
+      voted: 2,
+      notVoted: 2,
+      byKind: { govtID: 2, address: 2 },
+      unboundGovtIDs: 1,
+      unenrolledVoters: 1
+    });
+  });
+
+  test('POST /api/govt-admin/elections/:id/roll should import a CSV roll', async () => {
+    const response = await request(app)
+      .post('/api/govt-admin/elections/0/roll')
+      .send({ csv: `ABCD12345\n${WALLET_A}\nbad!\nABCD12345`, replace: true })
+      .expect(200);
+
+    expect(VoterRollEntry.deleteMany).toHaveBeenCalledWith({ electionId: 0 });
+    expect(VoterRollEntry.bulkWrite.mock.calls[0][0]).toHaveLength(2);
+    expect(response.body).toMatchObject({
+      imported: 1,
+      alreadyEnrolled: 1,
+      duplicates: 1,
+      invalidCount: 1
+    });
+
+    await request(app).post('/api/govt-admin/elections/4/roll').send({ csv: 'ABCD12345' }).expect(404);
+    await request(app).post('/api/govt-admin/elections/0/roll').send({}).expect(400);
+  });
+});
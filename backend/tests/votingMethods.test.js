@@ -0,0 +1,104 @@
+const {
+  DEFAULT_VOTING_METHOD,
+  registerVotingMethod,
+  getVotingMethod,
+  listVotingMethods,
+  tallyBallots,
+  tallyOnChainVotes
+} = require('../analytics/votingMethods');
+const fixtures = require('./fixtures/ballots.json');
+
+const { candidates } = fixtures;
+
+// Map results to { name: score } for compact assertions
+const scoresByName = (result) =>
+  Object.fromEntries(result.results.map(({ name, score }) => [name, score]));
+
+describe('Voting methods', () => {
+
+  test('plurality counts one vote per ballot and ignores unknown candidates', () => {
+    const result = tallyBallots('plurality', candidates, fixtures.plurality);
+
+    expect(scoresByName(result)).toEqual({ Alice: 3, Bob: 2, Carol: 1 });
+    expect(result.totalBallots).toBe(7);
+    expect(result.validBallots).toBe(6);
+    expect(result.winner).toMatchObject({ name: 'Alice', score: 3, tied: false });
+    expect(result.margin).toEqual({ value: 1, percentage: 16.7 });
+  });
+
+  test('approval counts each approved candidate once per ballot', () => {
+    const result = tallyBallots('approval', candidates, fixtures.approval);
+
+    expect(scoresByName(result)).toEqual({ Alice: 2, Bob: 4, Carol: 2 });
+    expect(result.validBallots).toBe(5);
+    expect(result.winner).toMatchObject({ name: 'Bob', score: 4 });
+    expect(result.margin).toEqual({ value: 2, percentage: 40 });
+  });
+
+  test('score sums in-range scores up to maxScore', () => {
+    const result = tallyBallots('score', candidates, fixtures.score);
+
+    expect(scoresByName(result)).toEqual({ Alice: 10, Bob: 13, Carol: 7 });
+    expect(result.winner).toMatchObject({ name: 'Bob', score: 13 });
+    expect(result.margin).toEqual({ value: 3, percentage: 15 });
+
+    const wideRange = tallyBallots('score', candidates, fixtures.score, { maxScore: 10 });
+    expect(scoresByName(wideRange).Alice).toBe(19);
+  });
+
+  test('borda awards n-1 points for a first preference down to 0', () => {
+    const result = tallyBallots('borda', candidates, fixtures.borda);
+
+    expect(scoresByName(result)).toEqual({ Alice: 5, Bob: 6, Carol: 4 });
+    expect(result.winner).toMatchObject({ name: 'Bob', score: 6 });
+    expect(result.margin).toEqual({ value: 1, percentage: 10 });
+  });
+
+  test('ties are reported and ordered by the lowest candidate ID', () => {
+    const result = tallyBallots('approval', candidates, [[1], [0]]);
+
+    expect(result.winner).toMatchObject({ candidateId: 0, name: 'Alice', tied: true });
+    expect(result.margin.value).toBe(0);
+  });
+
+  test('no winner is reported without valid ballots', () => {
+    const result = tallyBallots('borda', candidates, []);
+
+    expect(result.winner).toBeNull();
+    expect(result.margin).toEqual({ value: 0, percentage: 0 });
+  });
+
+  test('on-chain plurality counts rank candidates by votes', () => {
+    const result = tallyOnChainVotes([
+      { id: 0, name: 'Alice', votes: 2 },
+      { id: 1, name: 'Bob', votes: 6 }
+    ]);
+
+    expect(result.method).toBe(DEFAULT_VOTING_METHOD);
+    expect(result.winner).toMatchObject({ name: 'Bob', score: 6 });
+    expect(result.margin).toEqual({ value: 4, percentage: 50 });
+  });
+
+  test('registry lists built-in methods and accepts new strategies', () => {
+    expect(listVotingMethods().map(m => m.name)).toEqual(
+      ['plurality', 'approval', 'score', 'borda', 'instant-runoff']
+    );
+    expect(() => tallyBallots('condorcet', candidates, [])).toThrow('Unknown voting method');
+    expect(() => registerVotingMethod('broken', {})).toThrow('must provide a tally function');
+
+    registerVotingMethod('last-wins', {
+      label: 'Last Wins',
+      unit: 'votes',
+      ballotFormat: 'candidateId',
+      tally: (candidateIds, ballots) => ({
+        scores: new Map([[candidateIds[candidateIds.length - 1], ballots.length]]),
+        validBallots: ballots.length,
+        marginBase: ballots.length
+      })
+    });
+
+    expect(getVotingMethod('last-wins')).not.toBeNull();
+    expect(tallyBallots('last-wins', candidates, [0, 1]).winner).toMatchObject({ name: 'Carol', score: 2 });
+  });
+
+});
@@ -0,0 +1,234 @@
+const request = require('supertest');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { ethers } = require('ethers');
+
+process.env.SUPABASE_URL = 'https://project.supabase.test';
+process.env.SUPABASE_SERVICE_ROLE_KEY = 'service-role-key';
+process.env.SUPABASE_JWT_SECRET = 'supabase-jwt-secret';
+
+jest.mock('../models/AuthSession', () => require('./setup/authSessionStore'));
+jest.mock('../models/AuditLogEntry', () => require('./setup/auditLogStore').entries);
+jest.mock('../models/AuditAnchor', () => require('./setup/auditLogStore').anchors);
+
+// Users kept in memory; each filter is an equality match
+jest.mock('../models/User', () => {
+  const users = [];
+  const matches = (user, filter) => Object.entries(filter).every(([key, value]) => user[key] === value);
+  const track = (fields) => {
+    const user = { _id: `user-${users.length + 1}`, ...fields };
+    user.save = jest.fn(() => Promise.resolve(user));
+    users.push(user);
+    return user;
+  };
+  return {
+    users,
+    track,
+    findById: jest.fn((id) => Promise.resolve(users.find(user => user._id === String(id)) || null)),
+    findOne: jest.fn((filter) => Promise.resolve(users.find(user => matches(user, filter)) || null)),
+    create: jest.fn((fields) => Promise.resolve(track(fields)))
+  };
+});
+
+// No election roles: the lookup is down to account roles
+jest.mock('../models/RoleAssignment', () => ({
+  find: jest.fn(() => ({ lean: () => Promise.resolve([]) }))
+}));
+
+// PostgREST calls are replaced; token checks use the real module
+jest.mock('../identity/supabaseProfiles', () => ({
+  ...jest.requireActual('../identity/supabaseProfiles'),
+  getProfile: jest.fn(() => Promise.resolve(null)),
+  findProfilesWithWallet: jest.fn(() => Promise.resolve([])),
+  setProfileWallet: jest.fn(() => Promise.resolve([]))
+}));
+
+// Login codes are covered by otp.test.js
+jest.mock('../otp/otpService', () => ({
+  OTP_TTL_SECONDS: 300,
+  issueOtp: jest.fn(() => Promise.resolve({ challengeId: 'challenge-1', deliveredVia: 'email', destination: 'm***@example.com' })),
+  verifyOtp: jest.fn(() => Promise.resolve({ error: 'Incorrect verification code', status: 401 }))
+}));
+
+const User = require('../models/User');
+const otpService = require('../otp/otpService');
+const supabaseProfiles = require('../identity/supabaseProfiles');
+const sessionStore = require('./setup/authSessionStore');
+const { createSession, signAccessToken } = require('../identity/sessions');
+const { protectGovtId } = require('../identity/govtIdVault');
+const { isBackedByLink } = require('../scripts/reconcileIdentities');
+const identityRoutes = require('../routes/identity');
+
+const app = express();
+app.use(express.json());
+app.use('/api/identity', identityRoutes);
+
+// Government ID user with a live session, as /api/auth/login/verify leaves them
+const govtIdUser = async (name, govtID, role = 'voter') => {
+  const user = User.track({ name, ...protectGovtId(govtID), idType: 'voter', role });
+  const session = await createSession({ subjectType: 'govtID', subject: user._id, role });
+  user.token = signAccessToken({ userId: user._id, role, authType: 'govtID' }, session.sessionId);
+  return user;
+};
+
+const supabaseToken = (sub, secret = process.env.SUPABASE_JWT_SECRET) => (
+  jwt.sign({ sub, aud: 'authenticated', role: 'authenticated' }, secret)
+);
+
+const getNonce = (token) => request(app)
+  .post('/api/identity/wallet/nonce')
+  .set('Authorization', `Bearer ${token}`);
+
+const link = (token, body) => request(app)
+  .post('/api/identity/wallet/link')
+  .set('Authorization', `Bearer ${token}`)
+  .send(body);
+
+const govtIdStep = (step, token, body) => request(app)
+  .post(`/api/identity/govt-id/${step}`)
+  .set('Authorization', `Bearer ${token}`)
+  .send(body);
+
+// Nonce, signature and link request in one go
+const linkWith = async (token, wallet) => {
+  const { body: { nonce, message } } = await getNonce(token).expect(200);
+  return link(token, { address: wallet.address, signature: await wallet.signMessage(message), nonce });
+};
+
+describe('Wallet linking', () => {
+
+  beforeEach(() => {
+    User.users.length = 0;
+    sessionStore.clear();
+    jest.clearAllMocks();
+  });
+
+  test('should link the wallet that signed the nonce and mirror it to the Supabase profile', async () => {
+    const voter = await govtIdUser('Asha Rao', 'VOT1234567');
+    voter.supabaseUserId = 'sb-1';
+    const admin = await govtIdUser('Roll Admin', 'ADM0000001', 'admin');
+    const wallet = ethers.Wallet.createRandom();
+    const address = wallet.address.toLowerCase();
+    supabaseProfiles.getProfile.mockResolvedValue({ id: 'sb-1', wallet_address: null });
+
+    const response = await linkWith(voter.token, wallet);
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ walletAddress: address, profileSynced: true });
+    expect(response.body.identity.govtID).toBe('XXXX-XXXX-4567');
+    expect(voter).toMatchObject({ walletAddress: address, supabaseUserId: 'sb-1' });
+    expect(supabaseProfiles.setProfileWallet).toHaveBeenCalledWith('sb-1', address);
+
+    supabaseProfiles.getProfile.mockResolvedValue({ id: 'sb-1', is_verified: false, wallet_address: address });
+    const lookup = await request(app)
+      .get(`/api/identity/address/${wallet.address}`)
+      .set('Authorization', `Bearer ${admin.token}`)
+      .expect(200);
+
+    expect(lookup.body.identity).toMatchObject({ name: 'Asha Rao', govtID: 'XXXX-XXXX-4567', supabaseUserId: 'sb-1' });
+    expect(lookup.body.profile).toEqual({ id: 'sb-1', isVerified: false, walletAddress: address });
+    expect(JSON.stringify(lookup.body)).not.toContain('VOT1234567');
+
+    await request(app)
+      .get(`/api/identity/address/${ethers.Wallet.createRandom().address}`)
+      .set('Authorization', `Bearer ${admin.token}`)
+      .expect(404);
+    await request(app)
+      .get(`/api/identity/address/${wallet.address}`)
+      .set('Authorization', `Bearer ${voter.token}`)
+      .expect(403);
+  });
+
+  test('should refuse other wallets\' signatures and nonces issued to someone else or already used', async () => {
+    const voter = await govtIdUser('Asha Rao', 'VOT1234567');
+    const other = await govtIdUser('Ravi Kumar', 'VOT7654321');
+    const wallet = ethers.Wallet.createRandom();
+    const { body: { nonce, message } } = await getNonce(voter.token).expect(200);
+    const signature = await wallet.signMessage(message);
+
+    expect(message).toContain(voter._id);
+    await link(other.token, { address: wallet.address, signature, nonce }).expect(400, { error: 'Invalid nonce' });
+
+    const forged = await ethers.Wallet.createRandom().signMessage(message);
+    await link(voter.token, { address: wallet.address, signature: forged, nonce }).expect(401);
+    await link(voter.token, { address: wallet.address, signature, nonce }).expect(400, { error: 'Nonce already used' });
+
+    expect(voter.walletAddress).toBeUndefined();
+    expect(supabaseProfiles.setProfileWallet).not.toHaveBeenCalled();
+  });
+
+  test('should not link a wallet that belongs to another identity', async () => {
+    const voter = await govtIdUser('Asha Rao', 'VOT1234567');
+    const wallet = ethers.Wallet.createRandom();
+    User.track({ name: 'Ravi Kumar', walletAddress: wallet.address.toLowerCase() });
+
+    const response = await linkWith(voter.token, wallet);
+
+    expect(response.status).toBe(409);
+    expect(voter.walletAddress).toBeUndefined();
+  });
+
+  test('should link a Supabase sign-in only once a login code proves its Government ID', async () => {
+    const voter = await govtIdUser('Meera Iyer', 'VOT2468135');
+    const wallet = ethers.Wallet.createRandom();
+    const address = wallet.address.toLowerCase();
+    const token = supabaseToken('sb-2');
+    // The profile claims the voter's ID, which proves nothing
+    supabaseProfiles.getProfile.mockResolvedValue({ id: 'sb-2', full_name: 'Meera Iyer', voter_id: 'VOT2468135', wallet_address: null });
+
+    const refused = await getNonce(token).expect(403);
+    expect(refused.body.code).toBe('GOVT_ID_UNVERIFIED');
+    expect(voter.supabaseUserId).toBeUndefined();
+
+    await govtIdStep('code', token, { govtID: 'VOT0000000', idType: 'voter' }).expect(404);
+    const sent = await govtIdStep('code', token, { govtID: 'VOT2468135', idType: 'voter' }).expect(200);
+    expect(sent.body).toMatchObject({ challengeId: 'challenge-1', destination: 'm***@example.com' });
+    expect(otpService.issueOtp).toHaveBeenCalledWith(voter);
+
+    await govtIdStep('verify', token, { challengeId: 'challenge-1', code: '000000' }).expect(401);
+    expect(voter.supabaseUserId).toBeUndefined();
+
+    otpService.verifyOtp.mockResolvedValueOnce({ userId: voter._id, deliveredVia: 'email' });
+    const verified = await govtIdStep('verify', token, { challengeId: 'challenge-1', code: '123456' }).expect(200);
+    expect(verified.body.identity).toMatchObject({ name: 'Meera Iyer', supabaseUserId: 'sb-2' });
+
+    const response = await linkWith(token, wallet);
+    expect(response.status).toBe(200);
+    expect(voter.walletAddress).toBe(address);
+    expect(User.create).not.toHaveBeenCalled();
+    expect(supabaseProfiles.setProfileWallet).toHaveBeenCalledWith('sb-2', address);
+
+    // Another account cannot take over the proven ID
+    otpService.verifyOtp.mockResolvedValueOnce({ userId: voter._id, deliveredVia: 'email' });
+    await govtIdStep('verify', supabaseToken('sb-9'), { challengeId: 'challenge-2', code: '654321' }).expect(409);
+    expect(voter.supabaseUserId).toBe('sb-2');
+
+    // Unlinking clears both stores
+    supabaseProfiles.getProfile.mockResolvedValue({ id: 'sb-2', wallet_address: address });
+    await request(app)
+      .delete('/api/identity/wallet')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+    expect(voter.walletAddress).toBeUndefined();
+    expect(supabaseProfiles.setProfileWallet).toHaveBeenLastCalledWith('sb-2', null);
+  });
+
+  test('should reject Supabase sign-ins with a bad signature and code requests without one', async () => {
+    const voter = await govtIdUser('Asha Rao', 'VOT1234567');
+
+    await getNonce(supabaseToken('sb-3', 'wrong-secret')).expect(401);
+    await govtIdStep('code', supabaseToken('sb-3', 'wrong-secret'), { govtID: 'VOT1234567', idType: 'voter' }).expect(401);
+    await govtIdStep('code', voter.token, { govtID: 'VOT1234567', idType: 'voter' }).expect(401);
+    await govtIdStep('code', supabaseToken('sb-3'), { govtID: 'not-an-id', idType: 'voter' }).expect(400);
+    expect(otpService.issueOtp).not.toHaveBeenCalled();
+  });
+
+  test('should only keep profile addresses that a wallet link backs', () => {
+    const profile = { id: 'sb-1', wallet_address: '0xabc' };
+
+    expect(isBackedByLink(profile, null)).toBe(false);
+    expect(isBackedByLink(profile, { supabaseUserId: 'sb-9' })).toBe(false);
+    expect(isBackedByLink(profile, { supabaseUserId: 'sb-1' })).toBe(true);
+    expect(isBackedByLink(profile, {})).toBe(false);
+  });
+});
@@ -9,6 +9,8 @@ import Landing from "./pages/Landing";
 import Auth from "./pages/Auth";
 import NewVote from "./pages/NewVote";
 import NewAdmin from "./pages/NewAdmin";
+import Verify from "./pages/Verify";
+import Notifications from "./pages/Notifications";
 import NotFound from "./pages/NotFound";
 import VoiceAssistant from "./components/VoiceAssistant";
 
@@ -26,6 +28,8 @@ const App = () => (
             <Route path="/auth" element={<Auth />} />
             <Route path="/vote" element={<NewVote />} />
             <Route path="/admin" element={<NewAdmin />} />
+            <Route path="/verify" element={<Verify />} />
+            <Route path="/notifications" element={<Notifications />} />
             {/* ADD ALL CUSTOM ROUTES ABOVE THE CATCH-ALL "*" ROUTE */}
             <Route path="*" element={<NotFound />} />
           </Routes>
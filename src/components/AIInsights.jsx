@@ -11,7 +11,7 @@ import {
 import { useTranslation } from 'react-i18next';
 import { useSpeech } from '@/hooks/useSpeech';
 
-const AIInsights = ({ election, candidates, winner }) => {
+const AIInsights = ({ election, candidates, winner, methodResult }) => {
   const { t } = useTranslation();
   const { toast } = useToast();
   const { speak } = useSpeech();
@@ -20,7 +20,11 @@ const AIInsights = ({ election, candidates, winner }) => {
 
   useEffect(() => {
     generateInsights();
-  }, [election, candidates]);
+  }, [election, candidates, methodResult]);
+
+  // Elections using a non-plurality voting method are ranked by the backend
+  // tally (points or approvals) rather than by on-chain vote counts
+  const usesVotingMethod = methodResult && methodResult.method !== 'plurality';
 
   const generateInsights = async () => {
     setIsGenerating(true);
@@ -28,8 +32,12 @@ const AIInsights = ({ election, candidates, winner }) => {
     // Simulate AI processing time
     await new Promise(resolve => setTimeout(resolve, 1500));
     
-    const totalVotes = election.totalVotes;
-    const sortedCandidates = [...candidates].sort((a, b) => b.votes - a.votes);
+    const rankedCandidates = usesVotingMethod
+      ? methodResult.results.map(result => ({ name: result.name, votes: result.score }))
+      : candidates;
+    const totalVotes = usesVotingMethod ? methodResult.validBallots : election.totalVotes;
+    const totalScore = rankedCandidates.reduce((sum, c) => sum + c.votes, 0);
+    const sortedCandidates = [...rankedCandidates].sort((a, b) => b.votes - a.votes);
     const leader = sortedCandidates[0];
     const runner = sortedCandidates[1];
     
@@ -68,7 +76,9 @@ const AIInsights = ({ election, candidates, winner }) => {
     // Competition Analysis
     if (totalVotes > 0 && sortedCandidates.length >= 2) {
       const leadMargin = leader.votes - runner.votes;
-      const leadPercentage = (leadMargin / totalVotes) * 100;
+      const leadPercentage = usesVotingMethod
+        ? methodResult.margin.percentage
+        : (leadMargin / totalVotes) * 100;
       
       if (leadPercentage > 20) {
         generatedInsights.push({
@@ -99,7 +109,7 @@ const AIInsights = ({ election, candidates, winner }) => {
 
     // Voting Pattern Analysis
     if (totalVotes > 0) {
-      const voteDistribution = candidates.map(c => (c.votes / totalVotes) * 100);
+      const voteDistribution = rankedCandidates.map(c => totalScore > 0 ? (c.votes / totalScore) * 100 : 0);
       const maxVote = Math.max(...voteDistribution);
       const minVote = Math.min(...voteDistribution);
       const spread = maxVote - minVote;
@@ -186,6 +196,9 @@ const AIInsights = ({ election, candidates, winner }) => {
         <div className="flex items-center gap-2">
           <Brain className="w-6 h-6 text-primary" />
           <h3 className="text-2xl font-semibold">{t('ai.insights')}</h3>
+          {usesVotingMethod && (
+            <Badge variant="outline">{methodResult.label}</Badge>
+          )}
         </div>
         <div className="flex gap-2">
           <Button
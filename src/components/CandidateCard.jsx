@@ -0,0 +1,69 @@
+import { Card } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { AlertTriangle, User } from 'lucide-react';
+import { useTranslation } from 'react-i18next';
+
+// Candidate card with the off-chain profile when one exists. Profiles whose
+// content hash does not match are not shown; only the on-chain name is.
+const CandidateCard = ({ candidate, profile, children }) => {
+  const { t, i18n } = useTranslation();
+
+  const verifiedProfile = profile && profile.verified ? profile : null;
+  const localized = (texts) => texts && (texts[i18n.language] || texts.en);
+  const displayName = (verifiedProfile && localized(verifiedProfile.names)) || candidate.name;
+  const manifesto = verifiedProfile && localized(verifiedProfile.manifesto);
+
+  return (
+    <Card className="p-6 border-primary/20 hover:border-primary/50 transition-colors">
+      <div className="flex items-start gap-4 mb-4">
+        {verifiedProfile?.photoUrl ? (
+          <img
+            src={verifiedProfile.photoUrl}
+            alt={displayName}
+            className="w-16 h-16 rounded-full object-cover border border-primary/30"
+          />
+        ) : (
+          <div className="w-16 h-16 rounded-full bg-muted flex items-center justify-center">
+            <User className="w-8 h-8 text-muted-foreground" />
+          </div>
+        )}
+        <div className="flex-1 min-w-0">
+          <h3 className="text-xl font-semibold">{displayName}</h3>
+          {displayName !== candidate.name && (
+            <p className="text-sm text-muted-foreground">{candidate.name}</p>
+          )}
+          {verifiedProfile?.party && (
+            <div className="flex items-center gap-2 mt-1">
+              {verifiedProfile.partySymbolUrl && (
+                <img
+                  src={verifiedProfile.partySymbolUrl}
+                  alt={verifiedProfile.party}
+                  className="w-6 h-6 object-contain"
+                />
+              )}
+              <Badge variant="outline">{verifiedProfile.party}</Badge>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {manifesto && (
+        <details className="mb-4 text-sm">
+          <summary className="cursor-pointer font-medium">{t('voting.manifesto')}</summary>
+          <p className="mt-2 text-muted-foreground whitespace-pre-line">{manifesto}</p>
+        </details>
+      )}
+
+      {profile && !profile.verified && (
+        <p className="mb-4 flex items-center gap-2 text-xs text-warning">
+          <AlertTriangle className="w-4 h-4" />
+          {t('voting.profileUnverified')}
+        </p>
+      )}
+
+      {children}
+    </Card>
+  );
+};
+
+export default CandidateCard;
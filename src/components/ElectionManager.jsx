@@ -4,8 +4,7 @@ import { Button } from '@/components/ui/button';
 import { Badge } from '@/components/ui/badge';
 import { useToast } from '@/hooks/use-toast';
 import { Calendar, Users, BarChart3, Clock, CheckCircle, AlertCircle, Trash2 } from 'lucide-react';
-import { ethers } from 'ethers';
-import { FACTORY_CONTRACT_ADDRESS, FACTORY_CONTRACT_ABI } from '@/lib/contract';
+import { getWalletElectionClient } from '@/lib/contract';
 import { useTranslation } from 'react-i18next';
 
 const ElectionManager = ({ onElectionSelect, selectedElectionId, onElectionDeleted }) => {
@@ -106,43 +105,9 @@ const ElectionManager = ({ onElectionSelect, selectedElectionId, onElectionDelet
       }
 
       try {
-        const provider = new ethers.BrowserProvider(window.ethereum);
-        const contract = new ethers.Contract(FACTORY_CONTRACT_ADDRESS, FACTORY_CONTRACT_ABI, provider);
-
-        const electionCount = await contract.electionCount();
-        console.log('Election count:', Number(electionCount));
-
-        // Use batch requests for maximum speed
-        const batchSize = 10;
-        const electionsList = [];
-        
-        for (let i = 0; i < Number(electionCount); i += batchSize) {
-          const batch = [];
-          const batchEnd = Math.min(i + batchSize, Number(electionCount));
-          
-          for (let j = i; j < batchEnd; j++) {
-            batch.push(
-              contract.elections(j).catch(() => null)
-            );
-          }
-          
-          const batchResults = await Promise.all(batch);
-          
-          batchResults.forEach((election, index) => {
-            if (election) {
-              electionsList.push({
-                id: Number(election.id),
-                title: election.title,
-                description: election.description,
-                startTime: Number(election.startTime),
-                endTime: Number(election.endTime),
-                active: election.active,
-                candidatesCount: Number(election.candidatesCount),
-                totalVotes: Number(election.totalVotes)
-              });
-            }
-          });
-        }
+        const client = await getWalletElectionClient();
+        const electionsList = await client.listElections();
+        console.log('Election count:', electionsList.length);
 
         setElections(electionsList);
         
@@ -163,7 +128,7 @@ const ElectionManager = ({ onElectionSelect, selectedElectionId, onElectionDelet
         console.error('Contract error:', error);
         
         let errorMsg = 'Unable to load elections. ';
-        if (error.code === 'BAD_DATA' || error.message?.includes('could not decode')) {
+        if (error.message?.includes('could not decode')) {
           errorMsg += 'Please make sure you are connected to the correct blockchain network (Core Testnet) and your wallet is properly connected.';
         } else {
           errorMsg += 'Please check your wallet connection and network.';
@@ -197,9 +162,7 @@ const ElectionManager = ({ onElectionSelect, selectedElectionId, onElectionDelet
         return;
       }
 
-      const provider = new ethers.BrowserProvider(window.ethereum);
-      const signer = await provider.getSigner();
-      const contract = new ethers.Contract(FACTORY_CONTRACT_ADDRESS, FACTORY_CONTRACT_ABI, signer);
+      const client = await getWalletElectionClient({ withSigner: true });
 
       const startTimestamp = Math.floor(new Date(electionData.startTime).getTime() / 1000);
       const endTimestamp = Math.floor(new Date(electionData.endTime).getTime() / 1000);
@@ -210,23 +173,15 @@ const ElectionManager = ({ onElectionSelect, selectedElectionId, onElectionDelet
         variant: 'default'
       });
 
-      const tx = await contract.createElection(
-        electionData.title,
-        electionData.description,
-        electionData.candidates,
-        startTimestamp,
-        endTimestamp
-      );
-
-      toast({
-        title: 'Transaction Submitted',
-        description: 'Creating election on blockchain...',
-        variant: 'default'
+      const created = await client.createElection({
+        title: electionData.title,
+        description: electionData.description,
+        candidates: electionData.candidates,
+        startTime: startTimestamp,
+        endTime: endTimestamp
       });
 
-      const receipt = await tx.wait();
-      
-      console.log('Election created successfully!', receipt);
+      console.log('Election created successfully!', created);
 
       toast({
         title: 'Success!',
@@ -242,7 +197,7 @@ const ElectionManager = ({ onElectionSelect, selectedElectionId, onElectionDelet
       console.error('Error creating election:', error);
       let errorMessage = 'Failed to create election';
       
-      if (error.code === 4001) {
+      if (error.code === 'REJECTED') {
         errorMessage = 'Transaction was rejected';
       } else if (error.message) {
         errorMessage = error.message;
@@ -262,19 +217,16 @@ const ElectionManager = ({ onElectionSelect, selectedElectionId, onElectionDelet
     }
 
     try {
-      const provider = new ethers.BrowserProvider(window.ethereum);
-      const signer = await provider.getSigner();
-      const contract = new ethers.Contract(FACTORY_CONTRACT_ADDRESS, FACTORY_CONTRACT_ABI, signer);
+      const client = await getWalletElectionClient({ withSigner: true });
 
-      const tx = await contract.deleteElection(electionId);
-      
       toast({
         title: t('voting.voting'),
         description: t('elections.deletingElection'),
         variant: "default"
       });
 
-      await tx.wait();
+      // Elections cannot be removed from the factory; ending one closes it
+      await client.endElection(electionId);
 
       toast({
         title: t('common.success'),
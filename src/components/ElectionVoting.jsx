@@ -4,21 +4,33 @@ import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
 import { Badge } from '@/components/ui/badge';
 import { useToast } from '@/hooks/use-toast';
+import { useElectionStream } from '@/hooks/useElectionStream';
+import { useCandidateProfiles } from '@/hooks/useCandidateProfiles';
+import { useElectionSettings } from '@/hooks/useElectionSettings';
 import { Progress } from '@/components/ui/progress';
 import {
   CheckCircle, Clock, Users, BarChart3, Vote as VoteIcon,
-  Wallet, Trophy, ArrowLeft, Calendar, AlertTriangle
+  Wallet, Trophy, ArrowLeft, Calendar, AlertTriangle, Lock, KeyRound, Mail, Bell
 } from 'lucide-react';
 import { ethers } from 'ethers';
-import { FACTORY_CONTRACT_ADDRESS, FACTORY_CONTRACT_ABI, REVOTING_CONTRACT_ADDRESS, REVOTING_CONTRACT_ABI } from '@/lib/contract';
+import { getWalletElectionClient } from '@/lib/contract';
+import { getCommitRevealPhase } from '@/lib/electionClient';
+import { apiUrl } from '@/lib/api';
+import { buildVoteReceipt, signAsVoter } from '@/lib/voteReceipt';
+import { castBallot } from '@/lib/ballots';
+import { prepareCommitment, findCommittedVote, forgetCommittedVotes } from '@/lib/commitReveal';
+import { subscribeToElection, getStoredSubscriptionToken, fetchSubscription, markNotificationsRead } from '@/lib/notifications';
 import { useTranslation } from 'react-i18next';
 import { LanguageSelector } from './LanguageSelector';
 import { VoiceControls } from './VoiceControls';
-import EmailService, { sendElectionResults } from './EmailService';
+import EmailService, { sendVoteConfirmation, sendElectionResults } from './EmailService';
 import { WebcamMonitor } from './WebcamMonitor';
+import CandidateCard from './CandidateCard';
+import MethodBallot from './MethodBallot';
+import VoteReceipt from './VoteReceipt';
 
 const ElectionVoting = ({ electionId, onBack }) => {
-  const { t } = useTranslation();
+  const { t, i18n } = useTranslation();
   const { toast } = useToast();
   const [election, setElection] = useState(null);
   const [candidates, setCandidates] = useState([]);
@@ -35,36 +47,118 @@ const ElectionVoting = ({ electionId, onBack }) => {
   const [govtIdAuthenticated, setGovtIdAuthenticated] = useState(false);
   const [govtId, setGovtId] = useState('');
   const [govtIdType, setGovtIdType] = useState('voter');
+  const [checkingEligibility, setCheckingEligibility] = useState(false);
   
   // Anomaly detection state
   const [riskData, setRiskData] = useState({
     riskScore: 0,
     anomalyFlags: false,
     flagDetails: [],
+    flagHistory: [],
+    analysisCount: 0,
     isFlagged: false,
   });
   const [showRevoteWarning, setShowRevoteWarning] = useState(false);
+  const [receipt, setReceipt] = useState(null);
+
+  // Commit-reveal schedule (null when the election runs in the open), whether
+  // its results are still sealed, and this wallet's commitment
+  const [commitReveal, setCommitReveal] = useState(null);
+  const [resultsSealed, setResultsSealed] = useState(false);
+  const [voteCommitment, setVoteCommitment] = useState(null);
+  const [isRevealing, setIsRevealing] = useState(false);
+  const [sendingResults, setSendingResults] = useState(false);
+
+  // In-app lifecycle notifications of this browser's subscription:
+  // { token, notifications, unread }
+  const [inbox, setInbox] = useState(null);
+  const commitRevealPhase = commitReveal ? getCommitRevealPhase(commitReveal) : null;
+
+  // Live tally and status updates pushed by the backend
+  const stream = useElectionStream(electionId);
+
+  // Off-chain photos, parties, localized names and manifestos
+  const profiles = useCandidateProfiles(electionId);
+  const { votingMethod, methodOptions } = useElectionSettings(electionId);
 
   useEffect(() => {
     fetchElectionData();
     checkWalletConnection();
   }, [electionId]);
 
+  useEffect(() => {
+    setInbox(null);
+    const token = getStoredSubscriptionToken(electionId);
+    if (token) loadInbox(token);
+  }, [electionId]);
+
   useEffect(() => {
     if (election && election.active) {
+      // Local countdown only; status changes arrive through the election stream
       const timer = setInterval(() => {
         const now = Math.floor(Date.now() / 1000);
         const remaining = Math.max(0, election.endTime - now);
         setTimeLeft(remaining);
         
-        if (remaining === 0) {
-          fetchElectionData(); // Refresh to get updated status
+        if (remaining === 0 && !stream.connected) {
+          fetchElectionData(); // Fall back to a refresh when the stream is unavailable
         }
       }, 1000);
       
       return () => clearInterval(timer);
     }
-  }, [election]);
+  }, [election, stream.connected]);
+
+  // Reload the election when it starts or ends
+  useEffect(() => {
+    if (stream.lastStatusChange) {
+      fetchFreshElectionData();
+    }
+  }, [stream.lastStatusChange]);
+
+  // The scheduler notifies subscribers shortly after a status change
+  useEffect(() => {
+    if (!inbox) return;
+
+    const timer = setInterval(() => loadInbox(inbox.token), 60000);
+    return () => clearInterval(timer);
+  }, [inbox?.token]);
+
+  // Apply streamed vote counts without re-fetching the whole election
+  useEffect(() => {
+    if (stream.totalVotes === null) return;
+
+    setElection(prev => prev ? { ...prev, totalVotes: stream.totalVotes } : prev);
+    setCandidates(prev => prev.map(candidate => {
+      const streamed = stream.tally.find(c => c.id === candidate.id);
+      return streamed ? { ...candidate, votes: streamed.votes } : candidate;
+    }));
+  }, [stream.totalVotes, stream.tally]);
+
+  // Check this wallet's commitment, and remind the voter to reveal it once voting closes
+  useEffect(() => {
+    if (commitRevealPhase && userAddress) {
+      refreshVoteCommitment();
+    }
+  }, [commitRevealPhase, userAddress]);
+
+  const refreshVoteCommitment = async () => {
+    try {
+      const client = await getWalletElectionClient();
+      const current = await client.getVoteCommitment(electionId, userAddress);
+      setVoteCommitment(current);
+
+      if (current.commitment && !current.revealed && commitRevealPhase === 'reveal') {
+        toast({
+          title: t('voting.commitReveal.revealTitle'),
+          description: t('voting.commitReveal.revealReminder', { deadline: formatDate(commitReveal.revealEndTime) }),
+          variant: 'default'
+        });
+      }
+    } catch (error) {
+      console.error('Error checking vote commitment:', error);
+    }
+  };
 
   const checkWalletConnection = async () => {
     try {
@@ -94,6 +188,8 @@ const ElectionVoting = ({ electionId, onBack }) => {
             setElection(data.election);
             setCandidates(data.candidates);
             setWinner(data.winner);
+            setCommitReveal(data.commitReveal || null);
+            setResultsSealed(Boolean(data.resultsSealed));
             setLoading(false);
             // Still fetch fresh data in background
             setTimeout(() => fetchFreshElectionData(), 100);
@@ -117,65 +213,42 @@ const ElectionVoting = ({ electionId, onBack }) => {
         return;
       }
 
-      const provider = new ethers.BrowserProvider(window.ethereum);
-      const contract = new ethers.Contract(FACTORY_CONTRACT_ADDRESS, FACTORY_CONTRACT_ABI, provider);
+      const client = await getWalletElectionClient();
 
       // Fetch all data in parallel
-      const [electionResult, candidateResults, winnerResult] = await Promise.allSettled([
-        contract.getElection(electionId),
-        Promise.all(
-          Array.from({ length: 10 }, (_, i) => 
-            contract.getCandidate(electionId, i).catch(() => null)
-          )
-        ),
-        contract.getWinner(electionId).catch(() => null)
+      const [electionResult, candidateResults, winnerResult, commitRevealResult] = await Promise.allSettled([
+        client.getElection(electionId),
+        client.getCandidates(electionId),
+        client.getWinner(electionId),
+        client.getCommitReveal(electionId)
       ]);
 
       // Process election data
-      if (electionResult.status === 'fulfilled') {
-        const [title, description, startTime, endTime, active, candidatesCount, totalVotes] = electionResult.value;
-        
-        const electionData = {
-          id: electionId,
-          title,
-          description,
-          startTime: Number(startTime),
-          endTime: Number(endTime),
-          active,
-          candidatesCount: Number(candidatesCount),
-          totalVotes: Number(totalVotes)
-        };
-        
-        setElection(electionData);
+      if (electionResult.status === 'fulfilled' && electionResult.value) {
+        let electionData = electionResult.value;
+        let candidatesList = candidateResults.status === 'fulfilled'
+          ? candidateResults.value.filter(candidate => candidate.name)
+          : [];
+        let winnerData = winnerResult.status === 'fulfilled' ? winnerResult.value : null;
 
-        // Process candidates
-        const candidatesList = [];
-        if (candidateResults.status === 'fulfilled') {
-          candidateResults.value
-            .filter(result => result !== null)
-            .forEach((result, i) => {
-              try {
-                const [candidateId, candidateName, candidateVotes] = result;
-                const fullName = candidateName.toString().trim();
-                if (fullName) {
-                  candidatesList.push({
-                    id: Number(candidateId),
-                    name: fullName,
-                    votes: Number(candidateVotes)
-                  });
-                }
-              } catch (err) {
-                console.log(`Error processing candidate ${i}`);
-              }
-            });
+        // Commit-reveal votes are counted on their own contract, which only
+        // hands out results once the reveal phase has ended
+        const schedule = commitRevealResult.status === 'fulfilled' ? commitRevealResult.value : null;
+        const revealed = schedule && getCommitRevealPhase(schedule) === 'closed'
+          ? await client.getRevealedResults(electionId).catch(() => null)
+          : null;
+        if (schedule) {
+          candidatesList = candidatesList.map(candidate => ({ ...candidate, votes: revealed ? revealed[candidate.id] || 0 : 0 }));
+          electionData = { ...electionData, totalVotes: candidatesList.reduce((sum, candidate) => sum + candidate.votes, 0) };
+          const leader = candidatesList.reduce((best, candidate) => (!best || candidate.votes > best.votes ? candidate : best), null);
+          winnerData = revealed && leader && leader.votes > 0 ? { name: leader.name, votes: leader.votes } : null;
         }
-        setCandidates(candidatesList);
 
-        // Process winner
-        let winnerData = null;
-        if (winnerResult.status === 'fulfilled' && winnerResult.value) {
-          const [winnerName, winnerVotes] = winnerResult.value;
-          winnerData = { name: winnerName, votes: Number(winnerVotes) };
+        setElection(electionData);
+        setCandidates(candidatesList);
+        setCommitReveal(schedule);
+        setResultsSealed(Boolean(schedule) && !revealed);
+        if (winnerData || schedule) {
           setWinner(winnerData);
         }
 
@@ -185,7 +258,9 @@ const ElectionVoting = ({ electionId, onBack }) => {
           data: {
             election: electionData,
             candidates: candidatesList,
-            winner: winnerData
+            winner: winnerData,
+            commitReveal: schedule,
+            resultsSealed: Boolean(schedule) && !revealed
           },
           timestamp: Date.now()
         }));
@@ -269,7 +344,9 @@ const ElectionVoting = ({ electionId, onBack }) => {
     }
   };
 
-  const vote = async (candidateId) => {
+  // `choices` is the ranked, approval or score ballot that goes with the
+  // on-chain vote in elections with those methods
+  const vote = async (candidateId, choices = null) => {
     if (!voterName.trim() || !emailCollected) {
       toast({
         title: t('common.error'),
@@ -281,11 +358,7 @@ const ElectionVoting = ({ electionId, onBack }) => {
 
     try {
       setIsVoting(true);
-      const provider = new ethers.BrowserProvider(window.ethereum);
-      const signer = await provider.getSigner();
-      
-      // Use the new re-voting contract that supports vote overwriting
-      const revotingContract = new ethers.Contract(REVOTING_CONTRACT_ADDRESS, REVOTING_CONTRACT_ABI, signer);
+      const client = await getWalletElectionClient({ withSigner: true });
 
       toast({
         title: t('voting.voting'),
@@ -293,23 +366,71 @@ const ElectionVoting = ({ electionId, onBack }) => {
         variant: 'default'
       });
 
-      const tx = await revotingContract.vote(electionId, candidateId);
-      const receipt = await tx.wait();
+      let voteResult;
+      if (commitReveal) {
+        // Only a hash of the choice goes on chain until the reveal phase; a
+        // new commitment replaces the earlier one
+        const voter = await (await new ethers.BrowserProvider(window.ethereum).getSigner()).getAddress();
+        const commitment = prepareCommitment(electionId, voter, candidateId);
+        voteResult = await client.commitVote(electionId, commitment);
+        setVoteCommitment({ commitment, revealed: false });
+      } else {
+        // Use the re-voting contract that supports vote overwriting
+        voteResult = await client.castVote(electionId, candidateId, { revote: true });
+      }
+      const voteHash = voteResult.hash;
 
-      // Generate vote hash from transaction
-      const voteHash = receipt.hash;
+      // Receipt without the candidate; a re-vote replaces it
+      setReceipt(await buildVoteReceipt({
+        electionId,
+        electionTitle: election?.title,
+        ...voteResult,
+        revote: !commitReveal,
+        commitReveal: Boolean(commitReveal)
+      }));
       
-      // Prepare vote metadata with anomaly detection data
+      // The ballot is what the election tallies, so unlike the metadata below
+      // the voter hears when it could not be saved
+      if (choices) {
+        try {
+          await castBallot({ electionId, transactionHash: voteHash, choices });
+        } catch (error) {
+          console.error('Failed to cast ballot:', error);
+          toast({
+            title: t('common.error'),
+            description: t('voting.ballot.failed', { error: error.message }),
+            variant: 'destructive'
+          });
+        }
+      }
+
+      // Store the anomaly detection data against the vote for admin review;
+      // the vote counts either way, so a failure here is only logged
       const voteMetadata = {
-        voteHash,
         riskScore: riskData.riskScore,
         anomalyFlags: riskData.anomalyFlags,
         flagDetails: riskData.flagDetails,
+        flagHistory: riskData.flagHistory.slice(-500), // the backend keeps the latest 500
+        analysisCount: riskData.analysisCount,
         isFlagged: riskData.isFlagged,
         timestamp: Date.now(),
       };
-      
-      console.log('Vote recorded with metadata:', voteMetadata);
+
+      // The wallet signs for the vote, so nobody else can report on it
+      signAsVoter({ electionId, transactionHash: voteHash, action: 'risk' }).then(proof => fetch(apiUrl(`/api/elections/${electionId}/votes/${voteHash}/risk`), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...voteMetadata, ...proof })
+      })).then(async (response) => {
+        if (!response.ok) {
+          console.error('Failed to record vote metadata:', (await response.json()).error);
+        }
+      }).catch(error => console.error('Failed to record vote metadata:', error));
+
+      // Emailed confirmation without the candidate; like the metadata, a
+      // failure does not affect the vote
+      sendVoteConfirmation(voterEmail, voterName, electionId, voteHash, i18n.language)
+        .catch(error => console.error('Failed to request vote confirmation email:', error));
       
       // Show appropriate message based on risk status
       if (riskData.isFlagged) {
@@ -319,6 +440,15 @@ const ElectionVoting = ({ electionId, onBack }) => {
           description: 'Unusual activity detected. You may re-vote to update your choice.',
           variant: 'default'
         });
+      } else if (commitReveal) {
+        toast({
+          title: t('voting.commitReveal.sealedTitle'),
+          description: t('voting.commitReveal.sealedDescription', {
+            from: formatDate(commitReveal.commitEndTime),
+            until: formatDate(commitReveal.revealEndTime)
+          }),
+          variant: 'default'
+        });
       } else {
         // Coercion-resistant: Show neutral success message without revealing candidate
         toast({
@@ -338,11 +468,11 @@ const ElectionVoting = ({ electionId, onBack }) => {
       // Parse the error to provide better feedback
       let errorMessage = 'Failed to cast vote. Please try again.';
       
-      if (error.code === 'CALL_EXCEPTION' || error.message?.includes('missing revert data')) {
+      if (error.code === 'REVERTED') {
         errorMessage = 'Vote rejected by the smart contract. Please ensure the election is active.';
-      } else if (error.code === 4001 || error.message?.includes('user rejected')) {
+      } else if (error.code === 'REJECTED') {
         errorMessage = 'Transaction was cancelled by the user.';
-      } else if (error.message?.includes('insufficient funds')) {
+      } else if (error.code === 'INSUFFICIENT_FUNDS') {
         errorMessage = 'Insufficient AVAX for gas fees. Please add funds to your wallet.';
       } else if (error.message) {
         errorMessage = error.message;
@@ -358,6 +488,63 @@ const ElectionVoting = ({ electionId, onBack }) => {
     }
   };
 
+  // Reveal this wallet's committed vote with the salt saved on this device
+  const revealVote = async () => {
+    const saved = findCommittedVote(electionId, userAddress, voteCommitment?.commitment);
+    if (!saved) {
+      toast({
+        title: t('common.error'),
+        description: t('voting.commitReveal.noSavedVote'),
+        variant: 'destructive'
+      });
+      return;
+    }
+
+    try {
+      setIsRevealing(true);
+      const client = await getWalletElectionClient({ withSigner: true });
+      await client.revealVote(electionId, saved.candidateId, saved.salt);
+
+      forgetCommittedVotes(electionId, userAddress);
+      setVoteCommitment(prev => ({ ...prev, revealed: true }));
+      toast({
+        title: t('voting.commitReveal.revealedTitle'),
+        description: t('voting.commitReveal.revealedDescription'),
+        variant: 'default'
+      });
+    } catch (error) {
+      console.error('Reveal error:', error);
+      toast({
+        title: t('common.error'),
+        description: error.code === 'REJECTED' ? t('voting.commitReveal.cancelled') : error.message,
+        variant: 'destructive'
+      });
+    } finally {
+      setIsRevealing(false);
+    }
+  };
+
+  const emailResults = async () => {
+    try {
+      setSendingResults(true);
+      const { message } = await sendElectionResults(voterEmail, voterName, electionId, i18n.language);
+      toast({
+        title: t('common.success'),
+        description: `${message} (${voterEmail})`,
+        variant: 'default'
+      });
+    } catch (error) {
+      console.error('Results email error:', error);
+      toast({
+        title: t('common.error'),
+        description: error.message,
+        variant: 'destructive'
+      });
+    } finally {
+      setSendingResults(false);
+    }
+  };
+
   // Handler for webcam risk updates
   const handleRiskUpdate = (newRiskData) => {
     setRiskData(newRiskData);
@@ -366,13 +553,44 @@ const ElectionVoting = ({ electionId, onBack }) => {
     }
   };
 
-  const handleEmailCollected = (email, name) => {
+  const handleEmailCollected = (email, name, notify) => {
     setVoterEmail(email);
     setVoterName(name);
     setEmailCollected(true);
+
+    if (notify) {
+      subscribeToElection(electionId, { email, address: userAddress, name, locale: i18n.language })
+        .then(({ token, subscription }) => {
+          if (!subscription || !subscription.emailConfirmed) {
+            toast({ title: t('common.success'), description: t('voting.notifyConfirmEmail') });
+          }
+          if (token) {
+            loadInbox(token);
+          }
+        })
+        .catch(error => console.error('Failed to subscribe to election notifications:', error));
+    }
+  };
+
+  const loadInbox = async (token) => {
+    try {
+      const { notifications, unread } = await fetchSubscription(token);
+      setInbox({ token, notifications, unread });
+    } catch (error) {
+      console.error('Failed to load notifications:', error);
+    }
   };
 
-  const handleGovtIdLogin = () => {
+  const markInboxRead = async () => {
+    try {
+      await markNotificationsRead(inbox.token);
+      await loadInbox(inbox.token);
+    } catch (error) {
+      console.error('Failed to mark notifications as read:', error);
+    }
+  };
+
+  const handleGovtIdLogin = async () => {
     if (!govtId.trim()) {
       toast({
         title: t('common.error'),
@@ -382,13 +600,59 @@ const ElectionVoting = ({ electionId, onBack }) => {
       return;
     }
 
-    // For demo purposes - accept any input as valid
-    setGovtIdAuthenticated(true);
-    toast({
-      title: t('common.success'),
-      description: `Authenticated with ${govtIdType.toUpperCase()}: ${govtId}`,
-      variant: 'default'
-    });
+    // Check the ID and wallet against the election's voter roll; elections
+    // without a roll are open to every wallet. The wallet signs a nonce first,
+    // since a roll ID is bound to the wallet that checks it.
+    try {
+      setCheckingEligibility(true);
+      const nonceResponse = await fetch(apiUrl(`/api/elections/${electionId}/eligibility/nonce`), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ address: userAddress })
+      });
+      const { nonce, message, error: nonceError } = await nonceResponse.json();
+      if (!nonceResponse.ok) {
+        throw new Error(nonceError || 'Failed to get eligibility nonce');
+      }
+
+      const signer = await new ethers.BrowserProvider(window.ethereum).getSigner();
+      const signature = await signer.signMessage(message);
+
+      const response = await fetch(apiUrl(`/api/elections/${electionId}/eligibility`), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ govtID: govtId, address: userAddress, nonce, signature })
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to check voter eligibility');
+      }
+      if (!data.eligible) {
+        toast({
+          title: 'Not Eligible',
+          description: data.reason,
+          variant: 'destructive'
+        });
+        return;
+      }
+
+      setGovtIdAuthenticated(true);
+      toast({
+        title: t('common.success'),
+        description: `Authenticated with ${govtIdType.toUpperCase()}: ${govtId}`,
+        variant: 'default'
+      });
+    } catch (error) {
+      console.error('Eligibility check error:', error);
+      toast({
+        title: t('common.error'),
+        description: error.message,
+        variant: 'destructive'
+      });
+    } finally {
+      setCheckingEligibility(false);
+    }
   };
 
   const formatTimeLeft = (seconds) => {
@@ -517,7 +781,7 @@ const ElectionVoting = ({ electionId, onBack }) => {
             <div className="text-center p-4 bg-primary-glow/10 rounded-lg">
               <BarChart3 className="w-6 h-6 mx-auto mb-2 text-primary-glow" />
               <p className="text-sm text-muted-foreground">{t('admin.totalVotes')}</p>
-              <p className="font-semibold">{election.totalVotes}</p>
+              <p className="font-semibold">{resultsSealed ? t('voting.commitReveal.sealed') : election.totalVotes}</p>
             </div>
           </div>
 
@@ -542,7 +806,7 @@ const ElectionVoting = ({ electionId, onBack }) => {
             <div className="text-center p-4 bg-muted/20 rounded-lg">
               <Trophy className="w-8 h-8 mx-auto mb-2 text-muted-foreground" />
               <p className="text-lg font-semibold">{t('voting.electionEnded')}</p>
-              {winner && (
+              {winner && !resultsSealed && (
                 <p className="text-sm text-muted-foreground">
                   {t('voting.winner')}: {winner.name} ({winner.votes} {t('voting.candidateVotes')})
                 </p>
@@ -551,11 +815,78 @@ const ElectionVoting = ({ electionId, onBack }) => {
           )}
         </Card>
 
+        {/* In-app lifecycle notifications */}
+        {inbox && inbox.notifications.length > 0 && (
+          <Card className="p-6 mb-8 bg-gradient-to-br from-card/90 to-card/70 backdrop-blur-xl border-primary/20">
+            <div className="flex items-center justify-between mb-4">
+              <div className="flex items-center gap-2">
+                <Bell className="w-5 h-5 text-primary" />
+                <h3 className="text-lg font-semibold">Notifications</h3>
+                {inbox.unread > 0 && <Badge>{inbox.unread} new</Badge>}
+              </div>
+              {inbox.unread > 0 && (
+                <Button variant="ghost" size="sm" onClick={markInboxRead}>
+                  Mark as read
+                </Button>
+              )}
+            </div>
+            <ul className="space-y-2">
+              {inbox.notifications.slice(0, 3).map(notification => (
+                <li key={notification.id} className={`text-sm ${notification.readAt ? 'text-muted-foreground' : 'font-medium'}`}>
+                  {notification.title}
+                  <span className="ml-2 text-xs text-muted-foreground">
+                    {new Date(notification.createdAt).toLocaleString()}
+                  </span>
+                </li>
+              ))}
+            </ul>
+            <a href={`/notifications?token=${inbox.token}`} className="inline-block mt-4 text-sm text-primary hover:underline">
+              Manage notifications
+            </a>
+          </Card>
+        )}
+
+        {/* Reveal phase of a commit-reveal election */}
+        {commitRevealPhase === 'reveal' && (
+          <Card className="p-8 mb-8 bg-gradient-to-br from-card/90 to-card/70 backdrop-blur-xl border-primary/30">
+            <div className="text-center space-y-4">
+              <KeyRound className="w-12 h-12 mx-auto text-primary" />
+              <h2 className="text-2xl font-bold">{t('voting.commitReveal.revealTitle')}</h2>
+              <p className="text-muted-foreground">
+                {t('voting.commitReveal.revealDeadline', { deadline: formatDate(commitReveal.revealEndTime) })}
+              </p>
+              {!isConnected ? (
+                <Button onClick={connectWallet} size="lg">
+                  <Wallet className="w-5 h-5 mr-2" />
+                  {t('voting.connectWallet')}
+                </Button>
+              ) : voteCommitment?.revealed ? (
+                <p className="text-success">{t('voting.commitReveal.revealed')}</p>
+              ) : !voteCommitment?.commitment ? (
+                <p className="text-muted-foreground">{t('voting.commitReveal.didNotVote')}</p>
+              ) : findCommittedVote(electionId, userAddress, voteCommitment.commitment) ? (
+                <Button
+                  onClick={revealVote}
+                  disabled={isRevealing}
+                  size="lg"
+                  className="bg-gradient-to-r from-primary to-accent hover:opacity-90"
+                >
+                  <KeyRound className="w-5 h-5 mr-2" />
+                  {isRevealing ? t('voting.commitReveal.revealing') : t('voting.commitReveal.reveal')}
+                </Button>
+              ) : (
+                <p className="text-destructive">{t('voting.commitReveal.noSavedVoteHint')}</p>
+              )}
+            </div>
+          </Card>
+        )}
+
         {/* Webcam Anomaly Detection - Only show when voting section is visible */}
         {electionStarted && !electionEnded && (
           <div className="mb-6">
             <WebcamMonitor 
               onRiskUpdate={handleRiskUpdate}
+              electionId={electionId}
               analysisInterval={3000}
               autoStart={true}
               showPreview={true}
@@ -610,6 +941,8 @@ const ElectionVoting = ({ electionId, onBack }) => {
               </Card>
             )}
             
+            {receipt && <VoteReceipt receipt={receipt} />}
+
             {/* Step 1: Connect Wallet */}
             {!isConnected ? (
               <Card className="p-8 bg-gradient-to-br from-card/90 to-card/70 backdrop-blur-xl border-primary/30">
@@ -676,14 +1009,15 @@ const ElectionVoting = ({ electionId, onBack }) => {
                   
                   <Button 
                     onClick={handleGovtIdLogin}
+                    disabled={checkingEligibility}
                     size="lg"
                     className="w-full bg-gradient-to-r from-primary to-accent hover:opacity-90 transition-opacity"
                   >
-                    Verify & Continue
+                    {checkingEligibility ? 'Checking voter roll...' : 'Verify & Continue'}
                   </Button>
                   
                   <p className="text-xs text-center text-muted-foreground mt-4">
-                    🔒 Demo Mode: Enter any ID number for testing
+                    🔒 Your ID and wallet are checked against this election's voter roll
                   </p>
                 </div>
               </Card>
@@ -704,28 +1038,56 @@ const ElectionVoting = ({ electionId, onBack }) => {
                 <h2 className="text-2xl font-bold mb-6 text-center bg-gradient-to-r from-primary to-accent bg-clip-text text-transparent">
                   {hasVoted ? 'Update Your Vote' : t('voting.selectCandidate')}
                 </h2>
-                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                  {candidates.map((candidate) => (
-                    <Card key={candidate.id} className="p-6 border-primary/20 hover:border-primary/50 transition-colors">
-                      <h3 className="text-xl font-semibold mb-4">{candidate.name}</h3>
-                      <Button
-                        onClick={() => vote(candidate.id)}
-                        disabled={isVoting}
-                        className="w-full bg-gradient-to-r from-primary to-accent hover:opacity-90"
-                      >
-                        <VoteIcon className="w-4 h-4 mr-2" />
-                        {isVoting ? t('voting.voting') : t('voting.vote')}
-                      </Button>
-                    </Card>
-                  ))}
-                </div>
+                {commitReveal && (
+                  <p className="mb-6 text-sm text-center text-muted-foreground">
+                    <Lock className="w-4 h-4 inline mr-1" />
+                    {t('voting.commitReveal.sealedHint', { deadline: formatDate(commitReveal.revealEndTime) })}
+                  </p>
+                )}
+                {votingMethod !== 'plurality' && !commitReveal ? (
+                  <MethodBallot
+                    key={`${votingMethod}:${candidates.map(candidate => candidate.id).join(',')}`}
+                    candidates={candidates}
+                    profiles={profiles}
+                    votingMethod={votingMethod}
+                    methodOptions={methodOptions}
+                    isVoting={isVoting}
+                    onCast={(choices, candidateId) => vote(candidateId, choices)}
+                  />
+                ) : (
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    {candidates.map((candidate) => (
+                      <CandidateCard key={candidate.id} candidate={candidate} profile={profiles.get(candidate.id)}>
+                        <Button
+                          onClick={() => vote(candidate.id)}
+                          disabled={isVoting}
+                          className="w-full bg-gradient-to-r from-primary to-accent hover:opacity-90"
+                        >
+                          <VoteIcon className="w-4 h-4 mr-2" />
+                          {isVoting ? t('voting.voting') : t('voting.vote')}
+                        </Button>
+                      </CandidateCard>
+                    ))}
+                  </div>
+                )}
               </Card>
             )}
           </div>
         )}
 
+        {/* Commit-reveal results stay sealed until the reveal phase ends */}
+        {electionEnded && resultsSealed && (
+          <Card className="p-8 text-center">
+            <Lock className="w-12 h-12 mx-auto mb-4 text-muted-foreground" />
+            <h3 className="text-xl font-semibold mb-2">{t('voting.resultsHidden')}</h3>
+            <p className="text-muted-foreground">
+              {t('voting.resultsAvailableAfter')} {formatDate(commitReveal.revealEndTime)}
+            </p>
+          </Card>
+        )}
+
         {/* Results Section - Only show after election ends */}
-        {electionEnded && (
+        {electionEnded && !resultsSealed && (
           <Card className="p-8">
             <h2 className="text-2xl font-bold mb-6 text-center">{t('voting.results')}</h2>
             
@@ -759,6 +1121,15 @@ const ElectionVoting = ({ electionId, onBack }) => {
                   })}
               </div>
             )}
+
+            {emailCollected && (
+              <div className="mt-6 text-center">
+                <Button variant="outline" onClick={emailResults} disabled={sendingResults}>
+                  <Mail className="w-4 h-4 mr-2" />
+                  {sendingResults ? 'Sending...' : `Email results to ${voterEmail}`}
+                </Button>
+              </div>
+            )}
           </Card>
         )}
 
@@ -768,7 +1139,7 @@ const ElectionVoting = ({ electionId, onBack }) => {
             <Clock className="w-12 h-12 mx-auto mb-4 text-muted-foreground" />
             <h3 className="text-xl font-semibold mb-2">{t('voting.resultsHidden')}</h3>
             <p className="text-muted-foreground">
-              {t('voting.resultsAvailableAfter')} {formatDate(election.endTime)}
+              {t('voting.resultsAvailableAfter')} {formatDate(commitReveal ? commitReveal.revealEndTime : election.endTime)}
             </p>
           </Card>
         )}
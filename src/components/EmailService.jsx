@@ -5,6 +5,8 @@ import { Input } from '@/components/ui/input';
 import { useToast } from '@/hooks/use-toast';
 import { Mail, Send, Check } from 'lucide-react';
 import { useTranslation } from 'react-i18next';
+import { apiUrl } from '@/lib/api';
+import { signAsVoter } from '@/lib/voteReceipt';
 
 const EmailService = ({ 
   electionTitle, 
@@ -16,6 +18,7 @@ const EmailService = ({
   const [email, setEmail] = useState('');
   const [voterName, setVoterName] = useState('');
   const [isValid, setIsValid] = useState(false);
+  const [notify, setNotify] = useState(true);
 
   const validateEmail = (email) => {
     const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
@@ -42,7 +45,7 @@ const EmailService = ({
       return;
     }
 
-    onEmailCollected(email, voterName);
+    onEmailCollected(email, voterName, notify);
     
     toast({
       title: t('common.success'),
@@ -88,6 +91,17 @@ const EmailService = ({
           />
         </div>
 
+        <label className="flex items-start gap-2 text-sm text-muted-foreground">
+          <input
+            type="checkbox"
+            className="mt-1"
+            checked={notify}
+            onChange={(e) => setNotify(e.target.checked)}
+            disabled={disabled}
+          />
+          {t('voting.notifyMe')}
+        </label>
+
         <Button
           onClick={handleSubmit}
           disabled={!isValid || disabled}
@@ -110,30 +124,29 @@ const EmailService = ({
   );
 };
 
-// Email sending service (would typically be a backend service)
-export const sendElectionResults = async (
-  email, 
-  voterName, 
-  electionTitle, 
-  winner,
-  allCandidates
-) => {
-  // This would typically call a backend API
-  // For now, we'll simulate the email being sent
-  console.log('Sending election results email to:', email);
-  console.log('Election:', electionTitle);
-  console.log('Winner:', winner);
-  console.log('All results:', allCandidates);
-  
-  // Simulate API call
-  return new Promise((resolve) => {
-    setTimeout(() => {
-      resolve({
-        success: true,
-        message: `Election results sent to ${email}`
-      });
-    }, 1000);
+// Queue an email with the backend mail service, which sends and retries it
+const requestEmail = async (path, body) => {
+  const response = await fetch(apiUrl(path), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
   });
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.error || 'Failed to send email');
+  }
+  return { success: true, message: data.message };
+};
+
+// Confirmation that a vote transaction was recorded; it never names the
+// candidate. The wallet that cast the vote signs the request.
+export const sendVoteConfirmation = async (email, voterName, electionId, transactionHash, locale) => {
+  const proof = await signAsVoter({ electionId, transactionHash, action: 'confirmation' });
+  return requestEmail(`/api/elections/${electionId}/votes/${transactionHash}/confirmation`, { email, name: voterName, locale, ...proof });
 };
 
+// Final results of an ended election, tallied by the backend
+export const sendElectionResults = (email, voterName, electionId, locale) =>
+  requestEmail(`/api/elections/${electionId}/results/email`, { email, name: voterName, locale });
+
 export default EmailService;
\ No newline at end of file
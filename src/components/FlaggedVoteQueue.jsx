@@ -0,0 +1,254 @@
+import { useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { Card } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Input } from '@/components/ui/input';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+import { useToast } from '@/hooks/use-toast';
+import { ShieldAlert, Loader2, RefreshCw } from 'lucide-react';
+import { adminFetch } from '@/lib/adminAuth';
+
+const DISPOSITION_FILTERS = [
+  { value: 'pending', label: 'admin.flaggedVotes.filters.pending' },
+  { value: 'escalated', label: 'admin.flaggedVotes.filters.escalated' },
+  { value: 'cleared', label: 'admin.flaggedVotes.filters.cleared' },
+  { value: 'all', label: 'admin.flaggedVotes.filters.all' }
+];
+
+const DISPOSITION_VARIANTS = { pending: 'secondary', escalated: 'destructive', cleared: 'outline' };
+
+const shortHash = (value) => `${value.substring(0, 10)}...${value.substring(value.length - 6)}`;
+
+// Collapse repeated flags, e.g. "multiple_faces ×2 → camera_blocked"
+const describeFlagHistory = (flagHistory) => {
+  const runs = [];
+  flagHistory.forEach(flag => {
+    const last = runs[runs.length - 1];
+    if (last && last.flag === flag) last.count += 1;
+    else runs.push({ flag, count: 1 });
+  });
+  return runs.map(({ flag, count }) => (count > 1 ? `${flag} ×${count}` : flag)).join(' → ');
+};
+
+// Admin review queue of votes the webcam anomaly detector flagged. Without an
+// electionId it lists the flagged vote counts of every election.
+const FlaggedVoteQueue = ({ electionId }) => {
+  const { t } = useTranslation();
+  const { toast } = useToast();
+  const [disposition, setDisposition] = useState('pending');
+  const [reports, setReports] = useState(null);
+  const [counts, setCounts] = useState([]);
+  const [notes, setNotes] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [reviewing, setReviewing] = useState(null);
+
+  const scoped = electionId !== undefined && electionId !== null;
+
+  const loadQueue = async (filter = disposition) => {
+    try {
+      setLoading(true);
+      const query = new URLSearchParams({ disposition: filter });
+      if (scoped) query.set('electionId', electionId);
+
+      const [queue, countData] = await Promise.all([
+        adminFetch(`/api/admin/risk-reports?${query}`),
+        adminFetch('/api/admin/risk-reports/counts')
+      ]);
+      setReports(queue.reports);
+      setCounts(countData.elections.filter(count => (scoped ? count.electionId === Number(electionId) : count.flagged > 0)));
+    } catch (error) {
+      console.error('Error loading flagged votes:', error);
+      toast({
+        title: t('common.error'),
+        description: error.message,
+        variant: 'destructive'
+      });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const changeFilter = (filter) => {
+    setDisposition(filter);
+    if (reports) loadQueue(filter);
+  };
+
+  const review = async (report, nextDisposition) => {
+    try {
+      setReviewing(report.transactionHash);
+      await adminFetch(`/api/admin/risk-reports/${report.transactionHash}/disposition`, {
+        method: 'PUT',
+        body: JSON.stringify({ disposition: nextDisposition, note: notes[report.transactionHash] || undefined })
+      });
+      setNotes(prev => ({ ...prev, [report.transactionHash]: '' }));
+      toast({
+        title: nextDisposition === 'cleared' ? t('admin.flaggedVotes.clearedTitle') : t('admin.flaggedVotes.escalatedTitle'),
+        description: t('admin.flaggedVotes.reviewed', {
+          hash: shortHash(report.transactionHash),
+          disposition: t(`admin.flaggedVotes.dispositions.${nextDisposition}`)
+        }),
+        variant: 'default'
+      });
+      await loadQueue();
+    } catch (error) {
+      console.error('Error reviewing flagged vote:', error);
+      toast({
+        title: t('common.error'),
+        description: error.message,
+        variant: 'destructive'
+      });
+    } finally {
+      setReviewing(null);
+    }
+  };
+
+  return (
+    <Card className="p-6">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+        <div className="flex items-center gap-3">
+          <ShieldAlert className="w-6 h-6 text-warning" />
+          <h3 className="text-2xl font-bold bg-gradient-to-r from-primary to-accent bg-clip-text text-transparent">
+            {t('admin.flaggedVotes.title')}
+          </h3>
+        </div>
+        <div className="flex items-center gap-2">
+          <select
+            value={disposition}
+            onChange={(e) => changeFilter(e.target.value)}
+            className="flex h-9 rounded-md border border-input bg-background px-3 text-sm"
+          >
+            {DISPOSITION_FILTERS.map(filter => (
+              <option key={filter.value} value={filter.value}>{t(filter.label)}</option>
+            ))}
+          </select>
+          <Button variant="outline" size="sm" onClick={() => loadQueue()} disabled={loading}>
+            {loading ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <RefreshCw className="w-4 h-4 mr-2" />}
+            {reports ? t('admin.flaggedVotes.refresh') : t('admin.flaggedVotes.load')}
+          </Button>
+        </div>
+      </div>
+
+      <p className="text-sm text-muted-foreground mb-4">{t('admin.flaggedVotes.description')}</p>
+
+      {reports && (
+        <div className="space-y-4">
+          {counts.length > 0 ? (
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>{t('admin.flaggedVotes.columns.election')}</TableHead>
+                  <TableHead className="text-right">{t('admin.flaggedVotes.columns.reported')}</TableHead>
+                  <TableHead className="text-right">{t('admin.flaggedVotes.columns.flagged')}</TableHead>
+                  <TableHead className="text-right">{t('admin.flaggedVotes.filters.pending')}</TableHead>
+                  <TableHead className="text-right">{t('admin.flaggedVotes.filters.escalated')}</TableHead>
+                  <TableHead className="text-right">{t('admin.flaggedVotes.filters.cleared')}</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {counts.map(count => (
+                  <TableRow key={count.electionId}>
+                    <TableCell>#{count.electionId}</TableCell>
+                    <TableCell className="text-right">{count.reported}</TableCell>
+                    <TableCell className="text-right">{count.flagged}</TableCell>
+                    <TableCell className="text-right">{count.pending}</TableCell>
+                    <TableCell className="text-right">{count.escalated}</TableCell>
+                    <TableCell className="text-right">{count.cleared}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          ) : (
+            <p className="text-sm text-muted-foreground">{t('admin.flaggedVotes.noReports')}</p>
+          )}
+
+          {reports.length === 0 ? (
+            <p className="text-sm text-muted-foreground">{t('admin.flaggedVotes.empty')}</p>
+          ) : reports.map(report => (
+            <Card key={report.transactionHash} className="p-4 border border-border">
+              <div className="flex flex-wrap items-start justify-between gap-3 mb-3">
+                <div className="space-y-1 text-sm">
+                  <p className="font-mono">{shortHash(report.transactionHash)}</p>
+                  <p className="text-muted-foreground">
+                    {!scoped && `${t('admin.flaggedVotes.election', { id: report.electionId })} · `}
+                    {t('admin.flaggedVotes.voter', { address: `${report.voter.substring(0, 6)}...${report.voter.substring(38)}` })}
+                    {report.recordedAt && ` · ${new Date(report.recordedAt).toLocaleString()}`}
+                  </p>
+                </div>
+                <div className="flex items-center gap-2">
+                  <Badge variant="outline" className="border-warning/50 text-warning">
+                    {t('admin.flaggedVotes.risk', { score: report.riskScore })}
+                  </Badge>
+                  <Badge variant={DISPOSITION_VARIANTS[report.disposition]}>
+                    {t(`admin.flaggedVotes.dispositions.${report.disposition}`)}
+                  </Badge>
+                </div>
+              </div>
+
+              <div className="flex flex-wrap gap-2 mb-2">
+                {report.flagDetails.map(flag => (
+                  <Badge key={flag} variant="secondary">{flag}</Badge>
+                ))}
+              </div>
+              {report.flagHistory.length > 0 && (
+                <p className="text-xs text-muted-foreground mb-2">
+                  {t('admin.flaggedVotes.flagHistory', {
+                    frames: report.analysisCount,
+                    history: describeFlagHistory(report.flagHistory)
+                  })}
+                </p>
+              )}
+
+              {report.dispositionHistory.length > 0 && (
+                <ul className="text-xs text-muted-foreground mb-3 space-y-1">
+                  {report.dispositionHistory.map((entry, i) => (
+                    <li key={i}>
+                      {t('admin.flaggedVotes.reviewedBy', {
+                        time: new Date(entry.reviewedAt).toLocaleString(),
+                        disposition: t(`admin.flaggedVotes.dispositions.${entry.disposition}`),
+                        reviewer: `${entry.reviewedBy.substring(0, 6)}...${entry.reviewedBy.substring(entry.reviewedBy.length - 4)}`
+                      })}
+                      {entry.note && ` (${entry.note})`}
+                    </li>
+                  ))}
+                </ul>
+              )}
+
+              <div className="flex flex-wrap items-center gap-2">
+                <Input
+                  value={notes[report.transactionHash] || ''}
+                  onChange={(e) => setNotes(prev => ({ ...prev, [report.transactionHash]: e.target.value }))}
+                  placeholder={t('admin.flaggedVotes.notePlaceholder')}
+                  maxLength={1000}
+                  className="flex-1 min-w-[12rem]"
+                />
+                {report.disposition !== 'cleared' && (
+                  <Button
+                    size="sm"
+                    variant="outline"
+                    onClick={() => review(report, 'cleared')}
+                    disabled={reviewing === report.transactionHash}
+                  >
+                    {t('admin.flaggedVotes.clear')}
+                  </Button>
+                )}
+                {report.disposition !== 'escalated' && (
+                  <Button
+                    size="sm"
+                    variant="destructive"
+                    onClick={() => review(report, 'escalated')}
+                    disabled={reviewing === report.transactionHash}
+                  >
+                    {t('admin.flaggedVotes.escalate')}
+                  </Button>
+                )}
+              </div>
+            </Card>
+          ))}
+        </div>
+      )}
+    </Card>
+  );
+};
+
+export default FlaggedVoteQueue;
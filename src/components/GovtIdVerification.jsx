@@ -0,0 +1,119 @@
+import { useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { Card } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { useToast } from '@/hooks/use-toast';
+import { requestGovtIdCode, verifyGovtIdCode } from '@/lib/walletLink';
+import { IdCard, Loader2 } from 'lucide-react';
+
+const ID_TYPES = ['voter', 'pan', 'aadhaar'];
+
+// Profile column holding each Government ID type, used to prefill the form
+const PROFILE_ID_COLUMNS = { voter: 'voter_id', pan: 'pan_card', aadhaar: 'aadhaar_card' };
+
+const profileGovtId = (profile) => {
+  const idType = ID_TYPES.find(type => profile?.[PROFILE_ID_COLUMNS[type]]) || 'voter';
+  return { idType, govtID: profile?.[PROFILE_ID_COLUMNS[idType]] || '' };
+};
+
+// One-time code step a Supabase account completes before its first wallet
+// link, so the backend never trusts the Government ID typed into a profile
+export const GovtIdVerification = ({ accessToken, profile, onVerified }) => {
+  const { t } = useTranslation();
+  const { toast } = useToast();
+  const [{ idType, govtID }, setId] = useState(() => profileGovtId(profile));
+  const [challenge, setChallenge] = useState(null);
+  const [code, setCode] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const run = async (step) => {
+    setLoading(true);
+    try {
+      await step();
+    } catch (error) {
+      toast({ title: t('common.error'), description: error.message, variant: 'destructive' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const sendCode = () => run(async () => {
+    setChallenge(await requestGovtIdCode(accessToken, { govtID, idType }));
+    setCode('');
+  });
+
+  const verify = () => run(async () => {
+    await verifyGovtIdCode(accessToken, { challengeId: challenge.challengeId, code });
+    toast({ title: t('govtId.verify.verified') });
+    onVerified();
+  });
+
+  return (
+    <Card className="p-6 mb-8 border-primary/30">
+      <div className="flex items-center gap-2 mb-2">
+        <IdCard className="h-5 w-5 text-primary" />
+        <h2 className="text-lg font-semibold">{t('govtId.verify.title')}</h2>
+      </div>
+      <p className="text-sm text-muted-foreground mb-4">{t('govtId.verify.description')}</p>
+
+      <div className="grid gap-4 sm:grid-cols-3">
+        <div className="space-y-2">
+          <Label htmlFor="govt-id-type">{t('govtId.verify.idType')}</Label>
+          <select
+            id="govt-id-type"
+            value={idType}
+            onChange={(e) => setId({ idType: e.target.value, govtID })}
+            disabled={loading || Boolean(challenge)}
+            className="flex h-10 w-full rounded-md border border-input bg-background px-3 py-2 text-sm ring-offset-background focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring focus-visible:ring-offset-2"
+          >
+            {ID_TYPES.map(type => (
+              <option key={type} value={type}>{t(`govtId.verify.types.${type}`)}</option>
+            ))}
+          </select>
+        </div>
+        <div className="space-y-2 sm:col-span-2">
+          <Label htmlFor="govt-id-number">{t('govtId.verify.idNumber')}</Label>
+          <Input
+            id="govt-id-number"
+            value={govtID}
+            onChange={(e) => setId({ idType, govtID: e.target.value })}
+            disabled={loading || Boolean(challenge)}
+          />
+        </div>
+      </div>
+
+      {challenge ? (
+        <div className="mt-4 space-y-2">
+          <p className="text-sm text-muted-foreground">
+            {t('govtId.verify.codeSent', { destination: challenge.destination || challenge.deliveredVia })}
+          </p>
+          <Label htmlFor="govt-id-code">{t('govtId.verify.code')}</Label>
+          <div className="flex gap-2">
+            <Input
+              id="govt-id-code"
+              inputMode="numeric"
+              maxLength={6}
+              value={code}
+              onChange={(e) => setCode(e.target.value.replace(/\D/g, ''))}
+              disabled={loading}
+            />
+            <Button onClick={verify} disabled={loading || code.length !== 6}>
+              {loading && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+              {t('govtId.verify.verify')}
+            </Button>
+          </div>
+          <Button variant="link" className="px-0" onClick={sendCode} disabled={loading}>
+            {t('govtId.verify.resend')}
+          </Button>
+        </div>
+      ) : (
+        <Button className="mt-4" onClick={sendCode} disabled={loading || !govtID.trim()}>
+          {loading && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+          {t('govtId.verify.sendCode')}
+        </Button>
+      )}
+    </Card>
+  );
+};
@@ -0,0 +1,139 @@
+import { useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { ArrowDown, ArrowUp, Check, Vote as VoteIcon } from 'lucide-react';
+import { ballotFirstChoice } from '@/lib/ballots';
+import CandidateCard from './CandidateCard';
+
+const DEFAULT_MAX_SCORE = 5;
+
+// Empty ballot in the shape of each method (backend/analytics/votingMethods)
+const emptyChoices = (votingMethod, candidates) => {
+  if (votingMethod === 'approval') return [];
+  if (votingMethod === 'score') return Object.fromEntries(candidates.map(candidate => [candidate.id, 0]));
+  return candidates.map(candidate => candidate.id);
+};
+
+// Ballot form for ranked (Borda, instant-runoff), approval and score
+// elections. The voter fills in the whole ballot and casts it with one
+// on-chain vote for its first choice; `onCast(choices, candidateId)` sends
+// both. Key it by method and candidates so it starts over when they load.
+const MethodBallot = ({ candidates, profiles, votingMethod, methodOptions, isVoting, onCast }) => {
+  const { t } = useTranslation();
+  const [choices, setChoices] = useState(() => emptyChoices(votingMethod, candidates));
+  const maxScore = Number(methodOptions?.maxScore) || DEFAULT_MAX_SCORE;
+  const ranked = votingMethod !== 'approval' && votingMethod !== 'score';
+
+  const byId = new Map(candidates.map(candidate => [candidate.id, candidate]));
+  const firstChoice = ballotFirstChoice(votingMethod, choices);
+  const ordered = ranked ? choices.map(id => byId.get(id)).filter(Boolean) : candidates;
+
+  const toggleApproval = (id) => setChoices(prev => (prev.includes(id)
+    ? prev.filter(approved => approved !== id)
+    : candidates.map(candidate => candidate.id).filter(candidateId => candidateId === id || prev.includes(candidateId))));
+
+  const move = (index, offset) => setChoices(prev => {
+    const next = [...prev];
+    [next[index], next[index + offset]] = [next[index + offset], next[index]];
+    return next;
+  });
+
+  const controls = (candidate, index) => {
+    if (votingMethod === 'approval') {
+      const approved = choices.includes(candidate.id);
+      return (
+        <Button
+          variant={approved ? 'default' : 'outline'}
+          onClick={() => toggleApproval(candidate.id)}
+          disabled={isVoting}
+          className="w-full"
+        >
+          {approved && <Check className="w-4 h-4 mr-2" />}
+          {approved ? t('voting.ballot.approved') : t('voting.ballot.approve')}
+        </Button>
+      );
+    }
+
+    if (votingMethod === 'score') {
+      return (
+        <label className="flex items-center justify-between gap-4 text-sm font-medium">
+          {t('voting.ballot.score')}
+          <select
+            value={choices[candidate.id]}
+            onChange={(e) => setChoices(prev => ({ ...prev, [candidate.id]: Number(e.target.value) }))}
+            disabled={isVoting}
+            className="flex h-10 w-24 rounded-md border border-input bg-background px-3 py-2 text-sm ring-offset-background focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring focus-visible:ring-offset-2"
+          >
+            {Array.from({ length: maxScore + 1 }, (_, score) => (
+              <option key={score} value={score}>{score}</option>
+            ))}
+          </select>
+        </label>
+      );
+    }
+
+    return (
+      <div className="flex items-center justify-between gap-2">
+        <Badge variant={index === 0 ? 'default' : 'outline'}>{t('voting.ballot.rank', { rank: index + 1 })}</Badge>
+        <div className="flex gap-2">
+          <Button
+            variant="outline"
+            size="sm"
+            onClick={() => move(index, -1)}
+            disabled={isVoting || index === 0}
+            aria-label={t('voting.ballot.moveUp')}
+          >
+            <ArrowUp className="w-4 h-4" />
+          </Button>
+          <Button
+            variant="outline"
+            size="sm"
+            onClick={() => move(index, 1)}
+            disabled={isVoting || index === ordered.length - 1}
+            aria-label={t('voting.ballot.moveDown')}
+          >
+            <ArrowDown className="w-4 h-4" />
+          </Button>
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <div className="space-y-6">
+      <p className="text-sm text-center text-muted-foreground">
+        {votingMethod === 'approval' && t('voting.ballot.approvalHint')}
+        {votingMethod === 'score' && t('voting.ballot.scoreHint', { max: maxScore })}
+        {ranked && t('voting.ballot.rankedHint')}
+      </p>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        {ordered.map((candidate, index) => (
+          <CandidateCard key={candidate.id} candidate={candidate} profile={profiles.get(candidate.id)}>
+            {controls(candidate, index)}
+          </CandidateCard>
+        ))}
+      </div>
+
+      <div className="text-center space-y-3">
+        <p className="text-sm text-muted-foreground">
+          {firstChoice === null
+            ? t('voting.ballot.empty')
+            : t('voting.ballot.chainVote', { name: byId.get(firstChoice)?.name })}
+        </p>
+        <Button
+          onClick={() => onCast(choices, firstChoice)}
+          disabled={isVoting || firstChoice === null}
+          size="lg"
+          className="bg-gradient-to-r from-primary to-accent hover:opacity-90"
+        >
+          <VoteIcon className="w-4 h-4 mr-2" />
+          {isVoting ? t('voting.voting') : t('voting.ballot.cast')}
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+export default MethodBallot;
@@ -0,0 +1,202 @@
+import { useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { Card } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Textarea } from '@/components/ui/textarea';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+import { useToast } from '@/hooks/use-toast';
+import { ListOrdered, Crown, Loader2 } from 'lucide-react';
+import { apiUrl } from '@/lib/api';
+
+const TIE_BREAK_LABELS = {
+  'previous-round': 'admin.rankedChoice.tieBreak.previousRound',
+  'candidate-id': 'admin.rankedChoice.tieBreak.candidateId'
+};
+
+// Parse one ballot per line, preferences separated by ">" or ",".
+// Each preference may be a candidate name or candidate ID.
+const parseBallots = (text, candidates) => {
+  const byName = new Map(candidates.map(c => [c.name.trim().toLowerCase(), c.id]));
+  const byId = new Set(candidates.map(c => c.id));
+
+  return text
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map(line => line
+      .split(/[>,]/)
+      .map(choice => choice.trim())
+      .filter(Boolean)
+      .map(choice => {
+        if (/^\d+$/.test(choice) && byId.has(Number(choice))) return Number(choice);
+        return byName.get(choice.toLowerCase());
+      })
+      .filter(id => id !== undefined)
+    );
+};
+
+const RankedChoiceResults = ({ electionId, candidates }) => {
+  const { t } = useTranslation();
+  const { toast } = useToast();
+  const [ballotText, setBallotText] = useState('');
+  const [result, setResult] = useState(null);
+  const [isRunning, setIsRunning] = useState(false);
+
+  const runTally = async () => {
+    const ballots = parseBallots(ballotText, candidates);
+    if (ballots.length === 0) {
+      toast({
+        title: t('admin.rankedChoice.noBallotsTitle'),
+        description: t('admin.rankedChoice.noBallots'),
+        variant: 'destructive'
+      });
+      return;
+    }
+
+    try {
+      setIsRunning(true);
+      const response = await fetch(apiUrl(`/api/elections/${electionId}/tally/irv`), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ballots })
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || t('admin.rankedChoice.failed'));
+      }
+
+      setResult(data);
+    } catch (error) {
+      console.error('Instant-runoff error:', error);
+      toast({
+        title: t('common.error'),
+        description: error.message,
+        variant: 'destructive'
+      });
+    } finally {
+      setIsRunning(false);
+    }
+  };
+
+  // Votes per candidate per round; null once the candidate is eliminated
+  const votesFor = (round, candidateId) => {
+    const tally = round.tallies.find(entry => entry.candidateId === candidateId);
+    return tally ? tally.votes : null;
+  };
+
+  return (
+    <Card className="p-6">
+      <div className="flex items-center gap-3 mb-4">
+        <ListOrdered className="w-6 h-6 text-primary" />
+        <h3 className="text-2xl font-bold bg-gradient-to-r from-primary to-accent bg-clip-text text-transparent">
+          {t('admin.rankedChoice.title')}
+        </h3>
+      </div>
+
+      <p className="text-sm text-muted-foreground mb-2">
+        {t('admin.rankedChoice.instructions')}{' '}
+        <code>{candidates.slice(0, 3).map(c => c.name).join(' > ')}</code>
+      </p>
+      <Textarea
+        value={ballotText}
+        onChange={(e) => setBallotText(e.target.value)}
+        rows={6}
+        placeholder={candidates.map(c => c.name).join(' > ')}
+        className="mb-4 font-mono text-sm"
+      />
+      <Button
+        onClick={runTally}
+        disabled={isRunning}
+        className="bg-gradient-to-r from-primary to-accent hover:from-primary/90 hover:to-accent/90"
+      >
+        {isRunning && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+        {t('admin.rankedChoice.run')}
+      </Button>
+
+      {result && (
+        <div className="mt-6 space-y-4">
+          <div className="flex items-center gap-2">
+            <Crown className="w-5 h-5 text-primary" />
+            {result.winner ? (
+              <span className="font-semibold">
+                {t('admin.rankedChoice.winner', { name: result.winner.name, votes: result.winner.votes, round: result.rounds.length })}
+              </span>
+            ) : (
+              <span className="text-muted-foreground">{t('admin.rankedChoice.noWinner')}</span>
+            )}
+            <Badge variant="outline">{t('admin.rankedChoice.ballots', { ballots: result.totalBallots })}</Badge>
+          </div>
+
+          <div className="overflow-x-auto">
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>{t('admin.rankedChoice.candidate')}</TableHead>
+                  {result.rounds.map(round => (
+                    <TableHead key={round.round} className="text-right">{t('admin.rankedChoice.round', { round: round.round })}</TableHead>
+                  ))}
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {candidates.map(candidate => (
+                  <TableRow key={candidate.id}>
+                    <TableCell className="font-medium">{candidate.name}</TableCell>
+                    {result.rounds.map(round => {
+                      const votes = votesFor(round, candidate.id);
+                      const eliminated = round.eliminated?.candidateId === candidate.id;
+                      const won = result.winner?.candidateId === candidate.id && round.round === result.rounds.length;
+                      return (
+                        <TableCell
+                          key={round.round}
+                          className={`text-right ${eliminated ? 'text-destructive line-through' : ''} ${won ? 'font-bold text-primary' : ''}`}
+                        >
+                          {votes === null ? '—' : votes}
+                        </TableCell>
+                      );
+                    })}
+                  </TableRow>
+                ))}
+                <TableRow>
+                  <TableCell className="text-muted-foreground">{t('admin.rankedChoice.exhausted')}</TableCell>
+                  {result.rounds.map(round => (
+                    <TableCell key={round.round} className="text-right text-muted-foreground">
+                      {round.exhaustedBallots}
+                    </TableCell>
+                  ))}
+                </TableRow>
+                <TableRow>
+                  <TableCell className="text-muted-foreground">{t('admin.rankedChoice.threshold')}</TableCell>
+                  {result.rounds.map(round => (
+                    <TableCell key={round.round} className="text-right text-muted-foreground">
+                      {round.threshold}
+                    </TableCell>
+                  ))}
+                </TableRow>
+              </TableBody>
+            </Table>
+          </div>
+
+          <ul className="text-sm text-muted-foreground space-y-1">
+            {result.rounds.filter(round => round.eliminated).map(round => (
+              <li key={round.round}>
+                {t('admin.rankedChoice.eliminated', { round: round.round, name: round.eliminated.name })}
+                {round.tieBreak && ` (${t(TIE_BREAK_LABELS[round.tieBreak])})`}
+                {round.transfers.length > 0 && ' → '}
+                {round.transfers
+                  .map(transfer => t('admin.rankedChoice.transfer', {
+                    votes: transfer.votes,
+                    name: transfer.name || t('admin.rankedChoice.exhaustedTransfer')
+                  }))
+                  .join(', ')}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </Card>
+  );
+};
+
+export default RankedChoiceResults;
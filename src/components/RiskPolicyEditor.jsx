@@ -0,0 +1,202 @@
+import { useState, useEffect } from 'react';
+import { useTranslation } from 'react-i18next';
+import { Card } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Input } from '@/components/ui/input';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+import { useToast } from '@/hooks/use-toast';
+import { SlidersHorizontal, Loader2, RotateCcw } from 'lucide-react';
+import { apiUrl } from '@/lib/api';
+import { adminFetch } from '@/lib/adminAuth';
+import { DEFAULT_RISK_POLICY, RISK_CONDITIONS, normalizeRiskPolicy } from '@/lib/riskPolicy';
+
+// Inputs hold strings while editing; numbers are parsed on save
+const toForm = (policy) => ({
+  weights: Object.fromEntries(RISK_CONDITIONS.map(condition => [condition, String(policy.weights[condition])])),
+  consecutiveFrames: Object.fromEntries(RISK_CONDITIONS.map(condition => [condition, String(policy.consecutiveFrames[condition])])),
+  warning: String(policy.thresholds.warning),
+  flagged: String(policy.thresholds.flagged),
+  decayHalfLifeSeconds: String(policy.decayHalfLifeSeconds)
+});
+
+const fromForm = (form) => ({
+  weights: Object.fromEntries(RISK_CONDITIONS.map(condition => [condition, Number(form.weights[condition])])),
+  consecutiveFrames: Object.fromEntries(RISK_CONDITIONS.map(condition => [condition, Number(form.consecutiveFrames[condition])])),
+  thresholds: { warning: Number(form.warning), flagged: Number(form.flagged) },
+  decayHalfLifeSeconds: Number(form.decayHalfLifeSeconds)
+});
+
+// Admin editor for the anomaly risk-scoring policy of an election
+const RiskPolicyEditor = ({ electionId }) => {
+  const { t } = useTranslation();
+  const { toast } = useToast();
+  const [form, setForm] = useState(toForm(DEFAULT_RISK_POLICY));
+  const [isDefault, setIsDefault] = useState(true);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        setLoading(true);
+        const response = await fetch(apiUrl(`/api/elections/${electionId}/risk-policy`));
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Failed to load risk policy');
+
+        setForm(toForm(data.policy));
+        setIsDefault(data.isDefault);
+      } catch (error) {
+        console.error('Error loading risk policy:', error);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    load();
+  }, [electionId]);
+
+  const updateCondition = (field, condition, value) => {
+    setForm(prev => ({ ...prev, [field]: { ...prev[field], [condition]: value } }));
+  };
+
+  const savePolicy = async () => {
+    const { policy, error } = normalizeRiskPolicy(fromForm(form));
+    if (error) {
+      toast({
+        title: t('admin.riskPolicy.invalid'),
+        description: error,
+        variant: 'destructive'
+      });
+      return;
+    }
+
+    try {
+      setSaving(true);
+      const data = await adminFetch(`/api/admin/elections/${electionId}/risk-policy`, {
+        method: 'PUT',
+        body: JSON.stringify({ policy })
+      });
+      setForm(toForm(data.policy));
+      setIsDefault(false);
+      toast({
+        title: t('admin.riskPolicy.savedTitle'),
+        description: t('admin.riskPolicy.saved'),
+        variant: 'default'
+      });
+    } catch (error) {
+      console.error('Error saving risk policy:', error);
+      toast({
+        title: t('common.error'),
+        description: error.message,
+        variant: 'destructive'
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Card className="p-6">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+        <div className="flex items-center gap-3">
+          <SlidersHorizontal className="w-6 h-6 text-primary" />
+          <h3 className="text-2xl font-bold bg-gradient-to-r from-primary to-accent bg-clip-text text-transparent">
+            {t('admin.riskPolicy.title')}
+          </h3>
+          {isDefault && <Badge variant="secondary">{t('admin.riskPolicy.default')}</Badge>}
+        </div>
+        <Button variant="outline" size="sm" onClick={() => setForm(toForm(DEFAULT_RISK_POLICY))} disabled={loading || saving}>
+          <RotateCcw className="w-4 h-4 mr-2" />
+          {t('admin.riskPolicy.reset')}
+        </Button>
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center py-6">
+          <Loader2 className="w-6 h-6 animate-spin text-primary" />
+        </div>
+      ) : (
+        <>
+          <p className="text-sm text-muted-foreground mb-4">{t('admin.riskPolicy.description')}</p>
+
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>{t('admin.riskPolicy.condition')}</TableHead>
+                <TableHead>{t('admin.riskPolicy.weight')}</TableHead>
+                <TableHead>{t('admin.riskPolicy.consecutiveFrames')}</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {RISK_CONDITIONS.map(condition => (
+                <TableRow key={condition}>
+                  <TableCell>{t(`admin.riskPolicy.conditions.${condition}`)}</TableCell>
+                  <TableCell>
+                    <Input
+                      type="number"
+                      min="0"
+                      max="100"
+                      value={form.weights[condition]}
+                      onChange={(e) => updateCondition('weights', condition, e.target.value)}
+                      className="w-24"
+                    />
+                  </TableCell>
+                  <TableCell>
+                    <Input
+                      type="number"
+                      min="1"
+                      max="100"
+                      value={form.consecutiveFrames[condition]}
+                      onChange={(e) => updateCondition('consecutiveFrames', condition, e.target.value)}
+                      className="w-24"
+                    />
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+
+          <div className="grid md:grid-cols-3 gap-4 mt-4">
+            <div>
+              <label className="text-sm font-medium">{t('admin.riskPolicy.warningAbove')}</label>
+              <Input
+                type="number"
+                min="0"
+                max="100"
+                value={form.warning}
+                onChange={(e) => setForm(prev => ({ ...prev, warning: e.target.value }))}
+              />
+            </div>
+            <div>
+              <label className="text-sm font-medium">{t('admin.riskPolicy.flaggedAbove')}</label>
+              <Input
+                type="number"
+                min="0"
+                max="100"
+                value={form.flagged}
+                onChange={(e) => setForm(prev => ({ ...prev, flagged: e.target.value }))}
+              />
+            </div>
+            <div>
+              <label className="text-sm font-medium">{t('admin.riskPolicy.halfLife')}</label>
+              <Input
+                type="number"
+                min="0"
+                value={form.decayHalfLifeSeconds}
+                onChange={(e) => setForm(prev => ({ ...prev, decayHalfLifeSeconds: e.target.value }))}
+              />
+            </div>
+          </div>
+
+          <Button onClick={savePolicy} disabled={saving} className="mt-4">
+            {saving && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+            {t('admin.riskPolicy.save')}
+          </Button>
+        </>
+      )}
+    </Card>
+  );
+};
+
+export default RiskPolicyEditor;
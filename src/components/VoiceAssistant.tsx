@@ -4,6 +4,9 @@ import { Button } from '@/components/ui/button';
 import { useToast } from '@/hooks/use-toast';
 import { useNavigate } from 'react-router-dom';
 import { ethers } from 'ethers';
+import { getWalletElectionClient } from '@/lib/contract';
+import { prepareCommitment } from '@/lib/commitReveal';
+import { apiUrl } from '@/lib/api';
 import { supabase } from '@/integrations/supabase/client';
 
 declare global {
@@ -34,20 +37,6 @@ interface SpeechRecognition {
   stop: () => void;
 }
 
-// Contract ABI for voting functions
-const CONTRACT_ABI = [
-  "function getElectionCount() view returns (uint256)",
-  "function getElectionDetails(uint256) view returns (string, uint256, uint256, bool, address)",
-  "function getCandidates(uint256) view returns (tuple(string name, uint256 voteCount)[])",
-  "function vote(uint256 electionId, uint256 candidateId)",
-  "function createElection(string memory title, string[] memory candidateNames, uint256 durationInMinutes)",
-  "function electionCount() view returns (uint256)",
-  "function getElection(uint256) view returns (string, string, uint256, uint256, bool, uint256, uint256)",
-  "function getCandidate(uint256, uint256) view returns (uint256, string, uint256)"
-];
-
-const CONTRACT_ADDRESS = "0x1549f7Ddd4fCE6109F448A1C6dFDF0694d3a5fbd";
-
 // Supported languages
 const LANGUAGES = [
   { code: 'te-IN', name: 'Telugu', native: 'తెలుగు' },
@@ -274,44 +263,11 @@ export const VoiceAssistant: React.FC<VoiceAssistantProps> = ({ className }) =>
   }, [navigate, toast]);
 
   // Blockchain functions
-  const getContract = useCallback(async (needSigner = false) => {
-    if (!window.ethereum) {
-      throw new Error('Please install MetaMask');
-    }
-    const provider = new ethers.BrowserProvider(window.ethereum);
-    if (needSigner) {
-      const signer = await provider.getSigner();
-      return new ethers.Contract(CONTRACT_ADDRESS, CONTRACT_ABI, signer);
-    }
-    return new ethers.Contract(CONTRACT_ADDRESS, CONTRACT_ABI, provider);
-  }, []);
-
   const listElections = useCallback(async () => {
     try {
-      const contract = await getContract();
-      let count;
-      try {
-        count = await contract.getElectionCount();
-      } catch {
-        count = await contract.electionCount();
-      }
-      
-      const elections: string[] = [];
-      for (let i = 0; i < Number(count); i++) {
-        try {
-          let title;
-          try {
-            const details = await contract.getElectionDetails(i);
-            title = details[0];
-          } catch {
-            const election = await contract.getElection(i);
-            title = election[0];
-          }
-          elections.push(`${i + 1}. ${title}`);
-        } catch (e) {
-          console.log('Error fetching election', i);
-        }
-      }
+      const client = await getWalletElectionClient();
+      const elections = (await client.listElections())
+        .map(election => `${election.id + 1}. ${election.title}`);
       
       const message = elections.length > 0 
         ? `Found ${elections.length} elections: ${elections.join(', ')}`
@@ -325,33 +281,22 @@ export const VoiceAssistant: React.FC<VoiceAssistantProps> = ({ className }) =>
       speak(msg);
       setResponse(msg);
     }
-  }, [getContract, speak, selectedLanguage]);
+  }, [speak, selectedLanguage]);
 
   const getElectionDetails = useCallback(async (electionId: number) => {
     try {
-      const contract = await getContract();
-      let title, candidateList;
-      
-      try {
-        const details = await contract.getElectionDetails(electionId);
-        title = details[0];
-        const candidates = await contract.getCandidates(electionId);
-        candidateList = candidates.map((c: any, i: number) => 
-          `${i + 1}. ${c.name} with ${c.voteCount} votes`
-        ).join(', ');
-      } catch {
-        const election = await contract.getElection(electionId);
-        title = election[0];
-        const candidatesCount = Number(election[5]);
-        const candidates = [];
-        for (let i = 0; i < candidatesCount; i++) {
-          const c = await contract.getCandidate(electionId, i);
-          candidates.push(`${i + 1}. ${c[1]} with ${c[2]} votes`);
-        }
-        candidateList = candidates.join(', ');
+      const client = await getWalletElectionClient();
+      const election = await client.getElection(electionId);
+      if (!election) {
+        throw new Error(`Election ${electionId} does not exist`);
       }
+
+      const candidates = await client.getCandidates(electionId, election.candidatesCount);
+      const candidateList = candidates
+        .map((candidate, i) => `${i + 1}. ${candidate.name} with ${candidate.votes} votes`)
+        .join(', ');
       
-      const message = `Election: ${title}. Candidates: ${candidateList}`;
+      const message = `Election: ${election.title}. Candidates: ${candidateList}`;
       speak(message, selectedLanguage);
       setResponse(message);
     } catch (error) {
@@ -360,17 +305,39 @@ export const VoiceAssistant: React.FC<VoiceAssistantProps> = ({ className }) =>
       speak(msg);
       setResponse(msg);
     }
-  }, [getContract, speak, selectedLanguage]);
+  }, [speak, selectedLanguage]);
 
   const castVote = useCallback(async (electionId: number, candidateId: number) => {
     try {
-      const contract = await getContract(true);
+      // A ranked, approval or score ballot is filled in on the voting page; a
+      // bare on-chain vote would not be tallied
+      const settingsResponse = await fetch(apiUrl(`/api/elections/${electionId}`));
+      const { election } = settingsResponse.ok ? await settingsResponse.json() : { election: null };
+      if (election?.votingMethod && election.votingMethod !== 'plurality') {
+        const message = 'This election uses a ranked, approval or score ballot. Please vote on its voting page.';
+        speak(message, selectedLanguage);
+        setResponse(message);
+        return;
+      }
+
+      const client = await getWalletElectionClient({ withSigner: true });
       toast({ title: 'Casting vote...' });
       
-      const tx = await contract.vote(electionId, candidateId);
-      await tx.wait();
+      let message = 'Your vote has been cast successfully!';
+      const commitReveal = await client.getCommitReveal(electionId);
+      if (commitReveal) {
+        // Sealed elections take only a commitment, like the voting page; its
+        // salt stays in this browser, where the voting page reveals it later
+        const voter = await (await new ethers.BrowserProvider(window.ethereum).getSigner()).getAddress();
+        await client.commitVote(electionId, prepareCommitment(electionId, voter, candidateId));
+        const revealFrom = new Date(commitReveal.commitEndTime * 1000).toLocaleString();
+        const revealUntil = new Date(commitReveal.revealEndTime * 1000).toLocaleString();
+        message = `Your sealed vote is on the blockchain. Reveal it on the election's voting page in this browser between ${revealFrom} and ${revealUntil}; unrevealed votes are not counted.`;
+      } else {
+        // Same re-voting contract as the voting pages
+        await client.castVote(electionId, candidateId, { revote: true });
+      }
       
-      const message = 'Your vote has been cast successfully!';
       speak(message, selectedLanguage);
       setResponse(message);
       toast({ title: 'Vote Cast!', description: 'Transaction confirmed.' });
@@ -381,15 +348,22 @@ export const VoiceAssistant: React.FC<VoiceAssistantProps> = ({ className }) =>
       setResponse(errMsg);
       toast({ title: 'Vote Failed', description: errMsg });
     }
-  }, [getContract, speak, selectedLanguage, toast]);
+  }, [speak, selectedLanguage, toast]);
 
   const createElection = useCallback(async (title: string, candidates: string[]) => {
     try {
-      const contract = await getContract(true);
+      const client = await getWalletElectionClient({ withSigner: true });
       toast({ title: 'Creating election...' });
       
-      const tx = await contract.createElection(title, candidates, 60);
-      await tx.wait();
+      // Voice-created elections open now and run for an hour
+      const startTime = Math.floor(Date.now() / 1000);
+      await client.createElection({
+        title,
+        description: '',
+        candidates,
+        startTime,
+        endTime: startTime + 60 * 60
+      });
       
       const message = `Election "${title}" created successfully!`;
       speak(message, selectedLanguage);
@@ -400,9 +374,9 @@ export const VoiceAssistant: React.FC<VoiceAssistantProps> = ({ className }) =>
       const errMsg = 'Failed to create election.';
       speak(errMsg);
       setResponse(errMsg);
-      toast({ title: 'Creation Failed', description: error.reason || 'Unknown error' });
+      toast({ title: 'Creation Failed', description: error.reason || error.message || 'Unknown error' });
     }
-  }, [getContract, speak, selectedLanguage, toast]);
+  }, [speak, selectedLanguage, toast]);
 
   // Start listening
   const startListening = useCallback(() => {
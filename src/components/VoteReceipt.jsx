@@ -0,0 +1,67 @@
+import { Link } from 'react-router-dom';
+import { Card } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { useToast } from '@/hooks/use-toast';
+import { Download, Printer, Receipt, ShieldCheck } from 'lucide-react';
+import { useTranslation } from 'react-i18next';
+import { downloadVoteReceipt, printVoteReceipt } from '@/lib/voteReceipt';
+
+// Receipt shown after a vote: election, transaction, block and time, with no
+// candidate so it cannot be used to prove a choice to anyone
+const VoteReceipt = ({ receipt }) => {
+  const { t } = useTranslation();
+  const { toast } = useToast();
+
+  const handlePrint = () => {
+    try {
+      printVoteReceipt(receipt, t);
+    } catch (error) {
+      toast({
+        title: t('receipt.printFailed'),
+        description: error.message,
+        variant: 'destructive'
+      });
+    }
+  };
+
+  return (
+    <Card className="p-6 bg-card/80 border-primary/20 mb-6">
+      <div className="flex items-center gap-2 mb-4">
+        <Receipt className="w-5 h-5 text-primary" />
+        <h3 className="text-lg font-semibold">{t('receipt.title')}</h3>
+      </div>
+
+      <dl className="grid grid-cols-[auto,1fr] gap-x-4 gap-y-2 text-sm mb-4">
+        <dt className="text-muted-foreground">{t('receipt.election')}</dt>
+        <dd>{receipt.electionTitle || t('receipt.election')} (#{receipt.electionId})</dd>
+        <dt className="text-muted-foreground">{t('receipt.transaction')}</dt>
+        <dd className="font-mono text-xs break-all">{receipt.transactionHash}</dd>
+        <dt className="text-muted-foreground">{t('receipt.block')}</dt>
+        <dd>{receipt.blockNumber ?? t('receipt.pending')}</dd>
+        <dt className="text-muted-foreground">{t('receipt.time')}</dt>
+        <dd>{new Date(receipt.timestamp).toLocaleString()}</dd>
+      </dl>
+
+      <p className="text-xs text-muted-foreground mb-4">{t('receipt.note')}</p>
+
+      <div className="flex flex-wrap gap-2">
+        <Button variant="outline" size="sm" onClick={() => downloadVoteReceipt(receipt)}>
+          <Download className="w-4 h-4 mr-2" />
+          {t('receipt.download')}
+        </Button>
+        <Button variant="outline" size="sm" onClick={handlePrint}>
+          <Printer className="w-4 h-4 mr-2" />
+          {t('receipt.print')}
+        </Button>
+        <Button variant="outline" size="sm" asChild>
+          <Link to="/verify" state={{ receipt }}>
+            <ShieldCheck className="w-4 h-4 mr-2" />
+            {t('receipt.verify')}
+          </Link>
+        </Button>
+      </div>
+    </Card>
+  );
+};
+
+export default VoteReceipt;
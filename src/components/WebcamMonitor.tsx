@@ -2,6 +2,7 @@ import React, { useRef, useEffect, useState, useCallback } from 'react';
 import { Camera, CameraOff, AlertTriangle, CheckCircle, Eye, EyeOff, Loader2 } from 'lucide-react';
 import { Button } from '@/components/ui/button';
 import { useAnomalyDetection } from '@/hooks/useAnomalyDetection';
+import type { AnomalyDetectionMode } from '@/hooks/useAnomalyDetection';
 import { cn } from '@/lib/utils';
 
 interface WebcamMonitorProps {
@@ -9,9 +10,13 @@ interface WebcamMonitorProps {
     riskScore: number;
     anomalyFlags: boolean;
     flagDetails: string[];
+    flagHistory: string[];
+    analysisCount: number;
     isFlagged: boolean;
   }) => void;
   analysisInterval?: number; // ms between analyses
+  detectionMode?: AnomalyDetectionMode; // defaults to VITE_ANOMALY_DETECTION_MODE
+  electionId?: number | null; // election whose risk policy scores the session
   autoStart?: boolean;
   showPreview?: boolean;
   compact?: boolean;
@@ -20,6 +25,8 @@ interface WebcamMonitorProps {
 export function WebcamMonitor({
   onRiskUpdate,
   analysisInterval = 3000, // Analyze every 3 seconds
+  detectionMode,
+  electionId = null,
   autoStart = true,
   showPreview = true,
   compact = false,
@@ -35,7 +42,7 @@ export function WebcamMonitor({
   const [previewVisible, setPreviewVisible] = useState(showPreview);
   const [cameraError, setCameraError] = useState<string | null>(null);
 
-  const { state, analyzeFrame, getVoteRiskData, reset } = useAnomalyDetection();
+  const { state, analyzeFrame, getVoteRiskData, reset } = useAnomalyDetection({ mode: detectionMode, electionId });
 
   // Start webcam
   const startCamera = useCallback(async () => {
@@ -136,11 +143,8 @@ export function WebcamMonitor({
     // Draw current frame
     ctx.drawImage(video, 0, 0);
 
-    // Convert to base64
-    const frameData = canvas.toDataURL('image/jpeg', 0.7);
-
     // Analyze frame
-    const result = await analyzeFrame(frameData);
+    const result = await analyzeFrame(canvas);
 
     // Notify parent of risk update
     if (result && onRiskUpdate) {
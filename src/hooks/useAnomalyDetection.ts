@@ -1,5 +1,22 @@
-import { useState, useCallback, useRef } from 'react';
+import { useState, useCallback, useRef, useEffect } from 'react';
 import { supabase } from '@/integrations/supabase/client';
+import { createLocalDetector, mergeAnalyses } from '@/lib/localAnomalyDetector';
+import type { LocalAnomalyDetector } from '@/lib/localAnomalyDetector';
+import { createRiskScorer, isFlaggedRisk } from '@/lib/riskPolicy';
+import type { AnalysisResult, PreviousFrameState, RiskScorer } from '@/lib/riskPolicy';
+import { useRiskPolicy } from '@/hooks/useRiskPolicy';
+
+// Where frames are analysed:
+// - 'remote': the anomaly-detection Supabase function (a cloud vision model)
+// - 'local': in the browser only (lib/localAnomalyDetector), no frame is uploaded
+// - 'hybrid': both, merged; the local result alone when the function fails
+export type AnomalyDetectionMode = 'local' | 'remote' | 'hybrid';
+
+const DETECTION_MODES: AnomalyDetectionMode[] = ['local', 'remote', 'hybrid'];
+
+// VITE_ANOMALY_DETECTION_MODE picks the default mode
+export const DEFAULT_DETECTION_MODE: AnomalyDetectionMode =
+  DETECTION_MODES.find(mode => mode === import.meta.env.VITE_ANOMALY_DETECTION_MODE) || 'hybrid';
 
 export interface AnomalyState {
   faceCount: number;
@@ -37,7 +54,34 @@ const initialState: AnomalyState = {
   error: null,
 };
 
-export function useAnomalyDetection() {
+// Send a frame to the anomaly-detection function, which scores it with the
+// election's risk policy
+const analyzeRemotely = async (
+  frame: HTMLCanvasElement,
+  previousState: PreviousFrameState | null,
+  electionId: number | null
+): Promise<AnalysisResult> => {
+  const { data, error } = await supabase.functions.invoke('anomaly-detection', {
+    body: {
+      frameData: frame.toDataURL('image/jpeg', 0.7),
+      previousState,
+      electionId,
+    },
+  });
+
+  if (error) throw error;
+  if (data?.error) throw new Error(data.error);
+  return data;
+};
+
+interface AnomalyDetectionOptions {
+  mode?: AnomalyDetectionMode;
+  // Election whose risk policy scores the session; the default policy without one
+  electionId?: number | null;
+}
+
+export function useAnomalyDetection({ mode = DEFAULT_DETECTION_MODE, electionId = null }: AnomalyDetectionOptions = {}) {
+  const policy = useRiskPolicy(electionId);
   const [state, setState] = useState<AnomalyState>(initialState);
   const [voteMetadata, setVoteMetadata] = useState<VoteMetadata>({
     riskScore: 0,
@@ -51,28 +95,46 @@ export function useAnomalyDetection() {
   const analysisCountRef = useRef(0);
   const flagHistoryRef = useRef<string[]>([]);
   const maxRiskScoreRef = useRef(0);
+  const localDetectorRef = useRef<LocalAnomalyDetector | null>(null);
+  const scorerRef = useRef<RiskScorer>(createRiskScorer(policy));
 
-  const analyzeFrame = useCallback(async (frameData: string) => {
-    setState(prev => ({ ...prev, isAnalyzing: true, status: 'analyzing' }));
+  // Score the session with the election's policy once it has loaded
+  useEffect(() => {
+    scorerRef.current = createRiskScorer(policy);
+    localDetectorRef.current = null;
+  }, [policy]);
+
+  // Analyse a frame with the configured detector(s)
+  const detect = useCallback(async (frame: HTMLCanvasElement): Promise<AnalysisResult> => {
+    const previousState = previousStateRef.current;
+    if (mode === 'remote') {
+      return analyzeRemotely(frame, previousState, electionId);
+    }
+
+    if (!localDetectorRef.current) {
+      localDetectorRef.current = createLocalDetector(policy);
+    }
+    const local = await localDetectorRef.current.analyze(frame, previousState);
+    if (mode === 'local') {
+      return local;
+    }
 
     try {
-      const { data, error } = await supabase.functions.invoke('anomaly-detection', {
-        body: {
-          frameData,
-          previousState: previousStateRef.current,
-        },
-      });
+      return mergeAnalyses(local, await analyzeRemotely(frame, previousState, electionId), previousState, policy);
+    } catch (error) {
+      console.warn('Remote anomaly detection failed, using the on-device result:', error);
+      return local;
+    }
+  }, [mode, electionId, policy]);
 
-      if (error) {
-        console.error('Anomaly detection error:', error);
-        setState(prev => ({
-          ...prev,
-          isAnalyzing: false,
-          error: error.message,
-          status: 'warning',
-        }));
-        return null;
-      }
+  // Analyse the frame currently drawn on `frame`
+  const analyzeFrame = useCallback(async (frame: HTMLCanvasElement) => {
+    setState(prev => ({ ...prev, isAnalyzing: true, status: 'analyzing' }));
+
+    try {
+      // Weights, consecutive frames and decay of the policy apply across the
+      // session, so the detector's own per-frame score is not used
+      const data = scorerRef.current.score(await detect(frame), Date.now());
 
       // Update previous state for next comparison
       previousStateRef.current = {
@@ -122,7 +184,7 @@ export function useAnomalyDetection() {
       }));
       return null;
     }
-  }, []);
+  }, [detect]);
 
   const reset = useCallback(() => {
     setState(initialState);
@@ -137,17 +199,23 @@ export function useAnomalyDetection() {
     analysisCountRef.current = 0;
     flagHistoryRef.current = [];
     maxRiskScoreRef.current = 0;
+    localDetectorRef.current?.reset();
+    scorerRef.current.reset();
   }, []);
 
+  // Risk of the session so far: its peak frame score, decayed as the policy
+  // sets (without decay, the highest score seen)
   const getVoteRiskData = useCallback(() => {
+    const riskScore = Math.round(scorerRef.current.sessionRisk(Date.now()));
     return {
-      riskScore: maxRiskScoreRef.current,
+      riskScore,
       anomalyFlags: flagHistoryRef.current.length > 0,
       flagDetails: [...new Set(flagHistoryRef.current)], // Unique flags
+      flagHistory: [...flagHistoryRef.current], // Every flag, in order
       analysisCount: analysisCountRef.current,
-      isFlagged: maxRiskScoreRef.current > 50,
+      isFlagged: isFlaggedRisk(policy, riskScore),
     };
-  }, []);
+  }, [policy]);
 
   return {
     state,
@@ -0,0 +1,46 @@
+import { useState, useEffect } from 'react';
+import { apiUrl } from '@/lib/api';
+
+// Load off-chain candidate profiles (photo, party, localized names, manifesto)
+// for an election from GET /api/elections/:id/candidates. Returns a Map from
+// candidate ID to profile; candidates without a profile are absent.
+const useCandidateProfiles = (electionId) => {
+  const [profiles, setProfiles] = useState(new Map());
+
+  useEffect(() => {
+    if (electionId === null || electionId === undefined) {
+      return;
+    }
+
+    let cancelled = false;
+
+    const load = async () => {
+      try {
+        const response = await fetch(apiUrl(`/api/elections/${electionId}/candidates`));
+        if (!response.ok) return;
+
+        const data = await response.json();
+        if (cancelled) return;
+
+        setProfiles(new Map(
+          data.candidates
+            .filter(candidate => candidate.profile)
+            .map(candidate => [candidate.id, candidate.profile])
+        ));
+      } catch (error) {
+        console.error('Error fetching candidate profiles:', error);
+      }
+    };
+
+    load();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [electionId]);
+
+  return profiles;
+};
+
+export { useCandidateProfiles };
+export default useCandidateProfiles;
@@ -0,0 +1,47 @@
+import { useState, useEffect } from 'react';
+import { apiUrl } from '@/lib/api';
+
+const PLURALITY = { votingMethod: 'plurality', methodOptions: {} };
+
+// Load the voting method of an election from GET /api/elections/:id.
+// Returns { votingMethod, methodOptions }; plurality until it loads or when
+// the backend is unavailable.
+const useElectionSettings = (electionId) => {
+  const [settings, setSettings] = useState(PLURALITY);
+
+  useEffect(() => {
+    if (electionId === null || electionId === undefined) {
+      return;
+    }
+
+    let cancelled = false;
+
+    const load = async () => {
+      try {
+        const response = await fetch(apiUrl(`/api/elections/${electionId}`));
+        if (!response.ok) return;
+
+        const { election } = await response.json();
+        if (cancelled) return;
+
+        setSettings({
+          votingMethod: election.votingMethod || PLURALITY.votingMethod,
+          methodOptions: election.methodOptions || {}
+        });
+      } catch (error) {
+        console.error('Error fetching election settings:', error);
+      }
+    };
+
+    load();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [electionId]);
+
+  return settings;
+};
+
+export { useElectionSettings };
+export default useElectionSettings;
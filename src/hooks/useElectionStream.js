@@ -0,0 +1,70 @@
+import { useState, useEffect } from 'react';
+import { apiUrl } from '@/lib/api';
+
+// Subscribe to live tally and status updates for an election pushed by the
+// backend over Server-Sent Events (GET /api/elections/:id/stream).
+const useElectionStream = (electionId) => {
+  const [connected, setConnected] = useState(false);
+  const [status, setStatus] = useState(null);
+  const [totalVotes, setTotalVotes] = useState(null);
+  const [tally, setTally] = useState([]);
+  const [lastStatusChange, setLastStatusChange] = useState(null);
+  const [lastVote, setLastVote] = useState(null);
+
+  useEffect(() => {
+    if (electionId === null || electionId === undefined || typeof EventSource === 'undefined') {
+      return;
+    }
+
+    const source = new EventSource(apiUrl(`/api/elections/${electionId}/stream`));
+
+    const parse = (handler) => (event) => {
+      try {
+        handler(JSON.parse(event.data));
+      } catch (error) {
+        console.error('Invalid election stream event:', error);
+      }
+    };
+
+    source.onopen = () => setConnected(true);
+    source.onerror = () => setConnected(false);
+
+    source.addEventListener('snapshot', parse((data) => {
+      setStatus(data.status);
+      setTotalVotes(data.totalVotes);
+      setTally(data.candidates);
+    }));
+
+    source.addEventListener('tally', parse((data) => {
+      setTotalVotes(data.totalVotes);
+      setTally(data.candidates);
+    }));
+
+    source.addEventListener('vote', parse((data) => {
+      setTotalVotes(data.totalVotes);
+      setLastVote({ ...data, receivedAt: Date.now() });
+    }));
+
+    source.addEventListener('status', parse((data) => {
+      setStatus(data.status);
+      setLastStatusChange({ ...data, receivedAt: Date.now() });
+    }));
+
+    return () => {
+      source.close();
+      setConnected(false);
+    };
+  }, [electionId]);
+
+  return {
+    connected,
+    status,
+    totalVotes,
+    tally,
+    lastStatusChange,
+    lastVote
+  };
+};
+
+export { useElectionStream };
+export default useElectionStream;
@@ -0,0 +1,47 @@
+import { useState, useEffect } from 'react';
+import { apiUrl } from '@/lib/api';
+import { DEFAULT_RISK_POLICY, normalizeRiskPolicy } from '@/lib/riskPolicy';
+import type { RiskPolicy } from '@/lib/riskPolicy';
+
+// Load an election's anomaly risk policy from GET /api/elections/:id/risk-policy.
+// The default policy applies until it has loaded, without an election, or
+// when the backend cannot be reached.
+export function useRiskPolicy(electionId: number | null | undefined): RiskPolicy {
+  const [policy, setPolicy] = useState<RiskPolicy>(DEFAULT_RISK_POLICY);
+
+  useEffect(() => {
+    if (electionId === null || electionId === undefined) {
+      setPolicy(DEFAULT_RISK_POLICY);
+      return;
+    }
+
+    let cancelled = false;
+
+    const load = async () => {
+      try {
+        const response = await fetch(apiUrl(`/api/elections/${electionId}/risk-policy`));
+        if (!response.ok) return;
+
+        const data = await response.json();
+        const { policy: loaded, error } = normalizeRiskPolicy(data.policy);
+        if (error) {
+          console.error('Invalid risk policy:', error);
+          return;
+        }
+        if (!cancelled) setPolicy(loaded);
+      } catch (error) {
+        console.error('Error fetching risk policy:', error);
+      }
+    };
+
+    load();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [electionId]);
+
+  return policy;
+}
+
+export default useRiskPolicy;
@@ -0,0 +1,134 @@
+import { ethers } from 'ethers';
+import { apiUrl } from '@/lib/api';
+
+const TOKEN_KEY = 'admin-api-token';
+
+const readCache = () => {
+  try {
+    return JSON.parse(sessionStorage.getItem(TOKEN_KEY) || 'null');
+  } catch (error) {
+    console.error('Invalid cached admin token:', error);
+    return null;
+  }
+};
+
+// Cache an access/refresh token pair from /api/admin/auth or /api/admin/refresh
+const cacheTokens = (data) => {
+  sessionStorage.setItem(TOKEN_KEY, JSON.stringify({
+    token: data.token,
+    refreshToken: data.refreshToken,
+    address: data.address,
+    expiresAt: Date.now() + data.expiresIn * 1000,
+    refreshExpiresAt: Date.now() + data.refreshExpiresIn * 1000
+  }));
+};
+
+// Use the cached refresh token to get a new token pair without signing again
+const refreshCachedToken = async (cached) => {
+  const response = await fetch(apiUrl('/api/admin/refresh'), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ refreshToken: cached.refreshToken })
+  });
+  if (!response.ok) return null;
+
+  const data = await response.json();
+  cacheTokens(data);
+  return data.token;
+};
+
+// Get a backend admin JWT by signing a nonce with the connected wallet
+// (POST /api/admin/nonce, then POST /api/admin/auth). Access tokens are
+// short-lived; the refresh token cached for the browser session renews them
+// so admins sign once.
+export const getAdminToken = async () => {
+  if (!window.ethereum) {
+    throw new Error('Please install MetaMask or Core Wallet');
+  }
+
+  const provider = new ethers.BrowserProvider(window.ethereum);
+  const signer = await provider.getSigner();
+  const address = await signer.getAddress();
+
+  const cached = readCache();
+  if (cached && cached.address === address.toLowerCase()) {
+    if (cached.expiresAt > Date.now()) return cached.token;
+    if (cached.refreshToken && cached.refreshExpiresAt > Date.now()) {
+      const refreshedToken = await refreshCachedToken(cached).catch(() => null);
+      if (refreshedToken) return refreshedToken;
+    }
+  }
+
+  const nonceResponse = await fetch(apiUrl('/api/admin/nonce'), { method: 'POST' });
+  const { nonce, message, error: nonceError } = await nonceResponse.json();
+  if (!nonceResponse.ok) {
+    throw new Error(nonceError || 'Failed to get admin nonce');
+  }
+
+  const signature = await signer.signMessage(message);
+
+  const authResponse = await fetch(apiUrl('/api/admin/auth'), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ address, signature, nonce })
+  });
+  const data = await authResponse.json();
+  if (!authResponse.ok) {
+    throw new Error(data.error || 'Admin authentication failed');
+  }
+
+  cacheTokens(data);
+
+  return data.token;
+};
+
+// Forget the cached admin token, e.g. after a 401 or on logout
+export const clearAdminToken = () => sessionStorage.removeItem(TOKEN_KEY);
+
+// End the backend admin session (POST /api/admin/logout) and forget it
+export const logoutAdmin = async () => {
+  const cached = readCache();
+  if (!cached) return;
+
+  try {
+    // An expired access token cannot log out, but the session may still be
+    // refreshable, so renew it first
+    let token = cached.expiresAt > Date.now() ? cached.token : null;
+    if (!token && cached.refreshToken && cached.refreshExpiresAt > Date.now()) {
+      token = await refreshCachedToken(cached);
+    }
+    if (token) {
+      await fetch(apiUrl('/api/admin/logout'), {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${token}` }
+      });
+    }
+  } catch (error) {
+    console.error('Admin logout failed:', error);
+  } finally {
+    clearAdminToken();
+  }
+};
+
+// fetch() wrapper that attaches the admin token and parses the JSON response
+export const adminFetch = async (path, options = {}) => {
+  const token = await getAdminToken();
+  const response = await fetch(apiUrl(path), {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      ...options.headers,
+      Authorization: `Bearer ${token}`
+    }
+  });
+  const data = await response.json();
+
+  if (response.status === 401) {
+    clearAdminToken();
+  }
+  if (!response.ok) {
+    throw new Error(data.error || `Request failed with status ${response.status}`);
+  }
+
+  return data;
+};
@@ -0,0 +1,5 @@
+// Base URL of the Node.js backend (see backend/server.js)
+export const API_URL = (import.meta.env.VITE_API_URL || 'http://localhost:3001').replace(/\/$/, '');
+
+// Build an absolute backend URL from an API path such as `/api/elections`
+export const apiUrl = (path) => `${API_URL}${path}`;
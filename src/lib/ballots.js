@@ -0,0 +1,32 @@
+import { apiUrl } from '@/lib/api';
+import { signAsVoter } from '@/lib/voteReceipt';
+
+// Candidate the on-chain vote goes to for a ranked, approval or score ballot
+// (the shapes of backend/analytics/votingMethods): the first ranked, the first
+// approved, or the highest scored candidate (lowest ID on a tie). The backend
+// only accepts a ballot whose first choices include the on-chain vote.
+// Returns null for an empty ballot.
+export const ballotFirstChoice = (votingMethod, choices) => {
+  if (votingMethod === 'score') {
+    const scored = Object.entries(choices).map(([id, score]) => [Number(id), score]);
+    if (scored.length === 0) return null;
+    return scored.sort(([idA, a], [idB, b]) => b - a || idA - idB)[0][0];
+  }
+  return choices.length > 0 ? Number(choices[0]) : null;
+};
+
+// Cast the ballot of an on-chain vote, signed by the wallet that cast it
+// (POST /api/elections/:id/votes/:txHash/ballot)
+export const castBallot = async ({ electionId, transactionHash, choices }) => {
+  const proof = await signAsVoter({ electionId, transactionHash, action: 'ballot' });
+  const response = await fetch(apiUrl(`/api/elections/${electionId}/votes/${transactionHash}/ballot`), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ choices, ...proof })
+  });
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.error || 'Failed to cast ballot');
+  }
+  return data;
+};
@@ -0,0 +1,40 @@
+import { ethers } from 'ethers';
+import { hashVoteCommitment } from '@/lib/electionClient';
+
+// The salt of a committed vote never leaves this device: without it the vote
+// cannot be revealed, and without the reveal nobody can tell how it was cast.
+const storageKey = (electionId, voter) => `commit-reveal-${electionId}-${voter.toLowerCase()}`;
+
+const loadSavedVotes = (electionId, voter) => {
+  try {
+    return JSON.parse(localStorage.getItem(storageKey(electionId, voter))) || [];
+  } catch {
+    return [];
+  }
+};
+
+// Commitment for a vote. The salt is saved before the transaction is sent so
+// a closed tab cannot lose it; every attempt is kept and the reveal uses the
+// one matching the commitment on chain.
+export const prepareCommitment = (electionId, voter, candidateId) => {
+  const salt = ethers.hexlify(ethers.randomBytes(32));
+  const commitment = hashVoteCommitment(electionId, voter, candidateId, salt);
+
+  localStorage.setItem(storageKey(electionId, voter), JSON.stringify([
+    ...loadSavedVotes(electionId, voter),
+    { candidateId, salt, commitment }
+  ]));
+  return commitment;
+};
+
+// Saved vote matching the voter's on-chain commitment, or null
+export const findCommittedVote = (electionId, voter, commitment) => {
+  if (!commitment) return null;
+  return loadSavedVotes(electionId, voter)
+    .find(saved => saved.commitment.toLowerCase() === commitment.toLowerCase()) || null;
+};
+
+// Drop the saved salts once the vote is revealed
+export const forgetCommittedVotes = (electionId, voter) => {
+  localStorage.removeItem(storageKey(electionId, voter));
+};
@@ -0,0 +1,376 @@
+/*
+ * Election client shared by the frontend, the backend and the voice assistant.
+ *
+ * Wraps the factory, re-voting and commit-reveal contracts (ethers v6
+ * Contract instances, connected to a provider for reads or a signer for
+ * writes) with typed methods. On-chain BigInt values are converted to numbers
+ * and wallet/RPC failures are rethrown as ElectionClientError with a stable
+ * `code`.
+ *
+ * The backend loads a CommonJS build of this file from
+ * backend/chain/generated/electionClient.js; regenerate it with
+ * `npm run build:election-client` after editing.
+ */
+import { AbiCoder, keccak256 } from 'ethers';
+import type { Contract, ContractTransactionReceipt } from 'ethers';
+
+export interface ElectionSummary {
+  id: number;
+  title: string;
+  description: string;
+  startTime: number;
+  endTime: number;
+  active: boolean;
+  candidatesCount: number;
+  totalVotes: number;
+}
+
+export interface Candidate {
+  id: number;
+  name: string;
+  votes: number;
+}
+
+export interface Winner {
+  name: string;
+  votes: number;
+}
+
+export interface NewElection {
+  title: string;
+  description: string;
+  candidates: string[];
+  startTime: number;
+  endTime: number;
+}
+
+// Schedule and turnout of an election run on the commit-reveal contract
+export interface CommitRevealSchedule {
+  electionId: number;
+  candidatesCount: number;
+  startTime: number;
+  commitEndTime: number;
+  revealEndTime: number;
+  commitCount: number;
+  revealCount: number;
+}
+
+export type CommitRevealPhase = 'upcoming' | 'commit' | 'reveal' | 'closed';
+
+export interface NewCommitReveal {
+  candidatesCount: number;
+  startTime: number;
+  commitEndTime: number;
+  revealEndTime: number;
+}
+
+export interface VoteCommitment {
+  commitment: string | null;
+  revealed: boolean;
+}
+
+export interface TransactionResult {
+  hash: string;
+  blockNumber: number | null;
+}
+
+export interface CreatedElection extends TransactionResult {
+  electionId: number;
+}
+
+export type ElectionClientErrorCode =
+  | 'REJECTED'
+  | 'REVERTED'
+  | 'INSUFFICIENT_FUNDS'
+  | 'NETWORK'
+  | 'NO_WALLET'
+  | 'NOT_CONFIGURED'
+  | 'UNKNOWN';
+
+export class ElectionClientError extends Error {
+  code: ElectionClientErrorCode;
+  reason: string | null;
+  cause: unknown;
+
+  constructor(code: ElectionClientErrorCode, message: string, reason: string | null = null, cause: unknown = null) {
+    super(message);
+    this.name = 'ElectionClientError';
+    this.code = code;
+    this.reason = reason;
+    this.cause = cause;
+  }
+}
+
+export interface ElectionClientOptions {
+  factory: Contract;
+  revoting?: Contract | null;
+  commitReveal?: Contract | null;
+  // Wrapper for read calls, e.g. retries with backoff on the backend
+  call?: <T>(fn: () => Promise<T>) => Promise<T>;
+}
+
+export const toNumber = (value: bigint | number | string): number => Number(value);
+
+// Fields ethers v6 and EIP-1193 providers set on their errors
+interface ProviderError {
+  code?: string | number;
+  reason?: string | null;
+  revert?: { args?: string[] } | null;
+  info?: { error?: { code?: number } };
+  shortMessage?: string;
+  message?: string;
+}
+
+// Map ethers v6 / EIP-1193 errors to an ElectionClientError
+export const decodeError = (error: unknown): ElectionClientError => {
+  if (error instanceof ElectionClientError) return error;
+
+  const err: ProviderError = typeof error === 'object' && error !== null ? error : {};
+  const code = err.code;
+
+  if (code === 'ACTION_REJECTED' || code === 4001 || err.info?.error?.code === 4001) {
+    return new ElectionClientError('REJECTED', 'Transaction was rejected in the wallet', null, error);
+  }
+  if (code === 'INSUFFICIENT_FUNDS') {
+    return new ElectionClientError('INSUFFICIENT_FUNDS', 'Insufficient funds to pay for gas', null, error);
+  }
+  if (code === 'CALL_EXCEPTION') {
+    const reason = err.reason || err.revert?.args?.[0] || null;
+    return new ElectionClientError('REVERTED', reason || 'Transaction was reverted by the contract', reason, error);
+  }
+  if (code === 'NETWORK_ERROR' || code === 'SERVER_ERROR' || code === 'TIMEOUT') {
+    return new ElectionClientError('NETWORK', 'Could not reach the blockchain network', null, error);
+  }
+
+  return new ElectionClientError('UNKNOWN', err.shortMessage || err.message || 'Unknown contract error', null, error);
+};
+
+// Commitment a voter submits while voting is open; the contract checks the
+// reveal against keccak256(abi.encode(electionId, voter, candidateId, salt))
+export const hashVoteCommitment = (electionId: number, voter: string, candidateId: number, salt: string): string =>
+  keccak256(AbiCoder.defaultAbiCoder().encode(
+    ['uint256', 'address', 'uint256', 'bytes32'],
+    [electionId, voter, candidateId, salt]
+  ));
+
+// Phase of a commit-reveal election at `now` (unix seconds)
+export const getCommitRevealPhase = (schedule: CommitRevealSchedule, now: number = Math.floor(Date.now() / 1000)): CommitRevealPhase => {
+  if (now < schedule.startTime) return 'upcoming';
+  if (now < schedule.commitEndTime) return 'commit';
+  if (now < schedule.revealEndTime) return 'reveal';
+  return 'closed';
+};
+
+const toTransactionResult = (receipt: ContractTransactionReceipt | null, hash: string): TransactionResult => ({
+  hash,
+  blockNumber: receipt ? receipt.blockNumber : null
+});
+
+export const createElectionClient = ({ factory, revoting = null, commitReveal = null, call = (fn) => fn() }: ElectionClientOptions) => {
+  const read = async <T>(fn: () => Promise<T>): Promise<T> => {
+    try {
+      return await call(fn);
+    } catch (error) {
+      throw decodeError(error);
+    }
+  };
+
+  // Send a transaction and wait for it to be mined
+  const send = async (contract: Contract, method: string, args: unknown[]) => {
+    try {
+      const tx = await contract[method](...args);
+      const receipt: ContractTransactionReceipt | null = await tx.wait();
+      return { receipt, hash: tx.hash as string };
+    } catch (error) {
+      throw decodeError(error);
+    }
+  };
+
+  const requireRevoting = (): Contract => {
+    if (!revoting) {
+      throw new ElectionClientError('NOT_CONFIGURED', 'Re-voting contract is not configured');
+    }
+    return revoting;
+  };
+
+  const requireCommitReveal = (): Contract => {
+    if (!commitReveal) {
+      throw new ElectionClientError('NOT_CONFIGURED', 'Commit-reveal contract is not configured');
+    }
+    return commitReveal;
+  };
+
+  const getElectionCount = async (): Promise<number> =>
+    toNumber(await read(() => factory.electionCount()));
+
+  const readElection = async (electionId: number): Promise<ElectionSummary> => {
+    const [title, description, startTime, endTime, active, candidatesCount, totalVotes] =
+      await read(() => factory.getElection(electionId));
+
+    return {
+      id: electionId,
+      title,
+      description,
+      startTime: toNumber(startTime),
+      endTime: toNumber(endTime),
+      active,
+      candidatesCount: toNumber(candidatesCount),
+      totalVotes: toNumber(totalVotes)
+    };
+  };
+
+  // One election, or null if the ID is past the last election
+  const getElection = async (electionId: number): Promise<ElectionSummary | null> => {
+    if (electionId < 0 || electionId >= await getElectionCount()) {
+      return null;
+    }
+    return readElection(electionId);
+  };
+
+  const listElections = async (): Promise<ElectionSummary[]> => {
+    const count = await getElectionCount();
+    return Promise.all(Array.from({ length: count }, (_, index) => readElection(index)));
+  };
+
+  // Candidates of an election; pass candidatesCount when already known to skip a lookup
+  const getCandidates = async (electionId: number, candidatesCount?: number): Promise<Candidate[]> => {
+    const count = candidatesCount ?? (await readElection(electionId)).candidatesCount;
+
+    const candidates = await Promise.all(Array.from({ length: count }, (_, index) =>
+      read(() => factory.getCandidate(electionId, index))
+    ));
+
+    return candidates.map(([id, name, votes]) => ({
+      id: toNumber(id),
+      name: String(name).trim(),
+      votes: toNumber(votes)
+    }));
+  };
+
+  const getWinner = async (electionId: number): Promise<Winner> => {
+    const [name, votes] = await read(() => factory.getWinner(electionId));
+    return { name, votes: toNumber(votes) };
+  };
+
+  // Whether an address has voted on the re-voting contract (the factory does
+  // not expose its voter list; use the indexed VoteCast events for that)
+  const hasVoted = async (electionId: number, address: string): Promise<boolean> => {
+    const contract = requireRevoting();
+    return Boolean(await read(() => contract.hasVoted(electionId, address)));
+  };
+
+  // Cast a vote; with `revote` the re-voting contract records it so the voter
+  // can change their choice later
+  const castVote = async (electionId: number, candidateId: number, { revote = false } = {}): Promise<TransactionResult> => {
+    const contract = revote ? requireRevoting() : factory;
+    const { receipt, hash } = await send(contract, 'vote', [electionId, candidateId]);
+    return toTransactionResult(receipt, hash);
+  };
+
+  const createElection = async ({ title, description, candidates, startTime, endTime }: NewElection): Promise<CreatedElection> => {
+    const { receipt, hash } = await send(factory, 'createElection', [title, description, candidates, startTime, endTime]);
+
+    // Take the new ID from the ElectionCreated event, falling back to the count
+    const created = (receipt ? receipt.logs : [])
+      .map(log => {
+        try {
+          return factory.interface.parseLog(log);
+        } catch {
+          return null;
+        }
+      })
+      .find(event => event && event.name === 'ElectionCreated');
+    const electionId = created ? toNumber(created.args[0]) : (await getElectionCount()) - 1;
+
+    return { ...toTransactionResult(receipt, hash), electionId };
+  };
+
+  const endElection = async (electionId: number): Promise<TransactionResult> => {
+    const { receipt, hash } = await send(factory, 'endElection', [electionId]);
+    return toTransactionResult(receipt, hash);
+  };
+
+  // Open an election on the re-voting contract
+  const enableRevoting = async (electionId: number): Promise<TransactionResult> => {
+    const { receipt, hash } = await send(requireRevoting(), 'startElection', [electionId]);
+    return toTransactionResult(receipt, hash);
+  };
+
+  // Commit-reveal schedule of an election, or null if it runs in the open
+  // (also when no commit-reveal contract is configured)
+  const getCommitReveal = async (electionId: number): Promise<CommitRevealSchedule | null> => {
+    if (!commitReveal) return null;
+
+    const [candidatesCount, startTime, commitEndTime, revealEndTime, commitCount, revealCount] =
+      await read(() => commitReveal.elections(electionId));
+    if (toNumber(revealEndTime) === 0) return null;
+
+    return {
+      electionId,
+      candidatesCount: toNumber(candidatesCount),
+      startTime: toNumber(startTime),
+      commitEndTime: toNumber(commitEndTime),
+      revealEndTime: toNumber(revealEndTime),
+      commitCount: toNumber(commitCount),
+      revealCount: toNumber(revealCount)
+    };
+  };
+
+  // A voter's current commitment and whether it has been revealed
+  const getVoteCommitment = async (electionId: number, voter: string): Promise<VoteCommitment> => {
+    const contract = requireCommitReveal();
+    const [commitment, revealed] = await Promise.all([
+      read(() => contract.commitments(electionId, voter)),
+      read(() => contract.revealed(electionId, voter))
+    ]);
+    return {
+      commitment: /^0x0+$/.test(commitment) ? null : commitment,
+      revealed: Boolean(revealed)
+    };
+  };
+
+  // Revealed votes per candidate ID; the contract reverts until the reveal phase ends
+  const getRevealedResults = async (electionId: number): Promise<number[]> => {
+    const contract = requireCommitReveal();
+    const results: bigint[] = await read(() => contract.getResults(electionId));
+    return results.map(toNumber);
+  };
+
+  // Submit a commitment from hashVoteCommitment; a later commit replaces it
+  const commitVote = async (electionId: number, commitment: string): Promise<TransactionResult> => {
+    const { receipt, hash } = await send(requireCommitReveal(), 'commitVote', [electionId, commitment]);
+    return toTransactionResult(receipt, hash);
+  };
+
+  const revealVote = async (electionId: number, candidateId: number, salt: string): Promise<TransactionResult> => {
+    const { receipt, hash } = await send(requireCommitReveal(), 'revealVote', [electionId, candidateId, salt]);
+    return toTransactionResult(receipt, hash);
+  };
+
+  // Run a factory election in commit-reveal mode (contract admin only)
+  const openCommitReveal = async (electionId: number, { candidatesCount, startTime, commitEndTime, revealEndTime }: NewCommitReveal): Promise<TransactionResult> => {
+    const { receipt, hash } = await send(requireCommitReveal(), 'openElection', [electionId, candidatesCount, startTime, commitEndTime, revealEndTime]);
+    return toTransactionResult(receipt, hash);
+  };
+
+  return {
+    getElectionCount,
+    listElections,
+    getElection,
+    getCandidates,
+    getWinner,
+    hasVoted,
+    castVote,
+    createElection,
+    endElection,
+    enableRevoting,
+    getCommitReveal,
+    getVoteCommitment,
+    getRevealedResults,
+    commitVote,
+    revealVote,
+    openCommitReveal
+  };
+};
+
+export type ElectionClient = ReturnType<typeof createElectionClient>;
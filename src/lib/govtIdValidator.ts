@@ -0,0 +1,123 @@
+/*
+ * Government ID validation shared by the frontend (Auth.jsx) and the backend
+ * register/login routes.
+ *
+ * ID types match the Supabase `profiles` columns and the get-user-email
+ * function: `voter` (EPIC voter ID, `voter_id`), `pan` (`pan_card`) and
+ * `aadhaar` (`aadhaar_card`). Failures carry a stable `code` that the
+ * frontend translates with `govtId.errors.<code>`; `message` is the English
+ * text used by the backend.
+ *
+ * The backend loads a CommonJS build of this file from
+ * backend/validation/generated/govtIdValidator.js; regenerate it with
+ * `npm run build:govt-id-validator` after editing.
+ */
+
+export type GovtIdType = 'voter' | 'pan' | 'aadhaar';
+
+export const GOVT_ID_TYPES: GovtIdType[] = ['voter', 'pan', 'aadhaar'];
+
+export type GovtIdErrorCode =
+  | 'required'
+  | 'unknownType'
+  | 'aadhaarFormat'
+  | 'aadhaarChecksum'
+  | 'panFormat'
+  | 'panEntityType'
+  | 'epicFormat';
+
+export type GovtIdValidation =
+  | { isValid: true; type: GovtIdType; value: string }
+  | { isValid: false; code: GovtIdErrorCode; error: string };
+
+export const GOVT_ID_ERROR_MESSAGES: Record<GovtIdErrorCode, string> = {
+  required: 'Government ID is required',
+  unknownType: 'ID type must be one of: voter, pan, aadhaar',
+  aadhaarFormat: 'Aadhaar number must be 12 digits and cannot start with 0 or 1',
+  aadhaarChecksum: 'Aadhaar number is invalid (checksum mismatch)',
+  panFormat: 'PAN must be 5 letters, 4 digits and a letter, e.g. ABCPE1234F',
+  panEntityType: 'PAN has an invalid holder type (4th character)',
+  epicFormat: 'Voter ID (EPIC) must be 3 letters followed by 7 digits, e.g. ABC1234567'
+};
+
+// PAN holder types (4th character): Person, Company, HUF, Firm, AOP, Trust,
+// Body of individuals, Local authority, artificial Juridical person, Government
+export const PAN_ENTITY_TYPES = 'PCHFATBLJG';
+
+// Verhoeff dihedral group multiplication and permutation tables
+const VERHOEFF_D = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+  [1, 2, 3, 4, 0, 6, 7, 8, 9, 5],
+  [2, 3, 4, 0, 1, 7, 8, 9, 5, 6],
+  [3, 4, 0, 1, 2, 8, 9, 5, 6, 7],
+  [4, 0, 1, 2, 3, 9, 5, 6, 7, 8],
+  [5, 9, 8, 7, 6, 0, 4, 3, 2, 1],
+  [6, 5, 9, 8, 7, 1, 0, 4, 3, 2],
+  [7, 6, 5, 9, 8, 2, 1, 0, 4, 3],
+  [8, 7, 6, 5, 9, 3, 2, 1, 0, 4],
+  [9, 8, 7, 6, 5, 4, 3, 2, 1, 0]
+];
+const VERHOEFF_P = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+  [1, 5, 7, 6, 2, 8, 3, 0, 9, 4],
+  [5, 8, 0, 3, 7, 9, 6, 1, 4, 2],
+  [8, 9, 1, 6, 0, 4, 3, 5, 2, 7],
+  [9, 4, 5, 3, 1, 2, 6, 8, 7, 0],
+  [4, 2, 8, 6, 5, 7, 3, 9, 0, 1],
+  [2, 7, 9, 3, 8, 0, 6, 4, 1, 5],
+  [7, 0, 4, 6, 9, 1, 3, 2, 5, 8]
+];
+
+// True if a digit string ends with a valid Verhoeff check digit
+export const isVerhoeffValid = (digits: string): boolean => {
+  let check = 0;
+  const reversed = digits.split('').reverse();
+  for (let i = 0; i < reversed.length; i++) {
+    check = VERHOEFF_D[check][VERHOEFF_P[i % 8][Number(reversed[i])]];
+  }
+  return check === 0;
+};
+
+const invalid = (code: GovtIdErrorCode): GovtIdValidation => ({
+  isValid: false,
+  code,
+  error: GOVT_ID_ERROR_MESSAGES[code]
+});
+
+// Canonical form of any government ID, whatever its type: uppercased, without
+// the spaces and hyphens people type between groups. User IDs and voter roll
+// IDs are both hashed in this form, so they match however they were typed.
+export const canonicalGovtId = (value: string): string => String(value).replace(/[\s-]/g, '').toUpperCase();
+
+const validateAadhaar = (value: string): GovtIdValidation => {
+  if (!/^[2-9][0-9]{11}$/.test(value)) return invalid('aadhaarFormat');
+  if (!isVerhoeffValid(value)) return invalid('aadhaarChecksum');
+  return { isValid: true, type: 'aadhaar', value };
+};
+
+const validatePan = (value: string): GovtIdValidation => {
+  if (!/^[A-Z]{5}[0-9]{4}[A-Z]$/.test(value)) return invalid('panFormat');
+  if (!PAN_ENTITY_TYPES.includes(value[3])) return invalid('panEntityType');
+  return { isValid: true, type: 'pan', value };
+};
+
+const validateEpic = (value: string): GovtIdValidation => {
+  if (!/^[A-Z]{3}[0-9]{7}$/.test(value)) return invalid('epicFormat');
+  return { isValid: true, type: 'voter', value };
+};
+
+// Validate a government ID of the given type and return its canonical form
+export const validateGovtId = (type: string, value: unknown): GovtIdValidation => {
+  if (!GOVT_ID_TYPES.includes(type as GovtIdType)) return invalid('unknownType');
+  if (typeof value !== 'string' || !value.trim()) return invalid('required');
+
+  const normalized = canonicalGovtId(value);
+  switch (type) {
+    case 'aadhaar':
+      return validateAadhaar(normalized);
+    case 'pan':
+      return validatePan(normalized);
+    default:
+      return validateEpic(normalized);
+  }
+};
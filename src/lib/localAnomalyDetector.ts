@@ -0,0 +1,231 @@
+/*
+ * On-device anomaly detection for the webcam monitor. Frames never leave the
+ * browser and no vision API is needed:
+ *
+ * - motion: share of pixels whose luminance changed between two frames
+ * - covered camera: a frame that is nearly black or has almost no contrast
+ * - faces: the browser's FaceDetector where it exists, otherwise a coarse
+ *   skin-tone blob detector
+ *
+ * Results have the same shape as those of the `anomaly-detection` Supabase
+ * function and are scored with the same risk policy (lib/riskPolicy), so
+ * useAnomalyDetection can use either one, or both.
+ */
+
+import { DEFAULT_RISK_POLICY, scoreFrame } from '@/lib/riskPolicy';
+import type { AnalysisResult, PreviousFrameState, RiskPolicy } from '@/lib/riskPolicy';
+
+// Frames are scaled down to this size before any pixel is looked at
+const ANALYSIS_WIDTH = 160;
+const ANALYSIS_HEIGHT = 120;
+
+// Covered camera: mean luminance below this (nearly black) ...
+const BLOCKED_MAX_MEAN = 18;
+// ... or a standard deviation below this (a finger or tape over the lens)
+const BLOCKED_MAX_STDDEV = 10;
+
+// A pixel moved when its luminance changed by more than this, and the frame
+// shows high motion when more than this share of pixels moved
+const MOTION_PIXEL_DELTA = 30;
+const HIGH_MOTION_RATIO = 0.25;
+
+// A jump in mean luminance this large between frames means the lighting
+// changed or something passed in front of the camera
+const LIGHTING_JUMP = 40;
+
+// Skin blobs smaller than this share of the frame are ignored
+const MIN_FACE_AREA_RATIO = 0.015;
+
+// Luminance (Rec. 601) of every pixel of RGBA image data
+export function toLuma(data: Uint8ClampedArray): Float32Array {
+  const luma = new Float32Array(data.length / 4);
+  for (let i = 0; i < luma.length; i++) {
+    luma[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+  }
+  return luma;
+}
+
+export function luminanceStats(luma: Float32Array): { mean: number; stdDev: number } {
+  let sum = 0;
+  for (let i = 0; i < luma.length; i++) sum += luma[i];
+  const mean = sum / luma.length;
+
+  let squares = 0;
+  for (let i = 0; i < luma.length; i++) squares += (luma[i] - mean) ** 2;
+  return { mean, stdDev: Math.sqrt(squares / luma.length) };
+}
+
+// Share of pixels whose luminance changed noticeably between two frames
+export function motionRatio(previous: Float32Array, current: Float32Array): number {
+  let moved = 0;
+  for (let i = 0; i < current.length; i++) {
+    if (Math.abs(current[i] - previous[i]) > MOTION_PIXEL_DELTA) moved++;
+  }
+  return moved / current.length;
+}
+
+// Skin tone in YCbCr (Chai & Ngan), skipping dark pixels where chroma is noise
+const isSkin = (r: number, g: number, b: number): boolean => {
+  const y = 0.299 * r + 0.587 * g + 0.114 * b;
+  const cb = 128 - 0.168736 * r - 0.331264 * g + 0.5 * b;
+  const cr = 128 + 0.5 * r - 0.418688 * g - 0.081312 * b;
+  return y > 40 && cb >= 77 && cb <= 127 && cr >= 133 && cr <= 173;
+};
+
+// Count face-sized skin blobs: connected skin regions large enough, roughly
+// as tall as wide or taller, and mostly filled. Coarse (a bare arm next to the
+// face can merge with it), but it needs no model and runs in a few
+// milliseconds on a 160x120 frame.
+export function countSkinFaces(data: Uint8ClampedArray, width: number, height: number): number {
+  const skin = new Uint8Array(width * height);
+  for (let i = 0; i < skin.length; i++) {
+    skin[i] = isSkin(data[i * 4], data[i * 4 + 1], data[i * 4 + 2]) ? 1 : 0;
+  }
+
+  const minArea = MIN_FACE_AREA_RATIO * width * height;
+  const visited = new Uint8Array(width * height);
+  const stack: number[] = [];
+  let faces = 0;
+
+  for (let start = 0; start < skin.length; start++) {
+    if (!skin[start] || visited[start]) continue;
+
+    let area = 0;
+    let minX = width, maxX = 0, minY = height, maxY = 0;
+    visited[start] = 1;
+    stack.push(start);
+
+    while (stack.length > 0) {
+      const index = stack.pop() as number;
+      const x = index % width;
+      const y = (index - x) / width;
+      area++;
+      minX = Math.min(minX, x);
+      maxX = Math.max(maxX, x);
+      minY = Math.min(minY, y);
+      maxY = Math.max(maxY, y);
+
+      const neighbours = [
+        x > 0 ? index - 1 : -1,
+        x < width - 1 ? index + 1 : -1,
+        y > 0 ? index - width : -1,
+        y < height - 1 ? index + width : -1,
+      ];
+      for (const next of neighbours) {
+        if (next >= 0 && skin[next] && !visited[next]) {
+          visited[next] = 1;
+          stack.push(next);
+        }
+      }
+    }
+
+    const boxWidth = maxX - minX + 1;
+    const boxHeight = maxY - minY + 1;
+    const aspect = boxHeight / boxWidth;
+    const fill = area / (boxWidth * boxHeight);
+    // A warm wall or a skin-toned shirt spans the whole frame
+    const spansFrame = boxWidth >= width * 0.9;
+
+    if (area >= minArea && aspect >= 0.8 && aspect <= 2.2 && fill >= 0.45 && !spansFrame) {
+      faces++;
+    }
+  }
+
+  return faces;
+}
+
+interface NativeFaceDetector {
+  detect(image: CanvasImageSource): Promise<unknown[]>;
+}
+
+type NativeFaceDetectorConstructor = new (options: { fastMode: boolean; maxDetectedFaces: number }) => NativeFaceDetector;
+
+// The Shape Detection API's FaceDetector (Chromium with the platform's face
+// detector), or null where the browser has none
+const createNativeFaceDetector = (): NativeFaceDetector | null => {
+  const FaceDetectorClass = (window as unknown as { FaceDetector?: NativeFaceDetectorConstructor }).FaceDetector;
+  if (!FaceDetectorClass) return null;
+  try {
+    return new FaceDetectorClass({ fastMode: true, maxDetectedFaces: 5 });
+  } catch {
+    return null;
+  }
+};
+
+export interface LocalAnomalyDetector {
+  analyze(frame: HTMLCanvasElement, previousState: PreviousFrameState | null): Promise<AnalysisResult>;
+  reset(): void;
+}
+
+// Detector keeping the previous frame for motion scoring; reset() between
+// sessions
+export function createLocalDetector(policy: RiskPolicy = DEFAULT_RISK_POLICY): LocalAnomalyDetector {
+  const scratch = document.createElement('canvas');
+  scratch.width = ANALYSIS_WIDTH;
+  scratch.height = ANALYSIS_HEIGHT;
+  const context = scratch.getContext('2d', { willReadFrequently: true });
+
+  let nativeFaceDetector = createNativeFaceDetector();
+  let previousLuma: Float32Array | null = null;
+  let previousMean: number | null = null;
+
+  const countFaces = async (frame: HTMLCanvasElement, data: Uint8ClampedArray): Promise<number> => {
+    if (nativeFaceDetector) {
+      try {
+        return (await nativeFaceDetector.detect(frame)).length;
+      } catch (error) {
+        // Exposed but unusable (e.g. no platform detector): stop trying it
+        console.warn('Native face detection unavailable, using skin detection:', error);
+        nativeFaceDetector = null;
+      }
+    }
+    return countSkinFaces(data, ANALYSIS_WIDTH, ANALYSIS_HEIGHT);
+  };
+
+  const analyze = async (frame: HTMLCanvasElement, previousState: PreviousFrameState | null): Promise<AnalysisResult> => {
+    if (!context) {
+      throw new Error('Canvas 2D context unavailable');
+    }
+
+    context.drawImage(frame, 0, 0, ANALYSIS_WIDTH, ANALYSIS_HEIGHT);
+    const { data } = context.getImageData(0, 0, ANALYSIS_WIDTH, ANALYSIS_HEIGHT);
+    const luma = toLuma(data);
+    const { mean, stdDev } = luminanceStats(luma);
+
+    const cameraBlocked = mean < BLOCKED_MAX_MEAN || stdDev < BLOCKED_MAX_STDDEV;
+    const highMotion = previousLuma !== null && motionRatio(previousLuma, luma) > HIGH_MOTION_RATIO;
+    const environmentStable = previousMean === null || Math.abs(mean - previousMean) < LIGHTING_JUMP;
+    previousLuma = luma;
+    previousMean = mean;
+
+    // Nothing to find on a covered lens
+    const faceCount = cameraBlocked ? 0 : await countFaces(frame, data);
+
+    return scoreFrame(policy, { faceCount, cameraBlocked, highMotion, environmentStable }, previousState);
+  };
+
+  const reset = () => {
+    previousLuma = null;
+    previousMean = null;
+  };
+
+  return { analyze, reset };
+}
+
+// Combine both detectors: the vision model counts faces, pixel measurements
+// catch covered cameras and motion it misses in a single still, and either
+// one reporting a problem is enough
+export function mergeAnalyses(
+  local: AnalysisResult,
+  remote: AnalysisResult,
+  previousState: PreviousFrameState | null,
+  policy: RiskPolicy = DEFAULT_RISK_POLICY
+): AnalysisResult {
+  return scoreFrame(policy, {
+    faceCount: remote.faceCount,
+    cameraBlocked: local.cameraBlocked || remote.cameraBlocked,
+    highMotion: local.highMotion || remote.highMotion,
+    // Results from before the function reported environmentStable count as stable
+    environmentStable: local.environmentStable && remote.environmentStable !== false,
+  }, previousState);
+}
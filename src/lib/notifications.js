@@ -0,0 +1,63 @@
+import { ethers } from 'ethers';
+import { apiUrl } from '@/lib/api';
+
+// Election lifecycle notifications (backend/routes/notifications.js). A
+// subscription is identified by a secret token, kept in localStorage for the
+// voting page and included in every notification email for the
+// /notifications page. Only voters who subscribe themselves are notified.
+
+export const LIFECYCLE_EVENTS = ['opened', 'closingSoon', 'resultsFinal'];
+
+const tokenKey = (electionId) => `notifications-${electionId}`;
+
+export const getStoredSubscriptionToken = (electionId) => localStorage.getItem(tokenKey(electionId));
+
+const request = async (path, { method = 'GET', body } = {}) => {
+  const response = await fetch(apiUrl(`/api/notifications${path}`), {
+    method,
+    headers: body ? { 'Content-Type': 'application/json' } : undefined,
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.error || 'Notification request failed');
+  }
+  return data;
+};
+
+// Subscribe by email and/or wallet address. The wallet signs a nonce first,
+// and only then does the backend return the token, which is remembered. An
+// email address alone is confirmed through a link mailed to it, so the
+// response has no token.
+export const subscribeToElection = async (electionId, { email, address, name, locale }) => {
+  const body = { electionId: Number(electionId), email: email || undefined, name, locale };
+  if (address) {
+    const { nonce, message } = await request('/subscriptions/nonce', {
+      method: 'POST',
+      body: { electionId: body.electionId, address }
+    });
+    const signer = await new ethers.BrowserProvider(window.ethereum).getSigner();
+    Object.assign(body, { address, nonce, signature: await signer.signMessage(message) });
+  }
+
+  const data = await request('/subscriptions', { method: 'POST', body });
+  if (data.token) {
+    localStorage.setItem(tokenKey(electionId), data.token);
+  }
+  return data;
+};
+
+// Confirm the subscription with the code from its confirmation link
+export const confirmSubscription = (token, code) =>
+  request(`/subscriptions/${token}/confirm`, { method: 'POST', body: { code } });
+
+// Preferences and in-app notifications: { subscription, notifications, unread }
+export const fetchSubscription = (token) => request(`/subscriptions/${token}`);
+
+// Save { optOut, channels }
+export const updateSubscription = (token, preferences) =>
+  request(`/subscriptions/${token}`, { method: 'PUT', body: preferences });
+
+export const unsubscribe = (token) => request(`/subscriptions/${token}`, { method: 'DELETE' });
+
+export const markNotificationsRead = (token) => request(`/subscriptions/${token}/read`, { method: 'POST' });
@@ -0,0 +1,172 @@
+import { ethers } from 'ethers';
+import { apiUrl } from '@/lib/api';
+import { FACTORY_CONTRACT_ADDRESS, REVOTING_CONTRACT_ADDRESS, COMMIT_REVEAL_CONTRACT_ADDRESS } from '@/lib/contract';
+
+export const RECEIPT_TYPE = 'avalanche-vote-receipt';
+
+const TX_HASH_PATTERN = /^0x[0-9a-fA-F]{64}$/;
+
+// Receipt for a cast vote, from the castVote (or commitVote) result. It
+// deliberately holds no candidate, so it proves a vote was cast but not how.
+export const buildVoteReceipt = async ({ electionId, electionTitle, hash, blockNumber, revote = false, commitReveal = false }) => {
+  let blockTimestamp = null;
+  let chainId = null;
+
+  if (window.ethereum) {
+    try {
+      const provider = new ethers.BrowserProvider(window.ethereum);
+      const [block, network] = await Promise.all([
+        blockNumber !== null ? provider.getBlock(blockNumber) : null,
+        provider.getNetwork()
+      ]);
+      blockTimestamp = block ? block.timestamp : null;
+      chainId = Number(network.chainId);
+    } catch (error) {
+      console.error('Failed to read receipt block details:', error);
+    }
+  }
+
+  return {
+    type: RECEIPT_TYPE,
+    version: 1,
+    electionId,
+    electionTitle: electionTitle || null,
+    transactionHash: hash,
+    blockNumber,
+    timestamp: new Date(blockTimestamp !== null ? blockTimestamp * 1000 : Date.now()).toISOString(),
+    chainId,
+    contractAddress: commitReveal ? COMMIT_REVEAL_CONTRACT_ADDRESS : revote ? REVOTING_CONTRACT_ADDRESS : FACTORY_CONTRACT_ADDRESS,
+    verifyUrl: `${window.location.origin}/verify`
+  };
+};
+
+const receiptFileName = (receipt) => `vote-receipt-${receipt.electionId}-${receipt.transactionHash.slice(2, 10)}.json`;
+
+// Save the receipt as a JSON file that /verify accepts
+export const downloadVoteReceipt = (receipt) => {
+  const blob = new Blob([JSON.stringify(receipt, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = receiptFileName(receipt);
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, char => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+})[char]);
+
+// Open a printable copy of the receipt in a new window, labelled with the
+// page's translation function `t`
+export const printVoteReceipt = (receipt, t) => {
+  const rows = [
+    [t('receipt.election'), `${receipt.electionTitle || t('receipt.election')} (#${receipt.electionId})`],
+    [t('receipt.transaction'), receipt.transactionHash],
+    [t('receipt.block'), receipt.blockNumber ?? t('receipt.pending')],
+    [t('receipt.time'), new Date(receipt.timestamp).toUTCString()],
+    [t('receipt.contract'), receipt.contractAddress],
+    [t('receipt.verifyAt'), receipt.verifyUrl]
+  ];
+  const printWindow = window.open('', '_blank', 'width=720,height=600');
+  if (!printWindow) {
+    throw new Error(t('receipt.allowPopups'));
+  }
+
+  printWindow.document.write(`<!doctype html>
+<html><head><title>${escapeHtml(t('receipt.printTitle'))}</title>
+<style>body{font-family:sans-serif;padding:32px}td{padding:6px 12px;vertical-align:top}td:first-child{font-weight:bold}code{word-break:break-all}</style>
+</head><body>
+<h1>${escapeHtml(t('receipt.printTitle'))}</h1>
+<p>${escapeHtml(t('receipt.printNote'))}</p>
+<table>${rows.map(([label, value]) => `<tr><td>${escapeHtml(label)}</td><td><code>${escapeHtml(value)}</code></td></tr>`).join('')}</table>
+</body></html>`);
+  printWindow.document.close();
+  printWindow.focus();
+  printWindow.print();
+};
+
+// Read a pasted or uploaded receipt. Accepts the JSON receipt or a bare
+// transaction hash (the election ID then comes from the form). Errors carry
+// a `code`: NOT_RECEIPT or NO_TRANSACTION_HASH.
+export const parseVoteReceipt = (text) => {
+  const value = String(text || '').trim();
+  if (TX_HASH_PATTERN.test(value)) {
+    return { electionId: null, transactionHash: value };
+  }
+
+  let receipt;
+  try {
+    receipt = JSON.parse(value);
+  } catch {
+    throw Object.assign(new Error('Paste a vote receipt or a transaction hash'), { code: 'NOT_RECEIPT' });
+  }
+  if (!receipt || !TX_HASH_PATTERN.test(receipt.transactionHash || '')) {
+    throw Object.assign(new Error('The receipt has no valid transaction hash'), { code: 'NO_TRANSACTION_HASH' });
+  }
+  const electionId = Number(receipt.electionId);
+  return {
+    electionId: Number.isInteger(electionId) && electionId >= 0 ? electionId : null,
+    transactionHash: receipt.transactionHash
+  };
+};
+
+// Ask the backend whether the receipt's transaction is a counted vote
+// (GET /api/elections/:id/receipts/:txHash)
+export const verifyVoteReceipt = async ({ electionId, transactionHash }) => {
+  const response = await fetch(apiUrl(`/api/elections/${electionId}/receipts/${transactionHash}`));
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.error || 'Failed to verify receipt');
+  }
+  return data;
+};
+
+// Sign for a vote with the wallet that cast it, before acting for the vote
+// (action 'risk', 'confirmation' or 'ballot'; POST /api/elections/:id/votes/:txHash/nonce). Returns the
+// { nonce, signature } fields to send with the request.
+export const signAsVoter = async ({ electionId, transactionHash, action }) => {
+  const response = await fetch(apiUrl(`/api/elections/${electionId}/votes/${transactionHash}/nonce`), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ action })
+  });
+  const { nonce, message, error } = await response.json();
+  if (!response.ok) {
+    throw new Error(error || 'Failed to get vote nonce');
+  }
+
+  const signer = await new ethers.BrowserProvider(window.ethereum).getSigner();
+  return { nonce, signature: await signer.signMessage(message) };
+};
+
+// Fold a Merkle proof into a root, hashing sorted pairs like
+// backend/tally/ballotMerkle.js
+const proofRoot = (leaf, proof) => proof.reduce((node, sibling) => ethers.keccak256(
+  ethers.concat(node.toLowerCase() < sibling.toLowerCase() ? [node, sibling] : [sibling, node])
+), leaf);
+
+// Fetch the inclusion proof of a vote in the election's published tally root
+// (GET /api/elections/:id/tally/proof/:txHash) and check it here rather than
+// trusting the server. Returns null while the tally is unpublished.
+export const checkTallyInclusion = async ({ electionId, transactionHash }) => {
+  const response = await fetch(apiUrl(`/api/elections/${electionId}/tally/proof/${transactionHash}`));
+  const data = await response.json();
+  if (response.status === 404) {
+    return null;
+  }
+  if (!response.ok) {
+    throw new Error(data.error || 'Failed to fetch inclusion proof');
+  }
+
+  const { vote } = data;
+  const leaf = ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(
+    ['uint256', 'uint256', 'bytes32', 'uint256'],
+    [vote.electionId, vote.candidateId, vote.txHash, vote.logIndex]
+  ));
+  return {
+    root: data.root,
+    proofLength: data.proof.length,
+    included: leaf === data.leaf && proofRoot(leaf, data.proof).toLowerCase() === data.root.toLowerCase()
+  };
+};
@@ -0,0 +1,62 @@
+import { ethers } from 'ethers';
+import { apiUrl } from '@/lib/api';
+
+const identityRequest = async (path, accessToken, body) => {
+  const response = await fetch(apiUrl(`/api/identity${path}`), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${accessToken}` },
+    body: JSON.stringify(body)
+  });
+  const data = await response.json();
+  if (!response.ok) {
+    throw Object.assign(new Error(data.error || 'Government ID verification failed'), { code: data.code });
+  }
+  return data;
+};
+
+// A Supabase account proves a registered Government ID with a login code
+// before its first wallet link; linkWallet fails with the error code
+// GOVT_ID_UNVERIFIED until then. Returns { challengeId, destination, expiresIn }.
+export const requestGovtIdCode = (accessToken, { govtID, idType }) =>
+  identityRequest('/govt-id/code', accessToken, { govtID, idType });
+
+export const verifyGovtIdCode = (accessToken, { challengeId, code }) =>
+  identityRequest('/govt-id/verify', accessToken, { challengeId, code });
+
+// Link the connected wallet to the signed-in voter by signing a nonce
+// (POST /api/identity/wallet/nonce, then POST /api/identity/wallet/link).
+// `accessToken` is the Supabase session token; the backend writes the
+// address to the profile, which clients cannot do themselves.
+export const linkWallet = async (accessToken) => {
+  if (!window.ethereum) {
+    throw new Error('Please install MetaMask or Core Wallet');
+  }
+
+  const provider = new ethers.BrowserProvider(window.ethereum);
+  const signer = await provider.getSigner();
+  const address = await signer.getAddress();
+  const headers = {
+    'Content-Type': 'application/json',
+    Authorization: `Bearer ${accessToken}`
+  };
+
+  const nonceResponse = await fetch(apiUrl('/api/identity/wallet/nonce'), { method: 'POST', headers });
+  const { nonce, message, error: nonceError, code } = await nonceResponse.json();
+  if (!nonceResponse.ok) {
+    throw Object.assign(new Error(nonceError || 'Failed to get wallet link nonce'), { code });
+  }
+
+  const signature = await signer.signMessage(message);
+
+  const linkResponse = await fetch(apiUrl('/api/identity/wallet/link'), {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({ address, signature, nonce })
+  });
+  const data = await linkResponse.json();
+  if (!linkResponse.ok) {
+    throw new Error(data.error || 'Failed to link wallet');
+  }
+
+  return data.walletAddress;
+};
@@ -1,5 +1,6 @@
 import { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
+import { useTranslation } from 'react-i18next';
 import { supabase } from '@/integrations/supabase/client';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
@@ -8,10 +9,19 @@ import { Label } from '@/components/ui/label';
 import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs';
 import { useToast } from '@/hooks/use-toast';
 import { Loader2, Shield, Vote } from 'lucide-react';
+import { validateGovtId } from '@/lib/govtIdValidator';
+
+// Signup form fields holding each government ID type
+const SIGNUP_ID_FIELDS = [
+  { field: 'voterId', type: 'voter' },
+  { field: 'panCard', type: 'pan' },
+  { field: 'aadhaarCard', type: 'aadhaar' }
+];
 
 const Auth = () => {
   const navigate = useNavigate();
   const { toast } = useToast();
+  const { t } = useTranslation();
   const [loading, setLoading] = useState(false);
   const [activeTab, setActiveTab] = useState('login');
 
@@ -50,14 +60,29 @@ const Auth = () => {
     checkUser();
   }, [navigate]);
 
+  const showGovtIdError = (validation) => {
+    toast({
+      title: 'Error',
+      description: t(`govtId.errors.${validation.code}`, validation.error),
+      variant: 'destructive',
+    });
+  };
+
   const handleLogin = async (e) => {
     e.preventDefault();
+
+    const idValidation = validateGovtId(loginIdType, loginId);
+    if (!idValidation.isValid) {
+      showGovtIdError(idValidation);
+      return;
+    }
+
     setLoading(true);
 
     try {
       // Call edge function to get email from government ID
       const { data: emailData, error: emailError } = await supabase.functions.invoke('get-user-email', {
-        body: { govtId: loginId, idType: loginIdType }
+        body: { govtId: idValidation.value, idType: loginIdType }
       });
 
       if (emailError || !emailData.email) {
@@ -111,12 +136,24 @@ const Auth = () => {
       return;
     }
 
+    // Validate every ID that was filled in and keep its canonical form
+    const ids = {};
+    for (const { field, type } of SIGNUP_ID_FIELDS) {
+      if (!signupData[field]) continue;
+      const validation = validateGovtId(type, signupData[field]);
+      if (!validation.isValid) {
+        showGovtIdError(validation);
+        return;
+      }
+      ids[field] = validation.value;
+    }
+
     setLoading(true);
 
     try {
       // Generate a unique email from the government ID
-      const primaryId = signupData.voterId || signupData.panCard || signupData.aadhaarCard;
-      const generatedEmail = `${primaryId.replace(/\s/g, '')}@votesystem.internal`;
+      const primaryId = ids.voterId || ids.panCard || ids.aadhaarCard;
+      const generatedEmail = `${primaryId}@votesystem.internal`;
 
       // Sign up the user with generated email
       const { data: authData, error: signUpError } = await supabase.auth.signUp({
@@ -135,9 +172,9 @@ const Auth = () => {
         .insert({
           id: authData.user.id,
           full_name: signupData.fullName,
-          voter_id: signupData.voterId || null,
-          pan_card: signupData.panCard || null,
-          aadhaar_card: signupData.aadhaarCard || null,
+          voter_id: ids.voterId || null,
+          pan_card: ids.panCard || null,
+          aadhaar_card: ids.aadhaarCard || null,
           is_verified: false
         });
 
@@ -7,15 +7,26 @@ import { Input } from "@/components/ui/input";
 import { Textarea } from "@/components/ui/textarea";
 import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogDescription } from "@/components/ui/dialog";
 import { useToast } from '@/hooks/use-toast';
+import { useElectionStream } from '@/hooks/useElectionStream';
+import { apiUrl } from '@/lib/api';
+import { adminFetch, logoutAdmin } from '@/lib/adminAuth';
 import { supabase } from '@/integrations/supabase/client';
-import { Wallet, BarChart3, Users, CheckCircle, AlertCircle, ArrowLeft, LogOut, Loader2, Plus, X } from 'lucide-react';
+import { Wallet, BarChart3, Users, CheckCircle, AlertCircle, ArrowLeft, LogOut, Loader2, Plus, X, Lock } from 'lucide-react';
 import { ethers } from 'ethers';
 import ElectionManager from '@/components/ElectionManager';
 import AIInsights from '@/components/AIInsights';
+import RankedChoiceResults from '@/components/RankedChoiceResults';
+import FlaggedVoteQueue from '@/components/FlaggedVoteQueue';
+import RiskPolicyEditor from '@/components/RiskPolicyEditor';
 import VoiceAssistant from '@/components/VoiceAssistant';
-import { FACTORY_CONTRACT_ADDRESS, FACTORY_CONTRACT_ABI, REVOTING_CONTRACT_ADDRESS, REVOTING_CONTRACT_ABI } from '@/lib/contract';
+import { getWalletElectionClient, COMMIT_REVEAL_CONTRACT_ADDRESS } from '@/lib/contract';
+import { getCommitRevealPhase } from '@/lib/electionClient';
 import { useTranslation } from 'react-i18next';
 
+// How far ahead an election with a ranked, approval or score method must
+// start, leaving time to save the method before voting opens
+const METHOD_LEAD_SECONDS = 10 * 60;
+
 const NewAdmin = () => {
   const { t } = useTranslation();
   const { toast } = useToast();
@@ -37,13 +48,44 @@ const NewAdmin = () => {
     description: '',
     candidates: ['', ''],
     startTime: '',
-    endTime: ''
+    endTime: '',
+    votingMethod: 'plurality',
+    maxScore: 5,
+    ballotMode: 'open',
+    revealEndTime: ''
   });
+  const [votingMethods, setVotingMethods] = useState([]);
+  const [methodResult, setMethodResult] = useState(null);
+  // Commit-reveal schedule of the selected election and whether its tally is still sealed
+  const [commitReveal, setCommitReveal] = useState(null);
+  const [resultsSealed, setResultsSealed] = useState(false);
+
+  // Live tally and status updates for the selected election
+  const stream = useElectionStream(selectedElectionId);
 
   useEffect(() => {
     checkAuth();
+    fetchVotingMethods();
   }, []);
 
+  // Reload the selected election when it starts or ends
+  useEffect(() => {
+    if (stream.lastStatusChange && selectedElectionId !== null) {
+      fetchElectionDetails(selectedElectionId);
+    }
+  }, [stream.lastStatusChange]);
+
+  // Apply streamed vote counts to the results view
+  useEffect(() => {
+    if (stream.totalVotes === null) return;
+
+    setSelectedElection(prev => prev ? { ...prev, totalVotes: stream.totalVotes } : prev);
+    setCandidates(prev => prev.map(candidate => {
+      const streamed = stream.tally.find(c => c.id === candidate.id);
+      return streamed ? { ...candidate, votes: streamed.votes } : candidate;
+    }));
+  }, [stream.totalVotes, stream.tally]);
+
   useEffect(() => {
     if (isAdmin) {
       checkIfWalletIsConnected();
@@ -86,6 +128,7 @@ const NewAdmin = () => {
   };
 
   const handleLogout = async () => {
+    await logoutAdmin();
     await supabase.auth.signOut();
     navigate('/auth');
   };
@@ -167,6 +210,7 @@ const NewAdmin = () => {
   };
 
   const disconnectWallet = () => {
+    logoutAdmin();
     setAccount(null);
     setSelectedElectionId(null);
     setSelectedElection(null);
@@ -177,74 +221,75 @@ const NewAdmin = () => {
     });
   };
 
+  const fetchVotingMethods = async () => {
+    try {
+      const response = await fetch(apiUrl('/api/elections/voting-methods'));
+      const data = await response.json();
+      setVotingMethods(data.votingMethods || []);
+    } catch (error) {
+      console.error('Error fetching voting methods:', error);
+    }
+  };
+
+  // Load the tally computed with the election's configured voting method
+  const fetchMethodResult = async (electionId) => {
+    try {
+      const response = await fetch(apiUrl(`/api/elections/${electionId}/results`));
+      const data = await response.json();
+      setMethodResult(response.ok ? data.methodResult : null);
+    } catch (error) {
+      console.error('Error fetching method results:', error);
+      setMethodResult(null);
+    }
+  };
+
   const handleElectionSelect = async (electionId) => {
     setSelectedElectionId(electionId);
-    await fetchElectionDetails(electionId);
+    setMethodResult(null);
+    await Promise.all([fetchElectionDetails(electionId), fetchMethodResult(electionId)]);
   };
 
   const fetchElectionDetails = async (electionId) => {
     try {
       setLoadingElection(true);
-      const provider = new ethers.BrowserProvider(window.ethereum);
-      const contract = new ethers.Contract(FACTORY_CONTRACT_ADDRESS, FACTORY_CONTRACT_ABI, provider);
+      const client = await getWalletElectionClient();
 
       // Fetch election and candidates data
-      const [electionResult, candidateResults, winnerResult] = await Promise.allSettled([
-        contract.getElection(electionId),
-        Promise.all(
-          Array.from({ length: 10 }, (_, i) => 
-            contract.getCandidate(electionId, i).catch(() => null)
-          )
-        ),
-        contract.getWinner(electionId).catch(() => null)
+      const [electionResult, candidateResults, winnerResult, commitRevealResult] = await Promise.allSettled([
+        client.getElection(electionId),
+        client.getCandidates(electionId),
+        client.getWinner(electionId),
+        client.getCommitReveal(electionId)
       ]);
 
-      if (electionResult.status === 'fulfilled') {
-        const [title, description, startTime, endTime, active, candidatesCount, totalVotes] = electionResult.value;
-        
-        const electionData = {
-          id: electionId,
-          title,
-          description,
-          startTime: Number(startTime),
-          endTime: Number(endTime),
-          active,
-          candidatesCount: Number(candidatesCount),
-          totalVotes: Number(totalVotes)
-        };
-        
-        setSelectedElection(electionData);
-
-        // Process candidates
-        const candidatesList = [];
-        if (candidateResults.status === 'fulfilled') {
-          candidateResults.value
-            .filter(result => result !== null)
-            .forEach((result) => {
-              try {
-                const [candidateId, candidateName, candidateVotes] = result;
-                const fullName = candidateName.toString().trim();
-                if (fullName) {
-                  candidatesList.push({
-                    id: Number(candidateId),
-                    name: fullName,
-                    votes: Number(candidateVotes)
-                  });
-                }
-              } catch (err) {
-                console.log('Error processing candidate');
-              }
-            });
+      if (electionResult.status === 'fulfilled' && electionResult.value) {
+        const schedule = commitRevealResult.status === 'fulfilled' ? commitRevealResult.value : null;
+        let candidatesList = candidateResults.status === 'fulfilled'
+          ? candidateResults.value.filter(candidate => candidate.name)
+          : [];
+
+        // Commit-reveal elections have no tally, not even for admins, until
+        // the reveal phase has ended
+        if (schedule) {
+          const revealed = getCommitRevealPhase(schedule) === 'closed'
+            ? await client.getRevealedResults(electionId).catch(() => null)
+            : null;
+          candidatesList = candidatesList.map(candidate => ({ ...candidate, votes: revealed ? revealed[candidate.id] || 0 : 0 }));
+          const totalVotes = candidatesList.reduce((sum, candidate) => sum + candidate.votes, 0);
+          const leader = candidatesList.reduce((best, candidate) => (!best || candidate.votes > best.votes ? candidate : best), null);
+
+          setSelectedElection({ ...electionResult.value, totalVotes });
+          setWinner(revealed && totalVotes > 0 ? { name: leader.name, votes: leader.votes } : null);
+          setResultsSealed(!revealed);
+        } else {
+          setSelectedElection(electionResult.value);
+          setResultsSealed(false);
+          if (winnerResult.status === 'fulfilled') {
+            setWinner(winnerResult.value);
+          }
         }
+        setCommitReveal(schedule);
         setCandidates(candidatesList);
-
-        // Process winner
-        let winnerData = null;
-        if (winnerResult.status === 'fulfilled' && winnerResult.value) {
-          const [winnerName, winnerVotes] = winnerResult.value;
-          winnerData = { name: winnerName, votes: Number(winnerVotes) };
-          setWinner(winnerData);
-        }
       }
     } catch (error) {
       console.error('Error fetching election details:', error);
@@ -263,6 +308,9 @@ const NewAdmin = () => {
     setSelectedElection(null);
     setCandidates([]);
     setWinner(null);
+    setMethodResult(null);
+    setCommitReveal(null);
+    setResultsSealed(false);
   };
 
   const addCandidateField = () => {
@@ -328,9 +376,7 @@ const NewAdmin = () => {
         return;
       }
 
-      const provider = new ethers.BrowserProvider(window.ethereum);
-      const signer = await provider.getSigner();
-      const contract = new ethers.Contract(FACTORY_CONTRACT_ADDRESS, FACTORY_CONTRACT_ABI, signer);
+      const client = await getWalletElectionClient({ withSigner: true });
 
       const startTimestamp = Math.floor(new Date(newElection.startTime).getTime() / 1000);
       const endTimestamp = Math.floor(new Date(newElection.endTime).getTime() / 1000);
@@ -344,47 +390,104 @@ const NewAdmin = () => {
         return;
       }
 
-      toast({
-        title: 'Processing',
-        description: 'Please confirm the transaction in your wallet...',
-        variant: 'default'
-      });
+      const commitRevealMode = newElection.ballotMode === 'commit-reveal';
+      const revealEndTimestamp = Math.floor(new Date(newElection.revealEndTime).getTime() / 1000);
+      if (commitRevealMode && !(revealEndTimestamp > endTimestamp)) {
+        toast({
+          title: t('common.error'),
+          description: 'The reveal deadline must be after the end time',
+          variant: 'destructive'
+        });
+        return;
+      }
 
-      const tx = await contract.createElection(
-        newElection.title,
-        newElection.description,
-        validCandidates,
-        startTimestamp,
-        endTimestamp
-      );
+      // The backend locks the voting method once the election starts, so it
+      // must be saved while the election is still upcoming
+      if (newElection.votingMethod !== 'plurality') {
+        if (commitRevealMode) {
+          toast({
+            title: t('common.error'),
+            description: 'Commit-reveal elections are tallied by plurality',
+            variant: 'destructive'
+          });
+          return;
+        }
+        if (startTimestamp < Math.floor(Date.now() / 1000) + METHOD_LEAD_SECONDS) {
+          toast({
+            title: t('common.error'),
+            description: `Elections with this voting method must start at least ${METHOD_LEAD_SECONDS / 60} minutes from now`,
+            variant: 'destructive'
+          });
+          return;
+        }
+      }
 
       toast({
-        title: 'Transaction Submitted',
-        description: 'Creating election on blockchain...',
+        title: 'Processing',
+        description: 'Please confirm the transaction in your wallet...',
         variant: 'default'
       });
 
-      const receipt = await tx.wait();
-      
-      // Get the election ID from the transaction or contract
-      const factoryContract = new ethers.Contract(FACTORY_CONTRACT_ADDRESS, FACTORY_CONTRACT_ABI, provider);
-      const electionCount = await factoryContract.electionCount();
-      const newElectionId = Number(electionCount) - 1; // Latest election ID
-      
-      // Also start the election on the re-voting contract
-      toast({
-        title: 'Activating Re-voting',
-        description: 'Please confirm the second transaction to enable re-voting...',
-        variant: 'default'
+      const { electionId: newElectionId } = await client.createElection({
+        title: newElection.title,
+        description: newElection.description,
+        candidates: validCandidates,
+        startTime: startTimestamp,
+        endTime: endTimestamp
       });
       
-      const revotingContract = new ethers.Contract(REVOTING_CONTRACT_ADDRESS, REVOTING_CONTRACT_ABI, signer);
-      const startTx = await revotingContract.startElection(newElectionId);
-      await startTx.wait();
+      if (commitRevealMode) {
+        // Voters commit until the end time and reveal until the reveal deadline
+        toast({
+          title: 'Activating Commit-Reveal',
+          description: 'Please confirm the second transaction to seal the tally until the reveal deadline...',
+          variant: 'default'
+        });
+
+        await client.openCommitReveal(newElectionId, {
+          candidatesCount: validCandidates.length,
+          startTime: startTimestamp,
+          commitEndTime: endTimestamp,
+          revealEndTime: revealEndTimestamp
+        });
+      } else {
+        // Also start the election on the re-voting contract
+        toast({
+          title: 'Activating Re-voting',
+          description: 'Please confirm the second transaction to enable re-voting...',
+          variant: 'default'
+        });
+
+        await client.enableRevoting(newElectionId);
+      }
+
+      // Record the voting method with the backend; plurality is the default
+      if (newElection.votingMethod !== 'plurality') {
+        try {
+          await adminFetch(`/api/admin/elections/${newElectionId}/settings`, {
+            method: 'PUT',
+            body: JSON.stringify({
+              votingMethod: newElection.votingMethod,
+              methodOptions: newElection.votingMethod === 'score'
+                ? { maxScore: Number(newElection.maxScore) }
+                : {}
+            })
+          });
+        } catch (error) {
+          console.error('Error saving voting method:', error);
+          toast({
+            title: 'Voting Method Not Saved',
+            description: `Election created, but the voting method could not be saved: ${error.message}`,
+            variant: 'destructive'
+          });
+        }
+      }
       
       toast({
         title: 'Success!',
-        description: 'Election created with re-voting enabled',
+        description: commitRevealMode
+          ? 'Election created with a sealed commit-reveal tally'
+          : 'Election created with re-voting enabled',
         variant: 'default'
       });
       
@@ -394,7 +497,11 @@ const NewAdmin = () => {
         description: '',
         candidates: ['', ''],
         startTime: '',
-        endTime: ''
+        endTime: '',
+        votingMethod: 'plurality',
+        maxScore: 5,
+        ballotMode: 'open',
+        revealEndTime: ''
       });
 
       // Refresh elections list
@@ -403,7 +510,7 @@ const NewAdmin = () => {
       console.error('Error creating election:', error);
       let errorMessage = 'Failed to create election';
       
-      if (error.code === 4001) {
+      if (error.code === 'REJECTED') {
         errorMessage = 'Transaction was rejected';
       } else if (error.message) {
         errorMessage = error.message;
@@ -552,6 +659,9 @@ const NewAdmin = () => {
               selectedElectionId={selectedElectionId}
               onElectionDeleted={() => setSelectedElectionId(null)}
             />
+
+            {/* Anomaly-flagged votes across all elections */}
+            <FlaggedVoteQueue />
           </div>
         ) : (
           <div className="space-y-6">
@@ -598,7 +708,12 @@ const NewAdmin = () => {
                     <div className="text-center p-4 bg-success/10 rounded-lg">
                       <BarChart3 className="w-6 h-6 mx-auto mb-2 text-success" />
                       <p className="text-sm text-muted-foreground">{t('admin.totalVotes')}</p>
-                      <p className="font-semibold">{selectedElection.totalVotes}</p>
+                      <p className="font-semibold">{resultsSealed ? 'Sealed' : selectedElection.totalVotes}</p>
+                      {stream.connected && !resultsSealed && (
+                        <Badge variant="outline" className="mt-1 border-success/50 text-success">
+                          Live
+                        </Badge>
+                      )}
                     </div>
                     <div className="text-center p-4 bg-primary-glow/10 rounded-lg">
                       <CheckCircle className="w-6 h-6 mx-auto mb-2 text-primary-glow" />
@@ -608,7 +723,20 @@ const NewAdmin = () => {
                   </div>
                 </Card>
 
+                {/* Commit-reveal tallies stay sealed, for admins too, until the reveal phase ends */}
+                {resultsSealed && (
+                  <Card className="p-8 text-center">
+                    <Lock className="w-12 h-12 mx-auto mb-4 text-muted-foreground" />
+                    <h3 className="text-xl font-semibold mb-2">Results Sealed</h3>
+                    <p className="text-muted-foreground">
+                      Voters reveal their votes until {new Date(commitReveal.revealEndTime * 1000).toLocaleString()}.
+                      {' '}{commitReveal.commitCount} sealed votes, {commitReveal.revealCount} revealed so far.
+                    </p>
+                  </Card>
+                )}
+
                 {/* Candidates Results */}
+                {!resultsSealed && (
                 <Card className="p-6">
                   <h3 className="text-2xl font-bold mb-6 bg-gradient-to-r from-primary to-accent bg-clip-text text-transparent">
                     {t('voting.candidateResults')}
@@ -655,13 +783,27 @@ const NewAdmin = () => {
                     })}
                   </div>
                 </Card>
+                )}
+
+                {/* Instant-runoff tally over pasted ballots (nothing is stored) */}
+                <RankedChoiceResults
+                  electionId={selectedElection.id}
+                  candidates={candidates}
+                />
+
+                {/* Anomaly-flagged votes of this election */}
+                <FlaggedVoteQueue electionId={selectedElection.id} />
+
+                {/* Anomaly risk-scoring policy of this election */}
+                <RiskPolicyEditor electionId={selectedElection.id} />
 
                 {/* AI Insights */}
-                {selectedElection.totalVotes > 0 && (
+                {!resultsSealed && (selectedElection.totalVotes > 0 || methodResult?.validBallots > 0) && (
                   <AIInsights 
                     election={selectedElection}
                     candidates={candidates}
                     winner={winner}
+                    methodResult={methodResult}
                   />
                 )}
               </>
@@ -737,6 +879,33 @@ const NewAdmin = () => {
               ))}
             </div>
 
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div className="space-y-2">
+                <label className="text-sm font-medium">Voting Method</label>
+                <select
+                  value={newElection.votingMethod}
+                  onChange={(e) => setNewElection(prev => ({ ...prev, votingMethod: e.target.value }))}
+                  className="flex h-10 w-full rounded-md border border-input bg-background px-3 py-2 text-sm ring-offset-background focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring focus-visible:ring-offset-2"
+                >
+                  {(votingMethods.length > 0 ? votingMethods : [{ name: 'plurality', label: 'Plurality' }]).map(method => (
+                    <option key={method.name} value={method.name}>{method.label}</option>
+                  ))}
+                </select>
+              </div>
+              {newElection.votingMethod === 'score' && (
+                <div className="space-y-2">
+                  <label className="text-sm font-medium">Maximum Score</label>
+                  <Input
+                    type="number"
+                    min={1}
+                    max={100}
+                    value={newElection.maxScore}
+                    onChange={(e) => setNewElection(prev => ({ ...prev, maxScore: e.target.value }))}
+                  />
+                </div>
+              )}
+            </div>
+
             <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
               <div className="space-y-2">
                 <label className="text-sm font-medium">Start Time</label>
@@ -756,6 +925,32 @@ const NewAdmin = () => {
               </div>
             </div>
 
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div className="space-y-2">
+                <label className="text-sm font-medium">Ballot</label>
+                <select
+                  value={newElection.ballotMode}
+                  onChange={(e) => setNewElection(prev => ({ ...prev, ballotMode: e.target.value }))}
+                  className="flex h-10 w-full rounded-md border border-input bg-background px-3 py-2 text-sm ring-offset-background focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring focus-visible:ring-offset-2"
+                >
+                  <option value="open">Open tally with re-voting</option>
+                  <option value="commit-reveal" disabled={!COMMIT_REVEAL_CONTRACT_ADDRESS}>
+                    Commit-reveal (tally sealed until the reveal deadline)
+                  </option>
+                </select>
+              </div>
+              {newElection.ballotMode === 'commit-reveal' && (
+                <div className="space-y-2">
+                  <label className="text-sm font-medium">Reveal Deadline</label>
+                  <Input
+                    type="datetime-local"
+                    value={newElection.revealEndTime}
+                    onChange={(e) => setNewElection(prev => ({ ...prev, revealEndTime: e.target.value }))}
+                  />
+                </div>
+              )}
+            </div>
+
             <div className="flex justify-end gap-3 pt-4">
               <Button
                 type="button"
@@ -4,10 +4,12 @@ import { useTranslation } from 'react-i18next';
 import { supabase } from '@/integrations/supabase/client';
 import ElectionManager from '@/components/ElectionManager';
 import ElectionVoting from '@/components/ElectionVoting';
+import { GovtIdVerification } from '@/components/GovtIdVerification';
 import { LanguageSelector } from '@/components/LanguageSelector';
 import { VoiceControls } from '@/components/VoiceControls';
 import { Button } from '@/components/ui/button';
 import { useToast } from '@/hooks/use-toast';
+import { linkWallet } from '@/lib/walletLink';
 import { Loader2, Wallet, LogOut } from 'lucide-react';
 
 const NewVote = () => {
@@ -19,6 +21,8 @@ const NewVote = () => {
   const [user, setUser] = useState(null);
   const [profile, setProfile] = useState(null);
   const [walletConnected, setWalletConnected] = useState(false);
+  // Supabase access token while the Government ID still needs a login code
+  const [govtIdToken, setGovtIdToken] = useState(null);
 
   useEffect(() => {
     checkAuth();
@@ -73,17 +77,18 @@ const NewVote = () => {
     }
 
     try {
-      const accounts = await window.ethereum.request({ 
+      await window.ethereum.request({ 
         method: 'eth_requestAccounts' 
       });
-      const walletAddress = accounts[0];
 
-      const { error } = await supabase
-        .from('profiles')
-        .update({ wallet_address: walletAddress })
-        .eq('id', user.id);
-
-      if (error) throw error;
+      // The wallet signs a nonce and the backend records the address on
+      // both the profile and the voter's identity
+      const { data: { session } } = await supabase.auth.getSession();
+      if (!session) {
+        navigate('/auth');
+        return;
+      }
+      const walletAddress = await linkWallet(session.access_token);
 
       setProfile({ ...profile, wallet_address: walletAddress });
       setWalletConnected(true);
@@ -93,6 +98,11 @@ const NewVote = () => {
         description: 'Your wallet has been connected successfully',
       });
     } catch (error) {
+      if (error.code === 'GOVT_ID_UNVERIFIED') {
+        const { data: { session } } = await supabase.auth.getSession();
+        setGovtIdToken(session?.access_token || null);
+        return;
+      }
       toast({
         title: 'Error',
         description: error.message,
@@ -101,6 +111,11 @@ const NewVote = () => {
     }
   };
 
+  const handleGovtIdVerified = () => {
+    setGovtIdToken(null);
+    handleConnectWallet();
+  };
+
   const handleLogout = async () => {
     await supabase.auth.signOut();
     navigate('/auth');
@@ -173,6 +188,13 @@ const NewVote = () => {
             </Button>
           </div>
         </div>
+        {govtIdToken && !walletConnected && (
+          <GovtIdVerification
+            accessToken={govtIdToken}
+            profile={profile}
+            onVerified={handleGovtIdVerified}
+          />
+        )}
         <ElectionManager 
           onElectionSelect={handleElectionSelect}
           selectedElectionId={selectedElectionId}
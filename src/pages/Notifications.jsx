@@ -0,0 +1,214 @@
+import { useState, useEffect } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { Card } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { ArrowLeft, Bell, BellOff } from 'lucide-react';
+import { useTranslation } from 'react-i18next';
+import {
+  LIFECYCLE_EVENTS, fetchSubscription, confirmSubscription, updateSubscription, unsubscribe, markNotificationsRead
+} from '@/lib/notifications';
+
+const CHANNELS = ['email', 'inApp'];
+
+// Notification preferences and inbox of one election subscription, opened
+// from the link in every notification email (/notifications?token=...). The
+// confirmation email's link also carries the code that confirms the address
+// (&confirm=...).
+const Notifications = () => {
+  const { t } = useTranslation();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const confirmCode = searchParams.get('confirm');
+  const [subscription, setSubscription] = useState(null);
+  const [notifications, setNotifications] = useState([]);
+  const [unread, setUnread] = useState(0);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  const load = async () => {
+    try {
+      const data = await fetchSubscription(token);
+      setSubscription(data.subscription);
+      setNotifications(data.notifications);
+      setUnread(data.unread);
+    } catch (loadError) {
+      setError(loadError.message);
+    }
+  };
+
+  const confirmAndLoad = async () => {
+    try {
+      await confirmSubscription(token, confirmCode);
+      setMessage(t('notifications.confirmed'));
+    } catch (confirmError) {
+      setError(confirmError.message);
+    }
+    // The code works once, so it is dropped from the address
+    setSearchParams({ token }, { replace: true });
+    await load();
+  };
+
+  useEffect(() => {
+    if (token && confirmCode) {
+      confirmAndLoad();
+    } else if (token) {
+      load();
+    } else {
+      setError(t('notifications.missingToken'));
+    }
+  }, [token]);
+
+  // Apply a change and show the message under `messageKey` once it is saved
+  const save = async (change, messageKey) => {
+    setSaving(true);
+    setMessage('');
+    setError('');
+    try {
+      const data = await change();
+      setSubscription(data.subscription);
+      setMessage(t(messageKey));
+    } catch (saveError) {
+      setError(saveError.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const toggleEvent = (event) => {
+    const optOut = subscription.optOut.includes(event)
+      ? subscription.optOut.filter(item => item !== event)
+      : [...subscription.optOut, event];
+    save(() => updateSubscription(token, { optOut }), 'notifications.saved');
+  };
+
+  const toggleChannel = (channel) => {
+    const channels = subscription.channels.includes(channel)
+      ? subscription.channels.filter(item => item !== channel)
+      : [...subscription.channels, channel];
+    save(() => updateSubscription(token, { channels }), 'notifications.saved');
+  };
+
+  const markRead = async () => {
+    try {
+      await markNotificationsRead(token);
+      await load();
+    } catch (readError) {
+      setError(readError.message);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-background via-background/50 to-primary/5">
+      <div className="container mx-auto px-4 py-8 max-w-2xl">
+        <Button variant="ghost" asChild className="mb-6">
+          <Link to="/vote">
+            <ArrowLeft className="w-4 h-4 mr-2" />
+            {t('notifications.back')}
+          </Link>
+        </Button>
+
+        <Card className="p-8 bg-card/90 border-primary/30">
+          <div className="flex items-center gap-3 mb-2">
+            <Bell className="w-8 h-8 text-primary" />
+            <h1 className="text-2xl font-bold">{t('notifications.title')}</h1>
+          </div>
+
+          {subscription && (
+            <div className="space-y-6">
+              <p className="text-muted-foreground">
+                {t('notifications.election', { id: subscription.electionId })}
+                {subscription.email ? ` · ${subscription.email}` : ''}
+              </p>
+
+              {subscription.email && !subscription.emailConfirmed && (
+                <p className="text-sm text-warning">
+                  {t('notifications.emailPending', { email: subscription.email })}
+                </p>
+              )}
+
+              {!subscription.subscribed && (
+                <p className="text-sm text-warning">{t('notifications.unsubscribedNotice')}</p>
+              )}
+
+              <div>
+                <h2 className="font-semibold mb-3">{t('notifications.notifyWhen')}</h2>
+                <div className="space-y-2">
+                  {LIFECYCLE_EVENTS.map(event => (
+                    <label key={event} className="flex items-center gap-2 text-sm">
+                      <input
+                        type="checkbox"
+                        checked={subscription.subscribed && !subscription.optOut.includes(event)}
+                        onChange={() => toggleEvent(event)}
+                        disabled={saving}
+                      />
+                      {t(`notifications.events.${event}`)}
+                    </label>
+                  ))}
+                </div>
+              </div>
+
+              <div>
+                <h2 className="font-semibold mb-3">{t('notifications.sendBy')}</h2>
+                <div className="space-y-2">
+                  {CHANNELS.map(channel => (
+                    <label key={channel} className="flex items-center gap-2 text-sm">
+                      <input
+                        type="checkbox"
+                        checked={subscription.channels.includes(channel)}
+                        onChange={() => toggleChannel(channel)}
+                        disabled={saving || (channel === 'email' && !subscription.email)}
+                      />
+                      {t(`notifications.channels.${channel}`)}
+                    </label>
+                  ))}
+                </div>
+              </div>
+
+              {subscription.subscribed && (
+                <Button variant="outline" onClick={() => save(() => unsubscribe(token), 'notifications.unsubscribed')} disabled={saving}>
+                  <BellOff className="w-4 h-4 mr-2" />
+                  {t('notifications.unsubscribeAll')}
+                </Button>
+              )}
+
+              <div>
+                <div className="flex items-center justify-between mb-3">
+                  <div className="flex items-center gap-2">
+                    <h2 className="font-semibold">{t('notifications.inbox')}</h2>
+                    {unread > 0 && <Badge>{t('notifications.unread', { unread })}</Badge>}
+                  </div>
+                  {unread > 0 && (
+                    <Button variant="ghost" size="sm" onClick={markRead}>
+                      {t('notifications.markRead')}
+                    </Button>
+                  )}
+                </div>
+                {notifications.length === 0 ? (
+                  <p className="text-sm text-muted-foreground">{t('notifications.empty')}</p>
+                ) : (
+                  <ul className="space-y-2">
+                    {notifications.map(notification => (
+                      <li key={notification.id} className={`text-sm ${notification.readAt ? 'text-muted-foreground' : 'font-medium'}`}>
+                        {notification.title}
+                        <span className="ml-2 text-xs text-muted-foreground">
+                          {new Date(notification.createdAt).toLocaleString()}
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            </div>
+          )}
+
+          {message && <p className="text-sm text-success mt-4">{message}</p>}
+          {error && <p className="text-sm text-destructive mt-4">{error}</p>}
+        </Card>
+      </div>
+    </div>
+  );
+};
+
+export default Notifications;
@@ -0,0 +1,182 @@
+import { useState, useEffect } from 'react';
+import { Link, useLocation } from 'react-router-dom';
+import { Card } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Textarea } from '@/components/ui/textarea';
+import { ArrowLeft, CheckCircle, XCircle, Clock, ShieldCheck, Upload } from 'lucide-react';
+import { useTranslation } from 'react-i18next';
+import { parseVoteReceipt, verifyVoteReceipt, checkTallyInclusion } from '@/lib/voteReceipt';
+
+// Messages of the parseVoteReceipt error codes
+const PARSE_ERRORS = {
+  NOT_RECEIPT: 'verify.errors.notReceipt',
+  NO_TRANSACTION_HASH: 'verify.errors.noTransactionHash'
+};
+
+// Public page where anyone can check a vote receipt against the chain
+const Verify = () => {
+  const { t } = useTranslation();
+  const location = useLocation();
+  const [receiptText, setReceiptText] = useState('');
+  const [electionId, setElectionId] = useState('');
+  const [verifying, setVerifying] = useState(false);
+  const [result, setResult] = useState(null);
+  const [inclusion, setInclusion] = useState(null);
+  const [error, setError] = useState('');
+
+  // Receipt handed over from the voting page
+  useEffect(() => {
+    if (location.state?.receipt) {
+      setReceiptText(JSON.stringify(location.state.receipt, null, 2));
+    }
+  }, [location.state]);
+
+  const handleFile = async (event) => {
+    const file = event.target.files?.[0];
+    if (file) {
+      setReceiptText(await file.text());
+      setResult(null);
+    }
+  };
+
+  const handleVerify = async () => {
+    setError('');
+    setResult(null);
+    setInclusion(null);
+
+    let receipt;
+    try {
+      receipt = parseVoteReceipt(receiptText);
+    } catch (parseError) {
+      setError(PARSE_ERRORS[parseError.code] ? t(PARSE_ERRORS[parseError.code]) : parseError.message);
+      return;
+    }
+
+    const id = receipt.electionId ?? (electionId.trim() === '' ? null : Number(electionId));
+    if (!Number.isInteger(id) || id < 0) {
+      setError(t('verify.enterElectionId'));
+      return;
+    }
+
+    try {
+      setVerifying(true);
+      const verification = await verifyVoteReceipt({ electionId: id, transactionHash: receipt.transactionHash });
+      setResult(verification);
+      // Factory votes of closed elections are also in the published tally root
+      if (verification.verified && verification.contract === 'factory') {
+        setInclusion(await checkTallyInclusion({ electionId: id, transactionHash: receipt.transactionHash }));
+      }
+    } catch (verifyError) {
+      setError(verifyError.message);
+    } finally {
+      setVerifying(false);
+    }
+  };
+
+  const needsElectionId = /^\s*0x[0-9a-fA-F]{64}\s*$/.test(receiptText);
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-background via-background/50 to-primary/5">
+      <div className="container mx-auto px-4 py-8 max-w-2xl">
+        <Button variant="ghost" asChild className="mb-6">
+          <Link to="/">
+            <ArrowLeft className="w-4 h-4 mr-2" />
+            {t('verify.home')}
+          </Link>
+        </Button>
+
+        <Card className="p-8 bg-card/90 border-primary/30">
+          <div className="flex items-center gap-3 mb-2">
+            <ShieldCheck className="w-8 h-8 text-primary" />
+            <h1 className="text-2xl font-bold">{t('verify.title')}</h1>
+          </div>
+          <p className="text-muted-foreground mb-6">{t('verify.description')}</p>
+
+          <div className="space-y-4">
+            <Textarea
+              value={receiptText}
+              onChange={(e) => {
+                setReceiptText(e.target.value);
+                setResult(null);
+              }}
+              placeholder={t('verify.placeholder')}
+              rows={8}
+              className="font-mono text-xs"
+            />
+
+            <div className="flex flex-wrap items-center gap-3">
+              <Button variant="outline" asChild>
+                <label className="cursor-pointer">
+                  <Upload className="w-4 h-4 mr-2" />
+                  {t('verify.upload')}
+                  <input type="file" accept="application/json,.json,.txt" className="hidden" onChange={handleFile} />
+                </label>
+              </Button>
+              {needsElectionId && (
+                <Input
+                  type="number"
+                  min="0"
+                  value={electionId}
+                  onChange={(e) => setElectionId(e.target.value)}
+                  placeholder={t('verify.electionId')}
+                  className="w-40"
+                />
+              )}
+            </div>
+
+            <Button onClick={handleVerify} disabled={verifying || !receiptText.trim()} className="w-full">
+              {verifying ? t('verify.verifying') : t('verify.verify')}
+            </Button>
+
+            {error && (
+              <p className="text-sm text-destructive">{error}</p>
+            )}
+
+            {result && (
+              <Card className={`p-6 ${result.verified ? 'border-success/40 bg-success/5' : 'border-destructive/40 bg-destructive/5'}`}>
+                <div className="flex items-start gap-3">
+                  {result.verified ? (
+                    <CheckCircle className="w-6 h-6 text-success flex-shrink-0" />
+                  ) : result.status === 'pending' ? (
+                    <Clock className="w-6 h-6 text-yellow-500 flex-shrink-0" />
+                  ) : (
+                    <XCircle className="w-6 h-6 text-destructive flex-shrink-0" />
+                  )}
+                  <div className="space-y-2 text-sm">
+                    <p className="font-semibold">{t(`verify.status.${result.status}`, result.message)}</p>
+                    <p className="text-muted-foreground">
+                      {result.electionTitle} (#{result.electionId})
+                    </p>
+                    {result.blockNumber !== undefined && (
+                      <p className="text-muted-foreground">
+                        {t('verify.block', { block: result.blockNumber })}
+                        {result.blockTimestamp ? `, ${new Date(result.blockTimestamp * 1000).toLocaleString()}` : ''}
+                        {result.confirmations ? `, ${t('verify.confirmations', { confirmations: result.confirmations })}` : ''}
+                      </p>
+                    )}
+                    <p className="font-mono text-xs break-all text-muted-foreground">{result.transactionHash}</p>
+                    {result.verified && result.contract !== 'factory' && (
+                      <p className="text-muted-foreground">
+                        {result.contract === 'commitReveal' ? t('verify.outsideTree.commitReveal') : t('verify.outsideTree.revoting')}
+                      </p>
+                    )}
+                    {inclusion && (
+                      <p className={inclusion.included ? 'text-success' : 'text-destructive'}>
+                        {inclusion.included
+                          ? t('verify.included', { root: inclusion.root, proofLength: inclusion.proofLength })
+                          : t('verify.notIncluded', { root: inclusion.root })}
+                      </p>
+                    )}
+                  </div>
+                </div>
+              </Card>
+            )}
+          </div>
+        </Card>
+      </div>
+    </div>
+  );
+};
+
+export default Verify;
@@ -9,7 +9,7 @@ import { VoiceAssistant } from '@/components/VoiceAssistant';
 import { useSpeech } from '@/hooks/useSpeech';
 import { Clock, Vote as VoteIcon, CheckCircle, Wallet, Shield, Zap, Globe, Activity, Calendar, Users, BarChart3, AlertCircle, ArrowLeft } from 'lucide-react';
 import { ethers } from 'ethers';
-import { FACTORY_CONTRACT_ADDRESS, FACTORY_CONTRACT_ABI, REVOTING_CONTRACT_ADDRESS, REVOTING_CONTRACT_ABI } from '../lib/contract';
+import { getWalletElectionClient } from '../lib/contract';
 import AIInsights from '@/components/AIInsights';
 
 const Vote = () => {
@@ -42,29 +42,8 @@ const Vote = () => {
         return;
       }
 
-      const provider = new ethers.BrowserProvider(window.ethereum);
-      const contract = new ethers.Contract(FACTORY_CONTRACT_ADDRESS, FACTORY_CONTRACT_ABI, provider);
-
-      const electionCount = await contract.electionCount();
-      const electionsList = [];
-      
-      for (let i = 0; i < Number(electionCount); i++) {
-        try {
-          const election = await contract.elections(i);
-          electionsList.push({
-            id: Number(election.id),
-            title: election.title,
-            description: election.description,
-            startTime: Number(election.startTime),
-            endTime: Number(election.endTime),
-            active: election.active,
-            candidatesCount: Number(election.candidatesCount),
-            totalVotes: Number(election.totalVotes)
-          });
-        } catch (error) {
-          console.error('Error fetching election:', i, error);
-        }
-      }
+      const client = await getWalletElectionClient();
+      const electionsList = await client.listElections();
 
       setElections(electionsList);
     } catch (error) {
@@ -82,60 +61,23 @@ const Vote = () => {
   const fetchElectionDetails = async (electionId) => {
     try {
       setLoadingElection(true);
-      const provider = new ethers.BrowserProvider(window.ethereum);
-      const contract = new ethers.Contract(FACTORY_CONTRACT_ADDRESS, FACTORY_CONTRACT_ABI, provider);
+      const client = await getWalletElectionClient();
 
       const [electionResult, candidateResults, winnerResult] = await Promise.allSettled([
-        contract.getElection(electionId),
-        Promise.all(
-          Array.from({ length: 10 }, (_, i) => 
-            contract.getCandidate(electionId, i).catch(() => null)
-          )
-        ),
-        contract.getWinner(electionId).catch(() => null)
+        client.getElection(electionId),
+        client.getCandidates(electionId),
+        client.getWinner(electionId)
       ]);
 
-      if (electionResult.status === 'fulfilled') {
-        const [title, description, startTime, endTime, active, candidatesCount, totalVotes] = electionResult.value;
-        
-        setSelectedElection({
-          id: electionId,
-          title,
-          description,
-          startTime: Number(startTime),
-          endTime: Number(endTime),
-          active,
-          candidatesCount: Number(candidatesCount),
-          totalVotes: Number(totalVotes)
-        });
+      if (electionResult.status === 'fulfilled' && electionResult.value) {
+        setSelectedElection(electionResult.value);
 
-        const candidatesList = [];
-        if (candidateResults.status === 'fulfilled') {
-          candidateResults.value
-            .filter(result => result !== null)
-            .forEach((result) => {
-              try {
-                const [candidateId, candidateName, candidateVotes] = result;
-                const fullName = candidateName.toString().trim();
-                if (fullName) {
-                  candidatesList.push({
-                    id: Number(candidateId),
-                    name: fullName,
-                    votes: Number(candidateVotes)
-                  });
-                }
-              } catch (err) {
-                console.log('Error processing candidate');
-              }
-            });
-        }
-        setCandidates(candidatesList);
+        setCandidates(candidateResults.status === 'fulfilled'
+          ? candidateResults.value.filter(candidate => candidate.name)
+          : []);
 
-        let winnerData = null;
-        if (winnerResult.status === 'fulfilled' && winnerResult.value) {
-          const [winnerName, winnerVotes] = winnerResult.value;
-          winnerData = { name: winnerName, votes: Number(winnerVotes) };
-          setWinner(winnerData);
+        if (winnerResult.status === 'fulfilled') {
+          setWinner(winnerResult.value);
         }
 
         if (userAddress) {
@@ -200,8 +142,6 @@ const Vote = () => {
 
   const checkVotingStatus = async (electionId, address) => {
     try {
-      const provider = new ethers.BrowserProvider(window.ethereum);
-      const contract = new ethers.Contract(FACTORY_CONTRACT_ADDRESS, FACTORY_CONTRACT_ABI, provider);
       setHasVoted(false);
     } catch (error) {
       console.error('Error checking voting status:', error);
@@ -232,20 +172,16 @@ const Vote = () => {
     try {
       setVoting(true);
       
-      const provider = new ethers.BrowserProvider(window.ethereum);
-      const signer = await provider.getSigner();
-      
-      // Use the new re-voting contract that supports vote overwriting
-      const revotingContract = new ethers.Contract(REVOTING_CONTRACT_ADDRESS, REVOTING_CONTRACT_ABI, signer);
+      const client = await getWalletElectionClient({ withSigner: true });
 
-      const tx = await revotingContract.vote(selectedElectionId, candidateId);
       toast({
         title: "Transaction Submitted",
         description: "Your vote is being processed...",
         variant: "default"
       });
 
-      await tx.wait();
+      // Use the re-voting contract that supports vote overwriting
+      await client.castVote(selectedElectionId, candidateId, { revote: true });
       
       // Coercion-resistant: Show neutral success message without revealing candidate
       setHasVoted(true);
@@ -260,9 +196,9 @@ const Vote = () => {
       console.error('Error voting:', error);
       
       let errorMessage = 'Failed to submit vote. Please try again.';
-      if (error.code === 'CALL_EXCEPTION' || error.message?.includes('missing revert data')) {
+      if (error.code === 'REVERTED') {
         errorMessage = 'Vote rejected. Please ensure the election is active.';
-      } else if (error.code === 4001 || error.message?.includes('user rejected')) {
+      } else if (error.code === 'REJECTED') {
         errorMessage = 'Transaction was cancelled.';
       } else if (error.message) {
         errorMessage = error.message;
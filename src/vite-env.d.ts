@@ -1,6 +1,7 @@
 /// <reference types="vite/client" />
 
 interface ImportMetaEnv {
+  readonly VITE_ANOMALY_DETECTION_MODE: string
   readonly VITE_API_URL: string
   readonly VITE_APP_TITLE: string
   readonly VITE_DEMO_MODE: string
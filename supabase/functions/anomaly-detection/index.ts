@@ -11,11 +11,56 @@ interface AnalysisResult {
   faceLost: boolean;
   cameraBlocked: boolean;
   highMotion: boolean;
+  environmentStable: boolean;
   anomalyFlags: string[];
   riskScore: number;
   status: 'normal' | 'flagged' | 'warning';
 }
 
+// Weights and thresholds of an election's risk policy (src/lib/riskPolicy.ts).
+// Consecutive frames and decay span a session, so the browser applies those.
+interface RiskPolicy {
+  weights: {
+    multipleFaces: number;
+    noFace: number;
+    faceLost: number;
+    cameraBlocked: number;
+    highMotion: number;
+    environmentUnstable: number;
+  };
+  thresholds: { warning: number; flagged: number };
+}
+
+const DEFAULT_RISK_POLICY: RiskPolicy = {
+  weights: { multipleFaces: 40, noFace: 20, faceLost: 30, cameraBlocked: 30, highMotion: 20, environmentUnstable: 10 },
+  thresholds: { warning: 25, flagged: 50 },
+};
+
+const POLICY_CACHE_MS = 60_000;
+const policyCache = new Map<number, { policy: RiskPolicy; loadedAt: number }>();
+
+// Risk policy of an election from the voting backend (BACKEND_API_URL); the
+// default policy without an election, a backend URL or a reachable backend
+async function loadRiskPolicy(electionId: unknown): Promise<RiskPolicy> {
+  const backendUrl = Deno.env.get('BACKEND_API_URL');
+  if (!backendUrl || !Number.isInteger(electionId)) return DEFAULT_RISK_POLICY;
+
+  const id = electionId as number;
+  const cached = policyCache.get(id);
+  if (cached && Date.now() - cached.loadedAt < POLICY_CACHE_MS) return cached.policy;
+
+  try {
+    const response = await fetch(`${backendUrl.replace(/\/$/, '')}/api/elections/${id}/risk-policy`);
+    if (!response.ok) throw new Error(`status ${response.status}`);
+    const { policy } = await response.json();
+    policyCache.set(id, { policy, loadedAt: Date.now() });
+    return policy;
+  } catch (error) {
+    console.error('Failed to load risk policy, using the default:', error);
+    return DEFAULT_RISK_POLICY;
+  }
+}
+
 serve(async (req) => {
   // Handle CORS preflight
   if (req.method === 'OPTIONS') {
@@ -23,7 +68,7 @@ serve(async (req) => {
   }
 
   try {
-    const { frameData, previousState } = await req.json();
+    const { frameData, previousState, electionId } = await req.json();
     
     if (!frameData) {
       return new Response(
@@ -123,44 +168,45 @@ Respond with ONLY this JSON structure:
       };
     }
 
-    // Calculate risk score based on detected anomalies
+    // Calculate risk score from the election's policy weights
+    const { weights, thresholds } = await loadRiskPolicy(electionId);
     let riskScore = 0;
     const anomalyFlags: string[] = [];
 
-    // Multiple faces detection (+40 risk)
+    // Multiple faces detection
     if (geminiAnalysis.faceCount > 1) {
-      riskScore += 40;
+      riskScore += weights.multipleFaces;
       anomalyFlags.push(`Multiple faces detected: ${geminiAnalysis.faceCount}`);
     }
 
-    // No face detected (+20 risk)
+    // No face detected
     if (geminiAnalysis.faceCount === 0) {
-      riskScore += 20;
+      riskScore += weights.noFace;
       anomalyFlags.push('No face detected');
     }
 
-    // Face suddenly lost (+30 risk) - compare with previous state
-    const faceLost = previousState?.faceDetected && geminiAnalysis.faceCount === 0;
+    // Face suddenly lost - compare with previous state
+    const faceLost = Boolean(previousState?.faceDetected) && geminiAnalysis.faceCount === 0;
     if (faceLost) {
-      riskScore += 30;
+      riskScore += weights.faceLost;
       anomalyFlags.push('Face suddenly disappeared');
     }
 
-    // Camera blocked (+30 risk)
+    // Camera blocked
     if (geminiAnalysis.cameraBlocked) {
-      riskScore += 30;
+      riskScore += weights.cameraBlocked;
       anomalyFlags.push('Camera appears blocked');
     }
 
-    // High motion detected (+20 risk)
+    // High motion detected
     if (geminiAnalysis.highMotion) {
-      riskScore += 20;
+      riskScore += weights.highMotion;
       anomalyFlags.push('Unusual motion detected');
     }
 
-    // Environment unstable (+10 risk)
+    // Environment unstable
     if (!geminiAnalysis.environmentStable) {
-      riskScore += 10;
+      riskScore += weights.environmentUnstable;
       anomalyFlags.push('Environment instability detected');
     }
 
@@ -169,9 +215,9 @@ Respond with ONLY this JSON structure:
 
     // Determine status
     let status: 'normal' | 'flagged' | 'warning' = 'normal';
-    if (riskScore > 50) {
+    if (riskScore > thresholds.flagged) {
       status = 'flagged';
-    } else if (riskScore > 25) {
+    } else if (riskScore > thresholds.warning) {
       status = 'warning';
     }
 
@@ -181,6 +227,7 @@ Respond with ONLY this JSON structure:
       faceLost,
       cameraBlocked: geminiAnalysis.cameraBlocked,
       highMotion: geminiAnalysis.highMotion,
+      environmentStable: geminiAnalysis.environmentStable !== false,
       anomalyFlags,
       riskScore,
       status
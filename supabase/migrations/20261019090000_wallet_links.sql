@@ -0,0 +1,37 @@
+-- Wallet addresses on profiles are written by the backend only, after the
+-- wallet signs a nonce (POST /api/identity/wallet/link). Clients may still
+-- read them and edit the rest of their profile.
+
+-- Addresses written before linking required a signature prove nothing;
+-- clear them before the trigger below starts refusing such updates
+UPDATE public.profiles SET wallet_address = NULL WHERE wallet_address IS NOT NULL;
+
+CREATE OR REPLACE FUNCTION public.protect_profile_wallet_address()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+BEGIN
+  IF auth.role() IS DISTINCT FROM 'service_role' THEN
+    IF TG_OP = 'INSERT' THEN
+      NEW.wallet_address := NULL;
+    ELSIF NEW.wallet_address IS DISTINCT FROM OLD.wallet_address THEN
+      RAISE EXCEPTION 'wallet_address can only be set by linking a wallet';
+    END IF;
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+CREATE TRIGGER protect_profile_wallet_address
+BEFORE INSERT OR UPDATE ON public.profiles
+FOR EACH ROW
+EXECUTE FUNCTION public.protect_profile_wallet_address();
+
+-- One person per wallet, stored lowercased like the backend
+ALTER TABLE public.profiles
+  ADD CONSTRAINT wallet_address_lowercase CHECK (wallet_address = lower(wallet_address));
+
+CREATE UNIQUE INDEX profiles_wallet_address_key
+ON public.profiles (wallet_address)
+WHERE wallet_address IS NOT NULL;